@@ -1,33 +1,50 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const mongoose = require('mongoose');
 const flowchartRoutes = require('./routes/flowcharts');
+const authRoutes = require('./routes/auth');
+const workspaceRoutes = require('./routes/workspaces');
+const webhookRoutes = require('./routes/webhooks');
+const auditRoutes = require('./routes/audit');
+const { authenticate } = require('./utils/auth');
+const { configureStorage } = require('./utils/storage');
+const requestId = require('./utils/requestId');
+const { auditFlowchartWrites } = require('./utils/audit');
+const { errorEnvelope, notFoundHandler, errorHandler } = require('./utils/errors');
+const { validateRequest } = require('./utils/requestValidation');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
 
 const app = express();
 
 // Middleware
+app.use(requestId);
+app.use(errorEnvelope);
+// Bulk requests carry many charts at once, so they get a larger body limit
+app.use('/api/flowcharts/bulk', bodyParser.json({ limit: process.env.BULK_BODY_LIMIT || '10mb' }));
 app.use(bodyParser.json());
 
-// Connect to MongoDB
-const mongoURI = 'mongodb://localhost:27017/flowchartdb'; // Update if using MongoDB Atlas
-mongoose.connect(mongoURI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-}).then(() => console.log('MongoDB connected'))
-  .catch(err => console.log(err));
+// Pick the storage driver (STORAGE_DRIVER); index.js opens the connection
+configureStorage();
 
 // Routes
-app.use('/api/flowcharts', flowchartRoutes);
+// Mutating flowchart calls are audited; dry runs (validation, import
+// previews) change nothing and are skipped
+const auditFlowcharts = auditFlowchartWrites({
+  skip: req => req.path === '/validate' || req.query.preview === 'true',
+});
+// Params and bodies are checked against the schemas in the swagger docs
+const validate = validateRequest(swaggerSpec);
+app.use('/api/auth', validate, authRoutes);
+app.use('/api/flowcharts', authenticate, auditFlowcharts, validate, flowchartRoutes);
+app.use('/api/workspaces', authenticate, validate, workspaceRoutes);
+app.use('/api/webhooks', authenticate, validate, webhookRoutes);
+app.use('/api/audit', authenticate, validate, auditRoutes);
 
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Error Handling Middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).send('Something broke!');
-});
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 module.exports = app;
\ No newline at end of file
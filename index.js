@@ -1,7 +1,29 @@
 const app = require('./app');
+const { startTrashPurge } = require('./utils/trashPurge');
+const { attachCollaboration } = require('./utils/collabSocket');
+const { startWebhookRetries } = require('./utils/webhooks');
+const { storageDriver, connectStorage } = require('./utils/storage');
+const { assignLegacyOwner } = require('./utils/legacyOwners');
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+// MONGODB_URI, or the database name when STORAGE_DRIVER=memory
+connectStorage()
+  .then(() => console.log(`Storage connected (${storageDriver()})`))
+  // Charts without an owner go to LEGACY_OWNER_EMAIL; see utils/legacyOwners.js
+  .then(() => process.env.LEGACY_OWNER_EMAIL && assignLegacyOwner(process.env.LEGACY_OWNER_EMAIL))
+  .then((count) => { if (count) console.log(`Assigned ${count} ownerless flowchart(s) to ${process.env.LEGACY_OWNER_EMAIL}`); })
+  .catch(err => console.log(err));
+
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Live collaboration channels at ws://<host>/api/flowcharts/:id/live
+attachCollaboration(server);
+
+// Remove flowcharts that have been in the trash longer than the retention period
+startTrashPurge();
+
+// Retry webhook deliveries that failed, with exponential backoff
+startWebhookRetries();
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Shape of a flowchart before and after an audited request
+const ChartSummarySchema = new mongoose.Schema({
+  name: { type: String },
+  revision: { type: Number },
+  nodeCount: { type: Number },
+  edgeCount: { type: Number },
+  workspace: { type: mongoose.Schema.Types.ObjectId },
+  folder: { type: mongoose.Schema.Types.ObjectId },
+  deletedAt: { type: Date },
+}, { _id: false });
+
+// One mutating API call. Records are append-only: nothing in the API updates
+// or deletes them, and the model refuses to save changes to an existing one.
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+  },
+  // Method and route pattern, e.g. "PATCH /api/flowcharts/:id/nodes/:nodeId";
+  // live edits are "WS <op> /api/flowcharts/:id/live"
+  action: { type: String, required: true },
+  path: { type: String },
+  statusCode: { type: Number },
+  flowchartId: { type: Number, default: null },
+  requestId: { type: String },
+  ip: { type: String },
+  userAgent: { type: String },
+  before: { type: ChartSummarySchema, default: null },
+  after: { type: ChartSummarySchema, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditLogSchema.index({ flowchartId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+AuditLogSchema.pre('validate', function () {
+  if (!this.isNew) throw new Error('Audit records cannot be modified');
+});
+
+const refuse = () => {
+  throw new Error('Audit records cannot be modified');
+};
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuse);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Named sequences used to allocate numeric ids atomically
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+// Raise the sequence to at least `value` so it never hands out an id that is
+// already taken (client-supplied ids, data written before the counter existed)
+CounterSchema.statics.raiseTo = function (name, value) {
+  return this.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+};
+
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true },
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
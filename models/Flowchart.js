@@ -1,21 +1,66 @@
 const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Counter = require('./Counter');
+const { NodeSchema, EdgeSchema } = require('./graphSchemas');
+const { SHARE_ROLES } = require('../utils/permissions');
 
-const NodeSchema = new mongoose.Schema({
-  id: { type: String, required: true },
-  label: { type: String, required: true },
+const COUNTER_NAME = 'flowcharts';
 
-});
-
-const EdgeSchema = new mongoose.Schema({
-  source: { type: String, required: true },
-  target: { type: String, required: true },
-});
+const ShareSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: SHARE_ROLES, required: true },
+}, { _id: false });
 
 const FlowchartSchema = new mongoose.Schema({
+  // Allocated from the "flowcharts" counter unless the client supplies one
   _id: {type: Number, required: true},
+  // Stable public identifier, accepted wherever the numeric _id is
+  uuid: { type: String, unique: true, sparse: true },
   name: { type: String, required: true },
+  // Unset on charts created before ownership existed; see utils/permissions.js
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  shares: [ShareSchema],
+  // Personal charts have neither; see utils/folders.js
+  workspace: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+  folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+  // Listed in the template catalogue; see utils/templates.js
+  isTemplate: { type: Boolean, default: false },
   nodes: [NodeSchema],
   edges: [EdgeSchema],
+  // 'dag' rejects cycles; 'cyclic' allows loops such as retry-until-success
+  graphMode: { type: String, enum: ['dag', 'cyclic'], default: 'dag' },
+  revision: { type: Number, default: 0 },
+  // Codes of the validation rules enforced for this chart; unset means the defaults
+  validationRules: { type: [String], default: undefined },
+  // Set while the chart is in the trash; purged after the retention period
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Flowchart', FlowchartSchema);
\ No newline at end of file
+FlowchartSchema.index({ owner: 1 });
+FlowchartSchema.index({ 'shares.user': 1 });
+FlowchartSchema.index({ workspace: 1, folder: 1 });
+FlowchartSchema.index({ deletedAt: 1 });
+FlowchartSchema.index({ 'nodes.subflow': 1 });
+FlowchartSchema.index({ isTemplate: 1 });
+
+FlowchartSchema.pre('validate', async function () {
+  // Charts created before uuids existed get one on their next save
+  if (!this.uuid) this.uuid = uuidv4();
+  if (!this.isNew) return;
+
+  // Keep server-allocated ids clear of ids chosen by clients
+  if (this._id != null) {
+    if (Number.isInteger(this._id)) await Counter.raiseTo(COUNTER_NAME, this._id);
+    return;
+  }
+
+  // Seed the counter from existing charts the first time it is used
+  if (!(await Counter.exists({ _id: COUNTER_NAME }))) {
+    const last = await this.constructor.findOne().sort({ _id: -1 }).select('_id').lean();
+    await Counter.raiseTo(COUNTER_NAME, last ? last._id : 0);
+  }
+  this._id = await Counter.next(COUNTER_NAME);
+});
+
+module.exports = mongoose.model('Flowchart', FlowchartSchema);
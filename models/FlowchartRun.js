@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const RUN_STATUSES = ['running', 'completed', 'cancelled'];
+
+// One step of a run: the node entered and the edge taken to get there
+const RunStepSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true },
+  edge: {
+    source: { type: String },
+    target: { type: String },
+    label: { type: String },
+    condition: { type: String },
+  },
+  // How the edge was chosen: start, only (single way out), choice (by the caller) or condition
+  via: { type: String, enum: ['start', 'only', 'choice', 'condition'], required: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A step-through execution of a flowchart. Runs are pinned to the revision
+// they were started on, so later edits to the chart do not affect them.
+const FlowchartRunSchema = new mongoose.Schema({
+  flowchartId: { type: Number, required: true },
+  rev: { type: Number, required: true },
+  status: { type: String, enum: RUN_STATUSES, default: 'running' },
+  currentNode: { type: String, required: true },
+  context: { type: mongoose.Schema.Types.Mixed, default: {} },
+  history: [RunStepSchema],
+  // Bumped on every change; saves only match the step that was loaded
+  step: { type: Number, default: 0 },
+  startedBy: { type: String, default: 'anonymous' },
+  endedAt: { type: Date },
+}, { timestamps: true, minimize: false });
+
+FlowchartRunSchema.index({ flowchartId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FlowchartRun', FlowchartRunSchema);
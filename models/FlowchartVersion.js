@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { NodeSchema, EdgeSchema } = require('./graphSchemas');
+
+// Immutable snapshot of a flowchart, written once on every save
+const FlowchartVersionSchema = new mongoose.Schema({
+  flowchartId: { type: Number, required: true },
+  rev: { type: Number, required: true },
+  name: { type: String, required: true },
+  nodes: [NodeSchema],
+  edges: [EdgeSchema],
+  author: { type: String, default: 'anonymous' },
+  message: { type: String },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+FlowchartVersionSchema.index({ flowchartId: 1, rev: 1 }, { unique: true });
+
+FlowchartVersionSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Flowchart versions are immutable'));
+  next();
+});
+
+module.exports = mongoose.model('FlowchartVersion', FlowchartVersionSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Folders nest through `parent`; top-level folders have no parent
+const FolderSchema = new mongoose.Schema({
+  workspace: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null },
+  name: { type: String, required: true, trim: true },
+}, { timestamps: true });
+
+FolderSchema.index({ workspace: 1, parent: 1 });
+
+module.exports = mongoose.model('Folder', FolderSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// API keys are only stored as SHA-256 hashes; the plain key is shown once
+const ApiKeySchema = new mongoose.Schema({
+  label: { type: String, default: 'default' },
+  prefix: { type: String, required: true },
+  hash: { type: String, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  apiKeys: [ApiKeySchema],
+}, { timestamps: true });
+
+UserSchema.index({ 'apiKeys.hash': 1 });
+
+// Never send password or key hashes to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    (ret.apiKeys || []).forEach((key) => { delete key.hash; });
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = ['flowchart.created', 'flowchart.updated', 'flowchart.deleted', 'flowchart.restored'];
+
+// A URL that is POSTed to when flowcharts change. Hooks only fire for charts
+// their owner can see, narrowed to one flowchart or workspace if set.
+const WebhookSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  url: { type: String, required: true, trim: true },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event'],
+  },
+  flowchartId: { type: Number, default: null },
+  workspace: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+  // Key for the HMAC signature; returned once when the hook is created
+  secret: { type: String, required: true },
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+WebhookSchema.index({ owner: 1 });
+WebhookSchema.index({ active: 1, events: 1 });
+
+WebhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
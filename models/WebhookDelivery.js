@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One HTTP attempt at delivering an event
+const AttemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  statusCode: { type: Number },
+  error: { type: String },
+  durationMs: { type: Number },
+}, { _id: false });
+
+// An event queued for one webhook. Pending deliveries are retried with
+// exponential backoff until they succeed or run out of attempts.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  flowchartId: { type: Number },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: [AttemptSchema],
+  nextAttemptAt: { type: Date, default: Date.now },
+}, { timestamps: true, minimize: false });
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
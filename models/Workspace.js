@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const { WORKSPACE_ROLES } = require('../utils/permissions');
+
+const MemberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: WORKSPACE_ROLES, required: true },
+}, { _id: false });
+
+// A team space; its members get access to every flowchart filed in it
+const WorkspaceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  members: [MemberSchema],
+}, { timestamps: true });
+
+WorkspaceSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Workspace', WorkspaceSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const NODE_TYPES = ['start', 'end', 'process', 'decision', 'io', 'subprocess'];
+
+const NodeSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  label: { type: String, required: true },
+  type: { type: String, enum: NODE_TYPES },
+  // Free-form metadata owned by the client (owner, SLA, links, ...)
+  data: { type: mongoose.Schema.Types.Mixed },
+  // _id of another flowchart this node stands for as a subprocess
+  subflow: { type: Number },
+  position: {
+    x: { type: Number },
+    y: { type: Number },
+  },
+});
+
+const EdgeSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  target: { type: String, required: true },
+  // Branch label shown on the edge, e.g. "yes" / "no" out of a decision
+  label: { type: String },
+  // Expression deciding when this branch is taken
+  condition: { type: String },
+});
+
+module.exports = { NodeSchema, EdgeSchema, NODE_TYPES };
@@ -0,0 +1,203 @@
+// routes/audit.js
+// Read-only access to the audit log. There are deliberately no routes that
+// create, change or delete records; they are only written by utils/audit.js.
+
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const Flowchart = require('../models/Flowchart');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const { roleFor, visibleTo } = require('../utils/permissions');
+const { isObjectId, memberWorkspaceIds } = require('../utils/folders');
+const { sendError } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Records about charts the caller can see (trashed ones included) and any
+// call the caller made themselves
+const visibleScope = async (user, flowchartId) => {
+  const mine = { 'actor.user': user._id };
+  if (flowchartId !== undefined) {
+    const flowchart = await Flowchart.findById(flowchartId).select('owner shares workspace').lean();
+    if (!flowchart) return { flowchartId, ...mine };
+    const workspace = flowchart.workspace && await Workspace.findById(flowchart.workspace).select('members').lean();
+    return roleFor(flowchart, user, workspace) ? { flowchartId } : null;
+  }
+  const charts = await Flowchart.find(visibleTo(user, await memberWorkspaceIds(user))).select('_id').lean();
+  return { $or: [mine, { flowchartId: { $in: charts.map(f => f._id) } }] };
+};
+
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Who changed which flowchart, and when
+ *
+ * components:
+ *   schemas:
+ *     AuditChartSummary:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         name:
+ *           type: string
+ *         revision:
+ *           type: integer
+ *         nodeCount:
+ *           type: integer
+ *         edgeCount:
+ *           type: integer
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *         folder:
+ *           type: string
+ *           nullable: true
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     AuditRecord:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         actor:
+ *           type: object
+ *           properties:
+ *             user:
+ *               type: string
+ *             name:
+ *               type: string
+ *         action:
+ *           type: string
+ *           example: "PATCH /api/flowcharts/:id/nodes/:nodeId"
+ *         path:
+ *           type: string
+ *           example: "/api/flowcharts/12/nodes/start"
+ *         statusCode:
+ *           type: integer
+ *         flowchartId:
+ *           type: integer
+ *           nullable: true
+ *         requestId:
+ *           type: string
+ *           description: The X-Request-Id of the call
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         before:
+ *           $ref: '#/components/schemas/AuditChartSummary'
+ *         after:
+ *           $ref: '#/components/schemas/AuditChartSummary'
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: List audit records, newest first
+ *     description: |
+ *       Every POST, PUT, PATCH and DELETE on /api/flowcharts is recorded,
+ *       including rejected ones. Callers see the records of flowcharts they
+ *       can access and of the calls they made themselves. Records cannot be
+ *       changed or deleted through the API.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: flowchartId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User id or email of the caller
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only records at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only records before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Matching records; the total is in X-Total-Count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditRecord'
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Flowchart not found
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { actor } = req.query;
+    let flowchartId;
+    if (req.query.flowchartId !== undefined) {
+      flowchartId = Number(req.query.flowchartId);
+      if (!Number.isInteger(flowchartId)) return res.status(400).json({ message: 'flowchartId must be an integer' });
+    }
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) return res.status(400).json({ message: 'from and to must be dates' });
+
+    const scope = await visibleScope(req.user, flowchartId);
+    if (!scope) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const filter = { $and: [scope] };
+    if (actor) {
+      const user = isObjectId(actor) ? { _id: actor } : await User.findOne({ email: actor.toLowerCase() }).select('_id').lean();
+      if (!user) return res.set('X-Total-Count', '0').json([]);
+      filter.$and.push({ 'actor.user': user._id });
+    }
+    if (from || to) {
+      filter.$and.push({ createdAt: { ...(from ? { $gte: from } : {}), ...(to ? { $lt: to } : {}) } });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const [records, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.set('X-Total-Count', String(total));
+    res.json(records);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+// routes/auth.js
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { sendError } = require('../utils/errors');
+const {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  generateApiKey,
+  authenticate,
+} = require('../utils/auth');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: User accounts, tokens and API keys
+ *
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         apiKeys:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ApiKey'
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AuthResult:
+ *       type: object
+ *       properties:
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         token:
+ *           type: string
+ *           description: 'JWT to send as "Authorization: Bearer <token>"'
+ */
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Create a user account
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResult'
+ *       400:
+ *         description: Missing fields or short password
+ *       409:
+ *         description: Email already registered
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ message: 'email and password are required.' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (await User.exists({ email: String(email).toLowerCase() })) {
+      return res.status(409).json({ message: 'A user with this email already exists.' });
+    }
+
+    const user = await User.create({ email, name, passwordHash: await hashPassword(String(password)) });
+    res.status(201).json({ user, token: issueToken(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Exchange email and password for a JWT
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResult'
+ *       401:
+ *         description: Wrong email or password
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = email && await User.findOne({ email: String(email).toLowerCase() });
+    if (!user || !(await verifyPassword(String(password || ''), user.passwordHash))) {
+      return res.status(401).json({ message: 'Invalid email or password.' });
+    }
+    res.json({ user, token: issueToken(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the authenticated user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The caller's account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   post:
+ *     summary: Create an API key for scripts and integrations
+ *     description: The plain key is only returned in this response; store it safely.
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: Send as the X-API-Key header
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/api-keys', authenticate, async (req, res) => {
+  try {
+    const { key, prefix, hash } = generateApiKey();
+    req.user.apiKeys.push({ label: req.body.label, prefix, hash });
+    await req.user.save();
+
+    const { _id, label, createdAt } = req.user.apiKeys[req.user.apiKeys.length - 1];
+    res.status(201).json({ _id, label, prefix, createdAt, key });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:keyId', authenticate, async (req, res) => {
+  try {
+    const apiKey = req.user.apiKeys.find(k => String(k._id) === req.params.keyId);
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+
+    req.user.apiKeys.pull(apiKey._id);
+    await req.user.save();
+    res.json({ message: 'API key revoked' });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,149 @@
 // routes/flowcharts.js
 
 const express = require('express');
+const { validate: isUuid } = require('uuid');
 const router = express.Router();
 const Flowchart = require('../models/Flowchart');
+const FlowchartVersion = require('../models/FlowchartVersion');
+const FlowchartRun = require('../models/FlowchartRun');
 const validateGraph = require('../utils/validateGraph'); // Ensure this utility exists and functions correctly
+const { listRules } = require('../utils/graphRules');
+const diffGraphs = require('../utils/diffGraphs');
+const {
+  buildAdjacency,
+  reverseAdjacency,
+  reachableFrom,
+  stronglyConnectedComponents,
+  backEdgesFrom,
+  shortestPath,
+  allSimplePaths,
+  topologicalSort,
+} = require('../utils/graphAlgorithms');
+const { DEFAULT_FAN_OUT_THRESHOLD, graphMetrics } = require('../utils/graphMetrics');
+const { EXPORT_FORMATS, exportFlowchart } = require('../utils/exportFlowchart');
+const layeredLayout = require('../utils/layeredLayout');
+const { IMPORT_FORMATS, importFlowchart } = require('../utils/importFlowchart');
+const {
+  SUMMARY_SELECT,
+  ListQueryError,
+  escapeRegex,
+  parseListQuery,
+  encodeCursor,
+  summarize,
+} = require('../utils/listQuery');
+const { revisionInfo, commitRevision } = require('../utils/versioning');
+const {
+  SHARE_ROLES,
+  roleFor,
+  visibleTo,
+  requireRole,
+} = require('../utils/permissions');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const Folder = require('../models/Folder');
+const { FolderError, memberWorkspaceIds, resolveLocation } = require('../utils/folders');
+const runRoutes = require('./runs');
+const { SubflowError, expandSubflows, subflowReferrers } = require('../utils/subflows');
+const { publishDeleted } = require('../utils/collaboration');
+const { emitFlowchartEvent } = require('../utils/webhooks');
+const { displayName } = require('../utils/auth');
+const { BULK_MODES, MAX_BULK_OPERATIONS, runBulk } = require('../utils/bulk');
+const { AUDIT_SELECT, auditSummary } = require('../utils/audit');
+const { ApiError, sendError } = require('../utils/errors');
+const { templateParameters, fillTemplate, copyGraph } = require('../utils/templates');
+const {
+  RevisionConflictError,
+  setETag,
+  ifMatchSatisfied,
+  sendPreconditionFailed,
+  sendConflict,
+} = require('../utils/concurrency');
+
+// Upper bound for the number of simple paths enumerated by /:id/paths
+const MAX_PATHS = 1000;
+
+// Validation options stored on a flowchart: its enabled rules and graph mode
+const graphOptions = flowchart => ({ rules: flowchart.validationRules, mode: flowchart.graphMode });
+// Same for the node and edge routes, which may leave a typed chart unfinished
+const partialGraphOptions = flowchart => ({ ...graphOptions(flowchart), partial: true });
+
+// Saves a copy of `source` with the given graph as a new chart of the caller,
+// filed where the request says (personal by default). The audit record is
+// moved to the new chart, since that is what the call created.
+const saveCopy = async (req, source, graph, { name, message }) => {
+  const { workspaceId = null, folderId = null } = req.body;
+  const { workspace, folder } = await resolveLocation(req.user, { workspaceId, folderId });
+  const copy = new Flowchart({
+    name,
+    owner: req.user._id,
+    workspace,
+    folder,
+    ...graph,
+    graphMode: source.graphMode,
+    validationRules: source.validationRules,
+  });
+  const info = revisionInfo(req);
+  await commitRevision(copy, { ...info, message: info.message || message });
+  req.auditFlowchartId = copy._id;
+  req.auditBefore = null;
+  return copy;
+};
+
+// Sends one page of the flowcharts matching `scope` and the list query
+// parameters, with the paging headers described on GET /api/flowcharts
+const sendFlowchartPage = async (req, res, scope) => {
+  const {
+    filter, pageFilter, sort, skip, limit, page, sortKey, view,
+  } = parseListQuery(req.query, { scope });
+  let query = Flowchart.find(pageFilter).sort(sort).skip(skip).limit(limit + 1);
+  if (view === 'summary') query = query.select(SUMMARY_SELECT).lean();
+
+  const [found, total] = await Promise.all([query, Flowchart.countDocuments(filter)]);
+  const hasMore = found.length > limit;
+  const flowcharts = found.slice(0, limit);
+
+  const pageUrl = (params) => {
+    const search = new URLSearchParams({ ...req.query, ...params });
+    Object.keys(params).filter(key => params[key] === undefined).forEach(key => search.delete(key));
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${search}`;
+  };
+  const links = [];
+  if (hasMore) {
+    const nextCursor = encodeCursor(flowcharts[flowcharts.length - 1], sortKey);
+    res.set('X-Next-Cursor', nextCursor);
+    links.push(`<${pageUrl(page ? { page: page + 1 } : { cursor: nextCursor })}>; rel="next"`);
+  }
+  if (page > 1) links.push(`<${pageUrl({ page: page - 1 })}>; rel="prev"`);
+  if (links.length) res.set('Link', links.join(', '));
+  res.set('X-Total-Count', String(total));
+
+  res.json(view === 'summary' ? flowcharts.map(summarize) : flowcharts);
+};
+
+// Every /:id route accepts the chart's uuid as well; it is swapped for the
+// numeric _id here so the handlers only deal with one kind of identifier.
+// The caller's role on the chart and whether it is in the trash are resolved
+// at the same time for requireRole, as is the "before" state for the audit log.
+router.param('id', async (req, res, next, id) => {
+  let filter;
+  if (isUuid(id)) filter = { uuid: id.toLowerCase() };
+  else if (!isNaN(Number(id))) filter = { _id: Number(id) };
+  else return next(); // Malformed ids are rejected by the route handlers
+
+  try {
+    const flowchart = await Flowchart.findOne(filter).select(`_id owner shares ${AUDIT_SELECT}`).lean();
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    const workspace = flowchart.workspace && await Workspace.findById(flowchart.workspace).select('members').lean();
+    req.params.id = String(flowchart._id);
+    req.flowchartRole = roleFor(flowchart, req.user, workspace);
+    req.flowchartTrashed = Boolean(flowchart.deletedAt);
+    req.auditFlowchartId = flowchart._id;
+    req.auditBefore = auditSummary(flowchart);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
 
 /**
  * @swagger
@@ -21,9 +161,31 @@ const validateGraph = require('../utils/validateGraph'); // Ensure this utility
  *         label:
  *           type: string
  *           description: Label of the node
+ *         type:
+ *           type: string
+ *           enum: [start, end, process, decision, io, subprocess]
+ *           description: Kind of step. Charts that use types must have exactly one start node, end nodes may not have outgoing edges, and decision nodes need at least two labelled outgoing edges.
+ *         data:
+ *           type: object
+ *           description: Free-form metadata attached to the node
+ *         position:
+ *           type: object
+ *           properties:
+ *             x:
+ *               type: number
+ *             y:
+ *               type: number
+ *           description: Layout coordinates of the node
+ *         subflow:
+ *           type: integer
+ *           description: _id of another flowchart this node embeds as a subprocess. References must exist and may not lead back to the chart itself.
  *       example:
  *         id: "1"
  *         label: "Start"
+ *         type: "start"
+ *         position:
+ *           x: 0
+ *           y: 0
  * 
  *     Edge:
  *       type: object
@@ -31,31 +193,79 @@ const validateGraph = require('../utils/validateGraph'); // Ensure this utility
  *         - source
  *         - target
  *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           description: Server-generated identifier of the edge
  *         source:
  *           type: string
  *           description: Source node ID
  *         target:
  *           type: string
  *           description: Target node ID
+ *         label:
+ *           type: string
+ *           description: Branch label, e.g. "yes" or "no" out of a decision node
+ *         condition:
+ *           type: string
+ *           description: Expression deciding when this branch is taken
  *       example:
  *         source: "1"
  *         target: "2"
+ *         label: "yes"
  * 
  *     Flowchart:
  *       type: object
  *       required:
- *         - _id
  *         - name
  *         - nodes
  *         - edges
  *       properties:
  *         _id:
  *           type: integer
- *           description: Unique numerical identifier for the flowchart (user-provided)
+ *           description: Unique numerical identifier, allocated by the server unless supplied (e.g. for migrations)
  *           example: 1
+ *         uuid:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *           description: Stable public identifier, accepted by every /api/flowcharts/{id} route
+ *           example: "3b241101-e2bb-4255-8caf-4136c566a962"
  *         name:
  *           type: string
  *           description: Name of the flowchart
+ *         owner:
+ *           type: string
+ *           readOnly: true
+ *           description: Id of the user who created the flowchart
+ *         shares:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/Share'
+ *           description: Users the flowchart is shared with; managed via /api/flowcharts/{id}/shares
+ *         workspaceId:
+ *           type: string
+ *           writeOnly: true
+ *           description: On create, file the flowchart at the root of this workspace
+ *         folderId:
+ *           type: string
+ *           writeOnly: true
+ *           description: On create, file the flowchart in this folder (and its workspace)
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: Workspace the flowchart is filed in; null for personal charts
+ *         folder:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *           description: Folder the flowchart is filed in; null at the workspace root
+ *         isTemplate:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Listed in the template catalogue; set with PUT /api/flowcharts/{id}/template
  *         nodes:
  *           type: array
  *           items:
@@ -66,6 +276,26 @@ const validateGraph = require('../utils/validateGraph'); // Ensure this utility
  *           items:
  *             $ref: '#/components/schemas/Edge'
  *           description: List of edges connecting the nodes
+ *         graphMode:
+ *           type: string
+ *           enum: [dag, cyclic]
+ *           default: dag
+ *           description: "dag rejects cycles; cyclic allows loops such as retry-until-success"
+ *         validationRules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ValidationRuleCode'
+ *           description: Validation rules enforced for this flowchart. Omit to use every built-in rule. Edge conditions are checked whatever is selected.
+ *         revision:
+ *           type: integer
+ *           readOnly: true
+ *           description: Number of the latest stored revision
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *           description: When the flowchart was moved to the trash; null otherwise
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -89,8 +319,294 @@ const validateGraph = require('../utils/validateGraph'); // Ensure this utility
  *             target: "2"
  *           - source: "2"
  *             target: "3"
+ *         revision: 1
+ *         createdAt: "2023-08-10T10:00:00.000Z"
+ *         updatedAt: "2023-08-10T10:00:00.000Z"
+ *
+ *     FlowchartUpdate:
+ *       type: object
+ *       description: Fields to change; anything omitted keeps its current value. nodes and edges are replaced together.
+ *       properties:
+ *         name:
+ *           type: string
+ *         nodes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Node'
+ *         edges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Edge'
+ *         graphMode:
+ *           type: string
+ *           enum: [dag, cyclic]
+ *         validationRules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ValidationRuleCode'
+ *       example:
+ *         name: "Renamed Flowchart"
+ *
+ *     Share:
+ *       type: object
+ *       required:
+ *         - user
+ *         - role
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: Id of the user the flowchart is shared with
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, owner]
+ *           description: "viewer can read; editor can also change the graph; owner can also delete and manage shares"
+ *       example:
+ *         user: "66b7a0c2f1d4e8a9b0c1d2e3"
+ *         role: editor
+ *
+ *     FlowchartSummary:
+ *       type: object
+ *       description: Flowchart without its graph, returned by the list endpoint with view=summary
+ *       properties:
+ *         _id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         isTemplate:
+ *           type: boolean
+ *         graphMode:
+ *           type: string
+ *           enum: [dag, cyclic]
+ *         revision:
+ *           type: integer
+ *         nodeCount:
+ *           type: integer
+ *         edgeCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *       example:
+ *         _id: 1
+ *         name: "Sample Flowchart"
+ *         graphMode: dag
+ *         revision: 1
+ *         nodeCount: 3
+ *         edgeCount: 2
  *         createdAt: "2023-08-10T10:00:00.000Z"
  *         updatedAt: "2023-08-10T10:00:00.000Z"
+ *
+ *     Violation:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Code of the rule that reported the violation
+ *         severity:
+ *           type: string
+ *           enum: [error, warning]
+ *           description: Errors block a write, warnings are informational
+ *         message:
+ *           type: string
+ *         nodeIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the offending nodes
+ *         edges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Edge'
+ *           description: The offending edges
+ *       example:
+ *         code: "CYCLE"
+ *         severity: "error"
+ *         message: "Graph contains a cycle"
+ *         nodeIds: ["1", "2"]
+ *         edges: [{ source: "2", target: "1" }]
+ *
+ *     ValidationReport:
+ *       type: object
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *           description: False when at least one error-severity violation was found
+ *         violations:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Violation'
+ *
+ *     ImportIssue:
+ *       type: object
+ *       properties:
+ *         line:
+ *           type: integer
+ *           description: Line of the source the issue was found on
+ *         message:
+ *           type: string
+ *       example:
+ *         line: 4
+ *         message: "Unterminated shape for node \"B\""
+ *
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         valid:
+ *           type: boolean
+ *           description: True when everything was mapped and the graph passed validation
+ *         name:
+ *           type: string
+ *         nodes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Node'
+ *         edges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Edge'
+ *         errors:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportIssue'
+ *           description: Parts of the source that could not be mapped
+ *         warnings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImportIssue'
+ *           description: Parts of the source that were skipped on purpose (styling, grouping, ...)
+ *         violations:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Violation'
+ *               - type: object
+ *                 properties:
+ *                   lines:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                     description: Source lines of the offending nodes
+ *
+ *     FlowchartVersion:
+ *       type: object
+ *       properties:
+ *         flowchartId:
+ *           type: integer
+ *           description: _id of the flowchart this revision belongs to
+ *         rev:
+ *           type: integer
+ *           description: Revision number, starting at 1
+ *         name:
+ *           type: string
+ *           description: Name of the flowchart at this revision
+ *         nodes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Node'
+ *         edges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Edge'
+ *         author:
+ *           type: string
+ *           description: Name (or email) of the user whose write created the revision
+ *         message:
+ *           type: string
+ *           description: Value of the X-Revision-Message header, if any
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Timestamp when the revision was stored
+ *
+ *     GraphDiff:
+ *       type: object
+ *       properties:
+ *         nodes:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Node'
+ *             removed:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Node'
+ *             relabelled:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   from:
+ *                     type: string
+ *                   to:
+ *                     type: string
+ *         edges:
+ *           type: object
+ *           properties:
+ *             added:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Edge'
+ *             removed:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Edge'
+ *       example:
+ *         nodes:
+ *           added: [{ id: "3", label: "End" }]
+ *           removed: []
+ *           relabelled: [{ id: "2", from: "Process", to: "Review" }]
+ *         edges:
+ *           added: [{ source: "2", target: "3" }]
+ *           removed: []
+ *
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: ETag (revision number) the write is based on. The write is rejected with 412 if the flowchart has changed since.
+ *       example: '"3"'
+ *
+ *   responses:
+ *     PreconditionFailed:
+ *       description: If-Match does not match the current revision. The body carries the current server state so the client can merge and retry.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "If-Match does not match the current revision of the flowchart."
+ *               current:
+ *                 $ref: '#/components/schemas/Flowchart'
+ *     RevisionConflict:
+ *       description: Another write was saved while this one was in progress. The body carries the current server state so the client can merge and retry.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "Flowchart was modified by another request. Merge with the current state and retry."
+ *               current:
+ *                 $ref: '#/components/schemas/Flowchart'
  */
 
 /**
@@ -120,431 +636,3324 @@ const validateGraph = require('../utils/validateGraph'); // Ensure this utility
  *             schema:
  *               $ref: '#/components/schemas/Flowchart'
  *       400:
- *         description: Bad request (e.g., duplicate _id or invalid data)
+ *         description: Bad request (e.g., invalid data or graph)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Duplicate _id. A flowchart with this _id already exists."
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     violations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Violation'
+ *       409:
+ *         description: A flowchart with this _id already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: "DUPLICATE_KEY"
+ *               message: "Duplicate _id. A flowchart with this _id already exists."
+ *               details: [{ field: "_id", message: "is already taken" }]
+ *               requestId: "3f1c2a9e-4b7d-4f0e-9a51-2c8d6e7b1a44"
+ *       422:
+ *         description: The flowchart does not pass model validation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/', async (req, res) => {
   try {
-    const { _id, name, nodes, edges } = req.body;
-
-    // Validate presence of _id
-    if (_id === undefined || _id === null) {
-      return res.status(400).json({ message: 'Flowchart _id is required.' });
-    }
+    const {
+      _id, name, nodes, edges, validationRules, graphMode, workspaceId, folderId,
+    } = req.body;
 
     // Validate the graph structure
-    const validation = validateGraph(nodes, edges);
+    const validation = validateGraph(nodes, edges, { rules: validationRules, mode: graphMode });
     if (!validation.valid) {
-      return res.status(400).json({ message: validation.message });
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
     }
 
-    // Create new flowchart with user-provided _id
-    const flowchart = new Flowchart({ _id, name, nodes, edges });
-    await flowchart.save();
+    // The _id is allocated from the counter unless the client supplies one
+    const { workspace, folder } = await resolveLocation(req.user, { workspaceId, folderId });
+    const flowchart = new Flowchart({
+      _id, name, owner: req.user._id, workspace, folder, nodes, edges, validationRules, graphMode,
+    });
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
     res.status(201).json(flowchart);
   } catch (err) {
-    // Handle duplicate _id errors
-    if (err.code === 11000) {
-      res.status(400).json({ message: 'Duplicate _id. A flowchart with this _id already exists.' });
-    } else if (err.name === 'ValidationError') {
-      res.status(400).json({ message: err.message });
-    } else {
-      res.status(500).json({ message: 'Server error', error: err.message });
-    }
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof FolderError) return res.status(err.status).json({ message: err.message });
+    sendError(res, err);
   }
 });
 
 /**
  * @swagger
- * /api/flowcharts:
- *   get:
- *     summary: Retrieve a list of all flowcharts
+ * /api/flowcharts/validate:
+ *   post:
+ *     summary: Dry-run graph validation without saving anything
  *     tags: [Flowcharts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nodes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Node'
+ *               edges:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Edge'
+ *               validationRules:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Rule codes to run (defaults to every built-in rule)
+ *               graphMode:
+ *                 type: string
+ *                 enum: [dag, cyclic]
+ *                 description: Graph mode to validate for (defaults to dag)
  *     responses:
  *       200:
- *         description: A list of flowcharts
+ *         description: Validation report listing every violation found
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Flowchart'
- *       500:
- *         description: Server error
+ *               $ref: '#/components/schemas/ValidationReport'
+ *       400:
+ *         description: nodes and edges must be arrays
  */
-router.get('/', async (req, res) => {
-  try {
-    const flowcharts = await Flowchart.find();
-    res.json(flowcharts);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.post('/validate', (req, res) => {
+  const { nodes, edges, validationRules, graphMode } = req.body;
+  if (!Array.isArray(nodes) || !Array.isArray(edges)) {
+    return res.status(400).json({ message: 'nodes and edges must be arrays.' });
   }
+
+  const { valid, violations } = validateGraph(nodes, edges, { rules: validationRules, mode: graphMode });
+  res.json({ valid, violations });
 });
 
 /**
  * @swagger
- * /api/flowcharts/{id}:
- *   get:
- *     summary: Get a flowchart by _id
+ * /api/flowcharts/import:
+ *   post:
+ *     summary: Import a flowchart from Mermaid, Graphviz DOT or draw.io XML
+ *     description: |
+ *       Parses the source into nodes and edges, runs it through graph validation and saves it.
+ *       Anything that cannot be mapped is reported with the line it appears on.
+ *       With `preview=true` the parsed graph and the full report are returned without saving.
  *     tags: [Flowcharts]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: preview
+ *         required: false
  *         schema:
- *           type: integer
- *         description: Numerical _id of the flowchart to retrieve
+ *           type: boolean
+ *         description: Return the parsed graph without saving it
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - content
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [mermaid, dot, drawio]
+ *               content:
+ *                 type: string
+ *                 description: The diagram source (draw.io files may be compressed)
+ *               _id:
+ *                 type: integer
+ *                 description: _id for the new flowchart; allocated by the server when omitted
+ *               name:
+ *                 type: string
+ *                 description: Name for the new flowchart (defaults to the name found in the source)
+ *               graphMode:
+ *                 type: string
+ *                 enum: [dag, cyclic]
+ *               validationRules:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               workspaceId:
+ *                 type: string
+ *                 description: File the imported flowchart at the root of this workspace
+ *               folderId:
+ *                 type: string
+ *                 description: File the imported flowchart in this folder (and its workspace)
+ *             example:
+ *               _id: 10
+ *               format: "mermaid"
+ *               content: "flowchart TB\n  A([Start]) --> B[Work]\n  B --> C([End])\n"
  *     responses:
  *       200:
- *         description: Flowchart retrieved successfully
+ *         description: Preview of the parsed graph and the import report
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Flowchart'
- *       400:
- *         description: Invalid _id format (should be a number)
+ *               $ref: '#/components/schemas/ImportReport'
+ *       201:
+ *         description: Flowchart imported successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
- *                   type: string
- *                   example: "Invalid _id format. It should be a number."
- *       404:
- *         description: Flowchart not found
+ *                 flowchart:
+ *                   $ref: '#/components/schemas/Flowchart'
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportIssue'
+ *       400:
+ *         description: |
+ *           The source could not be fully mapped (compressed draw.io data that
+ *           expands beyond 2MB included) or the resulting graph is invalid
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Flowchart not found"
+ *               $ref: '#/components/schemas/ImportReport'
+ *       403:
+ *         description: Filing flowcharts in the workspace needs the editor role
+ *       404:
+ *         description: Workspace or folder not found
  */
-router.get('/:id', async (req, res) => {
+router.post('/import', async (req, res) => {
   try {
-    const _id = Number(req.params.id);
-    if (isNaN(_id)) {
-      return res.status(400).json({ message: 'Invalid _id format. It should be a number.' });
+    const {
+      format, content, _id, graphMode, validationRules, workspaceId, folderId,
+    } = req.body;
+    const preview = req.query.preview === 'true';
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Unsupported format. Use one of: ${IMPORT_FORMATS.join(', ')}.` });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ message: 'content must be a non-empty string.' });
     }
 
-    const flowchart = await Flowchart.findById(_id);
-    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
-    res.json(flowchart);
+    const parsed = importFlowchart(content, format);
+    const name = req.body.name || parsed.name || 'Imported flowchart';
+    const validation = validateGraph(parsed.nodes, parsed.edges, { rules: validationRules, mode: graphMode });
+    // Point every violation back at the source lines of the nodes involved
+    const violations = validation.violations.map(violation => ({
+      ...violation,
+      lines: violation.nodeIds.map(id => parsed.nodeLines[id]).filter(Boolean),
+    }));
+    const report = {
+      valid: !parsed.errors.length && validation.valid,
+      name,
+      nodes: parsed.nodes,
+      edges: parsed.edges,
+      errors: parsed.errors,
+      warnings: parsed.warnings,
+      violations,
+    };
+
+    if (preview) return res.json(report);
+    if (parsed.errors.length) {
+      return res.status(400).json({ message: 'Some of the source could not be mapped to a flowchart.', ...report });
+    }
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, ...report });
+    }
+
+    const { workspace, folder } = await resolveLocation(req.user, { workspaceId, folderId });
+    const flowchart = new Flowchart({
+      _id,
+      name,
+      owner: req.user._id,
+      workspace,
+      folder,
+      nodes: parsed.nodes,
+      edges: parsed.edges,
+      graphMode,
+      validationRules,
+    });
+    const { author, message } = revisionInfo(req);
+    await commitRevision(flowchart, { author, message: message || `Imported from ${format}` });
+    setETag(res, flowchart);
+    res.status(201).json({ flowchart, warnings: parsed.warnings });
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof FolderError) return res.status(err.status).json({ message: err.message });
+    sendError(res, err);
   }
 });
 
 /**
  * @swagger
- * /api/flowcharts/{id}:
- *   put:
- *     summary: Update an existing flowchart by _id
+ * /api/flowcharts/bulk:
+ *   post:
+ *     summary: Create, update and delete many flowcharts in one request
+ *     description: |
+ *       Operations run in order and every graph is checked with the same rules
+ *       as the single-chart routes. In `atomic` mode (the default) nothing is
+ *       written unless every operation can be applied; operations that were
+ *       already applied when a later write fails are rolled back. In
+ *       `bestEffort` mode every operation succeeds or fails on its own.
+ *       Deletes move charts to the trash. At most 500 operations are accepted
+ *       per request.
  *     tags: [Flowcharts]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [atomic, bestEffort]
+ *                 default: atomic
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - op
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       description: create, update or delete. Other values fail the operation, not the whole request.
+ *                     id:
+ *                       oneOf:
+ *                         - type: integer
+ *                         - type: string
+ *                           format: uuid
+ *                       description: _id or uuid of the chart to update or delete
+ *                     revision:
+ *                       type: integer
+ *                       description: Only apply if the chart is still at this revision
+ *                     flowchart:
+ *                       type: object
+ *                       description: The chart to create, or the fields to update (as for POST and PUT)
+ *             example:
+ *               mode: "atomic"
+ *               operations:
+ *                 - op: "create"
+ *                   flowchart:
+ *                     name: "Legacy Flow"
+ *                     nodes: [{ id: "1", label: "Start" }, { id: "2", label: "End" }]
+ *                     edges: [{ source: "1", target: "2" }]
+ *                 - op: "update"
+ *                   id: 3
+ *                   revision: 2
+ *                   flowchart:
+ *                     name: "Renamed Flow"
+ *                 - op: "delete"
+ *                   id: 4
+ *     responses:
+ *       200:
+ *         description: Every operation was applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       207:
+ *         description: Best-effort run in which some operations failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       400:
+ *         description: Malformed request, or an atomic run rejected because of an invalid operation. The status is that of the first failed operation (400, 403, 404, 409 or 412).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResult'
+ *       500:
+ *         description: |
+ *           An unexpected write error, answered once the applied operations
+ *           have been rolled back; or an atomic run in which an applied
+ *           operation could not be rolled back (that item has status 500
+ *           and rolledBack false).
+ *
+ * components:
+ *   schemas:
+ *     BulkResult:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               op:
+ *                 type: string
+ *               ok:
+ *                 type: boolean
+ *               status:
+ *                 type: integer
+ *                 description: HTTP status the single-chart route would have returned; 424 for operations skipped or rolled back in an atomic run
+ *               _id:
+ *                 type: integer
+ *               revision:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *               rolledBack:
+ *                 type: boolean
+ *                 description: Whether an operation applied in a failed atomic run was undone
+ *               violations:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Violation'
+ */
+router.post('/bulk', async (req, res) => {
+  try {
+    const { mode = 'atomic', operations } = req.body;
+    if (!BULK_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of: ${BULK_MODES.join(', ')}.` });
+    }
+    if (!Array.isArray(operations) || !operations.length) {
+      return res.status(400).json({ message: 'operations must be a non-empty array.' });
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_OPERATIONS} operations are allowed per request.` });
+    }
+
+    const { ok, results, audit } = await runBulk(operations, req.user, { mode, message: req.get('X-Revision-Message') });
+    // One audit record per chart written, so per-chart audit queries see bulk writes
+    req.auditEntries = audit;
+    const failed = results.filter(result => !result.ok);
+    let status = 200;
+    if (!ok) status = mode === 'atomic' ? failed.find(result => result.status !== 424).status : 207;
+    res.status(status).json({
+      mode,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+      results,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts:
+ *   get:
+ *     summary: List flowcharts with pagination, search and filters
+ *     description: |
+ *       Results are paginated. Use `page` for numbered pages or `cursor` for
+ *       keyset pagination; the response body stays a plain array and the
+ *       paging details are returned in the `X-Total-Count`, `X-Next-Cursor`
+ *       and `Link` headers.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         description: Opaque cursor from the X-Next-Cursor header of the previous page
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: Sort field, prefixed with - for descending order
+ *         schema:
+ *           type: string
+ *           enum: [_id, -_id, name, -name, createdAt, -createdAt, updatedAt, -updatedAt]
+ *           default: _id
+ *       - in: query
+ *         name: q
+ *         description: Case-insensitive search on the flowchart name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: workspaceId
+ *         description: Only flowcharts filed in this workspace
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: folderId
+ *         description: Only flowcharts filed directly in this folder
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nodeLabel
+ *         description: Only flowcharts with a node whose label contains this text
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minNodes
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: maxNodes
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: view
+ *         description: "summary returns node and edge counts instead of the full graph"
+ *         schema:
+ *           type: string
+ *           enum: [full, summary]
+ *           default: full
+ *     responses:
+ *       200:
+ *         description: A page of flowcharts
+ *         headers:
+ *           X-Total-Count:
+ *             description: Number of flowcharts matching the filters
+ *             schema:
+ *               type: integer
+ *           X-Next-Cursor:
+ *             description: Cursor for the next page, absent on the last page
+ *             schema:
+ *               type: string
+ *           Link:
+ *             description: RFC 8288 links to the next and previous pages
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/Flowchart'
+ *                   - $ref: '#/components/schemas/FlowchartSummary'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get('/', async (req, res) => {
+  try {
+    const visible = visibleTo(req.user, await memberWorkspaceIds(req.user));
+    await sendFlowchartPage(req, res, { $and: [visible, { deletedAt: null }] });
+  } catch (err) {
+    if (err instanceof ListQueryError) return res.status(400).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/trash:
+ *   get:
+ *     summary: List trashed flowcharts
+ *     description: |
+ *       Shows the trashed flowcharts the caller could see before they were
+ *       deleted. Supports the same query parameters and paging headers as
+ *       GET /api/flowcharts. Trashed charts are purged permanently after the
+ *       retention period (TRASH_RETENTION_DAYS, 30 days by default).
+ *     tags: [Flowcharts]
+ *     responses:
+ *       200:
+ *         description: A page of trashed flowcharts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/Flowchart'
+ *                   - $ref: '#/components/schemas/FlowchartSummary'
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const visible = visibleTo(req.user, await memberWorkspaceIds(req.user));
+    await sendFlowchartPage(req, res, { $and: [visible, { deletedAt: { $ne: null } }] });
+  } catch (err) {
+    if (err instanceof ListQueryError) return res.status(400).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/templates:
+ *   get:
+ *     summary: List the template catalogue
+ *     description: Flowcharts marked as templates that the caller can see, by name, with the parameters their node labels use.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search in the template name
+ *     responses:
+ *       200:
+ *         description: Templates the caller can instantiate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TemplateSummary'
+ *
+ * components:
+ *   schemas:
+ *     TemplateSummary:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: integer
+ *         uuid:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *         revision:
+ *           type: integer
+ *         nodeCount:
+ *           type: integer
+ *         edgeCount:
+ *           type: integer
+ *         parameters:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Names used as {{name}} in node labels
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: 12
+ *         name: "Onboarding"
+ *         revision: 3
+ *         nodeCount: 4
+ *         edgeCount: 3
+ *         parameters: ["team", "manager"]
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    const visible = visibleTo(req.user, await memberWorkspaceIds(req.user));
+    const filter = { $and: [visible, { isTemplate: true, deletedAt: null }] };
+    if (req.query.q) filter.$and.push({ name: new RegExp(escapeRegex(req.query.q), 'i') });
+
+    const templates = await Flowchart.find(filter)
+      .select('_id uuid name owner workspace revision nodes.label edges.source updatedAt')
+      .sort({ name: 1, _id: 1 })
+      .lean();
+    res.json(templates.map(template => ({
+      _id: template._id,
+      uuid: template.uuid,
+      name: template.name,
+      owner: template.owner,
+      workspace: template.workspace,
+      revision: template.revision || 0,
+      nodeCount: template.nodes.length,
+      edgeCount: template.edges.length,
+      parameters: templateParameters(template.nodes),
+      updatedAt: template.updatedAt,
+    })));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/rules:
+ *   get:
+ *     summary: List the validation rules a flowchart can select in validationRules
+ *     tags: [Flowcharts]
+ *     responses:
+ *       200:
+ *         description: Every registered rule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ValidationRule'
+ *
+ * components:
+ *   schemas:
+ *     ValidationRule:
+ *       type: object
+ *       properties:
+ *         code:
+ *           $ref: '#/components/schemas/ValidationRuleCode'
+ *         severity:
+ *           type: string
+ *           enum: [error, warning]
+ *         description:
+ *           type: string
+ *         dagOnly:
+ *           type: boolean
+ *           description: Skipped for flowcharts in cyclic graph mode
+ *         always:
+ *           type: boolean
+ *           description: Runs even when a flowchart selects its own rules
+ *       example:
+ *         code: "CYCLE"
+ *         severity: "error"
+ *         description: "The graph must be acyclic (self-loops are reported by SELF_LOOP)"
+ *         dagOnly: true
+ *         always: false
+ */
+router.get('/rules', (req, res) => {
+  res.json(listRules());
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}:
+ *   get:
+ *     summary: Get a flowchart by _id
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart to retrieve
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: boolean
+ *         description: |
+ *           Inline the flowcharts referenced by subflow nodes, recursively. A
+ *           node "n" is replaced by the referenced chart's nodes with ids
+ *           "n/<id>"; edges into "n" go to the subflow's start nodes and edges
+ *           out of "n" leave from its end nodes. The inlined charts are listed
+ *           in `subflows`. Charts the caller cannot see are left unexpanded.
+ *           Expansions of more than 10000 nodes are refused with 422.
+ *     responses:
+ *       200:
+ *         description: Flowchart retrieved successfully
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Current revision number, to be sent back as If-Match on writes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: Invalid _id format (should be a number or a UUID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid _id format. It should be a number or a UUID."
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ *       422:
+ *         description: The expanded graph would have more than 10000 nodes (SUBFLOW_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Expanding the subflows gives more than 10000 nodes"
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Violation'
+ */
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    setETag(res, flowchart);
+    if (req.query.expand !== 'true') return res.json(flowchart);
+
+    const canView = async (chart) => {
+      const workspace = chart.workspace && await Workspace.findById(chart.workspace).select('members').lean();
+      return Boolean(roleFor(chart, req.user, workspace));
+    };
+    const { nodes, edges, subflows } = await expandSubflows(flowchart, { canView });
+    res.json({ ...flowchart.toJSON(), nodes, edges, subflows });
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(422).json({ message: err.message, violations: err.violations });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/used-by:
+ *   get:
+ *     summary: List the flowcharts that embed this one as a subflow
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     responses:
+ *       200:
+ *         description: Charts the caller can see that reference this flowchart directly
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: integer
+ *                   uuid:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   nodeIds:
+ *                     type: array
+ *                     description: Nodes of that chart referencing this flowchart
+ *                     items:
+ *                       type: string
+ *       404:
+ *         description: Flowchart not found
+ */
+router.get('/:id/used-by', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const workspaceIds = await memberWorkspaceIds(req.user);
+    const charts = await Flowchart
+      .find({ $and: [{ 'nodes.subflow': _id, deletedAt: null }, visibleTo(req.user, workspaceIds)] })
+      .select('_id uuid name nodes.id nodes.subflow')
+      .sort({ _id: 1 })
+      .lean();
+    res.json(charts.map(chart => ({
+      _id: chart._id,
+      uuid: chart.uuid,
+      name: chart.name,
+      nodeIds: chart.nodes.filter(node => node.subflow === _id).map(node => node.id),
+    })));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}:
+ *   put:
+ *     summary: Update an existing flowchart by _id
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart to update
+ *     requestBody:
+ *       description: Flowchart object with updated data
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FlowchartUpdate'
+ *     responses:
+ *       200:
+ *         description: Flowchart updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: Bad request (e.g., invalid data or graph)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Graph contains a cycle"
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Violation'
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.put('/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const { name, nodes, edges, validationRules, graphMode } = req.body;
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    if (name) flowchart.name = name;
+    if (validationRules) flowchart.validationRules = validationRules;
+    if (graphMode) flowchart.graphMode = graphMode;
+    if (nodes && edges) {
+      flowchart.nodes = nodes;
+      flowchart.edges = edges;
+    }
+    if ((nodes && edges) || validationRules || graphMode) {
+      // Validate the updated graph against the (possibly updated) rule set and mode
+      const validation = validateGraph(flowchart.nodes, flowchart.edges, graphOptions(flowchart));
+      if (!validation.valid) {
+        return res.status(400).json({ message: validation.message, violations: validation.violations });
+      }
+    }
+
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.json(flowchart);
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}:
+ *   delete:
+ *     summary: Move a flowchart to the trash, or delete it permanently
+ *     description: |
+ *       By default the flowchart is moved to the trash, where it can be
+ *       restored until the purge job removes it after the retention period.
+ *       With `permanent=true` the flowchart and its version history are
+ *       deleted immediately; this also works on trashed flowcharts.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart to delete
+ *     responses:
+ *       200:
+ *         description: Flowchart moved to the trash or permanently deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart deleted"
+ *                 trashed:
+ *                   type: boolean
+ *                 deletedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid _id format, or the flowchart is already in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid _id format. It should be a number or a UUID."
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ *       409:
+ *         description: |
+ *           The flowchart was changed since the If-Match revision, or (with
+ *           permanent=true) other flowcharts, trashed ones included, still use
+ *           it as a subflow. `usedBy` lists those the caller can see.
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id', requireRole('owner', { trashed: true }), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const permanent = req.query.permanent === 'true';
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (flowchart.deletedAt && !permanent) {
+      return res.status(400).json({ message: 'Flowchart is already in the trash. Use permanent=true to delete it for good.' });
+    }
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    // Only touch the revision that was checked against If-Match
+    const checked = { _id, revision: flowchart.revision || { $in: [0, null] } };
+
+    if (!permanent) {
+      const deletedAt = new Date();
+      const { matchedCount } = await Flowchart.updateOne(
+        { ...checked, deletedAt: null },
+        { $set: { deletedAt, deletedBy: req.user._id } },
+      );
+      if (!matchedCount) throw new RevisionConflictError(await Flowchart.findById(_id));
+      publishDeleted(_id);
+      flowchart.deletedAt = deletedAt;
+      emitFlowchartEvent('flowchart.deleted', flowchart, { actor: displayName(req.user), permanent: false });
+      return res.json({ message: 'Flowchart deleted', trashed: true, deletedAt });
+    }
+
+    // Charts embedding this one would fail every later write
+    const referrers = await subflowReferrers([_id]);
+    if (referrers.length) {
+      const visible = await Flowchart
+        .find({ $and: [{ _id: { $in: referrers.map(chart => chart._id) } }, visibleTo(req.user, await memberWorkspaceIds(req.user))] })
+        .select('_id')
+        .sort({ _id: 1 })
+        .lean();
+      return res.status(409).json({
+        message: `Flowchart is used as a subflow by ${referrers.length} other flowchart(s). Remove those references first.`,
+        usedBy: visible.map(chart => chart._id),
+      });
+    }
+
+    const { deletedCount } = await Flowchart.deleteOne(checked);
+    if (!deletedCount) throw new RevisionConflictError(await Flowchart.findById(_id));
+
+    await FlowchartVersion.deleteMany({ flowchartId: _id });
+    await FlowchartRun.deleteMany({ flowchartId: _id });
+    publishDeleted(_id, { permanent: true });
+    emitFlowchartEvent('flowchart.deleted', flowchart, { actor: displayName(req.user), permanent: true });
+    res.json({ message: 'Flowchart permanently deleted', trashed: false });
+  } catch (err) {
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/restore:
+ *   post:
+ *     summary: Restore a flowchart from the trash
+ *     description: The flowchart returns to its folder, or to the workspace root if the folder was deleted meanwhile.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     responses:
+ *       200:
+ *         description: Flowchart restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: The flowchart is not in the trash
+ *       403:
+ *         description: Caller is not an owner of the flowchart
+ *       404:
+ *         description: Flowchart not found
+ */
+router.post('/:id/restore', requireRole('owner', { trashed: true }), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!flowchart.deletedAt) return res.status(400).json({ message: 'Flowchart is not in the trash.' });
+
+    if (flowchart.folder && !(await Folder.exists({ _id: flowchart.folder }))) flowchart.folder = null;
+    flowchart.deletedAt = null;
+    flowchart.deletedBy = undefined;
+    await flowchart.save();
+    emitFlowchartEvent('flowchart.restored', flowchart, { actor: displayName(req.user) });
+    setETag(res, flowchart);
+    res.json(flowchart);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/shares:
+ *   get:
+ *     summary: List the users a flowchart is shared with
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     responses:
+ *       200:
+ *         description: Owner and shares of the flowchart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 owner:
+ *                   type: string
+ *                 shares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Share'
+ *       404:
+ *         description: Flowchart not found
+ */
+router.get('/:id/shares', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    res.json({ owner: flowchart.owner, shares: flowchart.shares });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/shares:
+ *   put:
+ *     summary: Share a flowchart with a user or change their role
+ *     description: Only owners can manage shares. Sharing is not part of the graph, so it does not create a revision.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Email of the user to share with
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, owner]
+ *     responses:
+ *       200:
+ *         description: Updated shares of the flowchart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 owner:
+ *                   type: string
+ *                 shares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Share'
+ *       400:
+ *         description: Invalid role, or the user is the flowchart's owner
+ *       403:
+ *         description: Caller is not an owner of the flowchart
+ *       404:
+ *         description: Flowchart or user not found
+ */
+router.put('/:id/shares', requireRole('owner'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const { email, role } = req.body;
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of ${SHARE_ROLES.join(', ')}` });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    const user = await User.findOne({ email: String(email || '').toLowerCase() });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (String(flowchart.owner) === String(user._id)) {
+      return res.status(400).json({ message: 'The user already owns this flowchart.' });
+    }
+
+    const share = flowchart.shares.find(s => String(s.user) === String(user._id));
+    if (share) share.role = role;
+    else flowchart.shares.push({ user: user._id, role });
+    await flowchart.save();
+    res.json({ owner: flowchart.owner, shares: flowchart.shares });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/shares/{userId}:
+ *   delete:
+ *     summary: Stop sharing a flowchart with a user
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Id of the user to remove
+ *     responses:
+ *       200:
+ *         description: Updated shares of the flowchart
+ *       403:
+ *         description: Caller is not an owner of the flowchart
+ *       404:
+ *         description: Flowchart not found or not shared with the user
+ */
+router.delete('/:id/shares/:userId', requireRole('owner'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    const index = flowchart.shares.findIndex(s => String(s.user) === req.params.userId);
+    if (index === -1) return res.status(404).json({ message: 'Flowchart is not shared with this user' });
+
+    flowchart.shares.splice(index, 1);
+    await flowchart.save();
+    res.json({ owner: flowchart.owner, shares: flowchart.shares });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/folder:
+ *   put:
+ *     summary: File a flowchart in a folder or workspace, or make it personal again
+ *     description: |
+ *       A folderId moves the chart into that folder and its workspace; a
+ *       workspaceId alone files it at the workspace root; sending neither
+ *       makes it a personal chart again. Editors can move a chart within its
+ *       workspace; moving it to another workspace needs the owner role.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               workspaceId:
+ *                 type: string
+ *                 nullable: true
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Flowchart moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: Invalid ids, or the folder is in a different workspace
+ *       403:
+ *         description: Caller may not move the chart there
+ *       404:
+ *         description: Flowchart, workspace or folder not found
+ */
+router.put('/:id/folder', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const { workspaceId = null, folderId = null } = req.body;
+    const { workspace, folder } = await resolveLocation(req.user, { workspaceId, folderId });
+    if (String(workspace) !== String(flowchart.workspace) && req.flowchartRole !== 'owner') {
+      return res.status(403).json({ message: 'Moving a flowchart to another workspace needs the owner role on it.' });
+    }
+
+    // Filing is not part of the graph, so it does not create a revision
+    flowchart.workspace = workspace;
+    flowchart.folder = folder;
+    await flowchart.save();
+    res.json(flowchart);
+  } catch (err) {
+    if (err instanceof FolderError) return res.status(err.status).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/template:
+ *   put:
+ *     summary: Add a flowchart to the template catalogue, or take it out
+ *     description: Template parameters are written into node labels as {{name}}. Marking does not create a revision.
+ *     tags: [Templates]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isTemplate
+ *             properties:
+ *               isTemplate:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Flowchart updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: isTemplate is missing or not a boolean
+ *       404:
+ *         description: Flowchart not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.put('/:id/template', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    // Like filing, being a template is not part of the graph, so the revision
+    // stays; the write still only applies to the revision that was checked
+    const { matchedCount } = await Flowchart.updateOne(
+      { _id, revision: flowchart.revision || { $in: [0, null] } },
+      { $set: { isTemplate: req.body.isTemplate } },
+    );
+    if (!matchedCount) throw new RevisionConflictError(await Flowchart.findById(_id));
+    flowchart.isTemplate = req.body.isTemplate;
+    setETag(res, flowchart);
+    res.json(flowchart);
+  } catch (err) {
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/clone:
+ *   post:
+ *     summary: Copy a flowchart under a new _id
+ *     description: |
+ *       Copies the current graph, graph mode and validation rules into a new
+ *       chart owned by the caller. Shares, history and the template flag are
+ *       not copied. The copy is personal unless a workspaceId or folderId is
+ *       sent.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Defaults to "Copy of <name>"
+ *               regenerateIds:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Give every node a new uuid as its id; edges are rewired to match
+ *               workspaceId:
+ *                 type: string
+ *               folderId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The copy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: Invalid request, or a subflow the caller cannot use
+ *       404:
+ *         description: Flowchart, workspace or folder not found
+ */
+router.post('/:id/clone', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const source = await Flowchart.findById(_id);
+    if (!source) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const { name = `Copy of ${source.name}`, regenerateIds = false } = req.body;
+    const copy = await saveCopy(req, source, copyGraph(source, { regenerateIds }), {
+      name,
+      message: `Cloned from flowchart ${source._id} (revision ${source.revision || 0})`,
+    });
+    setETag(res, copy);
+    res.status(201).json(copy);
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof FolderError) return res.status(err.status).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/instantiate:
+ *   post:
+ *     summary: Create a flowchart from a template
+ *     description: |
+ *       Copies the template like /clone, replacing every {{name}} in the node
+ *       labels with the value sent in `parameters`. Every parameter the
+ *       template uses needs a value. Node ids are kept unless regenerateIds
+ *       is sent.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 description: Defaults to the template name
+ *               parameters:
+ *                 type: object
+ *                 description: 'Value for each template parameter, e.g. { "team": "Sales" }'
+ *               regenerateIds:
+ *                 type: boolean
+ *                 default: false
+ *               workspaceId:
+ *                 type: string
+ *               folderId:
+ *                 type: string
+ *           example:
+ *             name: "Sales onboarding"
+ *             parameters:
+ *               team: "Sales"
+ *     responses:
+ *       201:
+ *         description: The new flowchart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: The flowchart is not a template, or parameters are missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template, workspace or folder not found
+ */
+router.post('/:id/instantiate', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const template = await Flowchart.findById(_id);
+    if (!template) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!template.isTemplate) return res.status(400).json({ message: 'Flowchart is not a template.' });
+
+    const { name = template.name, parameters = {}, regenerateIds = false } = req.body;
+    const missing = templateParameters(template.nodes).filter(parameter => !Object.prototype.hasOwnProperty.call(parameters, parameter));
+    if (missing.length) {
+      throw new ApiError(400, `Missing values for template parameters: ${missing.join(', ')}`, {
+        code: 'INVALID_REQUEST',
+        details: missing.map(parameter => ({ field: `body.parameters.${parameter}`, message: 'is required' })),
+      });
+    }
+
+    const graph = copyGraph(template, { regenerateIds, label: text => fillTemplate(text, parameters) });
+    const flowchart = await saveCopy(req, template, graph, {
+      name,
+      message: `Created from template ${template._id} (revision ${template.revision || 0})`,
+    });
+    setETag(res, flowchart);
+    res.status(201).json(flowchart);
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof FolderError) return res.status(err.status).json({ message: err.message });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/nodes:
+ *   post:
+ *     summary: Add a node to an existing flowchart
+ *     description: |
+ *       The node and edge routes accept typed charts that are still being
+ *       built: a missing start node or decision branches still to be added
+ *       are warnings here, while create, replace and /validate require a
+ *       finished chart.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Node'
+ *     responses:
+ *       201:
+ *         description: Node added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Node'
+ *       400:
+ *         description: Bad request (e.g., duplicate node id or invalid data)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "A node with this id already exists."
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.post('/:id/nodes', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const {
+      id, label, type, data, position, subflow,
+    } = req.body;
+    if (!id || !label) {
+      return res.status(400).json({ message: 'Node id and label are required.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    if (flowchart.nodes.some(node => node.id === id)) {
+      return res.status(400).json({ message: 'A node with this id already exists.' });
+    }
+
+    const node = {
+      id, label, type, data, position, subflow,
+    };
+    const nodes = [...flowchart.nodes, node];
+    const validation = validateGraph(nodes, flowchart.edges, partialGraphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
+
+    flowchart.nodes.push(node);
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.status(201).json(flowchart.nodes[flowchart.nodes.length - 1]);
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/nodes/{nodeId}:
+ *   patch:
+ *     summary: Update the label, type, metadata or position of a node
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 description: New label of the node
+ *               type:
+ *                 type: string
+ *                 enum: [start, end, process, decision, io, subprocess]
+ *               data:
+ *                 type: object
+ *               position:
+ *                 type: object
+ *                 properties:
+ *                   x:
+ *                     type: number
+ *                   y:
+ *                     type: number
+ *               subflow:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: _id of the flowchart to embed, or null to remove the reference
+ *             example:
+ *               label: "Review"
+ *               type: "decision"
+ *     responses:
+ *       200:
+ *         description: Node updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Node'
+ *       400:
+ *         description: Bad request (e.g., invalid data)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Provide at least one of label, type, data or position."
+ *       404:
+ *         description: Flowchart or node not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Node not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *   delete:
+ *     summary: Delete a node and every edge attached to it
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to delete
+ *     responses:
+ *       200:
+ *         description: Node deleted successfully, along with its incident edges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Node deleted"
+ *                 removedEdges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Edge'
+ *                   description: Edges that were removed because they referenced the node
+ *       404:
+ *         description: Flowchart or node not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Node not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/nodes/:nodeId', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { nodeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const {
+      label, type, data, position, subflow,
+    } = req.body;
+    if ([label, type, data, position, subflow].every(value => value === undefined)) {
+      return res.status(400).json({ message: 'Provide at least one of label, type, data, position or subflow.' });
+    }
+    if (label === '') {
+      return res.status(400).json({ message: 'Node label cannot be empty.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    const node = flowchart.nodes.find(n => n.id === nodeId);
+    if (!node) return res.status(404).json({ message: 'Node not found' });
+
+    if (label !== undefined) node.label = label;
+    if (type !== undefined) node.type = type;
+    if (data !== undefined) node.data = data;
+    if (position !== undefined) node.position = position;
+    if (subflow !== undefined) node.subflow = subflow === null ? undefined : subflow;
+
+    // A type change can break the node-type rules (e.g. a second start node)
+    const validation = validateGraph(flowchart.nodes, flowchart.edges, partialGraphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
+
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.json(node);
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+router.delete('/:id/nodes/:nodeId', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { nodeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    if (!flowchart.nodes.some(n => n.id === nodeId)) {
+      return res.status(404).json({ message: 'Node not found' });
+    }
+
+    // Cascade: drop every edge that starts or ends at the deleted node
+    const removedEdges = flowchart.edges.filter(e => e.source === nodeId || e.target === nodeId);
+    const nodes = flowchart.nodes.filter(n => n.id !== nodeId);
+    const edges = flowchart.edges.filter(e => e.source !== nodeId && e.target !== nodeId);
+
+    const validation = validateGraph(nodes, edges, partialGraphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
+
+    flowchart.nodes = nodes;
+    flowchart.edges = edges;
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.json({ message: 'Node deleted', removedEdges });
+  } catch (err) {
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/edges:
+ *   post:
+ *     summary: Add an edge between two existing nodes
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Edge'
+ *     responses:
+ *       201:
+ *         description: Edge added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Edge'
+ *       400:
+ *         description: Bad request (e.g., unknown node or the edge would create a cycle)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Graph contains a cycle"
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Violation'
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.post('/:id/edges', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const { source, target, label, condition } = req.body;
+    if (!source || !target) {
+      return res.status(400).json({ message: 'Edge source and target are required.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    const edge = { source, target, label, condition };
+    const edges = [...flowchart.edges, edge];
+    const validation = validateGraph(flowchart.nodes, edges, partialGraphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
+
+    flowchart.edges.push(edge);
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.status(201).json(flowchart.edges[flowchart.edges.length - 1]);
+  } catch (err) {
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/edges/{edgeId}:
+ *   patch:
+ *     summary: Re-point an edge or change its label or condition
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: edgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Server-generated _id of the edge
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: New source node ID
+ *               target:
+ *                 type: string
+ *                 description: New target node ID
+ *               label:
+ *                 type: string
+ *                 description: New branch label
+ *               condition:
+ *                 type: string
+ *                 description: New branch condition
+ *             example:
+ *               target: "3"
+ *     responses:
+ *       200:
+ *         description: Edge updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Edge'
+ *       400:
+ *         description: Bad request (e.g., unknown node or the edge would create a cycle)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Edge references invalid nodes"
+ *                 violations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Violation'
+ *       404:
+ *         description: Flowchart or edge not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Edge not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *   delete:
+ *     summary: Delete an edge
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: edgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Server-generated _id of the edge
+ *     responses:
+ *       200:
+ *         description: Edge deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Edge deleted"
+ *       404:
+ *         description: Flowchart or edge not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Edge not found"
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/edges/:edgeId', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { edgeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    const edge = flowchart.edges.find(e => String(e._id) === edgeId);
+    if (!edge) return res.status(404).json({ message: 'Edge not found' });
+
+    const changes = {
+      source: req.body.source || edge.source,
+      target: req.body.target || edge.target,
+      label: req.body.label !== undefined ? req.body.label : edge.label,
+      condition: req.body.condition !== undefined ? req.body.condition : edge.condition,
+    };
+    const edges = flowchart.edges.map(e => (e === edge ? changes : e));
+    const validation = validateGraph(flowchart.nodes, edges, partialGraphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
+
+    edge.set(changes);
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.json(edge);
+  } catch (err) {
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+router.delete('/:id/edges/:edgeId', requireRole('editor'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { edgeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+    const edge = flowchart.edges.find(e => String(e._id) === edgeId);
+    if (!edge) return res.status(404).json({ message: 'Edge not found' });
+
+    const edges = flowchart.edges.filter(e => e !== edge);
+    const validation = validateGraph(flowchart.nodes, edges, partialGraphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
+
+    flowchart.edges = edges;
+    await commitRevision(flowchart, revisionInfo(req));
+    setETag(res, flowchart);
+    res.json({ message: 'Edge deleted' });
+  } catch (err) {
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/edges/{nodeId}/outgoing:
+ *   get:
+ *     summary: Get all outgoing edges for a given node
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to fetch outgoing edges for
+ *     responses:
+ *       200:
+ *         description: List of outgoing edges for the specified node
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Edge'
+ *       400:
+ *         description: Invalid _id or nodeId format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid _id format. It should be a number or a UUID."
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ */
+router.get('/:id/edges/:nodeId/outgoing', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { nodeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const outgoingEdges = flowchart.edges.filter(edge => edge.source === nodeId);
+    res.json(outgoingEdges);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/connected/{nodeId}:
+ *   get:
+ *     summary: Get all nodes connected to a specific node (directly or indirectly)
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to find connected nodes from
+ *     responses:
+ *       200:
+ *         description: List of connected node IDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 connectedNodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: IDs of nodes connected to the specified node
+ *                 stronglyConnectedComponents:
+ *                   type: array
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   description: Loops reachable from the node (cyclic graph mode only)
+ *                 backEdges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Edge'
+ *                   description: Edges that close a loop when walking from the node (cyclic graph mode only)
+ *               example:
+ *                 connectedNodes: ["2", "3"]
+ *       400:
+ *         description: Invalid _id or nodeId format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Invalid _id format. It should be a number or a UUID."
+ *       404:
+ *         description: Flowchart not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Flowchart not found"
+ */
+router.get('/:id/connected/:nodeId', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { nodeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const adjList = buildAdjacency(flowchart.nodes, flowchart.edges);
+    const connectedNodes = reachableFrom(adjList, nodeId);
+    if (flowchart.graphMode !== 'cyclic') return res.json({ connectedNodes });
+
+    // Loops are allowed, so also describe them: the non-trivial strongly
+    // connected components in reach of the node, and the edges closing them
+    const scope = adjList[nodeId] ? [nodeId, ...connectedNodes.filter(id => id !== nodeId)] : [];
+    const components = stronglyConnectedComponents(adjList, scope)
+      .filter(component => component.length > 1
+        || adjList[component[0]].some(edge => edge.target === component[0]));
+    const backEdges = backEdgesFrom(adjList, nodeId).map(({ source, target }) => ({ source, target }));
+
+    res.json({ connectedNodes, stronglyConnectedComponents: components, backEdges });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/upstream/{nodeId}:
+ *   get:
+ *     summary: Get all nodes that feed into a specific node (directly or indirectly)
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: nodeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to find upstream nodes for
+ *     responses:
+ *       200:
+ *         description: List of upstream node IDs, nearest first along each branch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 upstreamNodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: IDs of nodes from which the specified node can be reached
+ *               example:
+ *                 upstreamNodes: ["2", "1"]
+ *       400:
+ *         description: Invalid _id format (should be a number or a UUID)
+ *       404:
+ *         description: Flowchart not found
+ */
+router.get('/:id/upstream/:nodeId', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const { nodeId } = req.params;
+
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const reverseAdjList = reverseAdjacency(flowchart.nodes, flowchart.edges);
+    res.json({ upstreamNodes: reachableFrom(reverseAdjList, nodeId) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/paths:
+ *   get:
+ *     summary: Find how to get from one node to another
+ *     description: Returns a shortest path (fewest edges). When limit is given, also returns up to that many simple paths.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to start from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the node to reach
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *         description: Maximum number of simple paths to enumerate
+ *     responses:
+ *       200:
+ *         description: Paths between the two nodes (shortestPath is null when to is unreachable)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shortestPath:
+ *                   type: array
+ *                   nullable: true
+ *                   items:
+ *                     type: string
+ *                 paths:
+ *                   type: array
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               example:
+ *                 shortestPath: ["1", "3"]
+ *                 paths: [["1", "2", "3"], ["1", "3"]]
+ *       400:
+ *         description: Missing from/to or invalid limit
+ *       404:
+ *         description: Flowchart or node not found
+ */
+router.get('/:id/paths', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Query parameters from and to are required.' });
+    }
+
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PATHS)) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_PATHS}.` });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const adjList = buildAdjacency(flowchart.nodes, flowchart.edges);
+    if (!adjList[from] || !adjList[to]) return res.status(404).json({ message: 'Node not found' });
+
+    const result = { shortestPath: shortestPath(adjList, from, to) };
+    if (limit !== undefined) result.paths = allSimplePaths(adjList, from, to, limit);
+    res.json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/topological-order:
+ *   get:
+ *     summary: Get the nodes of a flowchart in topological order
+ *     description: Every node appears after all nodes that feed into it. Only defined for acyclic graphs.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     responses:
+ *       200:
+ *         description: Node IDs in topological order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *               example:
+ *                 order: ["1", "2", "3"]
+ *       400:
+ *         description: The flowchart contains a cycle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Graph contains a cycle"
+ *                 cycleNodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Nodes on, or only reachable through, a cycle
+ *       404:
+ *         description: Flowchart not found
+ */
+router.get('/:id/topological-order', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const { order, remaining } = topologicalSort(buildAdjacency(flowchart.nodes, flowchart.edges));
+    if (remaining.length) {
+      return res.status(400).json({ message: 'Graph contains a cycle', cycleNodes: remaining });
+    }
+    res.json({ order });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/metrics:
+ *   get:
+ *     summary: Get size, complexity and structural lint for a flowchart
+ *     description: |
+ *       Reachability and depth are measured from the start nodes: the typed
+ *       start node, or else every node without incoming edges. A dead end is a
+ *       node from which no end node (typed, or else without outgoing edges)
+ *       can be reached. The longest path walks each loop once.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: query
+ *         name: fanOutThreshold
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 2
+ *           default: 4
+ *         description: Outgoing edges from which a node counts as a fan-out hotspot
+ *     responses:
+ *       200:
+ *         description: Metrics of the current revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GraphMetrics'
+ *       400:
+ *         description: Invalid _id or fanOutThreshold
+ *       404:
+ *         description: Flowchart not found
+ *
+ * components:
+ *   schemas:
+ *     GraphMetrics:
+ *       type: object
+ *       properties:
+ *         nodeCount:
+ *           type: integer
+ *         edgeCount:
+ *           type: integer
+ *         startNodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         degrees:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               nodeId:
+ *                 type: string
+ *               in:
+ *                 type: integer
+ *               out:
+ *                 type: integer
+ *               depth:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Edges from the nearest start node; null when unreachable
+ *         maxDepth:
+ *           type: integer
+ *         longestPath:
+ *           type: object
+ *           properties:
+ *             length:
+ *               type: integer
+ *               description: Number of edges
+ *             nodeIds:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         cyclomaticComplexity:
  *           type: integer
- *         description: Numerical _id of the flowchart to update
+ *           description: Edges - nodes + 2 x connected components
+ *         connectedComponents:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: string
+ *         unreachableNodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         deadEnds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         fanOutHotspots:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               nodeId:
+ *                 type: string
+ *               out:
+ *                 type: integer
+ *         lint:
+ *           type: array
+ *           description: UNREACHABLE_NODE, DEAD_END, FAN_OUT_HOTSPOT and DISCONNECTED_COMPONENT warnings
+ *           items:
+ *             $ref: '#/components/schemas/Violation'
+ *       example:
+ *         nodeCount: 3
+ *         edgeCount: 2
+ *         startNodes: ["1"]
+ *         degrees:
+ *           - { nodeId: "1", in: 0, out: 1, depth: 0 }
+ *           - { nodeId: "2", in: 1, out: 1, depth: 1 }
+ *           - { nodeId: "3", in: 1, out: 0, depth: 2 }
+ *         maxDepth: 2
+ *         longestPath: { length: 2, nodeIds: ["1", "2", "3"] }
+ *         cyclomaticComplexity: 1
+ *         connectedComponents: [["1", "2", "3"]]
+ *         unreachableNodes: []
+ *         deadEnds: []
+ *         fanOutHotspots: []
+ *         lint: []
+ */
+router.get('/:id/metrics', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    if (isNaN(_id)) {
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const flowchart = await Flowchart.findById(_id);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const fanOutThreshold = req.query.fanOutThreshold === undefined
+      ? DEFAULT_FAN_OUT_THRESHOLD : Number(req.query.fanOutThreshold);
+    res.json(graphMetrics(flowchart.nodes, flowchart.edges, { fanOutThreshold }));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Options of POST /:id/layout passed on to layeredLayout
+const LAYOUT_OPTIONS = ['direction', 'nodeWidth', 'nodeHeight', 'nodeSpacing', 'layerSpacing', 'maxLayerSize'];
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/layout:
+ *   post:
+ *     summary: Lay out a flowchart and store the node positions
+ *     description: |
+ *       Runs the layered (Sugiyama-style) layout also used by the SVG export:
+ *       edges point from earlier to later layers in their stored direction
+ *       (edges closing a loop point back), crossings are reduced and layers
+ *       with more than maxLayerSize nodes wrap onto several rows. The
+ *       top-left corner of every node box is saved as its position, as a new
+ *       revision. With preview=true nothing is saved and viewers may call it.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: query
+ *         name: preview
+ *         schema:
+ *           type: boolean
+ *         description: Return the layout without saving it
  *     requestBody:
- *       description: Flowchart object with updated data
- *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Flowchart'
+ *             type: object
+ *             properties:
+ *               direction:
+ *                 type: string
+ *                 enum: [TB, LR]
+ *                 default: TB
+ *                 description: Layers run top-to-bottom or left-to-right
+ *               nodeWidth:
+ *                 type: number
+ *                 minimum: 1
+ *                 default: 160
+ *               nodeHeight:
+ *                 type: number
+ *                 minimum: 1
+ *                 default: 60
+ *               nodeSpacing:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 40
+ *                 description: Gap between neighbouring nodes of a layer
+ *               layerSpacing:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 80
+ *                 description: Gap between layers
+ *               maxLayerSize:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Nodes per row before a layer wraps; unlimited by default
  *     responses:
  *       200:
- *         description: Flowchart updated successfully
- *         content:
- *           application/json:
+ *         description: The layout, and the new revision unless previewed
+ *         headers:
+ *           ETag:
  *             schema:
- *               $ref: '#/components/schemas/Flowchart'
- *       400:
- *         description: Bad request (e.g., validation failed or duplicate _id)
+ *               type: string
+ *             description: New revision number (not sent for previews)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Graph contains a cycle"
+ *               $ref: '#/components/schemas/Layout'
  *       404:
  *         description: Flowchart not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *
+ * components:
+ *   schemas:
+ *     Layout:
+ *       type: object
+ *       properties:
+ *         direction:
+ *           type: string
+ *           enum: [TB, LR]
+ *         width:
+ *           type: number
+ *         height:
+ *           type: number
+ *         positions:
+ *           type: object
+ *           description: Top-left corner of each node box, by node id
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               x:
+ *                 type: number
+ *               y:
+ *                 type: number
+ *         edges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *               target:
+ *                 type: string
+ *               points:
+ *                 type: array
+ *                 description: Polyline from the source box border to the target box border
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     x:
+ *                       type: number
+ *                     y:
+ *                       type: number
+ *         revision:
+ *           type: integer
+ *           description: Revision the positions were saved as; absent for previews
+ *       example:
+ *         direction: "TB"
+ *         width: 160
+ *         height: 200
+ *         positions:
+ *           "1": { x: 0, y: 0 }
+ *           "2": { x: 0, y: 140 }
+ *         edges:
+ *           - source: "1"
+ *             target: "2"
+ *             points: [{ x: 80, y: 60 }, { x: 80, y: 140 }]
+ *         revision: 3
+ */
+router.post(
+  '/:id/layout',
+  (req, res, next) => requireRole(req.query.preview === 'true' ? 'viewer' : 'editor')(req, res, next),
+  async (req, res) => {
+    try {
+      const _id = Number(req.params.id);
+      if (isNaN(_id)) {
+        return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+      }
+      const preview = req.query.preview === 'true';
+
+      const flowchart = await Flowchart.findById(_id);
+      if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+      if (!preview && !ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
+
+      const options = {};
+      LAYOUT_OPTIONS.filter(option => req.body[option] !== undefined).forEach((option) => {
+        options[option] = req.body[option];
+      });
+      const direction = options.direction || 'TB';
+      const layout = layeredLayout(flowchart.nodes, flowchart.edges, options);
+      const result = {
+        direction,
+        width: layout.width,
+        height: layout.height,
+        positions: layout.positions,
+        edges: layout.edges.map(({ edge, points }) => ({ source: edge.source, target: edge.target, points })),
+      };
+      if (preview) return res.json(result);
+
+      flowchart.nodes.forEach((node) => { node.position = layout.positions[node.id]; });
+      const info = revisionInfo(req);
+      await commitRevision(flowchart, { ...info, message: info.message || `Auto-layout (${direction})` });
+      setETag(res, flowchart);
+      res.json({ ...result, revision: flowchart.revision });
+    } catch (err) {
+      if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+      if (err instanceof RevisionConflictError) return sendConflict(res, err);
+      sendError(res, err);
+    }
+  },
+);
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/export:
+ *   get:
+ *     summary: Export a flowchart as Mermaid, Graphviz DOT, SVG or JSON
+ *     description: The SVG is rendered server-side with the built-in layered layout.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [mermaid, dot, svg, json]
+ *           default: json
+ *         description: Output format
+ *       - in: query
+ *         name: direction
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [TB, LR]
+ *           default: TB
+ *         description: Layout direction (top-to-bottom or left-to-right)
+ *     responses:
+ *       200:
+ *         description: The rendered flowchart
  *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             example: "flowchart TB\n  1[\"Start\"]\n  2[\"End\"]\n  1 --> 2\n"
+ *           text/vnd.graphviz:
+ *             schema:
+ *               type: string
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
  *           application/json:
  *             schema:
  *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Flowchart not found"
+ *       400:
+ *         description: Invalid _id, format or direction
+ *       404:
+ *         description: Flowchart not found
  */
-router.put('/:id', async (req, res) => {
+router.get('/:id/export', requireRole('viewer'), async (req, res) => {
   try {
     const _id = Number(req.params.id);
     if (isNaN(_id)) {
-      return res.status(400).json({ message: 'Invalid _id format. It should be a number.' });
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
+    }
+
+    const { format = 'json', direction = 'TB' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Unsupported format. Use one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    if (!['TB', 'LR'].includes(direction)) {
+      return res.status(400).json({ message: 'direction must be TB or LR.' });
     }
 
-    const { name, nodes, edges } = req.body;
     const flowchart = await Flowchart.findById(_id);
     if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
 
-    if (name) flowchart.name = name;
-    if (nodes && edges) {
-      // Validate the updated graph
-      const validation = validateGraph(nodes, edges);
-      if (!validation.valid) {
-        return res.status(400).json({ message: validation.message });
-      }
-      flowchart.nodes = nodes;
-      flowchart.edges = edges;
-    }
-
-    await flowchart.save();
-    res.json(flowchart);
+    const { contentType, body } = exportFlowchart(flowchart.toObject(), format, { direction });
+    res.type(contentType).send(body);
   } catch (err) {
-    // Handle duplicate _id errors, if any
-    if (err.code === 11000) {
-      res.status(400).json({ message: 'Duplicate _id. A flowchart with this _id already exists.' });
-    } else if (err.name === 'ValidationError') {
-      res.status(400).json({ message: err.message });
-    } else {
-      res.status(500).json({ message: 'Server error', error: err.message });
-    }
+    sendError(res, err);
   }
 });
 
 /**
  * @swagger
- * /api/flowcharts/{id}:
- *   delete:
- *     summary: Delete a flowchart by _id
+ * /api/flowcharts/{id}/versions:
+ *   get:
+ *     summary: List the stored revisions of a flowchart, newest first
  *     tags: [Flowcharts]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: Numerical _id of the flowchart to delete
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
  *     responses:
  *       200:
- *         description: Flowchart deleted successfully
+ *         description: Revision metadata (without the graph snapshots)
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Flowchart deleted"
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   rev:
+ *                     type: integer
+ *                   author:
+ *                     type: string
+ *                   message:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
  *       400:
- *         description: Invalid _id format (should be a number)
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Invalid _id format. It should be a number."
+ *         description: Invalid _id format (should be a number or a UUID)
  *       404:
  *         description: Flowchart not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Flowchart not found"
  */
-router.delete('/:id', async (req, res) => {
+router.get('/:id/versions', requireRole('viewer'), async (req, res) => {
   try {
     const _id = Number(req.params.id);
     if (isNaN(_id)) {
-      return res.status(400).json({ message: 'Invalid _id format. It should be a number.' });
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
     }
 
-    const flowchart = await Flowchart.findByIdAndDelete(_id);
+    const flowchart = await Flowchart.findById(_id);
     if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
-    res.json({ message: 'Flowchart deleted' });
+
+    const versions = await FlowchartVersion.find({ flowchartId: _id })
+      .select('rev author message createdAt')
+      .sort({ rev: -1 });
+    res.json(versions);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    sendError(res, err);
   }
 });
 
 /**
  * @swagger
- * /api/flowcharts/{id}/edges/{nodeId}/outgoing:
+ * /api/flowcharts/{id}/versions/diff:
  *   get:
- *     summary: Get all outgoing edges for a given node
+ *     summary: Structural diff between two revisions of a flowchart
  *     tags: [Flowcharts]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: Numerical _id of the flowchart
- *       - in: path
- *         name: nodeId
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: query
+ *         name: from
  *         required: true
  *         schema:
- *           type: string
- *         description: ID of the node to fetch outgoing edges for
+ *           type: integer
+ *         description: Base revision number
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Revision to compare against (defaults to the latest revision)
  *     responses:
  *       200:
- *         description: List of outgoing edges for the specified node
+ *         description: Nodes and edges added, removed or relabelled between the two revisions
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Edge'
+ *               $ref: '#/components/schemas/GraphDiff'
  *       400:
- *         description: Invalid _id or nodeId format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Invalid _id format. It should be a number."
+ *         description: Invalid _id or revision numbers
  *       404:
- *         description: Flowchart not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Flowchart not found"
+ *         description: Flowchart or revision not found
  */
-router.get('/:id/edges/:nodeId/outgoing', async (req, res) => {
+router.get('/:id/versions/diff', requireRole('viewer'), async (req, res) => {
   try {
     const _id = Number(req.params.id);
-    const { nodeId } = req.params;
-
     if (isNaN(_id)) {
-      return res.status(400).json({ message: 'Invalid _id format. It should be a number.' });
+      return res.status(400).json({ message: 'Invalid _id format. It should be a number or a UUID.' });
     }
 
     const flowchart = await Flowchart.findById(_id);
     if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
 
-    const outgoingEdges = flowchart.edges.filter(edge => edge.source === nodeId);
-    res.json(outgoingEdges);
+    const from = Number(req.query.from);
+    const to = req.query.to === undefined ? flowchart.revision : Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ message: 'Revision numbers must be integers.' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      FlowchartVersion.findOne({ flowchartId: _id, rev: from }),
+      FlowchartVersion.findOne({ flowchartId: _id, rev: to }),
+    ]);
+    if (!fromVersion || !toVersion) return res.status(404).json({ message: 'Revision not found' });
+
+    res.json(diffGraphs(fromVersion, toVersion));
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    sendError(res, err);
   }
 });
 
 /**
  * @swagger
- * /api/flowcharts/{id}/connected/{nodeId}:
+ * /api/flowcharts/{id}/versions/{rev}:
  *   get:
- *     summary: Get all nodes connected to a specific node (directly or indirectly)
+ *     summary: Get a single revision of a flowchart
  *     tags: [Flowcharts]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: Numerical _id of the flowchart
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
  *       - in: path
- *         name: nodeId
+ *         name: rev
  *         required: true
  *         schema:
- *           type: string
- *         description: ID of the node to find connected nodes from
+ *           type: integer
+ *         description: Revision number
  *     responses:
  *       200:
- *         description: List of connected node IDs
+ *         description: The stored revision
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 connectedNodes:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: IDs of nodes connected to the specified node
- *               example:
- *                 connectedNodes: ["2", "3"]
+ *               $ref: '#/components/schemas/FlowchartVersion'
  *       400:
- *         description: Invalid _id or nodeId format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Invalid _id format. It should be a number."
+ *         description: Invalid _id or revision number
  *       404:
- *         description: Flowchart not found
+ *         description: Revision not found
+ */
+router.get('/:id/versions/:rev', requireRole('viewer'), async (req, res) => {
+  try {
+    const _id = Number(req.params.id);
+    const rev = Number(req.params.rev);
+    if (isNaN(_id) || !Number.isInteger(rev)) {
+      return res.status(400).json({ message: 'Invalid _id or revision format. Both should be numbers.' });
+    }
+
+    const version = await FlowchartVersion.findOne({ flowchartId: _id, rev });
+    if (!version) return res.status(404).json({ message: 'Revision not found' });
+    res.json(version);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/versions/{rev}/restore:
+ *   post:
+ *     summary: Roll a flowchart back to an earlier revision
+ *     description: The restored graph is stored as a new revision, so history is never rewritten.
+ *     tags: [Flowcharts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: rev
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *       - in: header
+ *         name: X-Revision-Message
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Message recorded on the new revision
+ *     responses:
+ *       200:
+ *         description: Flowchart restored successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Flowchart not found"
+ *               $ref: '#/components/schemas/Flowchart'
+ *       400:
+ *         description: Invalid _id or revision number, or the old graph no longer validates
+ *       404:
+ *         description: Flowchart or revision not found
+ *       409:
+ *         $ref: '#/components/responses/RevisionConflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
-router.get('/:id/connected/:nodeId', async (req, res) => {
+router.post('/:id/versions/:rev/restore', requireRole('editor'), async (req, res) => {
   try {
     const _id = Number(req.params.id);
-    const { nodeId } = req.params;
-
-    if (isNaN(_id)) {
-      return res.status(400).json({ message: 'Invalid _id format. It should be a number.' });
+    const rev = Number(req.params.rev);
+    if (isNaN(_id) || !Number.isInteger(rev)) {
+      return res.status(400).json({ message: 'Invalid _id or revision format. Both should be numbers.' });
     }
 
     const flowchart = await Flowchart.findById(_id);
     if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+    if (!ifMatchSatisfied(req, flowchart)) return sendPreconditionFailed(res, flowchart);
 
-    const adjList = {};
-    flowchart.nodes.forEach(node => { adjList[node.id] = []; });
-    flowchart.edges.forEach(edge => { adjList[edge.source].push(edge.target); });
-
-    const visited = new Set();
-    const result = [];
+    const version = await FlowchartVersion.findOne({ flowchartId: _id, rev });
+    if (!version) return res.status(404).json({ message: 'Revision not found' });
 
-    const dfs = (current) => {
-      for (const neighbor of adjList[current] || []) {
-        if (!visited.has(neighbor)) {
-          visited.add(neighbor);
-          result.push(neighbor);
-          dfs(neighbor);
-        }
-      }
-    };
+    const validation = validateGraph(version.nodes, version.edges, graphOptions(flowchart));
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message, violations: validation.violations });
+    }
 
-    dfs(nodeId);
-    res.json({ connectedNodes: result });
+    flowchart.name = version.name;
+    flowchart.nodes = version.nodes;
+    flowchart.edges = version.edges;
+    const { author, message } = revisionInfo(req);
+    await commitRevision(flowchart, { author, message: message || `Restored revision ${rev}` });
+    setETag(res, flowchart);
+    res.json(flowchart);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    if (err instanceof SubflowError) return res.status(400).json({ message: err.message, violations: err.violations });
+    if (err instanceof RevisionConflictError) return sendConflict(res, err);
+    sendError(res, err);
   }
 });
 
+// Execution runs live in routes/runs.js; router.param('id') above resolves the
+// chart and the caller's role for them as well
+router.use('/:id/runs', runRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,437 @@
+// routes/runs.js
+// Mounted by routes/flowcharts.js at /api/flowcharts/:id/runs, which resolves
+// the flowchart id and the caller's role before these handlers run.
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Flowchart = require('../models/Flowchart');
+const FlowchartVersion = require('../models/FlowchartVersion');
+const FlowchartRun = require('../models/FlowchartRun');
+const { requireRole } = require('../utils/permissions');
+const { displayName } = require('../utils/auth');
+const { sendError } = require('../utils/errors');
+const {
+  RunError,
+  describeEdge,
+  findStartNode,
+  outgoingEdges,
+  isFinished,
+  chooseEdge,
+} = require('../utils/runEngine');
+
+const RUN_ID = /^[0-9a-f]{24}$/i;
+
+// Graph of the revision a run is pinned to. Charts saved before version
+// history existed have no snapshot, so their live graph is used instead.
+const loadRunGraph = async (flowchartId, rev) => {
+  const version = await FlowchartVersion.findOne({ flowchartId, rev }).lean();
+  if (version) return version;
+  return Flowchart.findById(flowchartId).lean();
+};
+
+// Run with its current node and, while running, the ways out of it
+const presentRun = (run, graph) => ({
+  ...run.toJSON(),
+  node: graph.nodes.find(n => n.id === run.currentNode) || null,
+  next: run.status === 'running' ? outgoingEdges(graph, run.currentNode).map(describeEdge) : [],
+});
+
+const finishIfDone = (run, graph) => {
+  if (isFinished(graph, run.currentNode)) {
+    run.status = 'completed';
+    run.endedAt = new Date();
+  }
+};
+
+// Save only if nobody else changed the run since it was loaded
+const saveStep = async (run) => {
+  run.$where = { step: run.step };
+  run.step += 1;
+  try {
+    await run.save();
+    return true;
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') return false;
+    throw err;
+  }
+};
+
+const findRun = (req) => {
+  if (!RUN_ID.test(req.params.runId)) return null;
+  return FlowchartRun.findOne({ _id: req.params.runId, flowchartId: Number(req.params.id) });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RunStep:
+ *       type: object
+ *       properties:
+ *         nodeId:
+ *           type: string
+ *         edge:
+ *           $ref: '#/components/schemas/Edge'
+ *         via:
+ *           type: string
+ *           enum: [start, only, choice, condition]
+ *           description: "How the edge was chosen: the only way out, the caller's choice or an edge condition"
+ *         at:
+ *           type: string
+ *           format: date-time
+ *     FlowchartRun:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         flowchartId:
+ *           type: integer
+ *         rev:
+ *           type: integer
+ *           description: Revision of the flowchart the run executes
+ *         status:
+ *           type: string
+ *           enum: [running, completed, cancelled]
+ *         currentNode:
+ *           type: string
+ *         node:
+ *           $ref: '#/components/schemas/Node'
+ *         next:
+ *           type: array
+ *           description: Outgoing edges of the current node while the run is running
+ *           items:
+ *             $ref: '#/components/schemas/Edge'
+ *         context:
+ *           type: object
+ *           description: Free-form data that edge conditions are evaluated against
+ *         history:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RunStep'
+ *         startedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *     RunError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: "Choose the branch to take with target or label"
+ *         options:
+ *           type: array
+ *           description: Outgoing edges the caller can choose from
+ *           items:
+ *             $ref: '#/components/schemas/Edge'
+ */
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/runs:
+ *   post:
+ *     summary: Start a run of a flowchart
+ *     description: |
+ *       The run starts at the start node (or the only node without incoming
+ *       edges) of the flowchart's current revision, and stays on that revision
+ *       even if the chart is edited later.
+ *     tags: [Runs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startNode:
+ *                 type: string
+ *                 description: Node to start at when the start cannot be inferred
+ *               context:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FlowchartRun'
+ *       400:
+ *         description: The start node cannot be determined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RunError'
+ *       404:
+ *         description: Flowchart not found
+ */
+router.post('/', requireRole('editor'), async (req, res) => {
+  try {
+    const flowchartId = Number(req.params.id);
+    const flowchart = await Flowchart.findById(flowchartId);
+    if (!flowchart) return res.status(404).json({ message: 'Flowchart not found' });
+
+    const { startNode, context = {} } = req.body;
+    if (typeof context !== 'object' || context === null || Array.isArray(context)) {
+      return res.status(400).json({ message: 'context must be an object' });
+    }
+
+    const rev = flowchart.revision || 0;
+    const graph = await loadRunGraph(flowchartId, rev);
+    const start = findStartNode(graph.nodes, graph.edges, startNode);
+    const run = new FlowchartRun({
+      flowchartId,
+      rev,
+      currentNode: start.id,
+      context,
+      history: [{ nodeId: start.id, via: 'start' }],
+      startedBy: displayName(req.user),
+    });
+    finishIfDone(run, graph);
+    await run.save();
+    res.status(201).json(presentRun(run, graph));
+  } catch (err) {
+    if (err instanceof RunError) return res.status(400).json({ message: err.message, options: err.options });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/runs:
+ *   get:
+ *     summary: List the runs of a flowchart, newest first
+ *     tags: [Runs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Runs of the flowchart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FlowchartRun'
+ */
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const filter = { flowchartId: Number(req.params.id) };
+    if (req.query.status) filter.status = req.query.status;
+    const runs = await FlowchartRun.find(filter).sort({ createdAt: -1 });
+    res.json(runs);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/runs/{runId}:
+ *   get:
+ *     summary: Get a run with its current node, history and context
+ *     tags: [Runs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FlowchartRun'
+ *       404:
+ *         description: Flowchart or run not found
+ */
+router.get('/:runId', requireRole('viewer'), async (req, res) => {
+  try {
+    const run = await findRun(req);
+    if (!run) return res.status(404).json({ message: 'Run not found' });
+    res.json(presentRun(run, await loadRunGraph(run.flowchartId, run.rev)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/runs/{runId}/advance:
+ *   post:
+ *     summary: Move a run along one outgoing edge
+ *     description: |
+ *       The caller can pick the branch by target node and/or edge label.
+ *       Otherwise the only way out is taken, or the single edge whose
+ *       condition holds for the run context, with an unconditional edge as
+ *       the default branch. The run completes when it reaches an end node or
+ *       a node without outgoing edges.
+ *     tags: [Runs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: string
+ *                 description: Node to move to
+ *               label:
+ *                 type: string
+ *                 description: Label of the edge to follow, e.g. "yes"
+ *               context:
+ *                 type: object
+ *                 description: Merged into the run context before conditions are evaluated
+ *     responses:
+ *       200:
+ *         description: The advanced run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FlowchartRun'
+ *       400:
+ *         description: The branch is ambiguous or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RunError'
+ *       404:
+ *         description: Flowchart or run not found
+ *       409:
+ *         description: The run is not running, or was advanced by another request
+ */
+router.post('/:runId/advance', requireRole('editor'), async (req, res) => {
+  try {
+    const run = await findRun(req);
+    if (!run) return res.status(404).json({ message: 'Run not found' });
+    if (run.status !== 'running') {
+      return res.status(409).json({ message: `Run is ${run.status}`, current: run });
+    }
+
+    const { target, label, context } = req.body;
+    if (context !== undefined && (typeof context !== 'object' || context === null || Array.isArray(context))) {
+      return res.status(400).json({ message: 'context must be an object' });
+    }
+    if (context) run.context = { ...run.context, ...context };
+
+    const graph = await loadRunGraph(run.flowchartId, run.rev);
+    const { edge, via } = chooseEdge(graph, run.currentNode, { target, label }, run.context);
+    run.currentNode = edge.target;
+    run.history.push({ nodeId: edge.target, edge: describeEdge(edge), via });
+    finishIfDone(run, graph);
+
+    if (!(await saveStep(run))) {
+      return res.status(409).json({
+        message: 'Run was advanced by another request. Reload it and retry.',
+        current: await FlowchartRun.findById(run._id),
+      });
+    }
+    res.json(presentRun(run, graph));
+  } catch (err) {
+    if (err instanceof RunError) return res.status(400).json({ message: err.message, options: err.options });
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/flowcharts/{id}/runs/{runId}/cancel:
+ *   post:
+ *     summary: Cancel a running run
+ *     tags: [Runs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *               format: uuid
+ *         description: Numerical _id or uuid of the flowchart
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled run
+ *       404:
+ *         description: Flowchart or run not found
+ *       409:
+ *         description: The run already ended
+ */
+router.post('/:runId/cancel', requireRole('editor'), async (req, res) => {
+  try {
+    const run = await findRun(req);
+    if (!run) return res.status(404).json({ message: 'Run not found' });
+    if (run.status !== 'running') {
+      return res.status(409).json({ message: `Run is ${run.status}`, current: run });
+    }
+
+    run.status = 'cancelled';
+    run.endedAt = new Date();
+    if (!(await saveStep(run))) {
+      return res.status(409).json({
+        message: 'Run was advanced by another request. Reload it and retry.',
+        current: await FlowchartRun.findById(run._id),
+      });
+    }
+    res.json(run);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,418 @@
+// routes/webhooks.js
+
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Flowchart = require('../models/Flowchart');
+const Workspace = require('../models/Workspace');
+const { roleFor, workspaceRoleFor } = require('../utils/permissions');
+const { isObjectId } = require('../utils/folders');
+const { generateSecret, redeliver, webhookTargetError } = require('../utils/webhooks');
+const { sendError } = require('../utils/errors');
+
+const MAX_DELIVERIES = 100;
+
+// Webhooks are private to the user who registered them
+router.param('webhookId', async (req, res, next, webhookId) => {
+  if (!isObjectId(webhookId)) return res.status(400).json({ message: 'Invalid webhook id' });
+  try {
+    req.webhook = await Webhook.findOne({ _id: webhookId, owner: req.user._id });
+    if (!req.webhook) return res.status(404).json({ message: 'Webhook not found' });
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Checks the optional flowchart / workspace scope of a new hook against what
+// the caller can see. Returns an error message, or null when the scope is fine.
+const checkScope = async (user, { flowchartId, workspaceId }) => {
+  if (flowchartId !== undefined && flowchartId !== null) {
+    const flowchart = !isNaN(Number(flowchartId)) && await Flowchart.findById(Number(flowchartId)).lean();
+    const workspace = flowchart && flowchart.workspace && await Workspace.findById(flowchart.workspace).lean();
+    if (!flowchart || !roleFor(flowchart, user, workspace)) return 'Flowchart not found';
+  }
+  if (workspaceId !== undefined && workspaceId !== null) {
+    const workspace = isObjectId(workspaceId) && await Workspace.findById(workspaceId).lean();
+    if (!workspace || !workspaceRoleFor(workspace, user)) return 'Workspace not found';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: HTTP callbacks for flowchart lifecycle events
+ *
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *         url:
+ *           type: string
+ *           description: http(s) URL the events are POSTed to
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: string
+ *             enum: [flowchart.created, flowchart.updated, flowchart.deleted, flowchart.restored]
+ *         flowchartId:
+ *           type: integer
+ *           nullable: true
+ *           description: Only send events for this flowchart
+ *         workspaceId:
+ *           type: string
+ *           nullable: true
+ *           writeOnly: true
+ *           description: Only send events for flowcharts filed in this workspace
+ *         workspace:
+ *           type: string
+ *           nullable: true
+ *           readOnly: true
+ *         active:
+ *           type: boolean
+ *           default: true
+ *         secret:
+ *           type: string
+ *           readOnly: true
+ *           description: |
+ *             HMAC key, only returned when the hook is created or the secret is
+ *             rotated. Each delivery carries X-Webhook-Timestamp and
+ *             X-Webhook-Signature "sha256=<hex HMAC-SHA256 of timestamp + '.' + body>".
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Also sent as X-Webhook-Delivery
+ *         event:
+ *           type: string
+ *         flowchartId:
+ *           type: integer
+ *         payload:
+ *           type: object
+ *           description: The JSON body that was sent (event, occurredAt, actor and the flowchart)
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a pending delivery is retried; the delay doubles after every failure
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: Hooks fire for flowcharts the caller can see, narrowed to one flowchart or workspace if given.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *           example:
+ *             url: "https://docs.example.com/hooks/flowcharts"
+ *             events: ["flowchart.created", "flowchart.updated"]
+ *     responses:
+ *       201:
+ *         description: Webhook registered; the response includes the secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: |
+ *           Invalid events, or a URL that is not http(s), cannot be resolved or
+ *           points at a loopback, private or link-local address not listed in
+ *           WEBHOOK_ALLOWED_HOSTS
+ *       404:
+ *         description: The flowchart or workspace to scope to was not found
+ */
+router.post('/', async (req, res) => {
+  try {
+    const {
+      url, events, flowchartId = null, workspaceId = null, active,
+    } = req.body;
+    const urlError = await webhookTargetError(url);
+    if (urlError) return res.status(400).json({ message: urlError });
+
+    const scopeError = await checkScope(req.user, { flowchartId, workspaceId });
+    if (scopeError) return res.status(404).json({ message: scopeError });
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      owner: req.user._id,
+      url,
+      events,
+      flowchartId: flowchartId === null ? null : Number(flowchartId),
+      workspace: workspaceId,
+      secret,
+      active,
+    });
+    res.status(201).json({ ...webhook.toJSON(), secret });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List the caller's webhooks
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: 1 });
+    res.json(webhooks);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId', (req, res) => {
+  res.json(req.webhook);
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   patch:
+ *     summary: Change a webhook's URL, events or active flag, or rotate its secret
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [flowchart.created, flowchart.updated, flowchart.deleted, flowchart.restored]
+ *               active:
+ *                 type: boolean
+ *               rotateSecret:
+ *                 type: boolean
+ *                 description: Issue a new secret; it is returned in the response
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: |
+ *           Invalid events, or a URL that is not http(s), cannot be resolved or
+ *           points at a loopback, private or link-local address not listed in
+ *           WEBHOOK_ALLOWED_HOSTS
+ *       404:
+ *         description: Webhook not found
+ */
+router.patch('/:webhookId', async (req, res) => {
+  try {
+    const { webhook } = req;
+    const {
+      url, events, active, rotateSecret,
+    } = req.body;
+    const urlError = url !== undefined && await webhookTargetError(url);
+    if (urlError) return res.status(400).json({ message: urlError });
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (active !== undefined) webhook.active = active;
+    if (rotateSecret) webhook.secret = generateSecret();
+    await webhook.save();
+    res.json(rotateSecret ? { ...webhook.toJSON(), secret: webhook.secret } : webhook);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    await Webhook.deleteOne({ _id: req.webhook._id });
+    await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook, newest first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries with every attempt made
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId/deliveries', async (req, res) => {
+  try {
+    const filter = { webhook: req.webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_DELIVERIES);
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(deliveries);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a past delivery's payload again as a new delivery
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: New delivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const delivery = isObjectId(deliveryId)
+      && await WebhookDelivery.findOne({ _id: deliveryId, webhook: req.webhook._id });
+    if (!delivery) return res.status(404).json({ message: 'Delivery not found' });
+    res.status(202).json(await redeliver(req.webhook, delivery));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
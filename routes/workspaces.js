@@ -0,0 +1,605 @@
+// routes/workspaces.js
+
+const express = require('express');
+const router = express.Router();
+const Workspace = require('../models/Workspace');
+const Folder = require('../models/Folder');
+const Flowchart = require('../models/Flowchart');
+const User = require('../models/User');
+const {
+  WORKSPACE_ROLES,
+  workspaceRoleFor,
+  hasWorkspaceRole,
+  requireWorkspaceRole,
+} = require('../utils/permissions');
+const { isObjectId, isWithin } = require('../utils/folders');
+const { displayName } = require('../utils/auth');
+const { publishDeleted } = require('../utils/collaboration');
+const { emitFlowchartEvent } = require('../utils/webhooks');
+const { auditSummary, auditChanges } = require('../utils/audit');
+const { sendError } = require('../utils/errors');
+
+// Loads the workspace and the caller's role in it for requireWorkspaceRole
+router.param('workspaceId', async (req, res, next, workspaceId) => {
+  if (!isObjectId(workspaceId)) return res.status(400).json({ message: 'Invalid workspace id' });
+  try {
+    req.workspace = await Workspace.findById(workspaceId);
+    req.workspaceRole = req.workspace && workspaceRoleFor(req.workspace, req.user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.param('folderId', async (req, res, next, folderId) => {
+  if (!isObjectId(folderId)) return res.status(400).json({ message: 'Invalid folder id' });
+  try {
+    req.folder = await Folder.findById(folderId);
+    // Folders of other workspaces are treated as missing
+    if (!req.folder || !req.workspace || String(req.folder.workspace) !== String(req.workspace._id)) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Checks that a parent folder id (or null for the top level) is usable in the workspace
+const resolveParent = async (workspace, parentId) => {
+  if (parentId === undefined || parentId === null) return { parent: null };
+  if (!isObjectId(parentId)) return { error: 'Invalid parentId' };
+  const parent = await Folder.findById(parentId);
+  if (!parent || String(parent.workspace) !== String(workspace._id)) return { error: 'Parent folder not found' };
+  return { parent: parent._id };
+};
+
+const siblingExists = (workspace, parent, name, exceptId) => Folder.exists({
+  workspace: workspace._id,
+  parent,
+  name,
+  ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workspaces
+ *   description: Team workspaces and the folders flowcharts are filed in
+ *
+ * components:
+ *   schemas:
+ *     Workspace:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *         members:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *     Folder:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *         workspace:
+ *           type: string
+ *           readOnly: true
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Parent folder; null for top-level folders
+ *         name:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace; the caller becomes its admin
+ *     tags: [Workspaces]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Workspace'
+ *     responses:
+ *       201:
+ *         description: Workspace created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       400:
+ *         description: Missing name
+ */
+router.post('/', async (req, res) => {
+  try {
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      members: [{ user: req.user._id, role: 'admin' }],
+    });
+    res.status(201).json(workspace);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List the workspaces the caller is a member of
+ *     tags: [Workspaces]
+ *     responses:
+ *       200:
+ *         description: Workspaces of the caller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Workspace'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user._id }).sort({ name: 1 });
+    res.json(workspaces);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The workspace
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workspace'
+ *       404:
+ *         description: Workspace not found or caller is not a member
+ */
+router.get('/:workspaceId', requireWorkspaceRole('viewer'), (req, res) => {
+  res.json(req.workspace);
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   patch:
+ *     summary: Rename a workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace renamed
+ *       403:
+ *         description: Caller is not an admin of the workspace
+ *       404:
+ *         description: Workspace not found
+ */
+router.patch('/:workspaceId', requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    if (req.body.name !== undefined) req.workspace.name = req.body.name;
+    await req.workspace.save();
+    res.json(req.workspace);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members:
+ *   put:
+ *     summary: Add a member to a workspace or change their role
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *     responses:
+ *       200:
+ *         description: Updated workspace
+ *       400:
+ *         description: Invalid role, or the change would leave no admin
+ *       403:
+ *         description: Caller is not an admin of the workspace
+ *       404:
+ *         description: Workspace or user not found
+ */
+router.put('/:workspaceId/members', requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (!WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of ${WORKSPACE_ROLES.join(', ')}` });
+    }
+    const user = await User.findOne({ email: String(email || '').toLowerCase() });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const { members } = req.workspace;
+    const member = members.find(m => String(m.user) === String(user._id));
+    if (member && member.role === 'admin' && role !== 'admin' && members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(400).json({ message: 'A workspace needs at least one admin.' });
+    }
+    if (member) member.role = role;
+    else members.push({ user: user._id, role });
+    await req.workspace.save();
+    res.json(req.workspace);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated workspace
+ *       400:
+ *         description: The member is the last admin
+ *       403:
+ *         description: Caller is not an admin of the workspace
+ *       404:
+ *         description: Workspace or member not found
+ */
+router.delete('/:workspaceId/members/:userId', requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const { members } = req.workspace;
+    const index = members.findIndex(m => String(m.user) === req.params.userId);
+    if (index === -1) return res.status(404).json({ message: 'Member not found' });
+    if (members[index].role === 'admin' && members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(400).json({ message: 'A workspace needs at least one admin.' });
+    }
+
+    members.splice(index, 1);
+    await req.workspace.save();
+    res.json(req.workspace);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/folders:
+ *   get:
+ *     summary: List the folders of a workspace
+ *     description: Returns a flat list; nest it with each folder's parent. Flowcharts in a folder are listed with GET /api/flowcharts?folderId=.
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: parentId
+ *         description: Only the direct children of this folder ("root" for top-level folders)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Folders of the workspace
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Folder'
+ *       404:
+ *         description: Workspace not found
+ */
+router.get('/:workspaceId/folders', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const filter = { workspace: req.workspace._id };
+    const { parentId } = req.query;
+    if (parentId === 'root') {
+      filter.parent = null;
+    } else if (parentId !== undefined) {
+      if (!isObjectId(parentId)) return res.status(400).json({ message: 'Invalid parentId' });
+      filter.parent = parentId;
+    }
+
+    const folders = await Folder.find(filter).sort({ name: 1 });
+    res.json(folders);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/folders:
+ *   post:
+ *     summary: Create a folder
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Folder created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Missing name or unknown parent
+ *       403:
+ *         description: Caller is a viewer of the workspace
+ *       409:
+ *         description: A folder with this name already exists in the parent
+ */
+router.post('/:workspaceId/folders', requireWorkspaceRole('editor'), async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+    const { parent, error } = await resolveParent(req.workspace, parentId);
+    if (error) return res.status(400).json({ message: error });
+    if (name && await siblingExists(req.workspace, parent, name)) {
+      return res.status(409).json({ message: 'A folder with this name already exists here.' });
+    }
+
+    const folder = await Folder.create({ workspace: req.workspace._id, parent, name });
+    res.status(201).json(folder);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/folders/{folderId}:
+ *   patch:
+ *     summary: Rename a folder or move it under another parent
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: folderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New parent; null moves the folder to the top level
+ *     responses:
+ *       200:
+ *         description: Folder updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Unknown parent, or a move into the folder's own subtree
+ *       404:
+ *         description: Workspace or folder not found
+ *       409:
+ *         description: A folder with this name already exists in the parent
+ */
+router.patch('/:workspaceId/folders/:folderId', requireWorkspaceRole('editor'), async (req, res) => {
+  try {
+    const { folder } = req;
+    const { name, parentId } = req.body;
+
+    if (parentId !== undefined) {
+      const { parent, error } = await resolveParent(req.workspace, parentId);
+      if (error) return res.status(400).json({ message: error });
+      if (parent && await isWithin(parent, folder._id)) {
+        return res.status(400).json({ message: 'A folder cannot be moved into itself or one of its subfolders.' });
+      }
+      folder.parent = parent;
+    }
+    if (name !== undefined) folder.name = name;
+    if (await siblingExists(req.workspace, folder.parent, folder.name, folder._id)) {
+      return res.status(409).json({ message: 'A folder with this name already exists here.' });
+    }
+
+    await folder.save();
+    res.json(folder);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/folders/{folderId}:
+ *   delete:
+ *     summary: Delete a folder
+ *     description: |
+ *       The folder must not contain subfolders. Flowcharts filed directly in
+ *       it block the delete unless `trashFlowcharts=true` is sent, which moves
+ *       them to the trash first and needs the admin role in the workspace.
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: folderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: trashFlowcharts
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Folder deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 trashedFlowcharts:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *       403:
+ *         description: trashFlowcharts was sent by a non-admin
+ *       404:
+ *         description: Workspace or folder not found
+ *       409:
+ *         description: The folder still contains subfolders, or flowcharts and trashFlowcharts was not sent
+ */
+router.delete('/:workspaceId/folders/:folderId', requireWorkspaceRole('editor'), async (req, res) => {
+  try {
+    const { folder } = req;
+    const trashFlowcharts = req.query.trashFlowcharts === 'true';
+    if (trashFlowcharts && !hasWorkspaceRole(req.workspaceRole, 'admin')) {
+      return res.status(403).json({ message: 'Moving flowcharts to the trash needs the admin role in the workspace.' });
+    }
+
+    // Charts already in the trash do not keep a folder alive
+    const live = { folder: folder._id, deletedAt: null };
+    const [subfolders, flowcharts] = await Promise.all([
+      Folder.countDocuments({ parent: folder._id }),
+      Flowchart.countDocuments(live),
+    ]);
+    if (subfolders || (flowcharts && !trashFlowcharts)) {
+      return res.status(409).json({
+        message: 'Folder is not empty. Move or delete its subfolders and flowcharts first.',
+        subfolders,
+        flowcharts,
+      });
+    }
+
+    const trashed = await Flowchart.find(live).lean();
+    if (trashed.length) {
+      const deletedAt = new Date();
+      await Flowchart.updateMany(live, { $set: { deletedAt, deletedBy: req.user._id } });
+      trashed.forEach((flowchart) => {
+        publishDeleted(flowchart._id);
+        emitFlowchartEvent('flowchart.deleted', { ...flowchart, deletedAt }, { actor: displayName(req.user), permanent: false });
+      });
+      // The flowchart routes audit their own writes; these bypass them
+      auditChanges(req, req.user, trashed.map(flowchart => ({
+        action: 'DELETE /api/workspaces/:workspaceId/folders/:folderId',
+        flowchartId: flowchart._id,
+        before: auditSummary(flowchart),
+        after: auditSummary({ ...flowchart, deletedAt }),
+      })));
+    }
+    await Folder.deleteOne({ _id: folder._id });
+    res.json({ message: 'Folder deleted', trashedFlowcharts: trashed.map(f => f._id) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 // swagger.js
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
+const { listRules } = require('./utils/graphRules');
 
 const options = {
   definition: {
@@ -9,14 +11,87 @@ const options = {
       version: '1.0.0',
       description: 'API documentation for Flowchart Management System',
     },
+    components: {
+      schemas: {
+        // Built from the rule registry so the enum cannot fall behind it;
+        // rules added with registerRule must be registered before this loads
+        ValidationRuleCode: {
+          type: 'string',
+          enum: listRules().map(rule => rule.code),
+          description: 'A rule listed by GET /api/flowcharts/rules',
+        },
+        // Body of every error response (utils/errors.js)
+        Error: {
+          type: 'object',
+          required: ['code', 'message', 'requestId'],
+          properties: {
+            code: {
+              type: 'string',
+              description: 'Machine-readable error code',
+              enum: [
+                'BAD_REQUEST', 'INVALID_REQUEST', 'INVALID_JSON', 'UNAUTHENTICATED', 'FORBIDDEN', 'NOT_FOUND',
+                'CONFLICT', 'DUPLICATE_KEY', 'REVISION_CONFLICT', 'PRECONDITION_FAILED', 'PAYLOAD_TOO_LARGE',
+                'VALIDATION_FAILED', 'INTERNAL_ERROR',
+              ],
+            },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              description: 'One entry per invalid field, e.g. body.nodes[0].id',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                },
+              },
+            },
+            requestId: {
+              type: 'string',
+              description: 'X-Request-Id of the call',
+            },
+          },
+          example: {
+            code: 'INVALID_REQUEST',
+            message: 'Invalid request: body.nodes[0].label is required',
+            details: [{ field: 'body.nodes[0].label', message: 'is required' }],
+            requestId: '3f1c2a9e-4b7d-4f0e-9a51-2c8d6e7b1a44',
+          },
+        },
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Token returned by /api/auth/register or /api/auth/login',
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Key created with /api/auth/api-keys',
+        },
+      },
+    },
+    // Every route needs one of the schemes unless it overrides `security`
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
     servers: [
       {
         url: 'http://localhost:3000',
       },
     ],
   },
-  apis: ['./routes/*.js'],
+  // Relative to this file, not the working directory the server starts in
+  apis: [path.join(__dirname, 'routes/*.js')],
 };
 
 const swaggerSpec = swaggerJsdoc(options);
-module.exports = swaggerSpec;
\ No newline at end of file
+
+// Request validation (utils/requestValidation.js) is driven by these paths;
+// an empty spec would quietly switch every check off
+if (!Object.keys(swaggerSpec.paths || {}).length) {
+  throw new Error(`No API paths found in ${options.apis.join(', ')}.`);
+}
+
+module.exports = swaggerSpec;
@@ -0,0 +1,178 @@
+// tests/audit.test.js
+const request = require('supertest');
+const app = require('../app');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const register = async (name) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `${name}@example.com`, name, password: 'correct horse' });
+  return { user: res.body.user, agent: request.agent(app).set('Authorization', `Bearer ${res.body.token}`) };
+};
+
+// Audit records are written once the response has gone out
+const waitForRecords = async (agent, query, count) => {
+  for (let i = 0; i < 100; i += 1) {
+    const res = await agent.get(`/api/audit?${query}`);
+    if (res.body.length >= count) return res;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Expected ${count} audit records for ${query}`);
+};
+
+beforeAll(async () => {
+  const mongoURI = 'mongodb://localhost:27017/flowchartdb_audit_test'; // Use a separate test DB
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+describe('Audit log', () => {
+  let judy;
+  let karl;
+  let flowchartId;
+  let createRequestId;
+  let startedAt;
+
+  beforeAll(async () => {
+    judy = await register('judy');
+    karl = await register('karl');
+    startedAt = new Date();
+
+    const created = await judy.agent
+      .post('/api/flowcharts')
+      .set('X-Request-Id', 'req-create-1')
+      .send({
+        name: 'Audited Flowchart',
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+        edges: [{ source: '1', target: '2' }],
+      });
+    flowchartId = created.body._id;
+    createRequestId = created.headers['x-request-id'];
+    await waitForRecords(judy.agent, `flowchartId=${flowchartId}`, 1);
+
+    await judy.agent.patch(`/api/flowcharts/${flowchartId}/nodes/2`).send({ label: 'Finish' });
+    await waitForRecords(judy.agent, `flowchartId=${flowchartId}`, 2);
+    await judy.agent.delete(`/api/flowcharts/${flowchartId}`);
+    await waitForRecords(judy.agent, `flowchartId=${flowchartId}`, 3);
+  });
+
+  it('should record actor, action, request id and before/after summaries', async () => {
+    expect(createRequestId).toEqual('req-create-1');
+
+    const res = await judy.agent.get(`/api/audit?flowchartId=${flowchartId}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['x-total-count']).toEqual('3');
+    expect(res.body.map(r => r.action)).toEqual([
+      'DELETE /api/flowcharts/:id',
+      'PATCH /api/flowcharts/:id/nodes/:nodeId',
+      'POST /api/flowcharts',
+    ]);
+
+    const [deleted, patched, created] = res.body;
+    expect(created).toMatchObject({
+      actor: { user: judy.user._id, name: 'judy' },
+      requestId: 'req-create-1',
+      statusCode: 201,
+      before: null,
+      after: { name: 'Audited Flowchart', revision: 1, nodeCount: 2, edgeCount: 1 },
+    });
+    expect(created.ip).toEqual(expect.any(String));
+    expect(patched).toMatchObject({ path: `/api/flowcharts/${flowchartId}/nodes/2`, before: { revision: 1 }, after: { revision: 2 } });
+    expect(deleted.before.deletedAt).toBeNull();
+    expect(deleted.after.deletedAt).toEqual(expect.any(String));
+  });
+
+  it('should record rejected calls without an after state change', async () => {
+    await karl.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Hijacked' });
+    const res = await waitForRecords(karl.agent, 'actor=karl@example.com', 1);
+    expect(res.body[0]).toMatchObject({ statusCode: 404, flowchartId, action: 'PUT /api/flowcharts/:id' });
+    expect(res.body[0].after).toEqual(res.body[0].before);
+  });
+
+  it('should filter by actor and time range', async () => {
+    const byJudy = await judy.agent.get(`/api/audit?actor=${judy.user._id}`);
+    expect(byJudy.body).toHaveLength(3);
+
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+    expect((await judy.agent.get(`/api/audit?from=${future}`)).body).toEqual([]);
+    // Karl's rejected attempt on Judy's chart is visible to her as well
+    const window = await judy.agent.get(`/api/audit?from=${startedAt.toISOString()}&to=${future}&limit=2`);
+    expect(window.body).toHaveLength(2);
+    expect(window.headers['x-total-count']).toEqual('4');
+
+    expect((await judy.agent.get('/api/audit?from=yesterday')).statusCode).toEqual(400);
+  });
+
+  it('should only show records of charts the caller can access', async () => {
+    const res = await karl.agent.get(`/api/audit?flowchartId=${flowchartId}`);
+    expect(res.statusCode).toEqual(404);
+    const all = await karl.agent.get('/api/audit');
+    expect(all.body.map(r => r.actor.name)).toEqual(['karl']);
+  });
+
+  it('should record bulk writes against each chart they touch', async () => {
+    const graph = name => ({
+      name,
+      nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+      edges: [{ source: '1', target: '2' }],
+    });
+    const existing = (await judy.agent.post('/api/flowcharts').send(graph('Bulk Audited'))).body;
+    const res = await judy.agent
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'create', flowchart: graph('Bulk Audited Copy') },
+          { op: 'update', id: existing.uuid, flowchart: { name: 'Bulk Audited Renamed' } },
+        ],
+      });
+    expect(res.statusCode).toEqual(200);
+
+    const created = await waitForRecords(judy.agent, `flowchartId=${res.body.results[0]._id}`, 1);
+    expect(created.body[0]).toMatchObject({ action: 'POST /api/flowcharts/bulk', before: null, after: { revision: 1 } });
+    const updated = await waitForRecords(judy.agent, `flowchartId=${existing._id}`, 2);
+    expect(updated.body[0]).toMatchObject({
+      action: 'POST /api/flowcharts/bulk',
+      before: { name: 'Bulk Audited', revision: 1 },
+      after: { name: 'Bulk Audited Renamed', revision: 2 },
+    });
+  });
+
+  it('should record calls turned away by request validation against their chart', async () => {
+    const res = await judy.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 42 });
+    expect(res.statusCode).toEqual(400);
+    const records = await waitForRecords(judy.agent, `flowchartId=${flowchartId}&actor=${judy.user._id}`, 4);
+    expect(records.body[0]).toMatchObject({ action: 'PUT /api/flowcharts/:id', statusCode: 400, flowchartId });
+    expect(records.body[0].after).toEqual(records.body[0].before);
+  });
+
+  it('should log audit records that cannot be written', async () => {
+    const create = jest.spyOn(AuditLog, 'create').mockRejectedValueOnce(new Error('disk full'));
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      await judy.agent.post('/api/flowcharts').set('X-Request-Id', 'req-lost').send({ name: 'Unaudited', nodes: [], edges: [] });
+      for (let i = 0; i < 100 && !log.mock.calls.length; i += 1) await new Promise(resolve => setTimeout(resolve, 20));
+      expect(log).toHaveBeenCalledWith(
+        'Audit write failed for POST /api/flowcharts /api/flowcharts (request req-lost):',
+        expect.objectContaining({ message: 'disk full' }),
+      );
+    } finally {
+      create.mockRestore();
+      log.mockRestore();
+    }
+  });
+
+  it('should not allow audit records to be changed through the API', async () => {
+    const [record] = (await judy.agent.get('/api/audit')).body;
+    expect((await judy.agent.put(`/api/audit/${record._id}`).send({ statusCode: 200 })).statusCode).toEqual(404);
+    expect((await judy.agent.delete(`/api/audit/${record._id}`)).statusCode).toEqual(404);
+    expect((await judy.agent.post('/api/audit').send({ action: 'forged' })).statusCode).toEqual(404);
+  });
+});
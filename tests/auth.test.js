@@ -0,0 +1,102 @@
+// tests/auth.test.js
+const request = require('supertest');
+const app = require('../app');
+const mongoose = require('mongoose');
+const Flowchart = require('../models/Flowchart');
+const { assignLegacyOwner } = require('../utils/legacyOwners');
+
+beforeAll(async () => {
+  const mongoURI = 'mongodb://localhost:27017/flowchartdb_auth_test'; // Use a separate test DB
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+describe('Auth API', () => {
+  const credentials = { email: 'Erin@Example.com', password: 'correct horse', name: 'erin' };
+
+  it('should register a user without exposing the password hash', async () => {
+    const res = await request(app).post('/api/auth/register').send(credentials);
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.user).toHaveProperty('email', 'erin@example.com');
+    expect(res.body.user).not.toHaveProperty('passwordHash');
+    expect(res.body).toHaveProperty('token');
+  });
+
+  it('should reject duplicate emails and short passwords', async () => {
+    const duplicate = await request(app).post('/api/auth/register').send(credentials);
+    expect(duplicate.statusCode).toEqual(409);
+
+    const short = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'frank@example.com', password: 'short' });
+    expect(short.statusCode).toEqual(400);
+  });
+
+  it('should log in and return the current user', async () => {
+    const wrong = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: 'wrong password' });
+    expect(wrong.statusCode).toEqual(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'erin@example.com', password: credentials.password });
+    expect(login.statusCode).toEqual(200);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`);
+    expect(me.statusCode).toEqual(200);
+    expect(me.body).toHaveProperty('name', 'erin');
+  });
+});
+
+describe('JWT secret', () => {
+  const env = { ...process.env };
+  afterEach(() => { process.env = { ...env }; });
+
+  it('should refuse to start without JWT_SECRET outside test and development', () => {
+    delete process.env.JWT_SECRET;
+    process.env.NODE_ENV = 'production';
+    jest.isolateModules(() => {
+      expect(() => require('../utils/auth')).toThrow('JWT_SECRET must be set');
+    });
+    process.env.JWT_SECRET = 'configured';
+    jest.isolateModules(() => {
+      expect(() => require('../utils/auth')).not.toThrow();
+    });
+  });
+});
+
+describe('Flowcharts without an owner', () => {
+  const register = async (name) => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: `${name}@example.com`, name, password: 'correct horse' });
+    return request.agent(app).set('Authorization', `Bearer ${res.body.token}`);
+  };
+
+  it('should be editable by everyone until the migration gives them an owner', async () => {
+    const legacy = await new Flowchart({
+      name: 'Legacy',
+      nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+      edges: [{ source: '1', target: '2' }],
+    }).save();
+    const grace = await register('grace');
+    const heidi = await register('heidi');
+
+    expect((await heidi.put(`/api/flowcharts/${legacy._id}`).send({ name: 'Legacy Renamed' })).statusCode).toEqual(200);
+    expect((await grace.delete(`/api/flowcharts/${legacy._id}`)).statusCode).toEqual(403);
+
+    expect(await assignLegacyOwner('Grace@Example.com')).toEqual(1);
+    expect(await assignLegacyOwner('grace@example.com')).toEqual(0);
+    expect((await heidi.get(`/api/flowcharts/${legacy._id}`)).statusCode).toEqual(404);
+    expect((await grace.delete(`/api/flowcharts/${legacy._id}`)).statusCode).toEqual(200);
+    await expect(assignLegacyOwner('nobody@example.com')).rejects.toThrow('No user with the email');
+  });
+});
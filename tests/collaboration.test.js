@@ -0,0 +1,200 @@
+// tests/collaboration.test.js
+const request = require('supertest');
+const WebSocket = require('ws');
+const app = require('../app');
+const mongoose = require('mongoose');
+const { ACCESS_REVOKED, MAX_MESSAGE_BYTES, attachCollaboration } = require('../utils/collabSocket');
+
+let server;
+let baseUrl;
+
+const register = async (name) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `${name}@example.com`, name, password: 'correct horse' });
+  return {
+    user: res.body.user,
+    token: res.body.token,
+    agent: request.agent(app).set('Authorization', `Bearer ${res.body.token}`),
+  };
+};
+
+// Opens a live channel; socket.next(type) resolves with the next message of
+// that type, whether it already arrived or not
+const connect = (flowchartId, token) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`${baseUrl}/api/flowcharts/${flowchartId}/live?token=${token}`);
+  const inbox = [];
+  const waiting = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data);
+    const index = waiting.findIndex(w => w.type === message.type);
+    if (index >= 0) waiting.splice(index, 1)[0].resolve(message);
+    else inbox.push(message);
+  });
+  socket.next = (type) => {
+    const index = inbox.findIndex(m => m.type === type);
+    if (index >= 0) return Promise.resolve(inbox.splice(index, 1)[0]);
+    return new Promise(done => waiting.push({ type, resolve: done }));
+  };
+  socket.send = (message => WebSocket.prototype.send.call(socket, JSON.stringify(message)));
+  socket.on('open', () => resolve(socket));
+  socket.on('unexpected-response', (req, res) => resolve({ rejected: res.statusCode }));
+  socket.on('error', reject);
+});
+
+const close = socket => new Promise((resolve) => {
+  socket.on('close', resolve);
+  socket.close();
+});
+
+beforeAll(async () => {
+  const mongoURI = 'mongodb://localhost:27017/flowchartdb_collaboration_test'; // Use a separate test DB
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  server = app.listen(0);
+  attachCollaboration(server);
+  baseUrl = `ws://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+describe('Live collaboration channel', () => {
+  let erin;
+  let frank;
+  let flowchartId;
+
+  beforeAll(async () => {
+    erin = await register('erin');
+    frank = await register('frank');
+    const res = await erin.agent
+      .post('/api/flowcharts')
+      .send({
+        name: 'Shared Board',
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+        edges: [{ source: '1', target: '2' }],
+      });
+    flowchartId = res.body._id;
+    await erin.agent
+      .put(`/api/flowcharts/${flowchartId}/shares`)
+      .send({ email: 'frank@example.com', role: 'viewer' });
+  });
+
+  it('should refuse unauthenticated and unauthorised connections', async () => {
+    expect(await connect(flowchartId, 'not-a-token')).toEqual({ rejected: 401 });
+    const stranger = await register('grace');
+    expect(await connect(flowchartId, stranger.token)).toEqual({ rejected: 404 });
+    expect(await connect('%E0', erin.token)).toEqual({ rejected: 400 });
+  });
+
+  it('should send a snapshot and presence on join', async () => {
+    const socket = await connect(flowchartId, erin.token);
+    const snapshot = await socket.next('snapshot');
+    expect(snapshot).toMatchObject({ revision: 1, role: 'owner', name: 'Shared Board' });
+    expect(snapshot.nodes.map(n => n.id)).toEqual(['1', '2']);
+    expect((await socket.next('presence')).viewers).toEqual([
+      { userId: erin.user._id, name: 'erin', connections: 1 },
+    ]);
+
+    const viewer = await connect(flowchartId, frank.token);
+    const presence = await socket.next('presence');
+    expect(presence.viewers.map(v => v.name)).toEqual(['erin', 'frank']);
+
+    await close(viewer);
+    expect((await socket.next('presence')).viewers.map(v => v.name)).toEqual(['erin']);
+    await close(socket);
+  });
+
+  it('should broadcast changes made through the REST routes', async () => {
+    const socket = await connect(flowchartId, frank.token);
+    await socket.next('snapshot');
+
+    await erin.agent
+      .patch(`/api/flowcharts/${flowchartId}/nodes/2`)
+      .set('X-Revision-Message', 'Rename end')
+      .send({ label: 'Finish' });
+    const change = await socket.next('change');
+    expect(change).toMatchObject({ revision: 2, author: 'erin', message: 'Rename end' });
+    expect(change.events).toEqual([{ type: 'node.updated', node: expect.objectContaining({ id: '2', label: 'Finish' }) }]);
+    await close(socket);
+  });
+
+  it('should apply valid edits sent over the channel and reject invalid ones', async () => {
+    const editor = await connect(flowchartId, erin.token);
+    const viewer = await connect(flowchartId, frank.token);
+    await editor.next('snapshot');
+    await viewer.next('snapshot');
+
+    editor.send({ type: 'edit', ref: 'a', op: 'addEdge', edge: { source: '2', target: '9' } });
+    const invalid = await editor.next('error');
+    expect(invalid).toMatchObject({ ref: 'a', message: 'Edge references invalid nodes' });
+    expect(invalid.violations[0]).toHaveProperty('code', 'DANGLING_EDGE');
+
+    editor.send({
+      type: 'edit', ref: 'b', op: 'addNode', node: { id: '3', label: 'Review' }, baseRevision: 2,
+    });
+    expect(await editor.next('ack')).toEqual({ type: 'ack', ref: 'b', revision: 3 });
+    const change = await viewer.next('change');
+    expect(change.events).toEqual([{ type: 'node.added', node: expect.objectContaining({ id: '3', label: 'Review' }) }]);
+
+    editor.send({ type: 'edit', ref: 'c', op: 'removeNode', nodeId: '3', baseRevision: 2 });
+    expect(await editor.next('error')).toMatchObject({ ref: 'c', revision: 3 });
+
+    viewer.send({ type: 'edit', ref: 'd', op: 'removeNode', nodeId: '3' });
+    expect(await viewer.next('error')).toMatchObject({ ref: 'd', message: 'This action needs the editor role on the flowchart.' });
+
+    const stored = await erin.agent.get(`/api/flowcharts/${flowchartId}`);
+    expect(stored.body.nodes.map(n => n.id)).toEqual(['1', '2', '3']);
+
+    // Only the committed edit is audited
+    let audit;
+    for (let i = 0; i < 100; i += 1) {
+      audit = await erin.agent.get(`/api/audit?flowchartId=${flowchartId}&actor=${erin.user._id}`);
+      if (audit.body.some(record => record.action.startsWith('WS '))) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(audit.body.filter(record => record.action.startsWith('WS '))).toEqual([expect.objectContaining({
+      action: 'WS addNode /api/flowcharts/:id/live',
+      actor: { user: erin.user._id, name: 'erin' },
+      before: expect.objectContaining({ revision: 2, nodeCount: 2 }),
+      after: expect.objectContaining({ revision: 3, nodeCount: 3 }),
+    })]);
+    await close(editor);
+    await close(viewer);
+  });
+
+  it('should answer messages that are not objects and close on oversized ones', async () => {
+    const viewer = await connect(flowchartId, frank.token);
+    await viewer.next('snapshot');
+    const raw = text => WebSocket.prototype.send.call(viewer, text);
+
+    for (const text of ['null', '[]', '5', '"edit"']) {
+      raw(text);
+      expect(await viewer.next('error')).toEqual({ type: 'error', message: 'Messages must be JSON objects' });
+    }
+    viewer.send({ type: 'edit', ref: 'x', op: 'addNode', node: null });
+    expect(await viewer.next('error')).toMatchObject({ ref: 'x' });
+
+    const closed = new Promise(resolve => viewer.on('close', resolve));
+    raw('x'.repeat(MAX_MESSAGE_BYTES + 1));
+    expect(await closed).toEqual(1009);
+  });
+
+  it('should close the channel once the user loses access', async () => {
+    const viewer = await connect(flowchartId, frank.token);
+    await viewer.next('snapshot');
+    const closed = new Promise(resolve => viewer.on('close', (code, reason) => resolve({ code, reason: String(reason) })));
+    const changes = [];
+    viewer.on('message', data => changes.push(JSON.parse(data).type));
+
+    await erin.agent.delete(`/api/flowcharts/${flowchartId}/shares/${frank.user._id}`).expect(200);
+    await erin.agent.patch(`/api/flowcharts/${flowchartId}/nodes/2`).send({ label: 'Secret' }).expect(200);
+    expect(await closed).toEqual({ code: ACCESS_REVOKED, reason: 'Access revoked' });
+    expect(changes).not.toContain('change');
+  });
+});
@@ -0,0 +1,42 @@
+// tests/conditions.test.js
+const {
+  MAX_TOKENS, MAX_DEPTH, ConditionError, evaluateCondition,
+} = require('../utils/conditions');
+
+describe('evaluateCondition', () => {
+  const context = { amount: 1500, customer: { tier: 'gold' }, approved: false };
+
+  it('should compare context paths against literals', () => {
+    expect(evaluateCondition('amount > 1000', context)).toBe(true);
+    expect(evaluateCondition('customer.tier == "gold" && !approved', context)).toBe(true);
+    expect(evaluateCondition('amount * 2 <= 3000 || approved', context)).toBe(true);
+    expect(evaluateCondition('(amount - 500) % 1000 != 0', context)).toBe(false);
+  });
+
+  it('should treat missing paths as undefined and use strict equality', () => {
+    expect(evaluateCondition('customer.region == null', context)).toBe(false);
+    expect(evaluateCondition('customer.region', context)).toBe(false);
+    expect(evaluateCondition('amount == "1500"', context)).toBe(false);
+  });
+
+  it('should not reach outside the context', () => {
+    expect(evaluateCondition('constructor', context)).toBe(false);
+    expect(evaluateCondition('customer.tier.length > 0', context)).toBe(false);
+  });
+
+  it('should reject malformed conditions', () => {
+    expect(() => evaluateCondition('amount >', context)).toThrow(ConditionError);
+    expect(() => evaluateCondition('amount = 1', context)).toThrow('Unexpected character "=" at position 7');
+    expect(() => evaluateCondition('process.exit()', context)).toThrow(ConditionError);
+    expect(() => evaluateCondition('', context)).toThrow('Condition is empty');
+  });
+
+  it('should cap the length and nesting of conditions', () => {
+    expect(evaluateCondition(`${'('.repeat(MAX_DEPTH)}amount${')'.repeat(MAX_DEPTH)} > 1000`, context)).toBe(true);
+    expect(() => evaluateCondition(`${'('.repeat(MAX_DEPTH + 1)}1${')'.repeat(MAX_DEPTH + 1)}`, context))
+      .toThrow(`Condition is nested more than ${MAX_DEPTH} levels deep at position ${MAX_DEPTH}`);
+    expect(() => evaluateCondition(`${'!'.repeat(100000)}approved`, context)).toThrow(ConditionError);
+    expect(() => evaluateCondition(Array(MAX_TOKENS).fill('amount').join(' + '), context))
+      .toThrow(`Condition is longer than ${MAX_TOKENS} tokens`);
+  });
+});
@@ -0,0 +1,172 @@
+// tests/errors.test.js
+const request = require('supertest');
+const app = require('../app');
+const mongoose = require('mongoose');
+const Flowchart = require('../models/Flowchart');
+const { createValidator } = require('../utils/requestValidation');
+
+let api;
+
+beforeAll(async () => {
+  const mongoURI = 'mongodb://localhost:27017/flowchartdb_errors_test'; // Use a separate test DB
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: 'nina@example.com', name: 'nina', password: 'correct horse' });
+  api = request.agent(app).set('Authorization', `Bearer ${res.body.token}`);
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+describe('Error responses', () => {
+  const chart = {
+    name: 'Errors',
+    nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+    edges: [{ source: '1', target: '2' }],
+  };
+
+  it('should answer unknown routes with a JSON 404 and the request id', async () => {
+    const res = await request(app).get('/api/nothing-here').set('X-Request-Id', 'req-missing-1');
+    expect(res.statusCode).toEqual(404);
+    expect(res.body).toEqual({ code: 'NOT_FOUND', message: 'No route for GET /api/nothing-here', requestId: 'req-missing-1' });
+  });
+
+  it('should report malformed JSON as INVALID_JSON', async () => {
+    const res = await api.post('/api/flowcharts').set('Content-Type', 'application/json').send('{"name": ');
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_JSON' });
+    expect(res.body.requestId).toEqual(res.headers['x-request-id']);
+  });
+
+  it('should validate bodies against the documented schema with per-field details', async () => {
+    const res = await api.post('/api/flowcharts').send({
+      name: 'Broken',
+      nodes: [{ id: '1' }, { id: 2, label: 'End' }],
+      edges: [],
+      graphMode: 'tree',
+    });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.code).toEqual('INVALID_REQUEST');
+    expect(res.body.message).toEqual('Invalid request: body.nodes[0].label is required');
+    expect(res.body.details).toEqual([
+      { field: 'body.nodes[0].label', message: 'is required' },
+      { field: 'body.nodes[1].id', message: 'must be a string' },
+      { field: 'body.graphMode', message: 'must be one of: dag, cyclic' },
+    ]);
+    expect(await Flowchart.countDocuments({ name: 'Broken' })).toEqual(0);
+  });
+
+  it('should validate path and query parameters', async () => {
+    const badId = await api.get('/api/flowcharts/not-an-id');
+    expect(badId.statusCode).toEqual(400);
+    expect(badId.body.details).toEqual([{ field: 'params.id', message: 'must be one of: integer or uuid' }]);
+
+    const badLimit = await api.get('/api/flowcharts?limit=many');
+    expect(badLimit.statusCode).toEqual(400);
+    expect(badLimit.body.details).toEqual([{ field: 'query.limit', message: 'must be an integer' }]);
+
+    const badEscape = await api.get('/api/flowcharts/%E0');
+    expect(badEscape.statusCode).toEqual(400);
+    expect(badEscape.body).toMatchObject({
+      code: 'INVALID_REQUEST',
+      details: [{ field: 'params.id', message: 'is not validly URL-encoded' }],
+    });
+  });
+
+  it('should find the documented paths whatever the working directory', () => {
+    const cwd = process.cwd();
+    try {
+      process.chdir(require('os').tmpdir());
+      jest.isolateModules(() => {
+        expect(Object.keys(require('../swagger').paths)).toContain('/api/flowcharts/{id}');
+      });
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  it('should use 404 and 409 codes for missing and duplicate resources', async () => {
+    const missing = await api.get('/api/flowcharts/424242');
+    expect(missing.statusCode).toEqual(404);
+    expect(missing.body).toMatchObject({ code: 'NOT_FOUND', message: 'Flowchart not found' });
+
+    expect((await api.post('/api/flowcharts').send({ ...chart, _id: 4242 })).statusCode).toEqual(201);
+    const duplicate = await api.post('/api/flowcharts').send({ ...chart, _id: 4242 });
+    expect(duplicate.statusCode).toEqual(409);
+    expect(duplicate.body).toMatchObject({
+      code: 'DUPLICATE_KEY',
+      message: 'Duplicate _id. A flowchart with this _id already exists.',
+      details: [{ field: '_id', message: 'is already taken' }],
+    });
+  });
+
+  it('should answer server failures with 500 without leaking the cause', async () => {
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const find = jest.spyOn(Flowchart, 'find').mockImplementationOnce(() => { throw new Error('connection reset'); });
+    try {
+      const res = await api.get('/api/flowcharts');
+      expect(res.statusCode).toEqual(500);
+      expect(res.body).toEqual({ code: 'INTERNAL_ERROR', message: 'Server error', requestId: res.headers['x-request-id'] });
+      expect(logged).toHaveBeenCalled();
+    } finally {
+      find.mockRestore();
+      logged.mockRestore();
+    }
+  });
+});
+
+describe('createValidator', () => {
+  const spec = {
+    components: {
+      schemas: {
+        Item: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            _id: { type: 'integer', readOnly: true },
+            name: { type: 'string', minLength: 1 },
+            parent: { type: 'string', nullable: true },
+          },
+        },
+      },
+    },
+    paths: {
+      '/items/{id}': {
+        put: {
+          parameters: [
+            { in: 'path', name: 'id', required: true, schema: { type: 'integer' } },
+            { in: 'query', name: 'force', schema: { type: 'boolean' } },
+          ],
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } },
+        },
+      },
+      '/items/recent': {
+        put: {},
+      },
+    },
+  };
+  const { validate, findOperation } = createValidator(spec);
+  const req = (path, body, query = {}) => ({ method: 'PUT', baseUrl: '', path, body, query });
+
+  it('should prefer literal path segments over parameters', () => {
+    expect(findOperation('PUT', '/items/recent').params).toEqual({});
+    expect(findOperation('PUT', '/items/7').params).toEqual({ id: '7' });
+    expect(findOperation('GET', '/items/7')).toBeNull();
+  });
+
+  it('should coerce parameters and ignore read-only properties', () => {
+    expect(validate(req('/items/7', { _id: 'server-side', name: 'A', parent: null }, { force: 'true' }))).toEqual([]);
+    expect(validate(req('/items/x', { name: '' }, { force: 'yes' }))).toEqual([
+      { field: 'params.id', message: 'must be an integer' },
+      { field: 'query.force', message: 'must be a boolean' },
+      { field: 'body.name', message: 'must be at least 1 character' },
+    ]);
+    expect(validate(req('/items/7', {}))).toEqual([{ field: 'body', message: 'is required' }]);
+  });
+});
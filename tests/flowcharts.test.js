@@ -1,8 +1,22 @@
 // tests/flowcharts.test.js
+const zlib = require('zlib');
 const request = require('supertest');
 const app = require('../app');
 const mongoose = require('mongoose');
 const Flowchart = require('../models/Flowchart');
+const swaggerSpec = require('../swagger');
+const { purgeTrash } = require('../utils/trashPurge');
+const { MAX_EXPANDED_NODES } = require('../utils/subflows');
+
+// Agent that sends the test user's token; every flowchart route needs one
+let api;
+
+const register = async (name) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `${name}@example.com`, name, password: 'correct horse' });
+  return { user: res.body.user, agent: request.agent(app).set('Authorization', `Bearer ${res.body.token}`) };
+};
 
 beforeAll(async () => {
   const mongoURI = 'mongodb://localhost:27017/flowchartdb_test'; // Use a separate test DB
@@ -10,6 +24,7 @@ beforeAll(async () => {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   });
+  ({ agent: api } = await register('alice'));
 });
 
 afterAll(async () => {
@@ -21,7 +36,7 @@ describe('Flowchart API', () => {
   let flowchartId;
 
   it('should create a new flowchart', async () => {
-    const res = await request(app)
+    const res = await api
       .post('/api/flowcharts')
       .send({
         name: 'Test Flowchart',
@@ -34,13 +49,13 @@ describe('Flowchart API', () => {
   });
 
   it('should fetch the created flowchart', async () => {
-    const res = await request(app).get(`/api/flowcharts/${flowchartId}`);
+    const res = await api.get(`/api/flowcharts/${flowchartId}`);
     expect(res.statusCode).toEqual(200);
     expect(res.body).toHaveProperty('name', 'Test Flowchart');
   });
 
   it('should update the flowchart', async () => {
-    const res = await request(app)
+    const res = await api
       .put(`/api/flowcharts/${flowchartId}`)
       .send({
         name: 'Updated Flowchart',
@@ -60,22 +75,1467 @@ describe('Flowchart API', () => {
   });
 
   it('should fetch outgoing edges for node "2"', async () => {
-    const res = await request(app).get(`/api/flowcharts/${flowchartId}/edges/2/outgoing`);
+    const res = await api.get(`/api/flowcharts/${flowchartId}/edges/2/outgoing`);
     expect(res.statusCode).toEqual(200);
     expect(res.body.length).toBe(1);
     expect(res.body[0]).toHaveProperty('target', '3');
   });
 
   it('should fetch connected nodes from node "1"', async () => {
-    const res = await request(app).get(`/api/flowcharts/${flowchartId}/connected/1`);
+    const res = await api.get(`/api/flowcharts/${flowchartId}/connected/1`);
     expect(res.statusCode).toEqual(200);
     expect(res.body.connectedNodes).toContain('2');
     expect(res.body.connectedNodes).toContain('3');
   });
 
   it('should delete the flowchart', async () => {
-    const res = await request(app).delete(`/api/flowcharts/${flowchartId}`);
+    const res = await api.delete(`/api/flowcharts/${flowchartId}`);
     expect(res.statusCode).toEqual(200);
     expect(res.body).toHaveProperty('message', 'Flowchart deleted');
   });
-});
\ No newline at end of file
+});
+describe('Flowchart node and edge sub-resources', () => {
+  const flowchartId = 101;
+  let edgeId;
+
+  beforeAll(async () => {
+    await api
+      .post('/api/flowcharts')
+      .send({
+        _id: flowchartId,
+        name: 'Sub-resource Flowchart',
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+        edges: [{ source: '1', target: '2' }],
+      });
+  });
+
+  it('should add a node', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/nodes`)
+      .send({ id: '3', label: 'Review' });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toHaveProperty('id', '3');
+  });
+
+  it('should reject a duplicate node id', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/nodes`)
+      .send({ id: '3', label: 'Again' });
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should rename a node', async () => {
+    const res = await api
+      .patch(`/api/flowcharts/${flowchartId}/nodes/3`)
+      .send({ label: 'Approve' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty('label', 'Approve');
+  });
+
+  it('should add an edge', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/edges`)
+      .send({ source: '2', target: '3' });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toHaveProperty('_id');
+    edgeId = res.body._id;
+  });
+
+  it('should reject an edge that creates a cycle', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/edges`)
+      .send({ source: '3', target: '1' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toHaveProperty('message', 'Graph contains a cycle');
+  });
+
+  it('should re-point an edge', async () => {
+    const res = await api
+      .patch(`/api/flowcharts/${flowchartId}/edges/${edgeId}`)
+      .send({ source: '1' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty('source', '1');
+  });
+
+  it('should delete a node together with its edges', async () => {
+    const res = await api.delete(`/api/flowcharts/${flowchartId}/nodes/1`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.removedEdges.length).toBe(2);
+
+    const chart = await api.get(`/api/flowcharts/${flowchartId}`);
+    expect(chart.body.nodes.length).toBe(2);
+    expect(chart.body.edges.length).toBe(0);
+  });
+
+  it('should return 404 for an unknown edge', async () => {
+    const res = await api.delete(`/api/flowcharts/${flowchartId}/edges/${edgeId}`);
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe('Flowchart version history', () => {
+  const flowchartId = 102;
+
+  beforeAll(async () => {
+    const bob = await register('bob');
+    await api
+      .post('/api/flowcharts')
+      .send({
+        _id: flowchartId,
+        name: 'Versioned Flowchart',
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'Process' }],
+        edges: [{ source: '1', target: '2' }],
+      });
+    await api
+      .put(`/api/flowcharts/${flowchartId}/shares`)
+      .send({ email: 'bob@example.com', role: 'editor' });
+    await bob.agent
+      .put(`/api/flowcharts/${flowchartId}`)
+      .set('X-Revision-Message', 'Add end step')
+      .send({
+        nodes: [
+          { id: '1', label: 'Start' },
+          { id: '2', label: 'Review' },
+          { id: '3', label: 'End' },
+        ],
+        edges: [
+          { source: '1', target: '2' },
+          { source: '2', target: '3' },
+        ],
+      });
+  });
+
+  it('should list revisions newest first', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/versions`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map(v => v.rev)).toEqual([2, 1]);
+    expect(res.body[0]).toHaveProperty('author', 'bob');
+    expect(res.body[0]).toHaveProperty('message', 'Add end step');
+  });
+
+  it('should fetch a single revision', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/versions/1`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.nodes.length).toBe(2);
+  });
+
+  it('should diff two revisions', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/versions/diff?from=1&to=2`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.nodes.added).toEqual([{ id: '3', label: 'End' }]);
+    expect(res.body.nodes.relabelled).toEqual([{ id: '2', from: 'Process', to: 'Review' }]);
+    expect(res.body.edges.added).toEqual([{ source: '2', target: '3' }]);
+    expect(res.body.edges.removed).toEqual([]);
+  });
+
+  it('should restore an earlier revision as a new revision', async () => {
+    const res = await api.post(`/api/flowcharts/${flowchartId}/versions/1/restore`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.nodes.length).toBe(2);
+    expect(res.body).toHaveProperty('revision', 3);
+
+    const versions = await api.get(`/api/flowcharts/${flowchartId}/versions`);
+    expect(versions.body[0]).toHaveProperty('message', 'Restored revision 1');
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/versions/42`);
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe('Flowchart optimistic concurrency', () => {
+  const flowchartId = 103;
+  let etag;
+
+  beforeAll(async () => {
+    await api
+      .post('/api/flowcharts')
+      .send({
+        _id: flowchartId,
+        name: 'Concurrent Flowchart',
+        nodes: [{ id: '1', label: 'Start' }],
+        edges: [],
+      });
+  });
+
+  it('should return the revision as an ETag', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers.etag).toEqual('"1"');
+    etag = res.headers.etag;
+  });
+
+  it('should accept a write with a matching If-Match', async () => {
+    const res = await api
+      .put(`/api/flowcharts/${flowchartId}`)
+      .set('If-Match', etag)
+      .send({ name: 'First Writer' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers.etag).toEqual('"2"');
+  });
+
+  it('should reject a stale write with 412 and the current state', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/nodes`)
+      .set('If-Match', etag)
+      .send({ id: '2', label: 'Second Writer' });
+    expect(res.statusCode).toEqual(412);
+    expect(res.body.current).toHaveProperty('name', 'First Writer');
+    expect(res.body.current).toHaveProperty('revision', 2);
+  });
+
+  it('should reject a stale delete', async () => {
+    const res = await api
+      .delete(`/api/flowcharts/${flowchartId}`)
+      .set('If-Match', etag);
+    expect(res.statusCode).toEqual(412);
+  });
+});
+
+describe('Flowchart validation', () => {
+  it('should dry-run validation and report all violations', async () => {
+    const res = await api
+      .post('/api/flowcharts/validate')
+      .send({
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }, { id: '3', label: 'Loose' }],
+        edges: [{ source: '1', target: '2' }, { source: '2', target: '1' }],
+      });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.valid).toBe(false);
+    expect(res.body.violations.map(v => v.code)).toEqual(['CYCLE', 'ORPHAN_NODE']);
+  });
+
+  it('should enforce the rules enabled on a flowchart', async () => {
+    const create = await api
+      .post('/api/flowcharts')
+      .send({
+        _id: 104,
+        name: 'Relaxed Flowchart',
+        validationRules: ['DANGLING_EDGE'],
+        nodes: [{ id: '1', label: 'Start' }],
+        edges: [],
+      });
+    expect(create.statusCode).toEqual(201);
+
+    const res = await api
+      .post('/api/flowcharts/104/edges')
+      .send({ source: '1', target: '1' });
+    expect(res.statusCode).toEqual(201);
+  });
+
+  it('should return violations when a write is rejected', async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({
+        _id: 105,
+        name: 'Broken Flowchart',
+        nodes: [{ id: '1', label: 'Start' }, { id: '1', label: 'Again' }],
+        edges: [],
+      });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toHaveProperty('code', 'DUPLICATE_NODE_ID');
+  });
+});
+
+describe('Cyclic graph mode', () => {
+  const flowchartId = 106;
+  const retryGraph = {
+    nodes: [
+      { id: '1', label: 'Start' },
+      { id: '2', label: 'Attempt' },
+      { id: '3', label: 'Check' },
+      { id: '4', label: 'Done' },
+    ],
+    edges: [
+      { source: '1', target: '2' },
+      { source: '2', target: '3' },
+      { source: '3', target: '2' },
+      { source: '3', target: '4' },
+    ],
+  };
+
+  it('should reject a loop in the default dag mode', async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({ _id: flowchartId, name: 'Retry Flowchart', ...retryGraph });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toHaveProperty('message', 'Graph contains a cycle');
+  });
+
+  it('should accept a loop in cyclic mode', async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({ _id: flowchartId, name: 'Retry Flowchart', graphMode: 'cyclic', ...retryGraph });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toHaveProperty('graphMode', 'cyclic');
+  });
+
+  it('should report loops when querying connected nodes', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/connected/1`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.connectedNodes).toEqual(['2', '3', '4']);
+    expect(res.body.stronglyConnectedComponents).toEqual([['2', '3']]);
+    expect(res.body.backEdges).toEqual([{ source: '3', target: '2' }]);
+  });
+
+  it('should refuse switching back to dag mode while loops exist', async () => {
+    const res = await api
+      .put(`/api/flowcharts/${flowchartId}`)
+      .send({ graphMode: 'dag' });
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe('Typed nodes and edges', () => {
+  const flowchartId = 107;
+
+  it('should store node types, metadata, positions and edge labels', async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({
+        _id: flowchartId,
+        name: 'Approval Flowchart',
+        nodes: [
+          { id: 's', label: 'Start', type: 'start', position: { x: 0, y: 0 } },
+          { id: 'd', label: 'Approved?', type: 'decision', data: { owner: 'finance' } },
+          { id: 'ok', label: 'Done', type: 'end' },
+          { id: 'ko', label: 'Rejected', type: 'end' },
+        ],
+        edges: [
+          { source: 's', target: 'd' },
+          { source: 'd', target: 'ok', label: 'yes', condition: 'approved' },
+          { source: 'd', target: 'ko', label: 'no' },
+        ],
+      });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.nodes[0]).toMatchObject({ type: 'start', position: { x: 0, y: 0 } });
+    expect(res.body.nodes[1].data).toEqual({ owner: 'finance' });
+    expect(res.body.edges[1]).toMatchObject({ label: 'yes', condition: 'approved' });
+  });
+
+  it('should reject an unlabelled decision branch', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/edges`)
+      .send({ source: 'd', target: 'ko' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations.map(v => v.code)).toContain('DECISION_BRANCHES');
+  });
+
+  it('should reject a second start node', async () => {
+    const res = await api
+      .patch(`/api/flowcharts/${flowchartId}/nodes/d`)
+      .send({ type: 'start' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toHaveProperty('code', 'START_NODE');
+  });
+
+  it('should let a typed chart be built one node at a time', async () => {
+    const id = 120;
+    await api.post('/api/flowcharts').send({ _id: id, name: 'Built Up', nodes: [], edges: [] });
+    const steps = [
+      ['nodes', { id: 'd', label: 'Approved?', type: 'decision' }],
+      ['nodes', { id: 'ok', label: 'Done', type: 'end' }],
+      ['edges', { source: 'd', target: 'ok', label: 'yes' }],
+      ['nodes', { id: 'ko', label: 'Rejected', type: 'end' }],
+      ['edges', { source: 'd', target: 'ko', label: 'no' }],
+      ['nodes', { id: 's', label: 'Start', type: 'start' }],
+      ['edges', { source: 's', target: 'd' }],
+    ];
+    for (const [resource, body] of steps) {
+      expect((await api.post(`/api/flowcharts/${id}/${resource}`).send(body)).statusCode).toEqual(201);
+    }
+
+    const chart = await api.get(`/api/flowcharts/${id}`);
+    const check = await api.post('/api/flowcharts/validate').send({ nodes: chart.body.nodes, edges: chart.body.edges });
+    expect(check.body).toEqual({ valid: true, violations: [] });
+    // Full writes still need a finished chart
+    const unfinished = await api.put(`/api/flowcharts/${id}`).send({
+      nodes: chart.body.nodes.filter(node => node.id !== 's'),
+      edges: chart.body.edges.filter(edge => edge.source !== 's'),
+    });
+    expect(unfinished.statusCode).toEqual(400);
+    expect(unfinished.body.violations[0]).toMatchObject({ code: 'START_NODE', severity: 'error' });
+  });
+
+  it('should reject an edge leaving an end node', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/edges`)
+      .send({ source: 'ok', target: 'ko' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toHaveProperty('code', 'END_NODE_OUTGOING');
+  });
+});
+
+describe('Path analysis', () => {
+  const flowchartId = 108;
+
+  beforeAll(async () => {
+    await api
+      .post('/api/flowcharts')
+      .send({
+        _id: flowchartId,
+        name: 'Diamond Flowchart',
+        nodes: [
+          { id: '1', label: 'Start' },
+          { id: '2', label: 'Left' },
+          { id: '3', label: 'Right' },
+          { id: '4', label: 'Join' },
+          { id: '5', label: 'End' },
+        ],
+        edges: [
+          { source: '1', target: '2' },
+          { source: '1', target: '3' },
+          { source: '2', target: '4' },
+          { source: '3', target: '4' },
+          { source: '4', target: '5' },
+          { source: '1', target: '5' },
+        ],
+      });
+  });
+
+  it('should find the shortest path', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/paths?from=1&to=4`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.shortestPath).toEqual(['1', '2', '4']);
+    expect(res.body).not.toHaveProperty('paths');
+  });
+
+  it('should list all simple paths up to the limit', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/paths?from=1&to=5&limit=10`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.shortestPath).toEqual(['1', '5']);
+    expect(res.body.paths).toEqual([['1', '2', '4', '5'], ['1', '3', '4', '5'], ['1', '5']]);
+
+    const limited = await api.get(`/api/flowcharts/${flowchartId}/paths?from=1&to=5&limit=1`);
+    expect(limited.body.paths.length).toBe(1);
+  });
+
+  it('should return a null shortest path when unreachable', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/paths?from=5&to=1`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.shortestPath).toBeNull();
+  });
+
+  it('should return 404 for an unknown node', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/paths?from=1&to=42`);
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should return the topological order', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/topological-order`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.order).toEqual(['1', '2', '3', '4', '5']);
+  });
+
+  it('should refuse a topological order for a cyclic chart', async () => {
+    const res = await api.get('/api/flowcharts/106/topological-order');
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.cycleNodes).toEqual(['2', '3', '4']);
+  });
+
+  it('should fetch upstream nodes', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/upstream/4`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.upstreamNodes.sort()).toEqual(['1', '2', '3']);
+  });
+
+  it('should report graph metrics', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/metrics`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({
+      nodeCount: 5,
+      edgeCount: 6,
+      startNodes: ['1'],
+      maxDepth: 2,
+      longestPath: { length: 3, nodeIds: ['1', '2', '4', '5'] },
+      cyclomaticComplexity: 3,
+      connectedComponents: [['1', '2', '3', '5', '4']],
+      unreachableNodes: [],
+      deadEnds: [],
+      fanOutHotspots: [],
+      lint: [],
+    });
+    expect(res.body.degrees[0]).toEqual({ nodeId: '1', in: 0, out: 3, depth: 0 });
+
+    const hotspots = await api.get(`/api/flowcharts/${flowchartId}/metrics?fanOutThreshold=3`);
+    expect(hotspots.body.fanOutHotspots).toEqual([{ nodeId: '1', out: 3 }]);
+    expect(hotspots.body.lint.map(finding => finding.code)).toEqual(['FAN_OUT_HOTSPOT']);
+  });
+});
+
+describe('Flowchart export', () => {
+  const flowchartId = 109;
+
+  beforeAll(async () => {
+    await api
+      .post('/api/flowcharts')
+      .send({
+        _id: flowchartId,
+        name: 'Export "Flowchart"',
+        nodes: [
+          { id: 'start', label: 'Start & <go>', type: 'start' },
+          { id: 'check', label: 'Is it "ok"?', type: 'decision' },
+          { id: 'end', label: 'Done', type: 'end' },
+          { id: 'retry', label: 'Fix', type: 'end' },
+        ],
+        edges: [
+          { source: 'start', target: 'check' },
+          { source: 'check', target: 'end', label: 'yes' },
+          { source: 'check', target: 'retry', label: 'no' },
+        ],
+      });
+  });
+
+  it('should export Mermaid with escaped labels', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/export?format=mermaid`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+    expect(res.text).toContain('flowchart TB');
+    expect(res.text).toContain('start(["Start & #lt;go#gt;"])');
+    expect(res.text).toContain('check{"Is it #quot;ok#quot;?"}');
+    // "end" is a Mermaid keyword, so that node is aliased
+    expect(res.text).toContain('check -->|"yes"| n2');
+  });
+
+  it('should export Graphviz DOT with escaped labels', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/export?format=dot&direction=LR`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.text).toContain('digraph "Export \\"Flowchart\\"" {');
+    expect(res.text).toContain('rankdir=LR;');
+    expect(res.text).toContain('"check" [label="Is it \\"ok\\"?", shape=diamond];');
+    expect(res.text).toContain('"check" -> "end" [label="yes"];');
+  });
+
+  it('should render an SVG server-side', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/export?format=svg`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toMatch(/image\/svg\+xml/);
+    const svg = res.body.toString();
+    expect(svg).toMatch(/^<svg /);
+    expect(svg).toContain('Start &amp; &lt;go&gt;');
+    expect((svg.match(/<polyline /g) || []).length).toBe(3);
+  });
+
+  it('should export portable JSON', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/export?format=json`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.nodes[0]).toEqual({ id: 'start', label: 'Start & <go>', type: 'start' });
+    expect(res.body.edges[1]).toEqual({ source: 'check', target: 'end', label: 'yes' });
+  });
+
+  it('should reject an unknown format', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/export?format=png`);
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe('Validation rules', () => {
+  it('should list the registered rules and accept exactly those in validationRules', async () => {
+    const res = await api.get('/api/flowcharts/rules');
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual(expect.arrayContaining([
+      expect.objectContaining({ code: 'CYCLE', severity: 'error', dagOnly: true }),
+      expect.objectContaining({ code: 'INVALID_CONDITION', always: true }),
+    ]));
+    expect(swaggerSpec.components.schemas.ValidationRuleCode.enum).toEqual(res.body.map(rule => rule.code));
+
+    const unknown = await api.post('/api/flowcharts').send({ name: 'Unknown rule', nodes: [], edges: [], validationRules: ['NO_SUCH_RULE'] });
+    expect(unknown.statusCode).toEqual(400);
+  });
+});
+
+describe('Flowchart import', () => {
+  const mermaid = [
+    'flowchart TB',
+    '  A([Start]) --> B{Approved?}',
+    '  B -->|yes| C([Done])',
+    '  B -->|no| A',
+  ].join('\n');
+
+  it('should preview an import without saving it', async () => {
+    const res = await api
+      .post('/api/flowcharts/import?preview=true')
+      .send({ format: 'mermaid', content: mermaid, graphMode: 'cyclic' });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.valid).toBe(true);
+    expect(res.body.nodes.map(n => n.type)).toEqual(['start', 'decision', 'end']);
+
+    const missing = await api.get('/api/flowcharts/110');
+    expect(missing.statusCode).toEqual(404);
+  });
+
+  it('should point validation violations at source lines', async () => {
+    const res = await api
+      .post('/api/flowcharts/import')
+      .send({ _id: 110, format: 'mermaid', content: mermaid });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toMatchObject({ code: 'CYCLE', lines: [2, 2] });
+  });
+
+  it('should reject sources that cannot be mapped', async () => {
+    const res = await api
+      .post('/api/flowcharts/import')
+      .send({ _id: 110, format: 'mermaid', content: `${mermaid}\n  D[[broken` });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.errors).toEqual([{ line: 5, message: 'Unterminated shape for node "D"' }]);
+  });
+
+  it('should reject compressed draw.io data that expands too far', async () => {
+    const bomb = zlib.deflateRawSync(Buffer.alloc(4 * 1024 * 1024, 'a')).toString('base64');
+    const res = await api
+      .post('/api/flowcharts/import')
+      .send({ format: 'drawio', content: `<mxfile><diagram name="Bomb">${bomb}</diagram></mxfile>` });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.errors[0].message).toMatch(/expands to more than/);
+  });
+
+  it('should import and save a flowchart', async () => {
+    const res = await api
+      .post('/api/flowcharts/import')
+      .send({ _id: 110, name: 'Imported', format: 'mermaid', content: mermaid, graphMode: 'cyclic' });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.flowchart).toHaveProperty('name', 'Imported');
+    expect(res.body.flowchart.edges.length).toBe(3);
+  });
+});
+
+describe('Flowchart listing', () => {
+  beforeAll(async () => {
+    const charts = [
+      { _id: 111, name: 'Listing Charlie', labels: ['Start', 'Review', 'Ship', 'End'] },
+      { _id: 112, name: 'Listing Alpha', labels: ['Start', 'End'] },
+      { _id: 113, name: 'Listing Bravo', labels: ['Start', 'Review', 'End'] },
+    ];
+    for (const { _id, name, labels } of charts) {
+      await api
+        .post('/api/flowcharts')
+        .send({
+          _id,
+          name,
+          nodes: labels.map((label, i) => ({ id: String(i), label })),
+          edges: labels.slice(1).map((_, i) => ({ source: String(i), target: String(i + 1) })),
+        });
+    }
+  });
+
+  it('should page through search results sorted by name', async () => {
+    const first = await api.get('/api/flowcharts?q=listing&sort=name&limit=2');
+    expect(first.statusCode).toEqual(200);
+    expect(first.body.map(f => f.name)).toEqual(['Listing Alpha', 'Listing Bravo']);
+    expect(first.headers['x-total-count']).toEqual('3');
+    expect(first.headers.link).toContain('page=2');
+
+    const second = await api.get('/api/flowcharts?q=listing&sort=name&limit=2&page=2');
+    expect(second.body.map(f => f.name)).toEqual(['Listing Charlie']);
+    expect(second.headers).not.toHaveProperty('x-next-cursor');
+    expect(second.headers.link).toContain('rel="prev"');
+  });
+
+  it('should follow cursors in descending order', async () => {
+    const first = await api.get('/api/flowcharts?q=listing&sort=-name&limit=2');
+    expect(first.body.map(f => f._id)).toEqual([111, 113]);
+
+    const cursor = first.headers['x-next-cursor'];
+    const second = await api.get(`/api/flowcharts?q=listing&sort=-name&limit=2&cursor=${cursor}`);
+    expect(second.body.map(f => f._id)).toEqual([112]);
+    expect(second.headers['x-total-count']).toEqual('3');
+  });
+
+  it('should filter by node label and node count', async () => {
+    const byLabel = await api.get('/api/flowcharts?q=listing&nodeLabel=review&sort=_id');
+    expect(byLabel.body.map(f => f._id)).toEqual([111, 113]);
+
+    const byCount = await api.get('/api/flowcharts?q=listing&minNodes=3&maxNodes=3');
+    expect(byCount.body.map(f => f._id)).toEqual([113]);
+  });
+
+  it('should return summaries instead of full graphs', async () => {
+    const res = await api.get('/api/flowcharts?q=listing&view=summary&sort=_id&limit=1');
+    expect(res.body).toEqual([expect.objectContaining({ _id: 111, nodeCount: 4, edgeCount: 3 })]);
+    expect(res.body[0]).not.toHaveProperty('nodes');
+  });
+
+  it('should reject invalid list parameters', async () => {
+    expect((await api.get('/api/flowcharts?sort=nodes')).statusCode).toEqual(400);
+    expect((await api.get('/api/flowcharts?limit=0')).statusCode).toEqual(400);
+    expect((await api.get('/api/flowcharts?cursor=bogus')).statusCode).toEqual(400);
+  });
+});
+
+describe('Flowchart identifiers', () => {
+  let created;
+
+  beforeAll(async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({ name: 'Allocated', nodes: [{ id: '1', label: 'Only' }], edges: [] });
+    created = res.body;
+  });
+
+  it('should allocate ids above every client-supplied id', async () => {
+    expect(created._id).toBeGreaterThan(113);
+
+    const next = await api
+      .post('/api/flowcharts')
+      .send({ name: 'Allocated too', nodes: [], edges: [] });
+    expect(next.statusCode).toEqual(201);
+    expect(next.body._id).toEqual(created._id + 1);
+  });
+
+  it('should resolve flowcharts by uuid', async () => {
+    expect(created.uuid).toMatch(/^[0-9a-f-]{36}$/);
+
+    const res = await api.get(`/api/flowcharts/${created.uuid}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body._id).toEqual(created._id);
+
+    const nodes = await api
+      .post(`/api/flowcharts/${created.uuid}/nodes`)
+      .send({ id: '2', label: 'Second' });
+    expect(nodes.statusCode).toEqual(201);
+  });
+
+  it('should reject unknown uuids and malformed ids', async () => {
+    const unknown = await api.get('/api/flowcharts/00000000-0000-4000-8000-000000000000');
+    expect(unknown.statusCode).toEqual(404);
+
+    const malformed = await api.get('/api/flowcharts/not-an-id');
+    expect(malformed.statusCode).toEqual(400);
+  });
+});
+
+describe('Authentication and sharing', () => {
+  let flowchartId;
+  let carol;
+  let dave;
+
+  beforeAll(async () => {
+    carol = await register('carol');
+    dave = await register('dave');
+    const res = await carol.agent
+      .post('/api/flowcharts')
+      .send({
+        name: 'Private Flowchart',
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+        edges: [{ source: '1', target: '2' }],
+      });
+    flowchartId = res.body._id;
+  });
+
+  it('should reject anonymous requests', async () => {
+    const res = await request(app).get('/api/flowcharts');
+    expect(res.statusCode).toEqual(401);
+
+    const bad = await request(app).get('/api/flowcharts').set('Authorization', 'Bearer not-a-jwt');
+    expect(bad.statusCode).toEqual(401);
+  });
+
+  it('should hide charts that are not shared with the caller', async () => {
+    const res = await dave.agent.get(`/api/flowcharts/${flowchartId}`);
+    expect(res.statusCode).toEqual(404);
+
+    const list = await dave.agent.get('/api/flowcharts?q=private');
+    expect(list.body).toEqual([]);
+
+    const own = await carol.agent.get('/api/flowcharts?q=private');
+    expect(own.body.map(f => f._id)).toEqual([flowchartId]);
+    expect(own.body[0]).toHaveProperty('owner', carol.user._id);
+  });
+
+  it('should let viewers read but not write', async () => {
+    const share = await carol.agent
+      .put(`/api/flowcharts/${flowchartId}/shares`)
+      .send({ email: 'dave@example.com', role: 'viewer' });
+    expect(share.statusCode).toEqual(200);
+    expect(share.body.shares).toEqual([{ user: dave.user._id, role: 'viewer' }]);
+
+    expect((await dave.agent.get(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(200);
+    const write = await dave.agent
+      .post(`/api/flowcharts/${flowchartId}/nodes`)
+      .send({ id: '3', label: 'Extra' });
+    expect(write.statusCode).toEqual(403);
+  });
+
+  it('should let editors write but not delete or reshare', async () => {
+    await carol.agent
+      .put(`/api/flowcharts/${flowchartId}/shares`)
+      .send({ email: 'dave@example.com', role: 'editor' });
+
+    const write = await dave.agent
+      .post(`/api/flowcharts/${flowchartId}/nodes`)
+      .send({ id: '3', label: 'Extra' });
+    expect(write.statusCode).toEqual(201);
+
+    const versions = await carol.agent.get(`/api/flowcharts/${flowchartId}/versions`);
+    expect(versions.body[0]).toHaveProperty('author', 'dave');
+
+    expect((await dave.agent.delete(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(403);
+    const reshare = await dave.agent
+      .put(`/api/flowcharts/${flowchartId}/shares`)
+      .send({ email: 'alice@example.com', role: 'viewer' });
+    expect(reshare.statusCode).toEqual(403);
+  });
+
+  it('should authenticate with API keys until they are revoked', async () => {
+    const created = await dave.agent.post('/api/auth/api-keys').send({ label: 'ci' });
+    expect(created.statusCode).toEqual(201);
+    expect(created.body.key).toMatch(/^fcm_/);
+
+    const withKey = await request(app)
+      .get(`/api/flowcharts/${flowchartId}`)
+      .set('X-API-Key', created.body.key);
+    expect(withKey.statusCode).toEqual(200);
+
+    await dave.agent.delete(`/api/auth/api-keys/${created.body._id}`);
+    const revoked = await request(app)
+      .get(`/api/flowcharts/${flowchartId}`)
+      .set('X-API-Key', created.body.key);
+    expect(revoked.statusCode).toEqual(401);
+  });
+
+  it('should stop sharing and let the owner delete', async () => {
+    const unshare = await carol.agent.delete(`/api/flowcharts/${flowchartId}/shares/${dave.user._id}`);
+    expect(unshare.body.shares).toEqual([]);
+    expect((await dave.agent.get(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(404);
+
+    expect((await carol.agent.delete(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(200);
+  });
+});
+
+describe('Trash', () => {
+  let flowchartId;
+
+  beforeAll(async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Disposable Flowchart',
+        nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+        edges: [{ source: '1', target: '2' }],
+      });
+    flowchartId = res.body._id;
+  });
+
+  it('should move deleted flowcharts to the trash', async () => {
+    const res = await api.delete(`/api/flowcharts/${flowchartId}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty('trashed', true);
+
+    expect((await api.get(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(404);
+    const list = await api.get('/api/flowcharts?q=disposable');
+    expect(list.body).toEqual([]);
+
+    const trash = await api.get('/api/flowcharts/trash?q=disposable&view=summary');
+    expect(trash.statusCode).toEqual(200);
+    expect(trash.body).toEqual([expect.objectContaining({ _id: flowchartId, deletedAt: expect.any(String) })]);
+  });
+
+  it('should restore flowcharts from the trash', async () => {
+    const res = await api.post(`/api/flowcharts/${flowchartId}/restore`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.deletedAt).toBeNull();
+    expect((await api.get(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(200);
+
+    const again = await api.post(`/api/flowcharts/${flowchartId}/restore`);
+    expect(again.statusCode).toEqual(400);
+  });
+
+  it('should purge flowcharts trashed longer than the retention period', async () => {
+    await api.delete(`/api/flowcharts/${flowchartId}`);
+
+    expect(await purgeTrash({ retentionDays: 30 })).toEqual([]);
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    expect(await purgeTrash({ retentionDays: 30, now: later })).toContain(flowchartId);
+
+    const trash = await api.get('/api/flowcharts/trash?q=disposable');
+    expect(trash.body).toEqual([]);
+  });
+
+  it('should delete permanently on request', async () => {
+    const created = await api
+      .post('/api/flowcharts')
+      .send({ name: 'Disposable Again', nodes: [], edges: [] });
+    const res = await api.delete(`/api/flowcharts/${created.body._id}?permanent=true`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty('trashed', false);
+
+    const trash = await api.get('/api/flowcharts/trash?q=disposable');
+    expect(trash.body).toEqual([]);
+  });
+});
+
+describe('Execution runs', () => {
+  let flowchartId;
+  let runId;
+
+  beforeAll(async () => {
+    const res = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Refund Process',
+        nodes: [
+          { id: 's', label: 'Request refund', type: 'start' },
+          { id: 'd', label: 'Large amount?', type: 'decision' },
+          { id: 'm', label: 'Manager review', type: 'process' },
+          { id: 'ok', label: 'Refunded', type: 'end' },
+        ],
+        edges: [
+          { source: 's', target: 'd' },
+          { source: 'd', target: 'm', label: 'yes', condition: 'amount > 1000' },
+          { source: 'd', target: 'ok', label: 'no' },
+          { source: 'm', target: 'ok' },
+        ],
+      });
+    flowchartId = res.body._id;
+  });
+
+  it('should start a run at the start node', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/runs`)
+      .send({ context: { amount: 5000 } });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ status: 'running', currentNode: 's', rev: 1, startedBy: 'alice' });
+    expect(res.body.node).toHaveProperty('label', 'Request refund');
+    expect(res.body.next).toEqual([expect.objectContaining({ source: 's', target: 'd' })]);
+    runId = res.body._id;
+  });
+
+  it('should follow edges by condition and record the history', async () => {
+    await api.post(`/api/flowcharts/${flowchartId}/runs/${runId}/advance`).send({});
+    const res = await api.post(`/api/flowcharts/${flowchartId}/runs/${runId}/advance`).send({});
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.currentNode).toEqual('m');
+    expect(res.body.history.map(step => step.via)).toEqual(['start', 'only', 'condition']);
+
+    const done = await api.post(`/api/flowcharts/${flowchartId}/runs/${runId}/advance`).send({});
+    expect(done.body).toMatchObject({ status: 'completed', currentNode: 'ok', next: [] });
+
+    const again = await api.post(`/api/flowcharts/${flowchartId}/runs/${runId}/advance`).send({});
+    expect(again.statusCode).toEqual(409);
+  });
+
+  it('should let the caller choose a branch and merge context', async () => {
+    const started = await api.post(`/api/flowcharts/${flowchartId}/runs`).send({});
+    const id = started.body._id;
+    await api.post(`/api/flowcharts/${flowchartId}/runs/${id}/advance`).send({});
+
+    const wrong = await api.post(`/api/flowcharts/${flowchartId}/runs/${id}/advance`).send({ label: 'maybe' });
+    expect(wrong.statusCode).toEqual(400);
+    expect(wrong.body.options.map(edge => edge.label)).toEqual(['yes', 'no']);
+
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/runs/${id}/advance`)
+      .send({ label: 'no', context: { reason: 'small' } });
+    expect(res.body).toMatchObject({ status: 'completed', currentNode: 'ok', context: { reason: 'small' } });
+    expect(res.body.history[2]).toMatchObject({ via: 'choice', edge: { label: 'no' } });
+  });
+
+  it('should return a persisted run and list runs', async () => {
+    const res = await api.get(`/api/flowcharts/${flowchartId}/runs/${runId}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ currentNode: 'ok', context: { amount: 5000 } });
+    expect(res.body.history).toHaveLength(4);
+
+    const list = await api.get(`/api/flowcharts/${flowchartId}/runs?status=completed`);
+    expect(list.body).toHaveLength(2);
+
+    expect((await api.get(`/api/flowcharts/${flowchartId}/runs/nope`)).statusCode).toEqual(404);
+  });
+
+  it('should refuse edge conditions that cannot be parsed when they are written', async () => {
+    const { body } = await api.get(`/api/flowcharts/${flowchartId}`);
+    const edge = body.edges.find(e => e.source === 'd' && e.target === 'm');
+    const res = await api
+      .patch(`/api/flowcharts/${flowchartId}/edges/${edge._id}`)
+      .send({ condition: 'amount >> 1000' });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toHaveProperty('code', 'INVALID_CONDITION');
+  });
+
+  it('should refuse unparseable conditions on charts with their own rule selection', async () => {
+    const graph = condition => ({
+      name: 'Custom rules',
+      nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+      edges: [{ source: '1', target: '2', condition }],
+    });
+    const broken = await api.post('/api/flowcharts').send({ ...graph('(('), validationRules: ['CYCLE'] });
+    expect(broken.statusCode).toEqual(400);
+    expect(broken.body.violations[0]).toHaveProperty('code', 'INVALID_CONDITION');
+
+    const selected = await api.post('/api/flowcharts').send({ ...graph('amount > 1'), validationRules: ['INVALID_CONDITION'] });
+    expect(selected.statusCode).toEqual(201);
+  });
+
+  it('should cancel a running run', async () => {
+    const started = await api.post(`/api/flowcharts/${flowchartId}/runs`).send({});
+    const res = await api.post(`/api/flowcharts/${flowchartId}/runs/${started.body._id}/cancel`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.status).toEqual('cancelled');
+  });
+});
+
+describe('Subflows', () => {
+  let childId;
+  let parentId;
+
+  beforeAll(async () => {
+    const child = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Payment Subflow',
+        nodes: [{ id: 'charge', label: 'Charge card' }, { id: 'receipt', label: 'Send receipt' }],
+        edges: [{ source: 'charge', target: 'receipt' }],
+      });
+    childId = child.body._id;
+
+    const parent = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Checkout',
+        nodes: [
+          { id: 'cart', label: 'Cart' },
+          { id: 'pay', label: 'Payment', subflow: childId },
+          { id: 'ship', label: 'Ship' },
+        ],
+        edges: [{ source: 'cart', target: 'pay' }, { source: 'pay', target: 'ship' }],
+      });
+    expect(parent.statusCode).toEqual(201);
+    parentId = parent.body._id;
+  });
+
+  it('should inline referenced charts with namespaced node ids', async () => {
+    const plain = await api.get(`/api/flowcharts/${parentId}`);
+    expect(plain.body.nodes.map(n => n.id)).toEqual(['cart', 'pay', 'ship']);
+
+    const res = await api.get(`/api/flowcharts/${parentId}?expand=true`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.nodes.map(n => n.id)).toEqual(['cart', 'pay/charge', 'pay/receipt', 'ship']);
+    expect(res.body.edges.map(e => `${e.source}->${e.target}`)).toEqual([
+      'cart->pay/charge', 'pay/receipt->ship', 'pay/charge->pay/receipt',
+    ]);
+    expect(res.body.subflows).toEqual([
+      expect.objectContaining({ nodeId: 'pay', flowchartId: childId, name: 'Payment Subflow' }),
+    ]);
+  });
+
+  it('should refuse expansions that multiply out past the node budget', async () => {
+    // 25 references to a chart of 25 references to a chart of 25 nodes
+    const fanOut = async (name, subflow) => {
+      const res = await api.post('/api/flowcharts').send({
+        name,
+        nodes: Array.from({ length: 25 }, (_, i) => ({ id: `n${i}`, label: `Step ${i}`, subflow })),
+        edges: [],
+      });
+      expect(res.statusCode).toEqual(201);
+      return res.body._id;
+    };
+    const top = await fanOut('Fan-out top', await fanOut('Fan-out middle', await fanOut('Fan-out leaf')));
+
+    const res = await api.get(`/api/flowcharts/${top}?expand=true`);
+    expect(res.statusCode).toEqual(422);
+    expect(res.body.message).toEqual(`Expanding the subflows gives more than ${MAX_EXPANDED_NODES} nodes`);
+    expect(res.body.violations[0].code).toEqual('SUBFLOW_TOO_LARGE');
+  });
+
+  it('should list the charts that use a flowchart', async () => {
+    const res = await api.get(`/api/flowcharts/${childId}/used-by`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual([expect.objectContaining({ _id: parentId, name: 'Checkout', nodeIds: ['pay'] })]);
+  });
+
+  it('should reject reference cycles across charts', async () => {
+    const res = await api
+      .patch(`/api/flowcharts/${childId}/nodes/receipt`)
+      .send({ subflow: parentId });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toMatchObject({ code: 'SUBFLOW_CYCLE', nodeIds: ['receipt'] });
+
+    const self = await api
+      .patch(`/api/flowcharts/${childId}/nodes/receipt`)
+      .send({ subflow: childId });
+    expect(self.statusCode).toEqual(400);
+  });
+
+  it('should reject references to missing charts', async () => {
+    const res = await api
+      .post(`/api/flowcharts/${parentId}/nodes`)
+      .send({ id: 'gift', label: 'Gift wrap', subflow: 999999 });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.violations[0]).toHaveProperty('code', 'SUBFLOW_NOT_FOUND');
+  });
+
+  it('should refuse to permanently delete a chart that is still used as a subflow', async () => {
+    await api.delete(`/api/flowcharts/${childId}`).expect(200);
+    const res = await api.delete(`/api/flowcharts/${childId}?permanent=true`);
+    expect(res.statusCode).toEqual(409);
+    expect(res.body).toMatchObject({ usedBy: [parentId] });
+
+    // A trashed referrer still holds on to it
+    await api.delete(`/api/flowcharts/${parentId}`).expect(200);
+    expect((await api.delete(`/api/flowcharts/${childId}?permanent=true`)).statusCode).toEqual(409);
+  });
+
+  it('should keep referenced charts when purging the trash', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await Flowchart.updateOne({ _id: childId }, { $set: { deletedAt: new Date(Date.now() - 40 * day) } });
+    expect(await purgeTrash({ retentionDays: 30 })).not.toContain(childId);
+    expect(await Flowchart.findById(childId)).not.toBeNull();
+
+    // Once the referrer expires as well, nothing holds the child back
+    const purged = await purgeTrash({ retentionDays: 30, now: new Date(Date.now() + 31 * day) });
+    expect(purged).toEqual(expect.arrayContaining([parentId, childId]));
+  });
+});
+
+describe('Bulk operations', () => {
+  const graph = name => ({
+    name,
+    nodes: [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+    edges: [{ source: '1', target: '2' }],
+  });
+  let existingId;
+  let doomedId;
+
+  beforeAll(async () => {
+    existingId = (await api.post('/api/flowcharts').send(graph('Bulk Existing'))).body._id;
+    doomedId = (await api.post('/api/flowcharts').send(graph('Bulk Doomed'))).body._id;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should apply a mixed batch and report each item', async () => {
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'create', flowchart: graph('Bulk Created') },
+          { op: 'update', id: existingId, revision: 1, flowchart: { name: 'Bulk Renamed' } },
+          { op: 'delete', id: doomedId },
+        ],
+      });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ mode: 'atomic', succeeded: 3, failed: 0 });
+    expect(res.body.results.map(r => [r.index, r.status])).toEqual([[0, 201], [1, 200], [2, 200]]);
+
+    const created = await api.get(`/api/flowcharts/${res.body.results[0]._id}`);
+    expect(created.body.name).toEqual('Bulk Created');
+    expect((await api.get(`/api/flowcharts/${existingId}`)).body).toMatchObject({ name: 'Bulk Renamed', revision: 2 });
+    expect((await api.get(`/api/flowcharts/${doomedId}`)).statusCode).toEqual(404);
+  });
+
+  it('should write nothing in atomic mode when any operation is invalid', async () => {
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'create', flowchart: graph('Never Created') },
+          { op: 'update', id: existingId, flowchart: { nodes: [{ id: '1', label: 'A' }], edges: [{ source: '1', target: 'x' }] } },
+          { op: 'update', id: existingId, flowchart: { name: 'Twice' } },
+        ],
+      });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body).toMatchObject({ succeeded: 0, failed: 3 });
+    expect(res.body.results[0]).toMatchObject({ index: 0, status: 424 });
+    expect(res.body.results[1]).toMatchObject({ index: 1, status: 400, violations: expect.any(Array) });
+    expect(res.body.results[2].message).toMatch(/more than once/);
+
+    const list = await api.get('/api/flowcharts?q=Never%20Created');
+    expect(list.body).toEqual([]);
+    expect((await api.get(`/api/flowcharts/${existingId}`)).body.revision).toEqual(2);
+  });
+
+  it('should apply the valid operations in best-effort mode', async () => {
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        mode: 'bestEffort',
+        operations: [
+          { op: 'create', flowchart: graph('Best Effort') },
+          { op: 'update', id: existingId, revision: 1, flowchart: { name: 'Stale' } },
+          { op: 'delete', id: 999999 },
+          { op: 'rename' },
+        ],
+      });
+    expect(res.statusCode).toEqual(207);
+    expect(res.body).toMatchObject({ mode: 'bestEffort', succeeded: 1, failed: 3 });
+    expect(res.body.results.map(r => r.status)).toEqual([201, 412, 404, 400]);
+    expect(res.body.results[1].revision).toEqual(2);
+  });
+
+  it('should roll back applied operations when a later write fails', async () => {
+    // A concurrent write lands between the checks and the final delete
+    jest.spyOn(Flowchart, 'updateOne').mockResolvedValueOnce({ matchedCount: 0 });
+    const target = (await api.post('/api/flowcharts').send(graph('Bulk Target'))).body._id;
+
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'create', flowchart: graph('Rolled Back') },
+          { op: 'update', id: existingId, flowchart: { name: 'Rolled Back Rename' } },
+          { op: 'delete', id: target },
+        ],
+      });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.results.map(r => r.status)).toEqual([424, 424, 409]);
+    expect(res.body.results[0].rolledBack).toBe(true);
+
+    expect((await api.get(`/api/flowcharts/${res.body.results[0]._id}`)).statusCode).toEqual(404);
+    const restored = await api.get(`/api/flowcharts/${existingId}`);
+    expect(restored.body).toMatchObject({ name: 'Bulk Renamed', revision: 4 });
+    expect((await api.get(`/api/flowcharts/${target}`)).body.deletedAt).toBeNull();
+  });
+
+  it('should roll back before reporting an unexpected write error', async () => {
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const target = (await api.post('/api/flowcharts').send(graph('Bulk Unlucky'))).body._id;
+    const before = (await api.get(`/api/flowcharts/${existingId}`)).body;
+    jest.spyOn(Flowchart, 'updateOne').mockRejectedValueOnce(new Error('connection reset'));
+
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'create', flowchart: graph('Never Kept') },
+          { op: 'update', id: existingId, flowchart: { name: 'Never Kept Rename' } },
+          { op: 'delete', id: target },
+        ],
+      });
+    expect(res.statusCode).toEqual(500);
+    expect(logged).toHaveBeenCalled();
+
+    expect((await api.get('/api/flowcharts?q=Never%20Kept')).body).toEqual([]);
+    expect((await api.get(`/api/flowcharts/${existingId}`)).body).toMatchObject({
+      name: before.name, revision: before.revision + 2,
+    });
+    expect((await api.get(`/api/flowcharts/${target}`)).body.deletedAt).toBeNull();
+  });
+
+  it('should report rollbacks that fail and still undo the rest', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const target = (await api.post('/api/flowcharts').send(graph('Bulk Conflicted'))).body._id;
+    // The delete meets a concurrent write, then undoing the create fails
+    jest.spyOn(Flowchart, 'updateOne').mockResolvedValueOnce({ matchedCount: 0 });
+    jest.spyOn(Flowchart, 'deleteOne').mockRejectedValueOnce(new Error('connection reset'));
+
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'create', flowchart: graph('Stuck Create') },
+          { op: 'update', id: existingId, flowchart: { name: 'Undone Rename' } },
+          { op: 'delete', id: target },
+        ],
+      });
+    // The batch is left partly applied, which is a server failure
+    expect(res.statusCode).toEqual(500);
+    expect(res.body.results.map(r => r.status)).toEqual([500, 424, 409]);
+    expect(res.body.results[0]).toMatchObject({ rolledBack: false, message: expect.stringMatching(/could not be rolled back/) });
+    expect(res.body.results[1].rolledBack).toBe(true);
+    expect((await api.get(`/api/flowcharts/${existingId}`)).body.name).not.toEqual('Undone Rename');
+  });
+
+  it('should catch the same chart named by _id and by uuid', async () => {
+    const { uuid } = (await api.get(`/api/flowcharts/${existingId}`)).body;
+    const res = await api
+      .post('/api/flowcharts/bulk')
+      .send({
+        operations: [
+          { op: 'update', id: existingId, flowchart: { name: 'First' } },
+          { op: 'delete', id: uuid },
+        ],
+      });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.results[1].message).toEqual(`Flowchart ${existingId} appears more than once in the batch`);
+  });
+
+  it('should reject malformed batches', async () => {
+    expect((await api.post('/api/flowcharts/bulk').send({ operations: [] })).statusCode).toEqual(400);
+    const res = await api.post('/api/flowcharts/bulk').send({ mode: 'yolo', operations: [{ op: 'delete', id: 1 }] });
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe('Templates and cloning', () => {
+  let templateId;
+  let erin;
+
+  beforeAll(async () => {
+    erin = await register('erin');
+    const res = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Onboarding',
+        nodes: [
+          { id: '1', label: 'Welcome to {{team}}', type: 'start' },
+          { id: '2', label: 'Meet {{ manager }}', type: 'process', data: { sla: '1d' } },
+          { id: '3', label: 'Done', type: 'end' },
+        ],
+        edges: [{ source: '1', target: '2' }, { source: '2', target: '3', label: 'ok' }],
+      });
+    templateId = res.body._id;
+  });
+
+  it('should clone a chart under a new id', async () => {
+    const res = await api.post(`/api/flowcharts/${templateId}/clone`).send({});
+    expect(res.statusCode).toEqual(201);
+    expect(res.body._id).not.toEqual(templateId);
+    expect(res.body).toMatchObject({ name: 'Copy of Onboarding', revision: 1, isTemplate: false });
+    expect(res.body.nodes.map(node => node.id)).toEqual(['1', '2', '3']);
+    expect(res.body.nodes[1].data).toEqual({ sla: '1d' });
+
+    const versions = await api.get(`/api/flowcharts/${res.body._id}/versions`);
+    expect(versions.body[0]).toHaveProperty('message', `Cloned from flowchart ${templateId} (revision 1)`);
+    expect((await api.get(`/api/flowcharts/${templateId}`)).body.revision).toEqual(1);
+  });
+
+  it('should regenerate node ids and rewire edges on request', async () => {
+    const res = await api.post(`/api/flowcharts/${templateId}/clone`).send({ name: 'Fresh ids', regenerateIds: true });
+    expect(res.statusCode).toEqual(201);
+    const [start, meet, done] = res.body.nodes;
+    expect(start.id).not.toEqual('1');
+    expect(res.body.edges.map(({ source, target, label }) => ({ source, target, label }))).toEqual([
+      { source: start.id, target: meet.id },
+      { source: meet.id, target: done.id, label: 'ok' },
+    ]);
+  });
+
+  it('should only clone charts the caller can see', async () => {
+    expect((await erin.agent.post(`/api/flowcharts/${templateId}/clone`).send({})).statusCode).toEqual(404);
+  });
+
+  it('should list templates in the catalogue once marked', async () => {
+    expect((await api.post(`/api/flowcharts/${templateId}/instantiate`).send({})).statusCode).toEqual(400);
+
+    const stale = await api.put(`/api/flowcharts/${templateId}/template`).set('If-Match', '"0"').send({ isTemplate: true });
+    expect(stale.statusCode).toEqual(412);
+    expect(stale.body.current).toMatchObject({ isTemplate: false, revision: 1 });
+
+    const marked = await api.put(`/api/flowcharts/${templateId}/template`).set('If-Match', '"1"').send({ isTemplate: true });
+    expect(marked.statusCode).toEqual(200);
+    expect(marked.headers.etag).toEqual('"1"');
+    expect(marked.body).toMatchObject({ isTemplate: true, revision: 1 });
+
+    const catalogue = await api.get('/api/flowcharts/templates?q=onboard');
+    expect(catalogue.statusCode).toEqual(200);
+    expect(catalogue.body).toEqual([expect.objectContaining({
+      _id: templateId, name: 'Onboarding', nodeCount: 3, parameters: ['team', 'manager'],
+    })]);
+    expect((await erin.agent.get('/api/flowcharts/templates')).body).toEqual([]);
+  });
+
+  it('should instantiate a template with parameter values', async () => {
+    const missing = await api.post(`/api/flowcharts/${templateId}/instantiate`).send({ parameters: { team: 'Sales' } });
+    expect(missing.statusCode).toEqual(400);
+    expect(missing.body).toMatchObject({
+      code: 'INVALID_REQUEST',
+      details: [{ field: 'body.parameters.manager', message: 'is required' }],
+    });
+
+    const res = await api
+      .post(`/api/flowcharts/${templateId}/instantiate`)
+      .send({ name: 'Sales onboarding', parameters: { team: 'Sales', manager: 'Dana' } });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ name: 'Sales onboarding', isTemplate: false });
+    expect(res.body.nodes.map(node => node.label)).toEqual(['Welcome to Sales', 'Meet Dana', 'Done']);
+  });
+
+  it('should not take parameter values from Object.prototype', async () => {
+    const { body: { _id: id } } = await api
+      .post('/api/flowcharts')
+      .send({ name: 'Prototype template', nodes: [{ id: '1', label: 'Build {{constructor}}' }], edges: [] })
+      .expect(201);
+    await api.put(`/api/flowcharts/${id}/template`).send({ isTemplate: true }).expect(200);
+
+    const missing = await api.post(`/api/flowcharts/${id}/instantiate`).send({ parameters: {} });
+    expect(missing.statusCode).toEqual(400);
+    expect(missing.body.details).toEqual([{ field: 'body.parameters.constructor', message: 'is required' }]);
+
+    const res = await api.post(`/api/flowcharts/${id}/instantiate`).send({ parameters: { constructor: 'a house' } });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.nodes[0].label).toEqual('Build a house');
+  });
+});
+
+describe('Auto-layout', () => {
+  let flowchartId;
+  let frank;
+
+  beforeAll(async () => {
+    frank = await register('frank');
+    const res = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Layout Flowchart',
+        nodes: [
+          { id: '1', label: 'Start' },
+          { id: '2', label: 'Left' },
+          { id: '3', label: 'Right' },
+          { id: '4', label: 'Join' },
+        ],
+        edges: [
+          { source: '1', target: '2' },
+          { source: '1', target: '3' },
+          { source: '2', target: '4' },
+          { source: '3', target: '4' },
+          { source: '1', target: '4' },
+        ],
+      });
+    flowchartId = res.body._id;
+    await api.put(`/api/flowcharts/${flowchartId}/shares`).send({ email: 'frank@example.com', role: 'viewer' });
+  });
+
+  it('should preview a layout without saving it', async () => {
+    const res = await frank.agent.post(`/api/flowcharts/${flowchartId}/layout?preview=true`).send({});
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).not.toHaveProperty('revision');
+    expect(Object.keys(res.body.positions).sort()).toEqual(['1', '2', '3', '4']);
+    // Edges point down the layers; 1 -> 4 skips a layer and bends through a dummy node
+    const { positions } = res.body;
+    res.body.edges.forEach(({ source, target }) => expect(positions[target].y).toBeGreaterThan(positions[source].y));
+    expect(res.body.edges.find(edge => edge.source === '1' && edge.target === '4').points).toHaveLength(3);
+
+    const chart = await api.get(`/api/flowcharts/${flowchartId}`);
+    expect(chart.body.revision).toEqual(1);
+    expect(chart.body.nodes[0].position).toBeUndefined();
+  });
+
+  it('should store the positions as a new revision', async () => {
+    expect((await frank.agent.post(`/api/flowcharts/${flowchartId}/layout`).send({})).statusCode).toEqual(403);
+
+    const res = await api
+      .post(`/api/flowcharts/${flowchartId}/layout`)
+      .set('If-Match', '"1"')
+      .send({ direction: 'LR', nodeSpacing: 20, layerSpacing: 100 });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ direction: 'LR', revision: 2 });
+    expect(res.headers.etag).toEqual('"2"');
+
+    const chart = await api.get(`/api/flowcharts/${flowchartId}`);
+    chart.body.nodes.forEach(node => expect(node.position).toEqual(res.body.positions[node.id]));
+    const x = id => res.body.positions[id].x;
+    expect(x('2')).toEqual(x('1') + 160 + 100);
+    const versions = await api.get(`/api/flowcharts/${flowchartId}/versions`);
+    expect(versions.body[0]).toHaveProperty('message', 'Auto-layout (LR)');
+  });
+
+  it('should wrap wide layers onto several rows', async () => {
+    const ids = Array.from({ length: 25 }, (_, i) => String(i + 1));
+    const wide = await api
+      .post('/api/flowcharts')
+      .send({
+        name: 'Wide Flowchart',
+        nodes: [{ id: '0', label: 'Fan out' }, ...ids.map(id => ({ id, label: `Task ${id}` }))],
+        edges: ids.map(id => ({ source: '0', target: id })),
+      });
+
+    const res = await api.post(`/api/flowcharts/${wide.body._id}/layout?preview=true`).send({ maxLayerSize: 10 });
+    expect(res.statusCode).toEqual(200);
+    const rows = new Set(ids.map(id => res.body.positions[id].y));
+    expect(rows.size).toEqual(3);
+    expect(res.body.width).toEqual(10 * 160 + 9 * 40);
+    expect((await api.post(`/api/flowcharts/${wide.body._id}/layout?preview=true`).send({ maxLayerSize: 0 })).statusCode)
+      .toEqual(400);
+  });
+});
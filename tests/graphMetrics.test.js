@@ -0,0 +1,63 @@
+// tests/graphMetrics.test.js
+const { graphMetrics } = require('../utils/graphMetrics');
+
+const node = (id, type) => ({ id, label: id, ...(type ? { type } : {}) });
+const edge = (source, target) => ({ source, target });
+
+describe('graphMetrics', () => {
+  it('should measure an empty chart', () => {
+    expect(graphMetrics([], [])).toMatchObject({
+      nodeCount: 0,
+      edgeCount: 0,
+      maxDepth: 0,
+      longestPath: { length: 0, nodeIds: [] },
+      cyclomaticComplexity: 0,
+      lint: [],
+    });
+  });
+
+  it('should walk each loop once for the longest path', () => {
+    const metrics = graphMetrics(
+      ['1', '2', '3', '4', '5'].map(id => node(id)),
+      [edge('1', '2'), edge('2', '3'), edge('3', '2'), edge('3', '4'), edge('4', '5')],
+    );
+    expect(metrics.longestPath).toEqual({ length: 4, nodeIds: ['1', '2', '3', '4', '5'] });
+    expect(metrics.cyclomaticComplexity).toEqual(2);
+    expect(metrics.maxDepth).toEqual(4);
+    expect(metrics.deadEnds).toEqual([]);
+  });
+
+  it('should measure nodes whose ids shadow Object.prototype members', () => {
+    const metrics = graphMetrics(
+      [node('constructor'), node('__proto__'), node('toString')],
+      [edge('constructor', '__proto__'), edge('__proto__', 'toString')],
+    );
+    expect(metrics.longestPath).toEqual({ length: 2, nodeIds: ['constructor', '__proto__', 'toString'] });
+    expect(metrics.maxDepth).toEqual(2);
+    expect(metrics.lint).toEqual([]);
+  });
+
+  it('should lint unreachable nodes, dead ends and disconnected parts', () => {
+    const metrics = graphMetrics(
+      [node('s', 'start'), node('a', 'process'), node('trap', 'process'), node('e', 'end'), node('x', 'process'), node('y', 'process')],
+      [edge('s', 'a'), edge('a', 'e'), edge('a', 'trap'), edge('trap', 'trap'), edge('x', 'y'), edge('y', 'e')],
+    );
+    expect(metrics.startNodes).toEqual(['s']);
+    expect(metrics.unreachableNodes).toEqual(['x', 'y']);
+    expect(metrics.deadEnds).toEqual(['trap']);
+    expect(metrics.connectedComponents).toEqual([['s', 'a', 'e', 'trap', 'y', 'x']]);
+    expect(metrics.degrees.find(degree => degree.nodeId === 'x')).toEqual({ nodeId: 'x', in: 0, out: 1, depth: null });
+    expect(metrics.lint.map(finding => [finding.code, finding.nodeIds])).toEqual([
+      ['UNREACHABLE_NODE', ['x']],
+      ['UNREACHABLE_NODE', ['y']],
+      ['DEAD_END', ['trap']],
+    ]);
+    expect(metrics.lint.every(finding => finding.severity === 'warning')).toBe(true);
+
+    const split = graphMetrics([node('1'), node('2'), node('3')], [edge('1', '2')]);
+    expect(split.connectedComponents).toEqual([['1', '2'], ['3']]);
+    expect(split.cyclomaticComplexity).toEqual(2);
+    expect(split.lint.find(finding => finding.code === 'DISCONNECTED_COMPONENT'))
+      .toMatchObject({ message: '1 node is not connected to the rest of the flowchart', nodeIds: ['3'] });
+  });
+});
@@ -0,0 +1,127 @@
+// tests/importFlowchart.test.js
+const zlib = require('zlib');
+const { importFlowchart } = require('../utils/importFlowchart');
+const { exportFlowchart } = require('../utils/exportFlowchart');
+
+const sample = {
+  name: 'Approval',
+  nodes: [
+    { id: 'start', label: 'Start & "go"', type: 'start' },
+    { id: 'check', label: 'Approved? #1', type: 'decision' },
+    { id: 'end', label: 'Done', type: 'end' },
+    { id: 'retry', label: 'Rework', type: 'end' },
+  ],
+  edges: [
+    { source: 'start', target: 'check' },
+    { source: 'check', target: 'end', label: 'yes' },
+    { source: 'check', target: 'retry', label: 'no <again>' },
+  ],
+};
+
+const drawioModel = `<mxGraphModel><root>
+  <mxCell id="0"/>
+  <mxCell id="1" parent="0"/>
+  <mxCell id="a" value="Start" style="ellipse;html=1;" vertex="1" parent="1">
+    <mxGeometry x="40" y="20" width="120" height="40" as="geometry"/>
+  </mxCell>
+  <mxCell id="b" value="Ok?&lt;br&gt;really" style="rhombus;html=1;" vertex="1" parent="1">
+    <mxGeometry x="40" y="100" width="120" height="80" as="geometry"/>
+  </mxCell>
+  <mxCell id="e1" edge="1" source="a" target="b" parent="1"><mxGeometry relative="1" as="geometry"/></mxCell>
+  <mxCell id="e2" edge="1" source="b" parent="1"><mxGeometry relative="1" as="geometry"/></mxCell>
+</root></mxGraphModel>`;
+
+describe('importFlowchart', () => {
+  it('should round-trip a Mermaid export', () => {
+    const { body } = exportFlowchart(sample, 'mermaid');
+    const parsed = importFlowchart(body, 'mermaid');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.nodes.map(n => [n.label, n.type])).toEqual(sample.nodes.map(n => [n.label, n.type]));
+    expect(parsed.edges.map(e => e.label)).toEqual([undefined, 'yes', 'no <again>']);
+  });
+
+  it('should not alias Mermaid ids onto ids other nodes already use', () => {
+    const { body } = exportFlowchart({
+      name: 'Clash',
+      nodes: [{ id: 'a b', label: 'Spaced' }, { id: 'n0', label: 'Real n0' }, { id: 'n0_1', label: 'Real n0_1' }],
+      edges: [{ source: 'a b', target: 'n0' }, { source: 'n0', target: 'n0_1' }],
+    }, 'mermaid');
+    const parsed = importFlowchart(body, 'mermaid');
+    expect(parsed.nodes.map(n => [n.id, n.label])).toEqual([['n0_2', 'Spaced'], ['n0', 'Real n0'], ['n0_1', 'Real n0_1']]);
+    expect(parsed.edges).toEqual([{ source: 'n0_2', target: 'n0' }, { source: 'n0', target: 'n0_1' }]);
+  });
+
+  it('should leave dangling edges out of Mermaid and DOT exports', () => {
+    const dangling = { ...sample, edges: [...sample.edges, { source: 'check', target: 'gone' }] };
+    for (const format of ['mermaid', 'dot']) {
+      const { body } = exportFlowchart(dangling, format);
+      expect(body).not.toMatch(/undefined|gone/);
+      expect(importFlowchart(body, format).edges).toHaveLength(sample.edges.length);
+    }
+  });
+
+  it('should round-trip a DOT export', () => {
+    const { body } = exportFlowchart(sample, 'dot');
+    const parsed = importFlowchart(body, 'dot');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.name).toBe('Approval');
+    expect(parsed.nodes).toEqual(sample.nodes);
+    expect(parsed.edges).toEqual(sample.edges);
+  });
+
+  it('should parse Mermaid link styles and report bad lines', () => {
+    const parsed = importFlowchart([
+      'graph LR',
+      '  A[Begin] -- go --> B & C',
+      '  B -.-> D; C ==> D',
+      '  style A fill:#f9f',
+      '  D[[broken',
+    ].join('\n'), 'mermaid');
+    expect(parsed.edges).toEqual([
+      { source: 'A', target: 'B', label: 'go' },
+      { source: 'A', target: 'C', label: 'go' },
+      { source: 'B', target: 'D' },
+      { source: 'C', target: 'D' },
+    ]);
+    expect(parsed.warnings).toEqual([{ line: 4, message: 'Ignored styling/interaction statement "style"' }]);
+    expect(parsed.errors).toEqual([{ line: 5, message: 'Unterminated shape for node "D"' }]);
+  });
+
+  it('should report DOT syntax errors with their line', () => {
+    const parsed = importFlowchart('digraph {\n  a -> b;\n  c = ;\n}\n', 'dot');
+    expect(parsed.edges).toEqual([{ source: 'a', target: 'b' }]);
+    expect(parsed.errors).toEqual([{ line: 3, message: 'Expected "id"' }]);
+  });
+
+  it('should skip # comments only at the start of a line and stay linear on long input', () => {
+    const parsed = importFlowchart('digraph {\n  # a -> c;\n  a -> b;\n}\n', 'dot');
+    expect(parsed.edges).toEqual([{ source: 'a', target: 'b' }]);
+
+    const started = Date.now();
+    importFlowchart(`digraph { ${'a#'.repeat(49000)} }`, 'dot');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('should parse draw.io XML including compressed diagrams', () => {
+    const plain = importFlowchart(`<mxfile><diagram name="Page-1">${drawioModel}</diagram></mxfile>`, 'drawio');
+    expect(plain.name).toBe('Page-1');
+    expect(plain.nodes).toEqual([
+      { id: 'a', label: 'Start', type: 'start', position: { x: 40, y: 20 } },
+      { id: 'b', label: 'Ok?\nreally', type: 'decision', position: { x: 40, y: 100 } },
+    ]);
+    expect(plain.edges).toEqual([{ source: 'a', target: 'b' }]);
+    expect(plain.errors).toEqual([{ line: 11, message: 'Edge "e2" is not connected at both ends' }]);
+
+    const compressed = zlib.deflateRawSync(Buffer.from(encodeURIComponent(drawioModel))).toString('base64');
+    const zipped = importFlowchart(`<mxfile><diagram name="Zipped">${compressed}</diagram></mxfile>`, 'drawio');
+    expect(zipped.nodes.length).toBe(2);
+    expect(zipped.edges.length).toBe(1);
+  });
+
+  it('should refuse compressed diagrams that expand too far', () => {
+    const bomb = zlib.deflateRawSync(Buffer.alloc(4 * 1024 * 1024, 'a')).toString('base64');
+    const parsed = importFlowchart(`<mxfile>\n<diagram name="Bomb">${bomb}</diagram></mxfile>`, 'drawio');
+    expect(parsed.nodes).toEqual([]);
+    expect(parsed.errors).toEqual([{ line: 2, message: 'Compressed diagram expands to more than 2048000 bytes' }]);
+  });
+});
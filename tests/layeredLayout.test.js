@@ -0,0 +1,59 @@
+// tests/layeredLayout.test.js
+const layeredLayout = require('../utils/layeredLayout');
+
+const node = id => ({ id, label: id });
+const edge = (source, target) => ({ source, target });
+
+describe('layeredLayout', () => {
+  const ids = Array.from({ length: 7 }, (_, i) => String(i + 1));
+  const fan = {
+    nodes: [node('0'), ...ids.map(node)],
+    edges: ids.map(id => edge('0', id)),
+  };
+
+  it('should place layers top to bottom and route edges between box borders', () => {
+    const layout = layeredLayout([node('1'), node('2'), node('3')], [edge('1', '2'), edge('2', '3'), edge('1', '3')]);
+    // The middle layer holds node 2 and the dummy, the others are centred on it
+    expect(layout.width).toEqual(2 * 160 + 40);
+    expect(layout.positions['1']).toEqual({ x: 100, y: 0 });
+    expect(layout.positions['2'].y).toEqual(60 + 80);
+    expect(layout.positions['3'].y).toEqual(2 * (60 + 80));
+    expect(layout.height).toEqual(3 * 60 + 2 * 80);
+    // 1 -> 3 skips a layer and bends through a dummy node
+    const skip = layout.edges.find(({ edge: { source, target } }) => source === '1' && target === '3');
+    expect(skip.points).toHaveLength(3);
+    expect(skip.points[0].y).toEqual(60);
+    expect(skip.points[2].y).toEqual(2 * (60 + 80));
+  });
+
+  it('should run layers left to right with direction LR', () => {
+    const layout = layeredLayout([node('1'), node('2')], [edge('1', '2')], { direction: 'LR', layerSpacing: 100 });
+    expect(layout.positions).toEqual({ 1: { x: 0, y: 0 }, 2: { x: 160 + 100, y: 0 } });
+    expect(layout).toMatchObject({ width: 2 * 160 + 100, height: 60 });
+    expect(layout.edges[0].points).toEqual([{ x: 160, y: 30 }, { x: 260, y: 30 }]);
+  });
+
+  it('should wrap wide layers onto rows of maxLayerSize', () => {
+    const layout = layeredLayout(fan.nodes, fan.edges, { maxLayerSize: 3 });
+    const rows = new Set(ids.map(id => layout.positions[id].y));
+    expect([...rows]).toEqual(expect.arrayContaining([140, 280, 420]));
+    expect(rows.size).toEqual(3);
+    expect(layout.width).toEqual(3 * 160 + 2 * 40);
+    expect(layout.height).toEqual(4 * 60 + 3 * 80);
+
+    const sideways = layeredLayout(fan.nodes, fan.edges, { maxLayerSize: 3, direction: 'LR' });
+    expect(new Set(ids.map(id => sideways.positions[id].x)).size).toEqual(3);
+    expect(sideways.height).toEqual(3 * 60 + 2 * 40);
+  });
+
+  it('should ignore option values that cannot be laid out', () => {
+    const unwrapped = layeredLayout(fan.nodes, fan.edges);
+    [0, -2, 0.5, NaN, '3', null].forEach((maxLayerSize) => {
+      expect(layeredLayout(fan.nodes, fan.edges, { maxLayerSize })).toEqual(unwrapped);
+    });
+    expect(layeredLayout(fan.nodes, fan.edges, { maxLayerSize: 3.7 }).width).toEqual(3 * 160 + 2 * 40);
+    expect(layeredLayout(fan.nodes, fan.edges, {
+      nodeWidth: 0, nodeHeight: -1, nodeSpacing: -40, layerSpacing: Infinity, sweeps: 'many',
+    })).toEqual(unwrapped);
+  });
+});
@@ -0,0 +1,4 @@
+// tests/setup.js
+// The suite runs on the in-memory storage driver unless STORAGE_DRIVER says
+// otherwise (e.g. STORAGE_DRIVER=mongodb npm test against a local MongoDB)
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
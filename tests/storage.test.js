@@ -0,0 +1,115 @@
+// tests/storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { matches, applyUpdate, project } = require('../utils/memoryQuery');
+const { MemoryDatabase, databaseName, checkDriverSupport } = require('../utils/memoryDriver');
+const { configureStorage } = require('../utils/storage');
+
+describe('memoryQuery', () => {
+  const id = new mongoose.Types.ObjectId();
+  const doc = {
+    _id: 7,
+    name: 'Checkout',
+    owner: id,
+    nodes: [{ id: 'a', label: 'Start' }, { id: 'b', label: 'Pay', subflow: 3 }],
+    deletedAt: null,
+    createdAt: new Date('2024-01-02T00:00:00Z'),
+  };
+
+  it('should match fields, array elements and operators like MongoDB', () => {
+    expect(matches(doc, { owner: new mongoose.Types.ObjectId(id.toHexString()) })).toBe(true);
+    expect(matches(doc, { 'nodes.id': 'b' })).toBe(true);
+    expect(matches(doc, { 'nodes.subflow': { $in: [3, 4] } })).toBe(true);
+    expect(matches(doc, { deletedAt: null, revision: null })).toBe(true);
+    expect(matches(doc, { revision: { $in: [0, null] } })).toBe(true);
+    expect(matches(doc, { createdAt: { $gte: new Date('2024-01-01T00:00:00Z') } })).toBe(true);
+    expect(matches(doc, { name: /check/i, _id: { $gt: '6' } })).toBe(false);
+    expect(matches(doc, { $or: [{ _id: 1 }, { 'nodes.label': { $regex: '^pa', $options: 'i' } }] })).toBe(true);
+    expect(matches(doc, { $expr: { $gte: [{ $size: { $ifNull: ['$nodes', []] } }, 2] } })).toBe(true);
+  });
+
+  it('should apply update operators on nested paths', () => {
+    const updated = applyUpdate(JSON.parse(JSON.stringify(doc)), {
+      $set: { 'nodes.1.label': 'Charge' },
+      $unset: { 'nodes.1.subflow': 1 },
+      $inc: { revision: 1 },
+      $push: { nodes: { $each: [{ id: 'c', label: 'End' }] } },
+      $max: { score: 5 },
+    });
+    expect(updated.nodes.map(n => n.label)).toEqual(['Start', 'Charge', 'End']);
+    expect(updated.nodes[1]).not.toHaveProperty('subflow');
+    expect(updated).toMatchObject({ revision: 1, score: 5 });
+    expect(() => applyUpdate({}, { $bit: { flags: { and: 1 } } })).toThrow('not supported');
+  });
+
+  it('should project included and excluded paths', () => {
+    expect(project(doc, { name: 1, 'nodes.id': 1 })).toEqual({ _id: 7, name: 'Checkout', nodes: [{ id: 'a' }, { id: 'b' }] });
+    expect(Object.keys(project(doc, { nodes: 0, createdAt: 0 }))).toEqual(['_id', 'name', 'owner', 'deletedAt']);
+  });
+});
+
+describe('memory storage driver', () => {
+  let file;
+
+  afterEach(() => {
+    if (file && fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('should take the database name from the connection string', () => {
+    expect(databaseName('mongodb://localhost:27017/flowchartdb_test?retryWrites=true')).toEqual('flowchartdb_test');
+    expect(databaseName('memory://scratch')).toEqual('scratch');
+    expect(databaseName('flowchartdb')).toEqual('flowchartdb');
+  });
+
+  it('should enforce unique indexes', async () => {
+    const db = new MemoryDatabase('unique');
+    const users = db.collection('users');
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insertOne({ email: 'ann@example.com' });
+    await expect(users.insertOne({ email: 'ann@example.com' })).rejects.toMatchObject({ code: 11000 });
+
+    const charts = db.collection('flowcharts');
+    await charts.createIndex({ uuid: 1 }, { unique: true, sparse: true });
+    await charts.insertOne({ _id: 1 });
+    await charts.insertOne({ _id: 2 });
+    await expect(charts.insertOne({ _id: 2 })).rejects.toMatchObject({ code: 11000 });
+    await charts.updateOne({ _id: 1 }, { $set: { uuid: 'a' } });
+    await expect(charts.updateOne({ _id: 2 }, { $set: { uuid: 'a' } })).rejects.toMatchObject({ code: 11000 });
+    expect(await charts.findOne({ _id: 2 })).toEqual({ _id: 2 });
+  });
+
+  it('should keep a file-backed database across restarts', async () => {
+    file = path.join(os.tmpdir(), `flowchart-storage-${process.pid}.json`);
+    const owner = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+    await new MemoryDatabase('persisted', file).collection('flowcharts').insertOne({ _id: 1, owner, createdAt });
+
+    const reloaded = await new MemoryDatabase('persisted', file).collection('flowcharts').findOne({ _id: 1, owner });
+    expect(reloaded.owner.equals(owner)).toBe(true);
+    expect(reloaded.createdAt).toEqual(createdAt);
+  });
+
+  it('should refuse options it would otherwise ignore', async () => {
+    const charts = new MemoryDatabase('options').collection('flowcharts');
+    await charts.insertOne({ _id: 1, name: 'Checkout' });
+    await expect(charts.find({ name: 'checkout' }, { collation: { locale: 'en', strength: 2 } }).toArray())
+      .rejects.toThrow('The collation option is not supported by the memory storage driver');
+    await expect(charts.updateOne({ _id: 1 }, { $set: { 'nodes.$[n].label': 'x' } }, { arrayFilters: [{ 'n.id': 'a' }] }))
+      .rejects.toThrow('arrayFilters');
+    await expect(charts.deleteMany({}, { hint: { _id: 1 } })).rejects.toThrow('hint');
+    expect(await charts.findOne({ _id: 1 })).toEqual({ _id: 1, name: 'Checkout' });
+  });
+
+  it('should only run on the Mongoose versions it was written for', () => {
+    expect(() => checkDriverSupport()).not.toThrow();
+    expect(() => checkDriverSupport('8.10.0')).toThrow('does not support Mongoose 8.10.0');
+    class Changed {}
+    expect(() => checkDriverSupport(mongoose.version, Changed)).toThrow('missing createClient, doClose, onOpen');
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => configureStorage('postgres')).toThrow('STORAGE_DRIVER must be one of: mongodb, memory.');
+  });
+});
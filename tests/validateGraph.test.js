@@ -0,0 +1,187 @@
+// tests/validateGraph.test.js
+const validateGraph = require('../utils/validateGraph');
+const { registerRule } = require('../utils/graphRules');
+
+const codes = result => result.violations.map(v => v.code);
+
+describe('validateGraph', () => {
+  it('should accept a valid graph', () => {
+    const result = validateGraph(
+      [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+      [{ source: '1', target: '2' }],
+    );
+    expect(result).toEqual({ valid: true, violations: [] });
+  });
+
+  it('should refuse edge conditions that cannot be parsed', () => {
+    const result = validateGraph(
+      [{ id: '1', label: 'Start' }, { id: '2', label: 'Big' }, { id: '3', label: 'Small' }],
+      [{ source: '1', target: '2', condition: 'amount >' }, { source: '1', target: '3', condition: 'amount <= 1000' }],
+    );
+    expect(result.valid).toBe(false);
+    expect(result.violations).toEqual([{
+      code: 'INVALID_CONDITION',
+      severity: 'error',
+      message: 'Invalid condition on edge from "1" to "2": Unexpected end of condition',
+      nodeIds: ['1', '2'],
+      edges: [{ source: '1', target: '2' }],
+    }]);
+  });
+
+  it('should check edge conditions whatever rules are selected', () => {
+    const result = validateGraph(
+      [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }],
+      [{ source: '1', target: '2', condition: '((' }],
+      { rules: ['CYCLE'] },
+    );
+    expect(codes(result)).toEqual(['INVALID_CONDITION']);
+  });
+
+  it('should report every violation at once', () => {
+    const result = validateGraph(
+      [
+        { id: '1', label: 'A' },
+        { id: '1', label: 'A again' },
+        { id: '2', label: 'B' },
+        { id: '3', label: 'C' },
+        { id: '4', label: 'Lonely' },
+      ],
+      [
+        { source: '1', target: '2' },
+        { source: '1', target: '2' },
+        { source: '2', target: '3' },
+        { source: '3', target: '1' },
+        { source: '3', target: '3' },
+        { source: '3', target: '9' },
+      ],
+    );
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Edge references invalid nodes');
+    expect(codes(result)).toEqual([
+      'DANGLING_EDGE',
+      'DUPLICATE_NODE_ID',
+      'DUPLICATE_EDGE',
+      'SELF_LOOP',
+      'CYCLE',
+      'ORPHAN_NODE',
+    ]);
+
+    const cycle = result.violations.find(v => v.code === 'CYCLE');
+    expect(cycle.severity).toBe('error');
+    expect(cycle.nodeIds).toEqual(['1', '2', '3']);
+    expect(cycle.edges).toEqual([{ source: '3', target: '1' }]);
+
+    const orphan = result.violations.find(v => v.code === 'ORPHAN_NODE');
+    expect(orphan.severity).toBe('warning');
+    expect(orphan.nodeIds).toEqual(['4']);
+  });
+
+  it('should check node types on typed charts', () => {
+    const result = validateGraph(
+      [
+        { id: 's1', label: 'Start', type: 'start' },
+        { id: 's2', label: 'Start again', type: 'start' },
+        { id: 'd', label: 'Approved?', type: 'decision' },
+        { id: 'e', label: 'End', type: 'end' },
+        { id: 'p', label: 'Archive', type: 'process' },
+      ],
+      [
+        { source: 's1', target: 'd' },
+        { source: 's2', target: 'd' },
+        { source: 'd', target: 'e', label: 'yes' },
+        { source: 'd', target: 'p' },
+        { source: 'e', target: 'p' },
+      ],
+    );
+    expect(result.valid).toBe(false);
+    expect(codes(result)).toEqual(['START_NODE', 'END_NODE_OUTGOING', 'DECISION_BRANCHES']);
+
+    const start = result.violations.find(v => v.code === 'START_NODE');
+    expect(start.nodeIds).toEqual(['s1', 's2']);
+    const decision = result.violations.find(v => v.code === 'DECISION_BRANCHES');
+    expect(decision.edges).toEqual([{ source: 'd', target: 'p' }]);
+  });
+
+  it('should only warn about an unfinished typed chart for partial edits', () => {
+    const nodes = [{ id: 'd', label: 'Approved?', type: 'decision' }, { id: 'ok', label: 'Done', type: 'end' }];
+    const edges = [{ source: 'd', target: 'ok', label: 'yes' }];
+    expect(validateGraph(nodes, edges).valid).toBe(false);
+
+    const partial = validateGraph(nodes, edges, { partial: true });
+    expect(partial.valid).toBe(true);
+    expect(partial.violations.map(v => [v.code, v.severity])).toEqual([['START_NODE', 'warning'], ['DECISION_BRANCHES', 'warning']]);
+    expect(partial.violations[0]).not.toHaveProperty('incomplete');
+
+    const unlabelled = validateGraph(nodes, [{ source: 'd', target: 'ok' }], { partial: true });
+    expect(unlabelled.violations.find(v => v.code === 'DECISION_BRANCHES').severity).toEqual('error');
+  });
+
+  it('should accept a well-formed typed chart', () => {
+    const result = validateGraph(
+      [
+        { id: 's', label: 'Start', type: 'start' },
+        { id: 'd', label: 'Approved?', type: 'decision' },
+        { id: 'ok', label: 'Done', type: 'end' },
+        { id: 'ko', label: 'Rejected', type: 'end' },
+      ],
+      [
+        { source: 's', target: 'd' },
+        { source: 'd', target: 'ok', label: 'yes', condition: 'approved' },
+        { source: 'd', target: 'ko', label: 'no' },
+      ],
+    );
+    expect(result).toEqual({ valid: true, violations: [] });
+  });
+
+  it('should treat warnings as valid', () => {
+    const result = validateGraph(
+      [{ id: '1', label: 'Start' }, { id: '2', label: 'End' }, { id: '3', label: 'Loose' }],
+      [{ source: '1', target: '2' }],
+    );
+    expect(result.valid).toBe(true);
+    expect(codes(result)).toEqual(['ORPHAN_NODE']);
+  });
+
+  it('should only run the enabled rules', () => {
+    const result = validateGraph(
+      [{ id: '1', label: 'A' }, { id: '2', label: 'B' }, { id: '3', label: 'C' }],
+      [{ source: '1', target: '2' }, { source: '2', target: '1' }],
+      { rules: ['DANGLING_EDGE'] },
+    );
+    expect(result).toEqual({ valid: true, violations: [] });
+  });
+
+  it('should reject unknown rule codes', () => {
+    const result = validateGraph([], [], { rules: ['NO_SUCH_RULE'] });
+    expect(result.valid).toBe(false);
+    expect(codes(result)).toEqual(['UNKNOWN_RULE']);
+  });
+
+  it('should treat ids named like Object.prototype members as plain ids', () => {
+    const ids = ['constructor', 'toString', '__proto__', 'hasOwnProperty'];
+    const nodes = ids.map(id => ({ id, label: id }));
+    const chain = ids.slice(1).map((id, i) => ({ source: ids[i], target: id }));
+    expect(validateGraph(nodes, chain)).toEqual({ valid: true, violations: [] });
+    expect(codes(validateGraph(nodes, [...chain, { source: '__proto__', target: 'toString' }]))).toEqual(['CYCLE']);
+    expect(codes(validateGraph(nodes.slice(1), [{ source: 'constructor', target: 'toString' }])))
+      .toEqual(['DANGLING_EDGE', 'ORPHAN_NODE', 'ORPHAN_NODE']);
+  });
+
+  it('should run custom registered rules', () => {
+    registerRule({
+      code: 'TEST_MAX_NODES',
+      severity: 'error',
+      description: 'At most two nodes',
+      check: ({ nodes }) => (nodes.length > 2
+        ? [{ message: 'Too many nodes', nodeIds: nodes.map(n => n.id), edges: [] }]
+        : []),
+    });
+    const result = validateGraph(
+      [{ id: '1', label: 'A' }, { id: '2', label: 'B' }, { id: '3', label: 'C' }],
+      [],
+      { rules: ['TEST_MAX_NODES'] },
+    );
+    expect(result.valid).toBe(false);
+    expect(result.message).toBe('Too many nodes');
+  });
+});
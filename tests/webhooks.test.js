@@ -0,0 +1,229 @@
+// tests/webhooks.test.js
+const http = require('http');
+const crypto = require('crypto');
+const dns = require('dns');
+const request = require('supertest');
+
+// The local receiver below is on loopback, which hooks may only reach when allowed
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+const app = require('../app');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const { retryDueDeliveries } = require('../utils/webhooks');
+
+const register = async (name) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `${name}@example.com`, name, password: 'correct horse' });
+  return { user: res.body.user, agent: request.agent(app).set('Authorization', `Bearer ${res.body.token}`) };
+};
+
+// Local receiver standing in for a downstream system. It answers with the
+// queued status codes (200 once the queue is empty) and hands every request
+// to whoever is waiting in received().
+let receiver;
+let receiverUrl;
+const statuses = [];
+const inbox = [];
+const waiting = [];
+
+const received = () => (inbox.length ? Promise.resolve(inbox.shift()) : new Promise(resolve => waiting.push(resolve)));
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i += 1) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for condition');
+};
+
+beforeAll(async () => {
+  const mongoURI = 'mongodb://localhost:27017/flowchartdb_webhooks_test'; // Use a separate test DB
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      res.writeHead(statuses.shift() || 200).end();
+      const delivery = { headers: req.headers, body, json: JSON.parse(body) };
+      if (waiting.length) waiting.shift()(delivery);
+      else inbox.push(delivery);
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+describe('Webhooks', () => {
+  let henry;
+  let ivy;
+  let webhook;
+  let flowchartId;
+
+  beforeAll(async () => {
+    henry = await register('henry');
+    ivy = await register('ivy');
+  });
+
+  it('should register webhooks and return the secret once', async () => {
+    const invalid = await henry.agent.post('/api/webhooks').send({ url: 'ftp://example.com', events: ['flowchart.created'] });
+    expect(invalid.statusCode).toEqual(400);
+    const noEvents = await henry.agent.post('/api/webhooks').send({ url: receiverUrl, events: [] });
+    expect(noEvents.statusCode).toEqual(400);
+
+    const res = await henry.agent
+      .post('/api/webhooks')
+      .send({
+        url: receiverUrl,
+        events: ['flowchart.created', 'flowchart.updated', 'flowchart.deleted', 'flowchart.restored'],
+      });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.secret).toMatch(/^whsec_/);
+    webhook = res.body;
+
+    const list = await henry.agent.get('/api/webhooks');
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).not.toHaveProperty('secret');
+    expect((await ivy.agent.get(`/api/webhooks/${webhook._id}`)).statusCode).toEqual(404);
+  });
+
+  it('should refuse URLs that point at internal addresses', async () => {
+    const internal = [
+      'http://10.0.0.5/hooks',
+      'http://172.20.1.1/hooks',
+      'http://192.168.1.10/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://127.0.0.2:8080/hooks',
+      'http://[::1]/hooks',
+      'http://[::ffff:10.0.0.5]/hooks',
+      'http://0.0.0.0/hooks',
+      'http://100.100.100.200/latest/meta-data',
+      'http://198.18.0.1/hooks',
+      'http://224.0.0.1/hooks',
+      'http://255.255.255.255/hooks',
+      'http://[64:ff9b::a00:5]/hooks',
+    ];
+    for (const url of internal) {
+      const res = await henry.agent.post('/api/webhooks').send({ url, events: ['flowchart.created'] });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toMatch(/^url must not point at a private or local address/);
+    }
+
+    const patched = await henry.agent.patch(`/api/webhooks/${webhook._id}`).send({ url: 'http://10.0.0.5/hooks' });
+    expect(patched.statusCode).toEqual(400);
+    expect((await henry.agent.get('/api/webhooks')).body).toHaveLength(1);
+  });
+
+  it('should deliver signed events for charts the owner can see', async () => {
+    // Ivy's chart is invisible to Henry, so the first delivery is Henry's own
+    await ivy.agent.post('/api/flowcharts').send({ name: 'Private', nodes: [], edges: [] });
+    const created = await henry.agent
+      .post('/api/flowcharts')
+      .send({ name: 'Docs Flow', nodes: [{ id: '1', label: 'Start' }], edges: [] });
+    flowchartId = created.body._id;
+
+    const delivery = await received();
+    expect(delivery.headers['x-webhook-event']).toEqual('flowchart.created');
+    expect(delivery.json).toMatchObject({ event: 'flowchart.created', actor: 'henry', flowchart: { _id: flowchartId, name: 'Docs Flow' } });
+
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+    expect(delivery.headers['x-webhook-signature']).toEqual(`sha256=${expected}`);
+  });
+
+  it('should send updated, deleted and restored events', async () => {
+    await henry.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Docs Flow v2' });
+    expect((await received()).json).toMatchObject({ event: 'flowchart.updated', flowchart: { name: 'Docs Flow v2', revision: 2 } });
+
+    await henry.agent.delete(`/api/flowcharts/${flowchartId}`);
+    const deleted = (await received()).json;
+    expect(deleted).toMatchObject({ event: 'flowchart.deleted', permanent: false });
+    expect(deleted.flowchart.deletedAt).toEqual(expect.any(String));
+
+    await henry.agent.post(`/api/flowcharts/${flowchartId}/restore`);
+    expect((await received()).json).toMatchObject({ event: 'flowchart.restored', flowchart: { deletedAt: null } });
+  });
+
+  it('should retry failed deliveries with backoff and log every attempt', async () => {
+    statuses.push(500);
+    await henry.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Docs Flow v3' });
+    await received();
+
+    const pending = await waitFor(async () => {
+      const log = await henry.agent.get(`/api/webhooks/${webhook._id}/deliveries?status=pending`);
+      return log.body.length && log.body[0].attempts.length ? log.body[0] : null;
+    });
+    expect(pending.attempts[0]).toMatchObject({ statusCode: 500, error: 'Receiver responded with 500' });
+    expect(new Date(pending.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+
+    expect(await retryDueDeliveries()).toEqual([]);
+    const later = new Date(Date.now() + 60 * 1000);
+    const [retried] = await retryDueDeliveries({ now: later });
+    expect(retried.status).toEqual('succeeded');
+    expect((await received()).headers['x-webhook-delivery']).toEqual(pending._id);
+
+    const log = await henry.agent.get(`/api/webhooks/${webhook._id}/deliveries`);
+    expect(log.body[0]).toMatchObject({ _id: pending._id, status: 'succeeded' });
+    expect(log.body[0].attempts.map(a => a.statusCode)).toEqual([500, 200]);
+  });
+
+  it('should check the address again before every delivery', async () => {
+    // As if the host name had been re-pointed at an internal address since registration
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { url: 'http://10.0.0.5/hooks' } });
+    await henry.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Docs Flow internal' });
+    const blocked = await waitFor(async () => {
+      const log = await henry.agent.get(`/api/webhooks/${webhook._id}/deliveries?status=pending`);
+      return log.body.length && log.body[0].attempts.length ? log.body[0] : null;
+    });
+    expect(blocked.attempts[0].error).toEqual('url must not point at a private or local address (10.0.0.5)');
+    expect(blocked.attempts[0]).not.toHaveProperty('statusCode');
+
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { url: receiverUrl } });
+    const [retried] = await retryDueDeliveries({ now: new Date(Date.now() + 60 * 1000) });
+    expect(retried.status).toEqual('succeeded');
+    expect((await received()).json.flowchart.name).toEqual('Docs Flow internal');
+  });
+
+  it('should connect to the address it checked', async () => {
+    // The name only resolves through this lookup, so the delivery can only
+    // arrive if the connection reuses the checked address
+    const port = receiver.address().port;
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { url: `http://hooks.example.invalid:${port}/hooks` } });
+    const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValueOnce([{ address: '127.0.0.1', family: 4 }]);
+    try {
+      await henry.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Docs Flow pinned' });
+      const delivery = await received();
+      expect(delivery.headers.host).toEqual(`hooks.example.invalid:${port}`);
+      expect(delivery.json.flowchart.name).toEqual('Docs Flow pinned');
+      expect(lookup).toHaveBeenCalledTimes(1);
+    } finally {
+      lookup.mockRestore();
+      await Webhook.updateOne({ _id: webhook._id }, { $set: { url: receiverUrl } });
+    }
+  });
+
+  it('should redeliver and stop sending once deactivated', async () => {
+    const log = await henry.agent.get(`/api/webhooks/${webhook._id}/deliveries?limit=1`);
+    const res = await henry.agent.post(`/api/webhooks/${webhook._id}/deliveries/${log.body[0]._id}/redeliver`);
+    expect(res.statusCode).toEqual(202);
+    expect((await received()).json).toEqual(log.body[0].payload);
+
+    const patched = await henry.agent.patch(`/api/webhooks/${webhook._id}`).send({ active: false });
+    expect(patched.body.active).toBe(false);
+    await henry.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Quiet Update' });
+    await henry.agent.patch(`/api/webhooks/${webhook._id}`).send({ active: true });
+    await henry.agent.put(`/api/flowcharts/${flowchartId}`).send({ name: 'Loud Update' });
+    expect((await received()).json.flowchart.name).toEqual('Loud Update');
+  });
+});
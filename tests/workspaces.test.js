@@ -0,0 +1,183 @@
+// tests/workspaces.test.js
+const request = require('supertest');
+const app = require('../app');
+const mongoose = require('mongoose');
+
+const register = async (name) => {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email: `${name}@example.com`, name, password: 'correct horse' });
+  return { user: res.body.user, agent: request.agent(app).set('Authorization', `Bearer ${res.body.token}`) };
+};
+
+beforeAll(async () => {
+  const mongoURI = 'mongodb://localhost:27017/flowchartdb_workspaces_test'; // Use a separate test DB
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+describe('Workspaces and folders', () => {
+  let admin;
+  let member;
+  let workspaceId;
+  let processes;
+  let billing;
+  let flowchartId;
+
+  beforeAll(async () => {
+    admin = await register('grace');
+    member = await register('heidi');
+  });
+
+  it('should create a workspace with the caller as admin', async () => {
+    const res = await admin.agent.post('/api/workspaces').send({ name: 'Operations' });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.members).toEqual([{ user: admin.user._id, role: 'admin' }]);
+    workspaceId = res.body._id;
+
+    const hidden = await member.agent.get(`/api/workspaces/${workspaceId}`);
+    expect(hidden.statusCode).toEqual(404);
+  });
+
+  it('should create nested folders with unique names per parent', async () => {
+    processes = (await admin.agent
+      .post(`/api/workspaces/${workspaceId}/folders`)
+      .send({ name: 'Processes' })).body;
+    const res = await admin.agent
+      .post(`/api/workspaces/${workspaceId}/folders`)
+      .send({ name: 'Billing', parentId: processes._id });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.parent).toEqual(processes._id);
+    billing = res.body;
+
+    const duplicate = await admin.agent
+      .post(`/api/workspaces/${workspaceId}/folders`)
+      .send({ name: 'Billing', parentId: processes._id });
+    expect(duplicate.statusCode).toEqual(409);
+
+    const children = await admin.agent.get(`/api/workspaces/${workspaceId}/folders?parentId=${processes._id}`);
+    expect(children.body.map(f => f.name)).toEqual(['Billing']);
+  });
+
+  it('should rename and move folders but not into their own subtree', async () => {
+    const cycle = await admin.agent
+      .patch(`/api/workspaces/${workspaceId}/folders/${processes._id}`)
+      .send({ parentId: billing._id });
+    expect(cycle.statusCode).toEqual(400);
+
+    const moved = await admin.agent
+      .patch(`/api/workspaces/${workspaceId}/folders/${billing._id}`)
+      .send({ name: 'Invoicing', parentId: null });
+    expect(moved.statusCode).toEqual(200);
+    expect(moved.body).toMatchObject({ name: 'Invoicing', parent: null });
+
+    const topLevel = await admin.agent.get(`/api/workspaces/${workspaceId}/folders?parentId=root`);
+    expect(topLevel.body.map(f => f.name)).toEqual(['Invoicing', 'Processes']);
+  });
+
+  it('should file flowcharts in folders and list them by folder', async () => {
+    const res = await admin.agent
+      .post('/api/flowcharts')
+      .send({ name: 'Send invoice', nodes: [{ id: '1', label: 'Send' }], edges: [], folderId: billing._id });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ workspace: workspaceId, folder: billing._id });
+    flowchartId = res.body._id;
+
+    await admin.agent
+      .post('/api/flowcharts')
+      .send({ name: 'Unfiled', nodes: [], edges: [] });
+
+    const list = await admin.agent.get(`/api/flowcharts?folderId=${billing._id}`);
+    expect(list.body.map(f => f.name)).toEqual(['Send invoice']);
+  });
+
+  it('should give workspace members access to filed flowcharts', async () => {
+    expect((await member.agent.get(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(404);
+
+    await admin.agent
+      .put(`/api/workspaces/${workspaceId}/members`)
+      .send({ email: 'heidi@example.com', role: 'viewer' });
+    expect((await member.agent.get(`/api/flowcharts/${flowchartId}`)).statusCode).toEqual(200);
+    const list = await member.agent.get(`/api/flowcharts?workspaceId=${workspaceId}`);
+    expect(list.body.map(f => f._id)).toEqual([flowchartId]);
+
+    const write = await member.agent
+      .post(`/api/flowcharts/${flowchartId}/nodes`)
+      .send({ id: '2', label: 'Remind' });
+    expect(write.statusCode).toEqual(403);
+    const folder = await member.agent
+      .post(`/api/workspaces/${workspaceId}/folders`)
+      .send({ name: 'Mine' });
+    expect(folder.statusCode).toEqual(403);
+  });
+
+  it('should file imported flowcharts where the request says', async () => {
+    const content = 'flowchart TB\n  A([Start]) --> B([End])\n';
+    const res = await admin.agent
+      .post('/api/flowcharts/import')
+      .send({ format: 'mermaid', content, workspaceId });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.flowchart).toMatchObject({ workspace: workspaceId, folder: null });
+
+    const viewer = await member.agent
+      .post('/api/flowcharts/import')
+      .send({ format: 'mermaid', content, folderId: billing._id });
+    expect(viewer.statusCode).toEqual(403);
+  });
+
+  it('should only delete empty folders', async () => {
+    const blocked = await admin.agent.delete(`/api/workspaces/${workspaceId}/folders/${billing._id}`);
+    expect(blocked.statusCode).toEqual(409);
+    expect(blocked.body).toMatchObject({ subfolders: 0, flowcharts: 1 });
+
+    const moved = await admin.agent
+      .put(`/api/flowcharts/${flowchartId}/folder`)
+      .send({ folderId: processes._id });
+    expect(moved.body).toMatchObject({ workspace: workspaceId, folder: processes._id });
+
+    const deleted = await admin.agent.delete(`/api/workspaces/${workspaceId}/folders/${billing._id}`);
+    expect(deleted.statusCode).toEqual(200);
+  });
+
+  it('should move the charts of a deleted folder to the trash on request', async () => {
+    const forbidden = await member.agent
+      .delete(`/api/workspaces/${workspaceId}/folders/${processes._id}?trashFlowcharts=true`);
+    expect(forbidden.statusCode).toEqual(403);
+
+    const res = await admin.agent
+      .delete(`/api/workspaces/${workspaceId}/folders/${processes._id}?trashFlowcharts=true`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.trashedFlowcharts).toEqual([flowchartId]);
+
+    // The folder route writes the charts itself, so it audits them as well
+    const action = 'DELETE /api/workspaces/:workspaceId/folders/:folderId';
+    let record;
+    for (let i = 0; i < 100 && !record; i += 1) {
+      if (i) await new Promise(resolve => setTimeout(resolve, 20));
+      const audit = await admin.agent.get(`/api/audit?flowchartId=${flowchartId}`);
+      record = audit.body.find(r => r.action === action);
+    }
+    expect(record).toMatchObject({
+      actor: { user: admin.user._id },
+      statusCode: 200,
+      path: `/api/workspaces/${workspaceId}/folders/${processes._id}?trashFlowcharts=true`,
+      before: { folder: processes._id, deletedAt: null },
+      after: { folder: processes._id, deletedAt: expect.any(String) },
+    });
+
+    const restored = await admin.agent.post(`/api/flowcharts/${flowchartId}/restore`);
+    expect(restored.body).toMatchObject({ workspace: workspaceId, folder: null });
+  });
+
+  it('should keep at least one admin', async () => {
+    const res = await admin.agent.delete(`/api/workspaces/${workspaceId}/members/${admin.user._id}`);
+    expect(res.statusCode).toEqual(400);
+  });
+});
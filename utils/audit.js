@@ -0,0 +1,150 @@
+// utils/audit.js
+// Audit trail for mutating flowchart requests. The middleware records, once
+// the response has been sent, who made the call, what it was, which chart it
+// touched and a summary of the chart before and after. The "before" summary
+// is captured by the flowchart router's id param handler (req.auditBefore),
+// since that is where the chart is first loaded; calls turned away before
+// that are matched to their chart by URL.
+const { validate: isUuid } = require('uuid');
+const Flowchart = require('../models/Flowchart');
+const AuditLog = require('../models/AuditLog');
+const { displayName } = require('./auth');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Fields needed for auditSummary
+const AUDIT_SELECT = 'name revision nodes.id edges.source workspace folder deletedAt';
+
+const auditSummary = flowchart => (flowchart ? {
+  name: flowchart.name,
+  revision: flowchart.revision || 0,
+  nodeCount: (flowchart.nodes || []).length,
+  edgeCount: (flowchart.edges || []).length,
+  workspace: flowchart.workspace || null,
+  folder: flowchart.folder || null,
+  deletedAt: flowchart.deletedAt || null,
+} : null);
+
+// "PATCH /api/flowcharts/:id/nodes/:nodeId" rather than the concrete URL, so
+// records of the same kind can be grouped. Nested routers (runs) have the
+// chart id in their base URL. Requests turned away by request validation
+// never reach a route and are named by their documented path instead.
+const actionFor = (req) => {
+  let path;
+  if (req.route) path = `${req.baseUrl.replace(/^(\/api\/flowcharts)\/[^/]+/, '$1/:id')}${req.route.path}`;
+  else if (req.operationPath) path = req.operationPath.replace(/\{([^}]+)\}/g, ':$1');
+  else path = req.originalUrl.split('?')[0];
+  return `${req.method} ${path.length > 1 ? path.replace(/\/+$/, '') : path}`;
+};
+
+// Creates report the new chart in the response body
+const createdId = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  const flowchart = body.flowchart || body;
+  return typeof flowchart._id === 'number' ? flowchart._id : null;
+};
+
+// The chart named in the URL, for requests that were answered before the id
+// param handler ran (request validation)
+const CHART_URL = /^\/api\/flowcharts\/([^/?]+)/;
+const chartFromUrl = (url) => {
+  const match = CHART_URL.exec(url);
+  let id;
+  try {
+    id = match && decodeURIComponent(match[1]);
+  } catch (err) {
+    return null;
+  }
+  if (!id) return null;
+  let filter;
+  if (isUuid(id)) filter = { uuid: id.toLowerCase() };
+  else if (/^\d+$/.test(id)) filter = { _id: Number(id) };
+  else return null;
+  return Flowchart.findOne(filter).select(`_id ${AUDIT_SELECT}`).lean();
+};
+
+const actorFor = user => (user ? { user: user._id, name: displayName(user) } : undefined);
+
+// Where the call came from. WebSocket upgrades are plain Node requests without
+// Express' req.ip and req.id.
+const requestDetails = req => ({
+  path: req.originalUrl || req.url,
+  requestId: req.id,
+  ip: req.ip || (req.socket && req.socket.remoteAddress),
+  userAgent: req.headers['user-agent'],
+});
+
+const logAuditFailure = record => (err) => {
+  console.error(`Audit write failed for ${record.action} ${record.path}${record.requestId ? ` (request ${record.requestId})` : ''}:`, err);
+};
+
+const auditRecord = async (req, res, flowchartId, before) => {
+  let after = before;
+  if (flowchartId !== null && res.statusCode < 400) {
+    after = auditSummary(await Flowchart.findById(flowchartId).select(AUDIT_SELECT).lean());
+  }
+  return {
+    actor: actorFor(req.user),
+    action: actionFor(req),
+    ...requestDetails(req),
+    statusCode: res.statusCode,
+    flowchartId,
+    before,
+    after,
+  };
+};
+
+// Requests that write several charts (bulk) set req.auditEntries to one
+// { flowchartId, before } per chart and get one record each
+const recordAudit = async (req, res) => {
+  if (req.auditEntries && req.auditEntries.length) {
+    const records = await Promise.all(req.auditEntries
+      .map(({ flowchartId, before }) => auditRecord(req, res, flowchartId, before || null)));
+    await AuditLog.insertMany(records);
+    return;
+  }
+  let flowchartId = req.auditFlowchartId !== undefined ? req.auditFlowchartId : createdId(res.locals.auditBody);
+  let before = req.auditBefore || null;
+  if (flowchartId === null) {
+    const flowchart = await chartFromUrl(req.originalUrl);
+    if (flowchart) {
+      flowchartId = flowchart._id;
+      before = auditSummary(flowchart);
+    }
+  }
+  await AuditLog.create(await auditRecord(req, res, flowchartId, before));
+};
+
+// Chart changes made outside the audited flowchart routes: live edits over
+// the collaboration socket and charts trashed along with a folder. `req` is
+// the request that caused them; each change is { action, flowchartId,
+// before, after }. Failures are logged, never thrown, as the change has
+// already been made.
+const auditChanges = (req, user, changes) => {
+  if (!changes.length) return Promise.resolve();
+  const records = changes.map(change => ({ actor: actorFor(user), ...requestDetails(req), statusCode: 200, ...change }));
+  return AuditLog.insertMany(records).then(() => {}, logAuditFailure(records[0]));
+};
+
+// Middleware for the flowchart routes. `skip(req)` excludes POSTs that do
+// not change anything, such as dry-run validation.
+const auditFlowchartWrites = ({ skip = () => false } = {}) => (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method) || skip(req)) return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditBody = body;
+    return json(body);
+  };
+  res.on('finish', () => {
+    recordAudit(req, res).catch(logAuditFailure({ action: actionFor(req), ...requestDetails(req) }));
+  });
+  next();
+};
+
+module.exports = {
+  AUDIT_SELECT,
+  auditSummary,
+  auditChanges,
+  auditFlowchartWrites,
+};
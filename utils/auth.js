@@ -0,0 +1,90 @@
+// utils/auth.js
+// Password hashing, JWT issuing and the middleware that identifies the caller
+// from either "Authorization: Bearer <jwt>" or an "X-API-Key" header.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Tokens signed with a publicly known secret could be forged by anyone, so
+// the built-in one is only used when NODE_ENV is test or development
+const DEV_ENVIRONMENTS = ['test', 'development'];
+if (!process.env.JWT_SECRET && !DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+  throw new Error('JWT_SECRET must be set unless NODE_ENV is test or development.');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'flowchart-manager-dev-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const API_KEY_PREFIX = 'fcm_';
+
+// Stored as "<salt>:<derived key>", both hex encoded
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, 64);
+  return `${salt}:${derived.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, key] = (stored || '').split(':');
+  if (!salt || !key) return false;
+  const derived = await scrypt(password, salt, 64);
+  const expected = Buffer.from(key, 'hex');
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+};
+
+// Name recorded as the author of revisions, runs and other activity
+const displayName = user => (user ? user.name || user.email : 'anonymous');
+
+const issueToken = user => jwt.sign({ sub: String(user._id) }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+const hashApiKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// Returns the plain key (shown to the user once) and the fields to store
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+};
+
+// Resolves an API key or a JWT to its user, or null when neither is valid
+const userFromCredentials = async ({ apiKey, token }) => {
+  if (apiKey) return User.findOne({ 'apiKeys.hash': hashApiKey(apiKey) });
+  if (!token) return null;
+  try {
+    const { sub } = jwt.verify(token, JWT_SECRET);
+    return await User.findById(sub);
+  } catch (err) {
+    if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError' || err.name === 'CastError') return null;
+    throw err;
+  }
+};
+
+const userFromRequest = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return userFromCredentials({ apiKey: req.get('X-API-Key'), token: scheme === 'Bearer' ? token : null });
+};
+
+// Rejects anonymous requests with 401 and exposes the caller as req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const user = await userFromRequest(req);
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ message: 'Authentication required. Send a Bearer token or an X-API-Key header.' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  displayName,
+  generateApiKey,
+  userFromCredentials,
+  authenticate,
+};
@@ -0,0 +1,306 @@
+// utils/bulk.js
+// Batch create/update/delete for POST /api/flowcharts/bulk. Every operation is
+// checked first (permissions, preconditions, validateGraph, subflows) and
+// then applied in order.
+//
+// In 'atomic' mode nothing is written unless every operation passes its
+// checks, and if a write still fails (typically a concurrent edit), the
+// operations already applied are rolled back; so is any unexpected error,
+// which is rethrown once the rollback has run. MongoDB transactions would need
+// a replica set, so the rollback is done by compensating writes: created
+// charts are deleted again, updated charts get a new revision with their
+// previous content and trashed charts are restored. Live viewers and webhooks
+// see these writes like any other. In 'bestEffort' mode each operation
+// succeeds or fails on its own.
+const Flowchart = require('../models/Flowchart');
+const FlowchartVersion = require('../models/FlowchartVersion');
+const Workspace = require('../models/Workspace');
+const validateGraph = require('./validateGraph');
+const { validate: isUuid } = require('uuid');
+const { roleFor, hasRole } = require('./permissions');
+const { resolveLocation, FolderError } = require('./folders');
+const { commitRevision } = require('./versioning');
+const { RevisionConflictError } = require('./concurrency');
+const { SubflowError, checkSubflows } = require('./subflows');
+const { publishDeleted } = require('./collaboration');
+const { displayName } = require('./auth');
+const { emitFlowchartEvent } = require('./webhooks');
+const { auditSummary } = require('./audit');
+
+const BULK_MODES = ['atomic', 'bestEffort'];
+const MAX_BULK_OPERATIONS = 500;
+
+// A failed operation: `status` is the HTTP status the single-chart route would
+// have answered with
+class BulkItemError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'BulkItemError';
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+const graphOptions = flowchart => ({ rules: flowchart.validationRules, mode: flowchart.graphMode });
+
+const checkGraph = (nodes, edges, options) => {
+  const validation = validateGraph(nodes, edges, options);
+  if (!validation.valid) throw new BulkItemError(400, validation.message, { violations: validation.violations });
+};
+
+const checkSubflowRefs = async (flowchartId, nodes) => {
+  try {
+    await checkSubflows(flowchartId, nodes);
+  } catch (err) {
+    if (err instanceof SubflowError) throw new BulkItemError(400, err.message, { violations: err.violations });
+    throw err;
+  }
+};
+
+// Loads the target of an update or delete the same way the /:id routes do
+const loadTarget = async (id, user, required) => {
+  let filter;
+  if (typeof id === 'string' && isUuid(id)) filter = { uuid: id.toLowerCase() };
+  else if (id !== undefined && id !== null && !isNaN(Number(id))) filter = { _id: Number(id) };
+  else throw new BulkItemError(400, 'Invalid _id format. It should be a number or a UUID.');
+
+  const flowchart = await Flowchart.findOne(filter);
+  const workspace = flowchart && flowchart.workspace
+    && await Workspace.findById(flowchart.workspace).select('members').lean();
+  const role = flowchart && roleFor(flowchart, user, workspace);
+  if (!flowchart || !role || flowchart.deletedAt) throw new BulkItemError(404, 'Flowchart not found');
+  if (!hasRole(role, required)) {
+    throw new BulkItemError(403, `This action needs the ${required} role on the flowchart.`);
+  }
+  return flowchart;
+};
+
+const checkRevision = (flowchart, revision) => {
+  if (revision !== undefined && Number(revision) !== (flowchart.revision || 0)) {
+    throw new BulkItemError(412, 'revision does not match the current revision of the flowchart.', {
+      revision: flowchart.revision || 0,
+    });
+  }
+};
+
+// Each prepare* function checks one operation without writing anything and
+// returns { flowchartId, before, apply, rollback }. flowchartId is the chart
+// written (null for creates without an _id) and before its audit summary;
+// apply() performs the write and returns the item result; rollback() undoes
+// a successful apply().
+const prepareCreate = async (operation, user) => {
+  const {
+    _id, name, nodes, edges, validationRules, graphMode, workspaceId = null, folderId = null,
+  } = operation.flowchart || {};
+  checkGraph(nodes, edges, { rules: validationRules, mode: graphMode });
+  if (_id !== undefined && await Flowchart.exists({ _id })) {
+    throw new BulkItemError(400, 'Duplicate _id. A flowchart with this _id already exists.');
+  }
+  await checkSubflowRefs(_id, nodes);
+
+  let location;
+  try {
+    location = await resolveLocation(user, { workspaceId, folderId });
+  } catch (err) {
+    if (err instanceof FolderError) throw new BulkItemError(err.status, err.message);
+    throw err;
+  }
+
+  // The _id is only allocated on save, so it is left out of this check
+  const flowchart = new Flowchart({
+    _id, name, owner: user._id, ...location, nodes, edges, validationRules, graphMode,
+  });
+  const invalid = flowchart.validateSync({ pathsToSkip: ['_id'] });
+  if (invalid) throw new BulkItemError(400, invalid.message);
+
+  return {
+    flowchartId: _id === undefined ? null : Number(_id),
+    before: null,
+    apply: async (revisionInfo) => {
+      await commitRevision(flowchart, revisionInfo);
+      return { status: 201, _id: flowchart._id, uuid: flowchart.uuid, revision: flowchart.revision };
+    },
+    rollback: async ({ author }) => {
+      await Flowchart.deleteOne({ _id: flowchart._id });
+      await FlowchartVersion.deleteMany({ flowchartId: flowchart._id });
+      publishDeleted(flowchart._id, { permanent: true });
+      emitFlowchartEvent('flowchart.deleted', flowchart, { actor: author, permanent: true });
+    },
+  };
+};
+
+const prepareUpdate = async (operation, user) => {
+  const flowchart = await loadTarget(operation.id, user, 'editor');
+  checkRevision(flowchart, operation.revision);
+
+  const {
+    name, nodes, edges, validationRules, graphMode,
+  } = operation.flowchart || {};
+  const previous = flowchart.toObject();
+  const before = auditSummary(flowchart);
+
+  if (name) flowchart.name = name;
+  if (validationRules) flowchart.validationRules = validationRules;
+  if (graphMode) flowchart.graphMode = graphMode;
+  if (nodes && edges) {
+    flowchart.nodes = nodes;
+    flowchart.edges = edges;
+  }
+  if ((nodes && edges) || validationRules || graphMode) checkGraph(flowchart.nodes, flowchart.edges, graphOptions(flowchart));
+  if (nodes && edges) await checkSubflowRefs(flowchart._id, flowchart.nodes);
+
+  return {
+    flowchartId: flowchart._id,
+    before,
+    apply: async (revisionInfo) => {
+      await commitRevision(flowchart, revisionInfo);
+      return { status: 200, _id: flowchart._id, revision: flowchart.revision };
+    },
+    rollback: async ({ author }) => {
+      const current = await Flowchart.findById(flowchart._id);
+      ['name', 'nodes', 'edges', 'validationRules', 'graphMode'].forEach((field) => {
+        current[field] = previous[field];
+      });
+      await commitRevision(current, { author, message: `Rolled back revision ${flowchart.revision}: bulk operation failed` });
+    },
+  };
+};
+
+// Bulk deletes move charts to the trash, so they can always be rolled back
+const prepareDelete = async (operation, user) => {
+  const flowchart = await loadTarget(operation.id, user, 'owner');
+  checkRevision(flowchart, operation.revision);
+  const checked = { _id: flowchart._id, revision: flowchart.revision || { $in: [0, null] }, deletedAt: null };
+
+  return {
+    flowchartId: flowchart._id,
+    before: auditSummary(flowchart),
+    apply: async ({ author }) => {
+      const deletedAt = new Date();
+      const { matchedCount } = await Flowchart.updateOne(checked, { $set: { deletedAt, deletedBy: user._id } });
+      if (!matchedCount) throw new RevisionConflictError(await Flowchart.findById(flowchart._id));
+      publishDeleted(flowchart._id);
+      flowchart.deletedAt = deletedAt;
+      emitFlowchartEvent('flowchart.deleted', flowchart, { actor: author, permanent: false });
+      return { status: 200, _id: flowchart._id, trashed: true };
+    },
+    rollback: async ({ author }) => {
+      await Flowchart.updateOne({ _id: flowchart._id }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+      flowchart.deletedAt = null;
+      emitFlowchartEvent('flowchart.restored', flowchart, { actor: author });
+    },
+  };
+};
+
+const PREPARE = { create: prepareCreate, update: prepareUpdate, delete: prepareDelete };
+
+const failure = (index, op, err) => ({
+  index, op, ok: false, status: err.status, message: err.message, ...err.extra,
+});
+
+// Converts write errors into item errors; anything unexpected is rethrown
+const asItemError = (err) => {
+  if (err instanceof BulkItemError) return err;
+  if (err instanceof RevisionConflictError) {
+    return new BulkItemError(409, err.message, { revision: err.current ? err.current.revision || 0 : null });
+  }
+  if (err instanceof SubflowError) return new BulkItemError(400, err.message, { violations: err.violations });
+  if (err.code === 11000) return new BulkItemError(400, 'Duplicate _id. A flowchart with this _id already exists.');
+  if (err.name === 'ValidationError') return new BulkItemError(400, err.message);
+  return null;
+};
+
+const prepare = async (operation, user, seen) => {
+  if (!operation || !PREPARE[operation.op]) {
+    throw new BulkItemError(400, 'op must be one of create, update or delete');
+  }
+  // Two writes to the same chart in one batch would conflict with each other.
+  // Checked by the id as given, and once the chart is loaded by its _id as
+  // well, so a chart named once by _id and once by uuid is still caught.
+  const claim = (key) => {
+    if (seen.has(String(key))) throw new BulkItemError(400, `Flowchart ${key} appears more than once in the batch`);
+    seen.add(String(key));
+  };
+  const key = operation.op === 'create' ? operation.flowchart && operation.flowchart._id : operation.id;
+  if (key !== undefined && key !== null) claim(key);
+  const prepared = await PREPARE[operation.op](operation, user);
+  if (prepared.flowchartId !== null && String(prepared.flowchartId) !== String(key)) claim(prepared.flowchartId);
+  return prepared;
+};
+
+// Runs the batch and returns { ok, results, audit }, with one result per
+// operation in request order:
+//   { index, op, ok, status, _id?, revision?, message?, violations?, rolledBack? }
+// and in `audit` one { flowchartId, before } per chart that was written,
+// including writes later rolled back.
+const runBulk = async (operations, user, { mode = 'atomic', message } = {}) => {
+  const author = displayName(user);
+  const seen = new Set();
+  const prepared = [];
+  const results = [];
+  const audit = [];
+
+  for (const [index, operation] of operations.entries()) {
+    const op = operation && operation.op;
+    try {
+      prepared[index] = await prepare(operation, user, seen);
+    } catch (err) {
+      const itemError = asItemError(err);
+      if (!itemError) throw err;
+      results[index] = failure(index, op, itemError);
+    }
+  }
+
+  const notApplied = index => ({
+    index, op: operations[index].op, ok: false, status: 424, message: 'Not applied because another operation in the batch failed',
+  });
+
+  if (mode === 'atomic' && results.some(Boolean)) {
+    return { ok: false, results: operations.map((operation, index) => results[index] || notApplied(index)), audit };
+  }
+
+  // Undoes the applied operations, newest first. A rollback that fails is
+  // reported on its item and does not stop the others.
+  const rollBack = async (applied) => {
+    for (const done of [...applied].reverse()) {
+      try {
+        await prepared[done].rollback({ author });
+        results[done] = { ...notApplied(done), _id: results[done]._id, rolledBack: true };
+      } catch (err) {
+        console.error(`Bulk rollback of operation ${done} failed:`, err);
+        results[done] = {
+          ...results[done],
+          ok: false,
+          status: 500,
+          message: 'Applied, but could not be rolled back after another operation failed',
+          rolledBack: false,
+        };
+      }
+    }
+  };
+
+  const applied = [];
+  for (const [index, operation] of operations.entries()) {
+    if (!prepared[index]) continue;
+    try {
+      results[index] = { index, op: operation.op, ok: true, ...(await prepared[index].apply({ author, message })) };
+      applied.push(index);
+      audit.push({ flowchartId: results[index]._id, before: prepared[index].before });
+    } catch (err) {
+      const itemError = asItemError(err);
+      if (mode === 'atomic') await rollBack(applied);
+      if (!itemError) throw err;
+      results[index] = failure(index, operation.op, itemError);
+      if (mode === 'atomic') return { ok: false, results: operations.map((o, i) => results[i] || notApplied(i)), audit };
+    }
+  }
+
+  return { ok: results.every(result => result.ok), results, audit };
+};
+
+module.exports = {
+  BULK_MODES,
+  MAX_BULK_OPERATIONS,
+  BulkItemError,
+  runBulk,
+};
@@ -0,0 +1,276 @@
+// utils/collabSocket.js
+// WebSocket transport for the live flowchart channels at
+// /api/flowcharts/:id/live. Browsers cannot set headers on a WebSocket, so
+// besides the usual Authorization / X-API-Key headers the credentials can be
+// passed as ?token=<jwt> or ?apiKey=<key>. Viewers receive a snapshot, then
+// change and presence messages; editors can also send edits, which go through
+// the same validation and revision history as the REST sub-resource routes.
+const { WebSocketServer, WebSocket } = require('ws');
+const { validate: isUuid } = require('uuid');
+const Flowchart = require('../models/Flowchart');
+const Workspace = require('../models/Workspace');
+const validateGraph = require('./validateGraph');
+const { userFromCredentials, displayName } = require('./auth');
+const { roleFor, hasRole } = require('./permissions');
+const { commitRevision } = require('./versioning');
+const { RevisionConflictError } = require('./concurrency');
+const { SubflowError } = require('./subflows');
+const collaboration = require('./collaboration');
+const { auditSummary, auditChanges } = require('./audit');
+
+const LIVE_PATH = /^\/api\/flowcharts\/([^/]+)\/live\/?$/;
+
+// Close code for channels whose user lost access to the chart
+const ACCESS_REVOKED = 4403;
+
+// Largest message accepted from a client, the same as the REST body limit;
+// bigger ones close the socket
+const MAX_MESSAGE_BYTES = 100 * 1024;
+
+class EditError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'EditError';
+    this.details = details;
+  }
+}
+
+// The chart (by numeric _id or uuid) and the user's role on it; trashed
+// charts count as missing, as they do for the REST routes. With `select`
+// only those fields are loaded, as a lean document.
+const loadAccess = async (id, user, select) => {
+  let filter;
+  if (isUuid(String(id))) filter = { uuid: String(id).toLowerCase() };
+  else if (!isNaN(Number(id))) filter = { _id: Number(id) };
+  else return { flowchart: null, role: null };
+
+  const flowchart = await (select ? Flowchart.findOne(filter).select(select).lean() : Flowchart.findOne(filter));
+  if (!flowchart || flowchart.deletedAt) return { flowchart: null, role: null };
+  const workspace = flowchart.workspace && await Workspace.findById(flowchart.workspace).select('members').lean();
+  return { flowchart, role: roleFor(flowchart, user, workspace) };
+};
+
+const findEdge = (flowchart, edgeId) => {
+  const edge = flowchart.edges.find(e => String(e._id) === String(edgeId));
+  if (!edge) throw new EditError('Edge not found');
+  return edge;
+};
+
+const findNode = (flowchart, nodeId) => {
+  const node = flowchart.nodes.find(n => n.id === nodeId);
+  if (!node) throw new EditError('Node not found');
+  return node;
+};
+
+// Applies one edit to the loaded chart, mirroring the node and edge routes:
+//   { op: 'addNode', node }            { op: 'addEdge', edge }
+//   { op: 'updateNode', nodeId, changes } { op: 'updateEdge', edgeId, changes }
+//   { op: 'removeNode', nodeId }       { op: 'removeEdge', edgeId }
+// Removing a node also removes the edges attached to it.
+const applyEdit = (flowchart, edit) => {
+  const changes = edit.changes || {};
+  switch (edit.op) {
+    case 'addNode': {
+      const {
+        id, label, type, data, position, subflow,
+      } = edit.node || {};
+      if (!id || !label) throw new EditError('Node id and label are required.');
+      if (flowchart.nodes.some(node => node.id === id)) throw new EditError('A node with this id already exists.');
+      flowchart.nodes.push({
+        id, label, type, data, position, subflow,
+      });
+      break;
+    }
+    case 'updateNode': {
+      const node = findNode(flowchart, edit.nodeId);
+      if (changes.label === '') throw new EditError('Node label cannot be empty.');
+      ['label', 'type', 'data', 'position'].forEach((field) => {
+        if (changes[field] !== undefined) node[field] = changes[field];
+      });
+      if (changes.subflow !== undefined) node.subflow = changes.subflow === null ? undefined : changes.subflow;
+      break;
+    }
+    case 'removeNode': {
+      findNode(flowchart, edit.nodeId);
+      flowchart.nodes = flowchart.nodes.filter(n => n.id !== edit.nodeId);
+      flowchart.edges = flowchart.edges.filter(e => e.source !== edit.nodeId && e.target !== edit.nodeId);
+      break;
+    }
+    case 'addEdge': {
+      const {
+        source, target, label, condition,
+      } = edit.edge || {};
+      if (!source || !target) throw new EditError('Edge source and target are required.');
+      flowchart.edges.push({
+        source, target, label, condition,
+      });
+      break;
+    }
+    case 'updateEdge': {
+      const edge = findEdge(flowchart, edit.edgeId);
+      edge.set({
+        source: changes.source || edge.source,
+        target: changes.target || edge.target,
+        label: changes.label !== undefined ? changes.label : edge.label,
+        condition: changes.condition !== undefined ? changes.condition : edge.condition,
+      });
+      break;
+    }
+    case 'removeEdge': {
+      const edge = findEdge(flowchart, edit.edgeId);
+      flowchart.edges = flowchart.edges.filter(e => e !== edge);
+      break;
+    }
+    default:
+      throw new EditError(`Unknown edit op "${edit.op}"`);
+  }
+};
+
+// Validates and commits one edit; returns the new revision. A baseRevision
+// on the edit works like If-Match on the REST routes. Committed edits are
+// audited against the upgrade request that opened the channel.
+const commitEdit = async (flowchartId, user, edit, req) => {
+  const { flowchart, role } = await loadAccess(flowchartId, user);
+  if (!flowchart || !role) throw new EditError('Flowchart not found');
+  if (!hasRole(role, 'editor')) throw new EditError('This action needs the editor role on the flowchart.');
+
+  const revision = flowchart.revision || 0;
+  if (edit.baseRevision !== undefined && Number(edit.baseRevision) !== revision) {
+    throw new EditError('baseRevision does not match the current revision of the flowchart.', { revision });
+  }
+
+  const before = auditSummary(flowchart);
+  applyEdit(flowchart, edit);
+  // Edits are partial, so a typed chart may be unfinished in between
+  const validation = validateGraph(flowchart.nodes, flowchart.edges, {
+    rules: flowchart.validationRules,
+    mode: flowchart.graphMode,
+    partial: true,
+  });
+  if (!validation.valid) throw new EditError(validation.message, { violations: validation.violations });
+
+  try {
+    await commitRevision(flowchart, { author: displayName(user), message: edit.message });
+  } catch (err) {
+    if (err instanceof SubflowError) throw new EditError(err.message, { violations: err.violations });
+    if (err instanceof RevisionConflictError) {
+      throw new EditError(err.message, { revision: err.current ? err.current.revision || 0 : null });
+    }
+    throw err;
+  }
+  auditChanges(req, user, [{
+    action: `WS ${edit.op} /api/flowcharts/:id/live`,
+    flowchartId: flowchart._id,
+    before,
+    after: auditSummary(flowchart),
+  }]);
+  return flowchart.revision;
+};
+
+const reject = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+// Handles WebSocket upgrades on an http.Server; only the live channel
+// paths accept them.
+const attachCollaboration = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = LIVE_PATH.exec(url.pathname);
+    if (!match) return reject(socket, 404, 'Not Found');
+
+    try {
+      const [scheme, bearer] = (req.headers.authorization || '').split(' ');
+      const user = await userFromCredentials({
+        apiKey: req.headers['x-api-key'] || url.searchParams.get('apiKey'),
+        token: (scheme === 'Bearer' && bearer) || url.searchParams.get('token'),
+      });
+      if (!user) return reject(socket, 401, 'Unauthorized');
+
+      let id;
+      try {
+        id = decodeURIComponent(match[1]);
+      } catch (err) {
+        return reject(socket, 400, 'Bad Request');
+      }
+      const { flowchart, role } = await loadAccess(id, user);
+      if (!flowchart || !role) return reject(socket, 404, 'Not Found');
+
+      wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, { flowchart, role, user }, req));
+    } catch (err) {
+      reject(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  wss.on('connection', (ws, { flowchart, role, user }, req) => {
+    const flowchartId = flowchart._id;
+    const deliver = (message) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    };
+    // Access is checked again before every message goes out, so a revoked
+    // share or membership, a move to another workspace or the trash closes
+    // the channel instead of leaking later changes. The checks are chained
+    // so messages keep their order; the notice that the chart was deleted
+    // still goes out.
+    let outbox = Promise.resolve();
+    const client = {
+      user,
+      send: (message) => {
+        outbox = outbox.then(async () => {
+          if (ws.readyState !== WebSocket.OPEN) return;
+          if (message.type !== 'deleted') {
+            const access = await loadAccess(flowchartId, user, 'owner shares workspace deletedAt');
+            if (!access.role) return ws.close(ACCESS_REVOKED, 'Access revoked');
+          }
+          deliver(message);
+        }).catch(() => ws.close(1011, 'Server error'));
+      },
+    };
+
+    deliver({ ...collaboration.snapshot(flowchart), role });
+    collaboration.join(flowchartId, client);
+
+    ws.on('message', async (data) => {
+      let ref;
+      try {
+        let message;
+        try {
+          message = JSON.parse(data);
+        } catch (err) {
+          return client.send({ type: 'error', message: 'Messages must be JSON' });
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+          return client.send({ type: 'error', message: 'Messages must be JSON objects' });
+        }
+        ({ ref } = message);
+        if (message.type !== 'edit') {
+          return client.send({ type: 'error', ref, message: `Unknown message type "${message.type}"` });
+        }
+
+        const revision = await commitEdit(flowchartId, user, message, req);
+        client.send({ type: 'ack', ref, revision });
+      } catch (err) {
+        if (err instanceof EditError) return client.send({ type: 'error', ref, message: err.message, ...err.details });
+        client.send({ type: 'error', ref, message: 'Server error' });
+      }
+    });
+
+    // Protocol errors such as oversized messages; ws closes the socket itself
+    ws.on('error', () => {});
+    ws.on('close', () => collaboration.leave(flowchartId, client));
+  });
+
+  return wss;
+};
+
+module.exports = {
+  LIVE_PATH,
+  ACCESS_REVOKED,
+  MAX_MESSAGE_BYTES,
+  EditError,
+  applyEdit,
+  attachCollaboration,
+};
@@ -0,0 +1,129 @@
+// utils/collaboration.js
+// In-process hub for the live flowchart channels. Every connected client joins
+// the channel of one flowchart; writes to that chart (REST or live edits) are
+// broadcast to the channel as node/edge change events, and joins and leaves
+// as presence updates. Clients are plain objects with a send(message) method
+// and the authenticated user, so the hub does not depend on the transport.
+// Channels are per process: with several instances behind a load balancer
+// the events would have to be relayed through a shared broker.
+
+const channels = new Map();
+
+const edgeKey = edge => `${edge.source}->${edge.target}`;
+
+// Subdocuments, lean documents and request bodies all compare the same way
+// once they are round-tripped through JSON
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const withoutId = ({ _id, ...rest }) => rest;
+
+const changed = (a, b) => JSON.stringify(withoutId(a)) !== JSON.stringify(withoutId(b));
+
+// Events turning graph `from` into graph `to`. Nodes are matched by id and
+// edges by their source -> target pair, like diffGraphs.
+const changeEvents = (from, to) => {
+  const fromNodes = new Map(plain(from.nodes).map(node => [node.id, node]));
+  const toNodes = new Map(plain(to.nodes).map(node => [node.id, node]));
+  const fromEdges = new Map(plain(from.edges).map(edge => [edgeKey(edge), edge]));
+  const toEdges = new Map(plain(to.edges).map(edge => [edgeKey(edge), edge]));
+  const events = [];
+
+  for (const [id, node] of toNodes) {
+    if (!fromNodes.has(id)) events.push({ type: 'node.added', node });
+    else if (changed(fromNodes.get(id), node)) events.push({ type: 'node.updated', node });
+  }
+  for (const id of fromNodes.keys()) {
+    if (!toNodes.has(id)) events.push({ type: 'node.removed', nodeId: id });
+  }
+  for (const [key, edge] of toEdges) {
+    if (!fromEdges.has(key)) events.push({ type: 'edge.added', edge });
+    else if (changed(fromEdges.get(key), edge)) events.push({ type: 'edge.updated', edge });
+  }
+  for (const [key, edge] of fromEdges) {
+    if (!toEdges.has(key)) events.push({ type: 'edge.removed', edge: { _id: edge._id, source: edge.source, target: edge.target } });
+  }
+  return events;
+};
+
+const hasListeners = flowchartId => channels.has(Number(flowchartId));
+
+// One entry per user, however many tabs they have open
+const viewers = (flowchartId) => {
+  const byUser = new Map();
+  for (const client of channels.get(Number(flowchartId)) || []) {
+    const userId = String(client.user._id);
+    const viewer = byUser.get(userId) || { userId, name: client.user.name || client.user.email, connections: 0 };
+    viewer.connections += 1;
+    byUser.set(userId, viewer);
+  }
+  return [...byUser.values()];
+};
+
+const broadcast = (flowchartId, message, { except } = {}) => {
+  for (const client of channels.get(Number(flowchartId)) || []) {
+    if (client !== except) client.send(message);
+  }
+};
+
+const sendPresence = flowchartId => broadcast(flowchartId, { type: 'presence', flowchartId, viewers: viewers(flowchartId) });
+
+const join = (flowchartId, client) => {
+  const id = Number(flowchartId);
+  if (!channels.has(id)) channels.set(id, new Set());
+  channels.get(id).add(client);
+  sendPresence(id);
+};
+
+const leave = (flowchartId, client) => {
+  const id = Number(flowchartId);
+  const clients = channels.get(id);
+  if (!clients || !clients.delete(client)) return;
+  if (clients.size) sendPresence(id);
+  else channels.delete(id);
+};
+
+const snapshot = flowchart => ({
+  type: 'snapshot',
+  flowchartId: flowchart._id,
+  revision: flowchart.revision || 0,
+  name: flowchart.name,
+  nodes: plain(flowchart.nodes),
+  edges: plain(flowchart.edges),
+});
+
+// Called after a revision is committed. `previous` is the graph of the
+// revision before it; without one (charts saved before version history)
+// listeners get a full snapshot instead of events.
+const publishRevision = (flowchart, previous, { author, message } = {}) => {
+  if (!hasListeners(flowchart._id)) return;
+  if (!previous) {
+    broadcast(flowchart._id, snapshot(flowchart));
+    return;
+  }
+  broadcast(flowchart._id, {
+    type: 'change',
+    flowchartId: flowchart._id,
+    revision: flowchart.revision,
+    name: flowchart.name,
+    author,
+    message,
+    events: changeEvents(previous, flowchart),
+  });
+};
+
+// Tells listeners the chart went to the trash or was deleted for good
+const publishDeleted = (flowchartId, { permanent = false } = {}) => {
+  broadcast(flowchartId, { type: 'deleted', flowchartId: Number(flowchartId), permanent });
+};
+
+module.exports = {
+  changeEvents,
+  hasListeners,
+  viewers,
+  join,
+  leave,
+  broadcast,
+  snapshot,
+  publishRevision,
+  publishDeleted,
+};
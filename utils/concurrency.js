@@ -0,0 +1,47 @@
+// utils/concurrency.js
+// Optimistic concurrency for flowchart writes. The ETag of a flowchart is its
+// revision number, and writes carrying If-Match must name the current revision.
+
+class RevisionConflictError extends Error {
+  constructor(current) {
+    super('Flowchart was modified by another request. Merge with the current state and retry.');
+    this.name = 'RevisionConflictError';
+    this.current = current;
+  }
+}
+
+const etagFor = flowchart => `"${flowchart.revision || 0}"`;
+
+const setETag = (res, flowchart) => res.set('ETag', etagFor(flowchart));
+
+// True when the request has no If-Match header, uses the "*" wildcard,
+// or lists the flowchart's current ETag (weak or strong form).
+const ifMatchSatisfied = (req, flowchart) => {
+  const header = req.get('If-Match');
+  if (!header) return true;
+
+  const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etagFor(flowchart)) || tags.includes(String(flowchart.revision || 0));
+};
+
+const sendPreconditionFailed = (res, flowchart) => {
+  setETag(res, flowchart);
+  return res.status(412).json({
+    message: 'If-Match does not match the current revision of the flowchart.',
+    current: flowchart,
+  });
+};
+
+const sendConflict = (res, err) => {
+  if (err.current) setETag(res, err.current);
+  return res.status(409).json({ code: 'REVISION_CONFLICT', message: err.message, current: err.current });
+};
+
+module.exports = {
+  RevisionConflictError,
+  etagFor,
+  setETag,
+  ifMatchSatisfied,
+  sendPreconditionFailed,
+  sendConflict,
+};
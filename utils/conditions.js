@@ -0,0 +1,168 @@
+// utils/conditions.js
+// Evaluates edge conditions such as `amount > 1000 && customer.tier == "gold"`
+// against a run context. This is a small expression language, not JavaScript:
+// conditions come from stored flowcharts, so they are parsed here and never
+// handed to eval. Supported: numbers, strings, true/false/null, dotted context
+// paths, ! && ||, == != < <= > >=, + - * / % and parentheses. Missing paths
+// evaluate to undefined rather than throwing. Conditions are limited to
+// MAX_TOKENS tokens and MAX_DEPTH levels of nesting, so a stored condition
+// cannot exhaust the stack of the parser or the evaluator.
+
+class ConditionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'ConditionError';
+  }
+}
+
+const MAX_TOKENS = 500;
+const MAX_DEPTH = 32;
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')'];
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6,
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    if (tokens.length > MAX_TOKENS) throw new ConditionError(`Condition is longer than ${MAX_TOKENS} tokens`);
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i.exec(source.slice(i));
+      tokens.push({ type: 'literal', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (ch === '"' || ch === '\'') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) j += 1;
+        value += source[j];
+        j += 1;
+      }
+      if (j >= source.length) throw new ConditionError('Unterminated string', i);
+      tokens.push({ type: 'literal', value, position: i });
+      i = j + 1;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/.exec(source.slice(i));
+      const word = match[0];
+      if (word === 'true' || word === 'false') tokens.push({ type: 'literal', value: word === 'true', position: i });
+      else if (word === 'null') tokens.push({ type: 'literal', value: null, position: i });
+      else tokens.push({ type: 'path', value: word.split('.'), position: i });
+      i += word.length;
+    } else {
+      const op = OPERATORS.find(candidate => source.startsWith(candidate, i));
+      if (!op) throw new ConditionError(`Unexpected character "${ch}"`, i);
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    }
+  }
+  return tokens;
+};
+
+// Precedence-climbing parser producing a small AST
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  // Unary operators and parentheses nest; binary operators only go as deep
+  // as the precedence levels
+  const nested = (token, parseInner) => {
+    depth += 1;
+    if (depth > MAX_DEPTH) throw new ConditionError(`Condition is nested more than ${MAX_DEPTH} levels deep`, token.position);
+    const inner = parseInner();
+    depth -= 1;
+    return inner;
+  };
+  const isOp = (token, value) => token && token.type === 'op' && token.value === value;
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new ConditionError('Unexpected end of condition');
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'path') return { type: 'path', path: token.value };
+    if (isOp(token, '!') || isOp(token, '-')) {
+      return { type: 'unary', op: token.value, operand: nested(token, parsePrimary) };
+    }
+    if (isOp(token, '(')) {
+      const inner = nested(token, () => parseExpression(0));
+      if (!isOp(tokens[index++], ')')) throw new ConditionError('Expected ")"', token.position);
+      return inner;
+    }
+    throw new ConditionError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  const parseExpression = (minPrecedence) => {
+    let left = parsePrimary();
+    while (peek() && peek().type === 'op' && BINARY_PRECEDENCE[peek().value] > minPrecedence) {
+      const { value: op } = tokens[index++];
+      left = { type: 'binary', op, left, right: parseExpression(BINARY_PRECEDENCE[op]) };
+    }
+    return left;
+  };
+
+  if (!tokens.length) throw new ConditionError('Condition is empty');
+  const ast = parseExpression(0);
+  if (index < tokens.length) throw new ConditionError(`Unexpected "${peek().value}"`, peek().position);
+  return ast;
+};
+
+const lookup = (context, path) => path.reduce((value, key) => (
+  value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+), context);
+
+const evaluate = (node, context) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'path': return lookup(context, node.path);
+    case 'unary': {
+      const value = evaluate(node.operand, context);
+      return node.op === '!' ? !value : -value;
+    }
+    default: break;
+  }
+
+  // Short-circuit the logical operators
+  if (node.op === '&&') return evaluate(node.left, context) && evaluate(node.right, context);
+  if (node.op === '||') return evaluate(node.left, context) || evaluate(node.right, context);
+
+  const left = evaluate(node.left, context);
+  const right = evaluate(node.right, context);
+  switch (node.op) {
+    // Equality is strict so "1" and 1 do not match by accident
+    case '==': case '===': return left === right;
+    case '!=': case '!==': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    default: throw new ConditionError(`Unknown operator "${node.op}"`);
+  }
+};
+
+// Throws ConditionError when the condition cannot be parsed
+const evaluateCondition = (condition, context = {}) => Boolean(evaluate(parse(condition), context));
+
+module.exports = {
+  MAX_TOKENS,
+  MAX_DEPTH,
+  ConditionError,
+  parseCondition: parse,
+  evaluateCondition,
+};
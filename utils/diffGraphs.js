@@ -0,0 +1,36 @@
+// utils/diffGraphs.js
+// Structural diff between two graph snapshots. Nodes are matched by id and
+// edges by their source -> target pair, since edge _ids change on every PUT.
+const edgeKey = edge => `${edge.source}->${edge.target}`;
+
+const diffGraphs = (from, to) => {
+  const fromNodes = new Map(from.nodes.map(node => [node.id, node]));
+  const toNodes = new Map(to.nodes.map(node => [node.id, node]));
+
+  const nodes = { added: [], removed: [], relabelled: [] };
+  for (const [id, node] of toNodes) {
+    if (!fromNodes.has(id)) {
+      nodes.added.push({ id, label: node.label });
+    } else if (fromNodes.get(id).label !== node.label) {
+      nodes.relabelled.push({ id, from: fromNodes.get(id).label, to: node.label });
+    }
+  }
+  for (const [id, node] of fromNodes) {
+    if (!toNodes.has(id)) nodes.removed.push({ id, label: node.label });
+  }
+
+  const fromEdges = new Set(from.edges.map(edgeKey));
+  const toEdges = new Set(to.edges.map(edgeKey));
+  const edges = {
+    added: to.edges
+      .filter(edge => !fromEdges.has(edgeKey(edge)))
+      .map(({ source, target }) => ({ source, target })),
+    removed: from.edges
+      .filter(edge => !toEdges.has(edgeKey(edge)))
+      .map(({ source, target }) => ({ source, target })),
+  };
+
+  return { nodes, edges };
+};
+
+module.exports = diffGraphs;
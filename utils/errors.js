@@ -0,0 +1,120 @@
+// utils/errors.js
+// One error format for every route:
+//   { code, message, details?, requestId, ...context }
+// `code` is machine-readable (NOT_FOUND, INVALID_REQUEST, ...), `details`
+// lists problems per field as { field, message }, and requestId is the
+// X-Request-Id of the call. Route-specific context such as `violations` or
+// `current` is kept next to them, so `message` still reads as before.
+const { RevisionConflictError, setETag } = require('./concurrency');
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  500: 'INTERNAL_ERROR',
+};
+
+const codeFor = status => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// Thrown (or passed to next) to answer with a specific status and code
+class ApiError extends Error {
+  constructor(status, message, { code = codeFor(status), details, ...context } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.context = context;
+  }
+}
+
+const DUPLICATE_MESSAGES = {
+  email: 'A user with this email already exists.',
+  _id: 'Duplicate _id. A flowchart with this _id already exists.',
+};
+
+// Maps errors raised by Mongoose, MongoDB, body-parser and our own helpers
+// to an ApiError. Anything unrecognised is a 500.
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+  if (err instanceof RevisionConflictError) {
+    return new ApiError(409, err.message, { code: 'REVISION_CONFLICT', current: err.current });
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    return new ApiError(422, err.message, {
+      details: Object.values(err.errors).map(error => ({ field: error.path, message: error.message })),
+    });
+  }
+  if (err.name === 'CastError') {
+    return new ApiError(400, `Invalid value for ${err.path}`, {
+      code: 'INVALID_REQUEST',
+      details: [{ field: err.path, message: `must be a valid ${err.kind}` }],
+    });
+  }
+  if (err.code === 11000) {
+    const [field = 'key'] = Object.keys(err.keyPattern || err.keyValue || {});
+    return new ApiError(409, DUPLICATE_MESSAGES[field] || `A record with this ${field} already exists.`, {
+      code: 'DUPLICATE_KEY',
+      details: [{ field, message: 'is already taken' }],
+    });
+  }
+  // body-parser marks client errors (malformed JSON, oversized bodies) with expose
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.status, err.message, {
+      code: err.type === 'entity.parse.failed' ? 'INVALID_JSON' : codeFor(err.status),
+    });
+  }
+  return new ApiError(500, 'Server error');
+};
+
+const errorBody = (req, err) => ({
+  code: err.code,
+  message: err.message,
+  ...(err.details ? { details: err.details } : {}),
+  ...err.context,
+  requestId: req.id,
+});
+
+// Ends a route's catch block: logs unexpected failures and answers with the
+// matching status
+const sendError = (res, err) => {
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) console.error(err);
+  if (apiError.context.current) setETag(res, apiError.context.current);
+  return res.status(apiError.status).json(errorBody(res.req, apiError));
+};
+
+// Error responses written directly with res.status(4xx).json({ message })
+// get the code and request id added, so every error has the same shape
+const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      return json({ code: codeFor(res.statusCode), ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+  next();
+};
+
+const notFoundHandler = (req, res) => {
+  res.status(404).json({ message: `No route for ${req.method} ${req.path}` });
+};
+
+// Express error handler, registered last in app.js
+const errorHandler = (err, req, res, next) => sendError(res, err);
+
+module.exports = {
+  STATUS_CODES,
+  ApiError,
+  toApiError,
+  sendError,
+  errorEnvelope,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,208 @@
+// utils/exportFlowchart.js
+// Renders a stored flowchart as Mermaid, Graphviz DOT, SVG or portable JSON.
+// Labels are escaped for each target format; the SVG is drawn from the
+// built-in layered layout, so no external Graphviz/Mermaid binary is needed.
+const layeredLayout = require('./layeredLayout');
+
+const EXPORT_FORMATS = ['mermaid', 'dot', 'svg', 'json'];
+
+// Edges whose ends both exist. Charts that turn DANGLING_EDGE off may store
+// others; drawing them would invent nodes, so the diagram formats leave them
+// out while JSON keeps the chart as stored.
+const connectedEdges = ({ nodes, edges }) => {
+  const ids = new Set(nodes.map(node => node.id));
+  return edges.filter(edge => ids.has(edge.source) && ids.has(edge.target));
+};
+
+// --- Mermaid ---------------------------------------------------------------
+
+const MERMAID_RESERVED = new Set(['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classDef', 'click', 'linkStyle', 'direction']);
+
+// Node ids are used verbatim when Mermaid can parse them, otherwise aliased
+// to n<index>, skipping aliases another node already uses as its real id
+const mermaidIds = (nodes) => {
+  const isSafe = id => /^[A-Za-z0-9_]+$/.test(id) && !MERMAID_RESERVED.has(id);
+  const taken = new Set(nodes.map(node => node.id).filter(isSafe));
+  const ids = new Map();
+  nodes.forEach((node, i) => {
+    if (isSafe(node.id)) return ids.set(node.id, node.id);
+    let alias = `n${i}`;
+    for (let suffix = 1; taken.has(alias); suffix += 1) alias = `n${i}_${suffix}`;
+    taken.add(alias);
+    ids.set(node.id, alias);
+  });
+  return ids;
+};
+
+const escapeMermaid = text => String(text)
+  .replace(/#/g, '#35;')
+  .replace(/"/g, '#quot;')
+  .replace(/</g, '#lt;')
+  .replace(/>/g, '#gt;')
+  .replace(/\r?\n/g, '<br/>');
+
+const MERMAID_SHAPES = {
+  start: ['([', '])'],
+  end: ['([', '])'],
+  decision: ['{', '}'],
+  io: ['[/', '/]'],
+  subprocess: ['[[', ']]'],
+  process: ['[', ']'],
+};
+
+const toMermaid = ({ nodes, edges }, { direction = 'TB' } = {}) => {
+  const ids = mermaidIds(nodes);
+  const lines = [`flowchart ${direction}`];
+
+  nodes.forEach((node) => {
+    const [open, close] = MERMAID_SHAPES[node.type] || MERMAID_SHAPES.process;
+    lines.push(`  ${ids.get(node.id)}${open}"${escapeMermaid(node.label)}"${close}`);
+  });
+  connectedEdges({ nodes, edges }).forEach((edge) => {
+    const arrow = edge.label ? `-->|"${escapeMermaid(edge.label)}"|` : '-->';
+    lines.push(`  ${ids.get(edge.source)} ${arrow} ${ids.get(edge.target)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// --- Graphviz DOT ----------------------------------------------------------
+
+const escapeDot = text => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\r?\n/g, '\\n');
+
+const DOT_SHAPES = {
+  start: 'ellipse',
+  end: 'ellipse',
+  decision: 'diamond',
+  io: 'parallelogram',
+  subprocess: 'box, peripheries=2',
+  process: 'box',
+};
+
+const toDot = ({ name, nodes, edges }, { direction = 'TB' } = {}) => {
+  const lines = [`digraph "${escapeDot(name || 'flowchart')}" {`, `  rankdir=${direction};`];
+
+  nodes.forEach((node) => {
+    const shape = DOT_SHAPES[node.type] || DOT_SHAPES.process;
+    lines.push(`  "${escapeDot(node.id)}" [label="${escapeDot(node.label)}", shape=${shape}];`);
+  });
+  connectedEdges({ nodes, edges }).forEach((edge) => {
+    const label = edge.label ? ` [label="${escapeDot(edge.label)}"]` : '';
+    lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}"${label};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+};
+
+// --- SVG -------------------------------------------------------------------
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const SVG_MARGIN = 20;
+const SELF_LOOP_WIDTH = 30;
+const SVG_STYLE = 'fill="#ffffff" stroke="#333333" stroke-width="1.5"';
+
+const svgShape = (type, x, y, w, h) => {
+  switch (type) {
+    case 'start':
+    case 'end':
+      return `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${h / 2}" ry="${h / 2}" ${SVG_STYLE}/>`;
+    case 'decision':
+      return `<polygon points="${x + w / 2},${y} ${x + w},${y + h / 2} ${x + w / 2},${y + h} ${x},${y + h / 2}" ${SVG_STYLE}/>`;
+    case 'io':
+      return `<polygon points="${x + 15},${y} ${x + w},${y} ${x + w - 15},${y + h} ${x},${y + h}" ${SVG_STYLE}/>`;
+    case 'subprocess':
+      return `<rect x="${x}" y="${y}" width="${w}" height="${h}" ${SVG_STYLE}/>`
+        + `<line x1="${x + 10}" y1="${y}" x2="${x + 10}" y2="${y + h}" stroke="#333333"/>`
+        + `<line x1="${x + w - 10}" y1="${y}" x2="${x + w - 10}" y2="${y + h}" stroke="#333333"/>`;
+    default:
+      return `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="4" ry="4" ${SVG_STYLE}/>`;
+  }
+};
+
+const toSvg = ({ name, nodes, edges }, options = {}) => {
+  const layout = layeredLayout(nodes, edges, options);
+  const { nodeWidth, nodeHeight } = { nodeWidth: 160, nodeHeight: 60, ...options };
+  const selfLoops = edges.filter(edge => edge.source === edge.target && layout.positions[edge.source]);
+  const width = layout.width + SVG_MARGIN * 2 + (selfLoops.length ? SELF_LOOP_WIDTH : 0);
+  const height = layout.height + SVG_MARGIN * 2;
+  const shift = point => `${point.x + SVG_MARGIN},${point.y + SVG_MARGIN}`;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="14">`,
+    `<title>${escapeXml(name || 'flowchart')}</title>`,
+    '<defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#333333"/></marker></defs>',
+  ];
+
+  layout.edges.forEach(({ edge, points }) => {
+    parts.push(`<polyline points="${points.map(shift).join(' ')}" fill="none" stroke="#333333" stroke-width="1.5" marker-end="url(#arrow)"/>`);
+    if (edge.label) {
+      const a = points[Math.floor((points.length - 1) / 2)];
+      const b = points[Math.floor((points.length - 1) / 2) + 1];
+      parts.push(`<text x="${(a.x + b.x) / 2 + SVG_MARGIN + 4}" y="${(a.y + b.y) / 2 + SVG_MARGIN}" font-size="12" fill="#555555">${escapeXml(edge.label)}</text>`);
+    }
+  });
+
+  // Self-loops are left out of the layout; draw them as a small arc on the right
+  selfLoops.forEach((edge) => {
+    const { x, y } = layout.positions[edge.source];
+    const right = x + nodeWidth + SVG_MARGIN;
+    const top = y + nodeHeight / 3 + SVG_MARGIN;
+    const bottom = y + (2 * nodeHeight) / 3 + SVG_MARGIN;
+    parts.push(`<path d="M${right},${top} C${right + SELF_LOOP_WIDTH},${top - 10} ${right + SELF_LOOP_WIDTH},${bottom + 10} ${right},${bottom}" fill="none" stroke="#333333" stroke-width="1.5" marker-end="url(#arrow)"/>`);
+  });
+
+  nodes.forEach((node) => {
+    const { x, y } = layout.positions[node.id];
+    const left = x + SVG_MARGIN;
+    const top = y + SVG_MARGIN;
+    parts.push(`<g data-node-id="${escapeXml(node.id)}">`
+      + svgShape(node.type, left, top, nodeWidth, nodeHeight)
+      + `<text x="${left + nodeWidth / 2}" y="${top + nodeHeight / 2}" text-anchor="middle" dominant-baseline="middle">${escapeXml(node.label)}</text>`
+      + '</g>');
+  });
+
+  parts.push('</svg>');
+  return `${parts.join('\n')}\n`;
+};
+
+// --- JSON ------------------------------------------------------------------
+
+// Portable document without database ids, suitable for re-import
+const toJson = ({ name, graphMode, nodes, edges }) => JSON.stringify({
+  name,
+  graphMode,
+  nodes: nodes.map(({ id, label, type, data, position }) => ({ id, label, type, data, position })),
+  edges: edges.map(({ source, target, label, condition }) => ({ source, target, label, condition })),
+}, null, 2);
+
+const CONTENT_TYPES = {
+  mermaid: 'text/plain; charset=utf-8',
+  dot: 'text/vnd.graphviz; charset=utf-8',
+  svg: 'image/svg+xml; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+const RENDERERS = { mermaid: toMermaid, dot: toDot, svg: toSvg, json: toJson };
+
+const exportFlowchart = (flowchart, format, options) => ({
+  contentType: CONTENT_TYPES[format],
+  body: RENDERERS[format](flowchart, options),
+});
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFlowchart,
+  escapeMermaid,
+  escapeDot,
+  escapeXml,
+};
@@ -0,0 +1,67 @@
+// utils/folders.js
+// Helpers for filing flowcharts into workspaces and nested folders.
+const Workspace = require('../models/Workspace');
+const Folder = require('../models/Folder');
+const { workspaceRoleFor, hasWorkspaceRole } = require('./permissions');
+
+class FolderError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'FolderError';
+    this.status = status;
+  }
+}
+
+const isObjectId = id => typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id);
+
+const memberWorkspaceIds = async (user) => {
+  const workspaces = await Workspace.find({ 'members.user': user._id }).select('_id').lean();
+  return workspaces.map(w => w._id);
+};
+
+// Resolve where a chart should be filed. A folder implies its workspace; a
+// workspace without a folder files the chart at the workspace root; neither
+// makes it a personal chart again. The caller must be an editor there.
+const resolveLocation = async (user, { workspaceId = null, folderId = null } = {}) => {
+  let folder = null;
+  if (folderId !== null) {
+    if (!isObjectId(folderId)) throw new FolderError(400, 'Invalid folderId');
+    folder = await Folder.findById(folderId).lean();
+    if (!folder) throw new FolderError(404, 'Folder not found');
+    if (workspaceId !== null && String(folder.workspace) !== String(workspaceId)) {
+      throw new FolderError(400, 'The folder does not belong to that workspace');
+    }
+    workspaceId = String(folder.workspace);
+  }
+  if (workspaceId === null) return { workspace: null, folder: null };
+  if (!isObjectId(workspaceId)) throw new FolderError(400, 'Invalid workspaceId');
+
+  const workspace = await Workspace.findById(workspaceId).lean();
+  const role = workspace && workspaceRoleFor(workspace, user);
+  if (!role) throw new FolderError(404, 'Workspace not found');
+  if (!hasWorkspaceRole(role, 'editor')) {
+    throw new FolderError(403, 'Filing flowcharts needs the editor role in the workspace.');
+  }
+  return { workspace: workspace._id, folder: folder ? folder._id : null };
+};
+
+// True when `folderId` is `ancestorId` or nested anywhere below it
+const isWithin = async (folderId, ancestorId) => {
+  const seen = new Set();
+  let current = folderId;
+  while (current && !seen.has(String(current))) {
+    if (String(current) === String(ancestorId)) return true;
+    seen.add(String(current));
+    const folder = await Folder.findById(current).select('parent').lean();
+    current = folder && folder.parent;
+  }
+  return false;
+};
+
+module.exports = {
+  FolderError,
+  isObjectId,
+  memberWorkspaceIds,
+  resolveLocation,
+  isWithin,
+};
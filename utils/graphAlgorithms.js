@@ -0,0 +1,289 @@
+// utils/graphAlgorithms.js
+// Graph algorithms shared by validation and the traversal endpoints.
+// Adjacency lists map a node id to its outgoing edges; edges that point at
+// unknown nodes are skipped so callers never index a missing entry. Maps keyed
+// by node id have no prototype, so ids such as "constructor" or "__proto__"
+// are ordinary keys.
+
+const buildAdjacency = (nodes, edges) => {
+  const adjList = Object.create(null);
+  nodes.forEach(node => { adjList[node.id] = []; });
+  edges.forEach(edge => {
+    if (adjList[edge.source] && adjList[edge.target]) adjList[edge.source].push(edge);
+  });
+  return adjList;
+};
+
+// Ids of every node reachable from start, in depth-first order (start excluded
+// unless a cycle leads back to it)
+const reachableFrom = (adjList, start) => {
+  const visited = new Set();
+  const result = [];
+
+  const dfs = (current) => {
+    for (const { target } of adjList[current] || []) {
+      if (!visited.has(target)) {
+        visited.add(target);
+        result.push(target);
+        dfs(target);
+      }
+    }
+  };
+
+  dfs(start);
+  return result;
+};
+
+// Tarjan's algorithm. Returns every strongly connected component of the
+// given node ids as an array of node ids.
+const stronglyConnectedComponents = (adjList, nodeIds = Object.keys(adjList)) => {
+  const inScope = new Set(nodeIds);
+  const index = Object.create(null);
+  const lowLink = Object.create(null);
+  const onStack = Object.create(null);
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const strongConnect = (node) => {
+    index[node] = counter;
+    lowLink[node] = counter;
+    counter += 1;
+    stack.push(node);
+    onStack[node] = true;
+
+    for (const { target } of adjList[node]) {
+      if (!inScope.has(target)) continue;
+      if (index[target] === undefined) {
+        strongConnect(target);
+        lowLink[node] = Math.min(lowLink[node], lowLink[target]);
+      } else if (onStack[target]) {
+        lowLink[node] = Math.min(lowLink[node], index[target]);
+      }
+    }
+
+    if (lowLink[node] === index[node]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack[member] = false;
+        component.push(member);
+      } while (member !== node);
+      components.push(component.reverse());
+    }
+  };
+
+  nodeIds.forEach(node => { if (index[node] === undefined) strongConnect(node); });
+  return components;
+};
+
+// Edges that close a cycle during a depth-first search from start
+const backEdgesFrom = (adjList, start) => {
+  const visited = new Set();
+  const onStack = new Set();
+  const backEdges = [];
+
+  const dfs = (current) => {
+    visited.add(current);
+    onStack.add(current);
+    for (const edge of adjList[current] || []) {
+      if (onStack.has(edge.target)) {
+        backEdges.push(edge);
+      } else if (!visited.has(edge.target)) {
+        dfs(edge.target);
+      }
+    }
+    onStack.delete(current);
+  };
+
+  if (adjList[start]) dfs(start);
+  return backEdges;
+};
+
+// Adjacency list with every edge flipped, for upstream (ancestor) queries
+const reverseAdjacency = (nodes, edges) => buildAdjacency(
+  nodes,
+  edges.map(edge => ({ source: edge.target, target: edge.source })),
+);
+
+// Breadth-first search; returns the node ids of a shortest path or null
+const shortestPath = (adjList, from, to) => {
+  if (!adjList[from] || !adjList[to]) return null;
+  if (from === to) return [from];
+
+  const previous = Object.create(null);
+  previous[from] = null;
+  const queue = [from];
+  while (queue.length) {
+    const current = queue.shift();
+    for (const { target } of adjList[current]) {
+      if (target in previous) continue;
+      previous[target] = current;
+      if (target === to) {
+        const path = [to];
+        while (previous[path[0]] !== null) path.unshift(previous[path[0]]);
+        return path;
+      }
+      queue.push(target);
+    }
+  }
+  return null;
+};
+
+// Depth-first enumeration of simple paths (no repeated nodes), stopping once
+// limit paths have been found so large or cyclic graphs stay bounded
+const allSimplePaths = (adjList, from, to, limit) => {
+  const paths = [];
+  if (!adjList[from] || !adjList[to]) return paths;
+
+  const path = [from];
+  const onPath = new Set(path);
+  const dfs = (current) => {
+    if (current === to) {
+      paths.push([...path]);
+      return;
+    }
+    for (const { target } of adjList[current]) {
+      if (paths.length >= limit) return;
+      if (onPath.has(target)) continue;
+      path.push(target);
+      onPath.add(target);
+      dfs(target);
+      path.pop();
+      onPath.delete(target);
+    }
+  };
+
+  dfs(from);
+  return paths;
+};
+
+// Kahn's algorithm. Nodes on or behind a cycle can never reach in-degree
+// zero; they are returned in `remaining` and `order` is then partial.
+const topologicalSort = (adjList) => {
+  const inDegree = Object.create(null);
+  Object.keys(adjList).forEach(node => { inDegree[node] = 0; });
+  Object.values(adjList).forEach(edges => edges.forEach(({ target }) => { inDegree[target] += 1; }));
+
+  const queue = Object.keys(adjList).filter(node => inDegree[node] === 0);
+  const order = [];
+  while (queue.length) {
+    const current = queue.shift();
+    order.push(current);
+    for (const { target } of adjList[current]) {
+      inDegree[target] -= 1;
+      if (inDegree[target] === 0) queue.push(target);
+    }
+  }
+
+  const remaining = Object.keys(adjList).filter(node => inDegree[node] > 0);
+  return { order, remaining };
+};
+
+// Distance in edges from the nearest of the start nodes, for every node in
+// reach of one; nodes that cannot be reached are left out
+const depthsFrom = (adjList, starts) => {
+  const depths = Object.create(null);
+  const queue = starts.filter(start => adjList[start]);
+  queue.forEach(start => { depths[start] = 0; });
+  while (queue.length) {
+    const current = queue.shift();
+    for (const { target } of adjList[current]) {
+      if (target in depths) continue;
+      depths[target] = depths[current] + 1;
+      queue.push(target);
+    }
+  }
+  return depths;
+};
+
+// Groups of nodes linked by edges in either direction, in node order
+const weaklyConnectedComponents = (adjList) => {
+  const neighbours = Object.create(null);
+  Object.keys(adjList).forEach(node => { neighbours[node] = []; });
+  Object.entries(adjList).forEach(([source, edges]) => edges.forEach(({ target }) => {
+    neighbours[source].push(target);
+    neighbours[target].push(source);
+  }));
+
+  const seen = new Set();
+  const components = [];
+  Object.keys(adjList).forEach((node) => {
+    if (seen.has(node)) return;
+    seen.add(node);
+    const component = [];
+    const queue = [node];
+    while (queue.length) {
+      const current = queue.shift();
+      component.push(current);
+      neighbours[current].forEach((next) => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    components.push(component);
+  });
+  return components;
+};
+
+// Longest path (most edges), as node ids. The longest simple path through
+// loops is NP-hard to find, so edges that close a loop during a depth-first
+// search from the given start nodes are ignored: every loop is walked once.
+const longestPath = (adjList, starts = []) => {
+  const visited = new Set();
+  const onStack = new Set();
+  const loopEdges = new Set();
+
+  const dfs = (current) => {
+    visited.add(current);
+    onStack.add(current);
+    for (const edge of adjList[current]) {
+      if (onStack.has(edge.target)) {
+        loopEdges.add(edge);
+      } else if (!visited.has(edge.target)) {
+        dfs(edge.target);
+      }
+    }
+    onStack.delete(current);
+  };
+  [...starts, ...Object.keys(adjList)].forEach(node => { if (adjList[node] && !visited.has(node)) dfs(node); });
+
+  const acyclic = Object.create(null);
+  Object.entries(adjList).forEach(([node, edges]) => { acyclic[node] = edges.filter(edge => !loopEdges.has(edge)); });
+  const { order } = topologicalSort(acyclic);
+  const length = Object.create(null);
+  const previous = Object.create(null);
+  order.forEach(node => { length[node] = 0; });
+  order.forEach((node) => {
+    for (const { target } of acyclic[node]) {
+      if (length[node] + 1 > length[target]) {
+        length[target] = length[node] + 1;
+        previous[target] = node;
+      }
+    }
+  });
+
+  let end = order[0];
+  order.forEach(node => { if (length[node] > length[end]) end = node; });
+  if (end === undefined) return [];
+  const path = [end];
+  while (previous[path[0]] !== undefined) path.unshift(previous[path[0]]);
+  return path;
+};
+
+module.exports = {
+  buildAdjacency,
+  reverseAdjacency,
+  reachableFrom,
+  stronglyConnectedComponents,
+  backEdgesFrom,
+  shortestPath,
+  allSimplePaths,
+  topologicalSort,
+  depthsFrom,
+  weaklyConnectedComponents,
+  longestPath,
+};
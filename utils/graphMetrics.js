@@ -0,0 +1,98 @@
+// utils/graphMetrics.js
+// Size, complexity and structural lint for GET /api/flowcharts/:id/metrics,
+// computed on the adjacency list from graphAlgorithms (edges pointing at
+// unknown nodes are not counted).
+//
+// Reachability is measured from the start nodes: the typed start node(s),
+// else every node without incoming edges. Dead ends are nodes from which no
+// end node can be reached, where end nodes are the typed end node(s), else
+// every node without outgoing edges.
+const {
+  buildAdjacency,
+  reverseAdjacency,
+  reachableFrom,
+  depthsFrom,
+  weaklyConnectedComponents,
+  longestPath,
+} = require('./graphAlgorithms');
+
+const DEFAULT_FAN_OUT_THRESHOLD = 4;
+
+const graphMetrics = (nodes = [], edges = [], { fanOutThreshold = DEFAULT_FAN_OUT_THRESHOLD } = {}) => {
+  const adjList = buildAdjacency(nodes, edges);
+  const reverseAdjList = reverseAdjacency(nodes, edges);
+  const nodeIds = Object.keys(adjList);
+  const edgeCount = Object.values(adjList).reduce((count, outgoing) => count + outgoing.length, 0);
+
+  const typedStarts = nodes.filter(node => node.type === 'start').map(node => node.id);
+  const typedEnds = nodes.filter(node => node.type === 'end').map(node => node.id);
+  const startNodes = typedStarts.length ? typedStarts : nodeIds.filter(id => !reverseAdjList[id].length);
+  const endNodes = typedEnds.length ? typedEnds : nodeIds.filter(id => !adjList[id].length);
+
+  const depths = depthsFrom(adjList, startNodes);
+  const reachesEnd = new Set(endNodes);
+  endNodes.forEach(id => reachableFrom(reverseAdjList, id).forEach(upstream => reachesEnd.add(upstream)));
+
+  const degrees = nodeIds.map(id => ({
+    nodeId: id,
+    in: reverseAdjList[id].length,
+    out: adjList[id].length,
+    depth: id in depths ? depths[id] : null,
+  }));
+  const components = weaklyConnectedComponents(adjList);
+  const path = longestPath(adjList, startNodes);
+
+  const unreachableNodes = nodeIds.filter(id => !(id in depths));
+  const deadEnds = nodeIds.filter(id => !reachesEnd.has(id));
+  const fanOutHotspots = degrees
+    .filter(degree => degree.out >= fanOutThreshold)
+    .sort((a, b) => b.out - a.out)
+    .map(({ nodeId, out }) => ({ nodeId, out }));
+
+  // Findings in the shape of validation violations, all warnings
+  const lint = [
+    ...unreachableNodes.map(id => ({
+      code: 'UNREACHABLE_NODE',
+      message: `Node "${id}" cannot be reached from the start`,
+      nodeIds: [id],
+    })),
+    ...deadEnds.map(id => ({
+      code: 'DEAD_END',
+      message: `No end node can be reached from node "${id}"`,
+      nodeIds: [id],
+    })),
+    ...fanOutHotspots.map(({ nodeId, out }) => ({
+      code: 'FAN_OUT_HOTSPOT',
+      message: `Node "${nodeId}" has ${out} outgoing edges`,
+      nodeIds: [nodeId],
+    })),
+    ...components.slice(1).map(component => ({
+      code: 'DISCONNECTED_COMPONENT',
+      message: `${component.length} node${component.length === 1 ? ' is' : 's are'} not connected to the rest of the flowchart`,
+      nodeIds: component,
+    })),
+  ].map(({ code, message, nodeIds: ids }) => ({
+    code, severity: 'warning', message, nodeIds: ids, edges: [],
+  }));
+
+  return {
+    nodeCount: nodeIds.length,
+    edgeCount,
+    startNodes,
+    degrees,
+    maxDepth: Math.max(0, ...Object.values(depths)),
+    longestPath: { length: Math.max(0, path.length - 1), nodeIds: path },
+    // McCabe: E - N + 2P over the whole graph
+    cyclomaticComplexity: edgeCount - nodeIds.length + 2 * components.length,
+    connectedComponents: components,
+    unreachableNodes,
+    deadEnds,
+    fanOutHotspots,
+    lint,
+  };
+};
+
+module.exports = {
+  DEFAULT_FAN_OUT_THRESHOLD,
+  graphMetrics,
+};
@@ -0,0 +1,241 @@
+// utils/graphRules.js
+// Built-in graph validation rules. Each rule has a machine-readable code, a
+// default severity and a check(graph) function returning the violations it
+// found as { message, nodeIds, edges }. Extra rules can be added at startup
+// with registerRule and then enabled per flowchart through validationRules.
+// Rules flagged dagOnly are skipped for flowcharts in cyclic graph mode;
+// rules flagged always run even when a flowchart selects its own rules.
+// Violations marked `incomplete` describe a chart that is still being built
+// (no start node yet, a decision with one branch so far); validateGraph
+// reports them as warnings for partial edits such as POST /:id/nodes.
+
+const { buildAdjacency } = require('./graphAlgorithms');
+const { ConditionError, parseCondition } = require('./conditions');
+
+const edgeRef = edge => (edge._id ? { _id: String(edge._id), source: edge.source, target: edge.target }
+  : { source: edge.source, target: edge.target });
+
+const rules = new Map();
+
+const registerRule = (rule) => {
+  if (!rule || !rule.code || typeof rule.check !== 'function') {
+    throw new Error('A validation rule needs a code and a check function');
+  }
+  if (!['error', 'warning'].includes(rule.severity)) {
+    throw new Error(`Invalid severity for rule ${rule.code}: ${rule.severity}`);
+  }
+  rules.set(rule.code, rule);
+};
+
+const getRule = code => rules.get(code);
+
+const listRules = () => [...rules.values()].map(({
+  code, severity, description, dagOnly = false, always = false,
+}) => ({
+  code, severity, description, dagOnly, always,
+}));
+
+registerRule({
+  code: 'DANGLING_EDGE',
+  severity: 'error',
+  description: 'Every edge must reference existing source and target nodes',
+  check: ({ nodes, edges }) => {
+    const nodeIds = new Set(nodes.map(node => node.id));
+    return edges
+      .filter(edge => !nodeIds.has(edge.source) || !nodeIds.has(edge.target))
+      .map(edge => ({
+        message: 'Edge references invalid nodes',
+        nodeIds: [edge.source, edge.target].filter(id => !nodeIds.has(id)),
+        edges: [edgeRef(edge)],
+      }));
+  },
+});
+
+registerRule({
+  code: 'DUPLICATE_NODE_ID',
+  severity: 'error',
+  description: 'Node ids must be unique within a flowchart',
+  check: ({ nodes }) => {
+    const counts = new Map();
+    nodes.forEach(node => counts.set(node.id, (counts.get(node.id) || 0) + 1));
+    return [...counts]
+      .filter(([, count]) => count > 1)
+      .map(([id]) => ({ message: `Duplicate node id "${id}"`, nodeIds: [id], edges: [] }));
+  },
+});
+
+registerRule({
+  code: 'DUPLICATE_EDGE',
+  severity: 'error',
+  description: 'At most one edge may connect the same source and target',
+  check: ({ edges }) => {
+    const groups = new Map();
+    edges.forEach(edge => {
+      const key = `${edge.source}->${edge.target}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(edge);
+    });
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => ({
+        message: `Duplicate edge from "${group[0].source}" to "${group[0].target}"`,
+        nodeIds: [group[0].source, group[0].target],
+        edges: group.map(edgeRef),
+      }));
+  },
+});
+
+registerRule({
+  code: 'SELF_LOOP',
+  severity: 'error',
+  dagOnly: true,
+  description: 'An edge may not connect a node to itself',
+  check: ({ edges }) => edges
+    .filter(edge => edge.source === edge.target)
+    .map(edge => ({
+      message: `Node "${edge.source}" has an edge to itself`,
+      nodeIds: [edge.source],
+      edges: [edgeRef(edge)],
+    })),
+});
+
+registerRule({
+  code: 'CYCLE',
+  severity: 'error',
+  dagOnly: true,
+  description: 'The graph must be acyclic (self-loops are reported by SELF_LOOP)',
+  check: ({ nodes, edges }) => {
+    const adjList = buildAdjacency(nodes, edges.filter(edge => edge.source !== edge.target));
+    const visited = Object.create(null);
+    const stack = [];
+    const onStack = Object.create(null);
+    const violations = [];
+
+    const visit = (node) => {
+      visited[node] = true;
+      onStack[node] = true;
+      stack.push(node);
+
+      for (const edge of adjList[node]) {
+        if (onStack[edge.target]) {
+          // Back edge: the cycle is the stack from the target back to here
+          const cycle = stack.slice(stack.indexOf(edge.target));
+          violations.push({ message: 'Graph contains a cycle', nodeIds: cycle, edges: [edgeRef(edge)] });
+        } else if (!visited[edge.target]) {
+          visit(edge.target);
+        }
+      }
+
+      stack.pop();
+      onStack[node] = false;
+    };
+
+    Object.keys(adjList).forEach(node => { if (!visited[node]) visit(node); });
+    return violations;
+  },
+});
+
+registerRule({
+  code: 'ORPHAN_NODE',
+  severity: 'warning',
+  description: 'Nodes should be connected to at least one edge',
+  check: ({ nodes, edges }) => {
+    if (nodes.length < 2) return [];
+    const connected = new Set();
+    edges.forEach(edge => { connected.add(edge.source); connected.add(edge.target); });
+    return nodes
+      .filter(node => !connected.has(node.id))
+      .map(node => ({ message: `Node "${node.id}" is not connected to any edge`, nodeIds: [node.id], edges: [] }));
+  },
+});
+
+// The node-type rules only apply to charts that use node types at all, so
+// charts made of plain untyped nodes keep validating as before.
+const isTyped = nodes => nodes.some(node => node.type);
+
+registerRule({
+  code: 'START_NODE',
+  severity: 'error',
+  description: 'A chart with typed nodes must have exactly one start node',
+  check: ({ nodes }) => {
+    if (!isTyped(nodes)) return [];
+    const starts = nodes.filter(node => node.type === 'start');
+    if (starts.length === 1) return [];
+    return [{
+      message: starts.length ? 'Flowchart has more than one start node' : 'Flowchart has no start node',
+      nodeIds: starts.map(node => node.id),
+      edges: [],
+      incomplete: !starts.length,
+    }];
+  },
+});
+
+registerRule({
+  code: 'END_NODE_OUTGOING',
+  severity: 'error',
+  description: 'End nodes may not have outgoing edges',
+  check: ({ nodes, edges }) => {
+    const ends = new Set(nodes.filter(node => node.type === 'end').map(node => node.id));
+    return [...ends]
+      .map(id => ({ id, outgoing: edges.filter(edge => edge.source === id) }))
+      .filter(({ outgoing }) => outgoing.length)
+      .map(({ id, outgoing }) => ({
+        message: `End node "${id}" has outgoing edges`,
+        nodeIds: [id],
+        edges: outgoing.map(edgeRef),
+      }));
+  },
+});
+
+// Conditions are only evaluated when a run reaches the edge, so they are
+// parsed here to refuse broken ones when the chart is written
+registerRule({
+  code: 'INVALID_CONDITION',
+  severity: 'error',
+  always: true,
+  description: 'Edge conditions must be valid condition expressions',
+  check: ({ edges }) => edges
+    .filter(edge => edge.condition)
+    .map((edge) => {
+      try {
+        parseCondition(String(edge.condition));
+        return null;
+      } catch (err) {
+        if (!(err instanceof ConditionError)) throw err;
+        return {
+          message: `Invalid condition on edge from "${edge.source}" to "${edge.target}": ${err.message}`,
+          nodeIds: [edge.source, edge.target],
+          edges: [edgeRef(edge)],
+        };
+      }
+    })
+    .filter(Boolean),
+});
+
+registerRule({
+  code: 'DECISION_BRANCHES',
+  severity: 'error',
+  description: 'Decision nodes need at least two outgoing edges, each with a label',
+  check: ({ nodes, edges }) => nodes
+    .filter(node => node.type === 'decision')
+    .map(node => ({ node, outgoing: edges.filter(edge => edge.source === node.id) }))
+    .filter(({ outgoing }) => outgoing.length < 2 || outgoing.some(edge => !edge.label))
+    .map(({ node, outgoing }) => ({
+      message: outgoing.length < 2
+        ? `Decision node "${node.id}" needs at least two outgoing edges`
+        : `Every branch out of decision node "${node.id}" needs a label`,
+      nodeIds: [node.id],
+      edges: outgoing.filter(edge => outgoing.length < 2 || !edge.label).map(edgeRef),
+      // Branches still to be added; an unlabelled one is always an error
+      incomplete: outgoing.every(edge => edge.label),
+    })),
+});
+
+const DEFAULT_RULES = [...rules.keys()];
+
+module.exports = {
+  registerRule,
+  getRule,
+  listRules,
+  DEFAULT_RULES,
+};
@@ -0,0 +1,663 @@
+// utils/importFlowchart.js
+// Parses Mermaid flowcharts, Graphviz DOT and draw.io XML into the
+// Flowchart node/edge model. Every parser returns
+//   { name, nodes, edges, nodeLines, errors, warnings }
+// where errors and warnings are { line, message } entries. Errors mean part
+// of the source could not be mapped; warnings flag input that was skipped on
+// purpose (styling, subgraph grouping, ...). nodeLines maps a node id to the
+// line it was first seen on so validation violations can point at the source.
+const zlib = require('zlib');
+
+const IMPORT_FORMATS = ['mermaid', 'dot', 'drawio'];
+
+// Collects nodes and edges while parsing, merging repeated node definitions
+const createGraphBuilder = () => {
+  const nodes = new Map();
+  const nodeLines = Object.create(null);
+  const edges = [];
+
+  return {
+    node(id, line, { label, type, position } = {}) {
+      if (!nodes.has(id)) {
+        nodes.set(id, { id, label: id });
+        nodeLines[id] = line;
+      }
+      const node = nodes.get(id);
+      if (label !== undefined && label !== '') node.label = label;
+      if (type) node.shape = type;
+      if (position) node.position = position;
+      return node;
+    },
+    edge(source, target, label) {
+      const edge = { source, target };
+      if (label) edge.label = label;
+      edges.push(edge);
+      return edge;
+    },
+    result() {
+      return { nodes: [...nodes.values()], edges, nodeLines };
+    },
+  };
+};
+
+// Shapes map onto node types. "terminal" shapes (stadium, circle, ellipse)
+// become start when nothing flows into them and end otherwise. Charts that
+// end up typed but without a start node get their single source node as start.
+const applyNodeTypes = (nodes, edges, warnings, nodeLines) => {
+  const hasIncoming = new Set(edges.map(edge => edge.target));
+  const hasOutgoing = new Set(edges.map(edge => edge.source));
+
+  // A terminal that only receives edges ends the flow; any other terminal starts it
+  nodes.forEach((node) => {
+    if (node.shape === 'terminal') {
+      node.type = hasIncoming.has(node.id) && !hasOutgoing.has(node.id) ? 'end' : 'start';
+    } else if (node.shape) {
+      node.type = node.shape;
+    }
+    delete node.shape;
+  });
+
+  if (nodes.some(node => node.type) && !nodes.some(node => node.type === 'start')) {
+    const sources = nodes.filter(node => !hasIncoming.has(node.id));
+    if (sources.length === 1) {
+      sources[0].type = 'start';
+      warnings.push({
+        line: nodeLines[sources[0].id],
+        message: `Node "${sources[0].id}" has no incoming edges and was typed as the start node`,
+      });
+    }
+  }
+};
+
+const decodeEntities = text => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// --- Mermaid ---------------------------------------------------------------
+
+const MERMAID_HEADER = /^(?:flowchart|graph)(?:\s+(TB|TD|BT|RL|LR))?\s*;?$/i;
+const MERMAID_SKIPPED = /^(?:style|classDef|class|click|linkStyle|direction)\b/;
+
+// Opening delimiter -> accepted closing delimiters and the node type they imply
+const MERMAID_SHAPES = [
+  ['([', [['])', 'terminal']]],
+  ['((', [['))', 'terminal']]],
+  ['[[', [[']]', 'subprocess']]],
+  ['[(', [[')]', undefined]]],
+  ['{{', [['}}', undefined]]],
+  ['[/', [['/]', 'io'], ['\\]', 'io']]],
+  ['[\\', [['\\]', 'io'], ['/]', 'io']]],
+  ['>', [[']', undefined]]],
+  ['(', [[')', undefined]]],
+  ['[', [[']', undefined]]],
+  ['{', [['}', 'decision']]],
+];
+
+const MERMAID_ID = /^[\p{L}\p{N}_]+/u;
+const MERMAID_LINK = /^(?:<)?(?:-{2,}|={2,}|-\.+-)(?:>|o|x)?/;
+// `A -- text --> B` style links; the text must be separated by whitespace
+const MERMAID_TEXT_LINK = /^(?:--|==|-\.)\s+(?![->=.])(.+?)\s+(?:-{2,}|={2,}|\.-+)(?:>|o|x)?/;
+
+const unquoteMermaid = text => decodeEntities(text
+  .replace(/#quot;/g, '"')
+  .replace(/#lt;/g, '<')
+  .replace(/#gt;/g, '>')
+  .replace(/#(\d+);/g, (_, code) => String.fromCodePoint(Number(code))))
+  .replace(/<br\s*\/?>/gi, '\n');
+
+// Parses one Mermaid statement like `A[Start] -->|yes| B{Ok?} & C`
+const parseMermaidStatement = (statement, line, graph) => {
+  let rest = statement.trim();
+
+  const fail = message => { throw new Error(message); };
+
+  const parseNode = () => {
+    const idMatch = rest.match(MERMAID_ID);
+    if (!idMatch) fail(`Expected a node id at "${rest.slice(0, 20)}"`);
+    const id = idMatch[0];
+    rest = rest.slice(id.length);
+
+    let label;
+    let type;
+    const shape = MERMAID_SHAPES.find(([open]) => rest.startsWith(open));
+    if (shape) {
+      const [open, closes] = shape;
+      rest = rest.slice(open.length);
+      const quoted = rest.match(/^"((?:[^"\\]|\\.)*)"/);
+      if (quoted) {
+        label = quoted[1];
+        rest = rest.slice(quoted[0].length);
+        const close = closes.find(([candidate]) => rest.startsWith(candidate));
+        if (!close) fail(`Unterminated shape for node "${id}"`);
+        type = close[1];
+        rest = rest.slice(close[0].length);
+      } else {
+        const found = closes
+          .map(([candidate, shapeType]) => ({ index: rest.indexOf(candidate), candidate, shapeType }))
+          .filter(({ index }) => index >= 0)
+          .sort((a, b) => a.index - b.index)[0];
+        if (!found) fail(`Unterminated shape for node "${id}"`);
+        label = rest.slice(0, found.index).trim();
+        type = found.shapeType;
+        rest = rest.slice(found.index + found.candidate.length);
+      }
+      label = unquoteMermaid(label);
+    }
+
+    rest = rest.replace(/^:::[\w-]+/, '').trimStart();
+    graph.node(id, line, { label, type });
+    return id;
+  };
+
+  const parseGroup = () => {
+    const ids = [parseNode()];
+    while (rest.startsWith('&')) {
+      rest = rest.slice(1).trimStart();
+      ids.push(parseNode());
+    }
+    return ids;
+  };
+
+  const parseLink = () => {
+    let label;
+    const textLink = rest.match(MERMAID_TEXT_LINK);
+    const link = !textLink && rest.match(MERMAID_LINK);
+    if (link) {
+      rest = rest.slice(link[0].length).trimStart();
+      const pipe = rest.match(/^\|\s*(?:"((?:[^"\\]|\\.)*)"|([^|]*))\s*\|/);
+      if (pipe) {
+        label = unquoteMermaid(pipe[1] !== undefined ? pipe[1] : pipe[2].trim());
+        rest = rest.slice(pipe[0].length).trimStart();
+      }
+    } else if (textLink) {
+      label = unquoteMermaid(textLink[1].replace(/^"|"$/g, ''));
+      rest = rest.slice(textLink[0].length).trimStart();
+    } else {
+      fail(`Expected a link at "${rest.slice(0, 20)}"`);
+    }
+    return label;
+  };
+
+  let sources = parseGroup();
+  while (rest.length) {
+    const label = parseLink();
+    const targets = parseGroup();
+    sources.forEach(source => targets.forEach(target => graph.edge(source, target, label)));
+    sources = targets;
+  }
+};
+
+// Splits a line on `;` statement separators, ignoring those inside quotes
+// and those ending an entity code such as #quot;
+const splitMermaidStatements = (text) => {
+  const statements = [];
+  let current = '';
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === ';' && !quoted && !/#\w+$/.test(current)) {
+      statements.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  statements.push(current);
+  return statements.map(statement => statement.trim()).filter(Boolean);
+};
+
+const parseMermaid = (content) => {
+  const graph = createGraphBuilder();
+  const errors = [];
+  const warnings = [];
+  let direction;
+  let headerSeen = false;
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    const text = rawLine.replace(/%%.*$/, '').trim();
+    if (!text) return;
+
+    if (!headerSeen) {
+      const header = text.match(MERMAID_HEADER);
+      if (!header) {
+        errors.push({ line, message: 'Expected a "flowchart" or "graph" declaration' });
+      } else {
+        direction = header[1] && header[1].toUpperCase() === 'LR' ? 'LR' : 'TB';
+      }
+      headerSeen = true;
+      if (header) return;
+    }
+
+    splitMermaidStatements(text).forEach((statement) => {
+      if (MERMAID_SKIPPED.test(statement)) {
+        warnings.push({ line, message: `Ignored styling/interaction statement "${statement.split(/\s/)[0]}"` });
+      } else if (/^subgraph\b/.test(statement)) {
+        warnings.push({ line, message: 'Subgraph grouping is not supported; its nodes were imported at the top level' });
+      } else if (statement !== 'end') {
+        try {
+          parseMermaidStatement(statement, line, graph);
+        } catch (err) {
+          errors.push({ line, message: err.message });
+        }
+      }
+    });
+  });
+
+  if (!headerSeen) errors.push({ line: 1, message: 'Mermaid source is empty' });
+  return { ...graph.result(), direction, errors, warnings };
+};
+
+// --- Graphviz DOT ----------------------------------------------------------
+
+const DOT_ID = /-?(?:\.\d+|\d+(?:\.\d*)?)|[\p{L}_][\p{L}\p{N}_]*/uy;
+
+// Splits DOT source into tokens, remembering the line of each one. The
+// source is scanned once, without slicing off the rest at every character.
+const tokenizeDot = (content) => {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+  // Nothing but whitespace so far on this line; # starts a comment only there
+  let atLineStart = true;
+
+  while (i < content.length) {
+    const char = content[i];
+    const startOfLine = atLineStart;
+    atLineStart = false;
+
+    if (char === '\n') {
+      line += 1;
+      i += 1;
+      atLineStart = true;
+    } else if (/\s/.test(char)) {
+      i += 1;
+      atLineStart = startOfLine;
+    } else if (content.startsWith('//', i) || (char === '#' && startOfLine)) {
+      while (i < content.length && content[i] !== '\n') i += 1;
+    } else if (content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      line += (content.slice(i, stop).match(/\n/g) || []).length;
+      i = stop;
+    } else if (char === '"') {
+      let value = '';
+      const startLine = line;
+      i += 1;
+      while (i < content.length && content[i] !== '"') {
+        if (content[i] === '\\' && i + 1 < content.length) {
+          const next = content[i + 1];
+          if (next === '\n') line += 1;
+          else value += next === 'n' || next === 'l' || next === 'r' ? '\n' : next;
+          i += 2;
+        } else {
+          if (content[i] === '\n') line += 1;
+          value += content[i];
+          i += 1;
+        }
+      }
+      i += 1;
+      tokens.push({ type: 'id', value, line: startLine });
+    } else if (char === '<') {
+      // HTML-like label: keep the text, drop the markup
+      let depth = 0;
+      let j = i;
+      do {
+        if (content[j] === '<') depth += 1;
+        if (content[j] === '>') depth -= 1;
+        if (content[j] === '\n') line += 1;
+        j += 1;
+      } while (j < content.length && depth > 0);
+      const html = content.slice(i + 1, j - 1);
+      tokens.push({ type: 'id', value: decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')), line });
+      i = j;
+    } else if (content.startsWith('->', i) || content.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: content.slice(i, i + 2), line });
+      i += 2;
+    } else if ('{}[]=;,:'.includes(char)) {
+      tokens.push({ type: char, value: char, line });
+      i += 1;
+    } else {
+      DOT_ID.lastIndex = i;
+      const match = DOT_ID.exec(content);
+      if (!match) {
+        tokens.push({ type: 'invalid', value: char, line });
+        i += 1;
+      } else {
+        tokens.push({ type: 'id', value: match[0], line });
+        i += match[0].length;
+      }
+    }
+  }
+
+  return tokens;
+};
+
+const DOT_SHAPES = {
+  diamond: 'decision',
+  parallelogram: 'io',
+  ellipse: 'terminal',
+  oval: 'terminal',
+  circle: 'terminal',
+  doublecircle: 'terminal',
+  Mdiamond: 'terminal',
+  Msquare: 'terminal',
+};
+
+const parseDot = (content) => {
+  const graph = createGraphBuilder();
+  const errors = [];
+  const warnings = [];
+  const tokens = tokenizeDot(content);
+  let pos = 0;
+  let name;
+  let direction;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const next = () => tokens[pos++];
+  const lastLine = () => (tokens.length ? tokens[tokens.length - 1].line : 1);
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw Object.assign(new Error(`Expected "${type}"`), { line: token ? token.line : lastLine() });
+    }
+    return token;
+  };
+
+  const parseAttributes = () => {
+    const attrs = {};
+    while (peek() && peek().type === '[') {
+      next();
+      while (peek() && peek().type !== ']') {
+        const key = expect('id');
+        if (peek() && peek().type === '=') {
+          next();
+          attrs[key.value] = expect('id').value;
+        } else {
+          attrs[key.value] = 'true';
+        }
+        if (peek() && (peek().type === ',' || peek().type === ';')) next();
+      }
+      expect(']');
+    }
+    return attrs;
+  };
+
+  const nodeFromAttrs = (id, line, attrs) => {
+    let type = DOT_SHAPES[attrs.shape];
+    if (attrs.shape === 'box' && attrs.peripheries === '2') type = 'subprocess';
+    graph.node(id, line, { label: attrs.label, type });
+  };
+
+  // Node id with an optional :port suffix, which is dropped
+  const parseNodeId = () => {
+    const token = expect('id');
+    if (peek() && peek().type === ':') {
+      next();
+      expect('id');
+      if (peek() && peek().type === ':') { next(); expect('id'); }
+    }
+    return token;
+  };
+
+  const parseStatements = () => {
+    while (peek() && peek().type !== '}') {
+      const token = peek();
+      try {
+        if (token.type === ';' || token.type === ',') {
+          next();
+        } else if (token.type === '{' || (token.type === 'id' && token.value.toLowerCase() === 'subgraph')) {
+          if (token.type === 'id') {
+            next();
+            if (peek() && peek().type === 'id') next();
+          }
+          expect('{');
+          warnings.push({ line: token.line, message: 'Subgraph grouping is not supported; its nodes were imported at the top level' });
+          parseStatements();
+          expect('}');
+        } else if (token.type === 'id' && ['graph', 'node', 'edge'].includes(token.value.toLowerCase())
+          && peek(1) && peek(1).type === '[') {
+          next();
+          const attrs = parseAttributes();
+          if (token.value.toLowerCase() === 'graph' && attrs.rankdir) direction = attrs.rankdir === 'LR' ? 'LR' : 'TB';
+          if (token.value.toLowerCase() !== 'graph' && Object.keys(attrs).length) {
+            warnings.push({ line: token.line, message: `Default ${token.value.toLowerCase()} attributes are ignored` });
+          }
+        } else if (token.type === 'id' && peek(1) && peek(1).type === '=') {
+          next();
+          next();
+          const value = expect('id');
+          if (token.value === 'rankdir') direction = value.value === 'LR' ? 'LR' : 'TB';
+        } else if (token.type === 'id') {
+          const chain = [parseNodeId()];
+          let undirected = false;
+          while (peek() && peek().type === 'edgeop') {
+            if (next().value === '--') undirected = true;
+            chain.push(parseNodeId());
+          }
+          const attrs = parseAttributes();
+          if (chain.length === 1) {
+            nodeFromAttrs(chain[0].value, chain[0].line, attrs);
+          } else {
+            if (undirected) {
+              warnings.push({ line: token.line, message: 'Undirected edge imported as directed from left to right' });
+            }
+            chain.forEach(node => graph.node(node.value, node.line));
+            for (let i = 0; i < chain.length - 1; i += 1) {
+              graph.edge(chain[i].value, chain[i + 1].value, attrs.label);
+            }
+          }
+        } else {
+          throw Object.assign(new Error(`Unexpected "${token.value}"`), { line: token.line });
+        }
+      } catch (err) {
+        errors.push({ line: err.line || token.line, message: err.message });
+        // Resynchronise on the next statement separator
+        while (peek() && !['}', ';'].includes(peek().type) && peek().line === (err.line || token.line)) next();
+        if (peek() && peek().type === ';') next();
+      }
+    }
+  };
+
+  try {
+    let header = next();
+    if (header && header.type === 'id' && header.value.toLowerCase() === 'strict') header = next();
+    if (!header || header.type !== 'id' || !['digraph', 'graph'].includes(header.value.toLowerCase())) {
+      throw Object.assign(new Error('Expected a "digraph" or "graph" declaration'), { line: header ? header.line : 1 });
+    }
+    if (peek() && peek().type === 'id') name = next().value;
+    expect('{');
+    parseStatements();
+    expect('}');
+  } catch (err) {
+    errors.push({ line: err.line || lastLine(), message: err.message });
+  }
+
+  return { ...graph.result(), name, direction, errors, warnings };
+};
+
+// --- draw.io XML -----------------------------------------------------------
+
+const parseXmlAttributes = source => Object.fromEntries(
+  [...source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)]
+    .map(([, key, double, single]) => [key, decodeEntities(double !== undefined ? double : single)]),
+);
+
+const parseStyle = style => Object.fromEntries((style || '').split(';').filter(Boolean).map((entry) => {
+  const [key, value] = entry.split('=');
+  return [key, value === undefined ? true : value];
+}));
+
+// Labels with html=1 contain markup; keep line breaks and drop the tags
+const cellLabel = (value, style) => {
+  if (!value) return '';
+  const text = style.html ? decodeEntities(value.replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n').replace(/<[^>]*>/g, '')) : value;
+  return text.trim();
+};
+
+const DRAWIO_SHAPES = {
+  rhombus: 'decision',
+  parallelogram: 'io',
+  process: 'subprocess',
+  ellipse: 'terminal',
+  doubleEllipse: 'terminal',
+  terminator: 'terminal',
+  'mxgraph.flowchart.decision': 'decision',
+  'mxgraph.flowchart.data': 'io',
+  'mxgraph.flowchart.predefined_process': 'subprocess',
+  'mxgraph.flowchart.terminator': 'terminal',
+  'mxgraph.flowchart.start_1': 'terminal',
+  'mxgraph.flowchart.start_2': 'terminal',
+};
+
+const drawioShape = (style) => {
+  if (style.rhombus || style.shape === 'rhombus') return 'decision';
+  if (style.ellipse) return 'terminal';
+  if (style.rounded === '1' && style.arcSize && Number(style.arcSize) >= 50) return 'terminal';
+  return DRAWIO_SHAPES[style.shape];
+};
+
+// Returns offset => line number; the line starts are collected once so
+// every lookup is a binary search
+const lineIndex = (content) => {
+  const starts = [0];
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) starts.push(i + 1);
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  };
+};
+
+// Compressed diagrams are base64 + raw deflate + URI encoding. Inflating is
+// capped at 20 times the default 100kb JSON body limit, so a small upload
+// cannot expand without bound.
+const MAX_INFLATED_BYTES = 20 * 100 * 1024;
+const inflateDiagram = data => decodeURIComponent(zlib.inflateRawSync(Buffer.from(data.trim(), 'base64'), {
+  maxOutputLength: MAX_INFLATED_BYTES,
+}).toString('utf8'));
+
+const parseDrawio = (content) => {
+  const graph = createGraphBuilder();
+  const errors = [];
+  const warnings = [];
+  let name;
+  let xml = content;
+  const lineAt = lineIndex(content);
+  let lineOf = lineAt;
+
+  const diagrams = [...content.matchAll(/<diagram\b([^>]*)>([\s\S]*?)<\/diagram>/g)];
+  if (diagrams.length) {
+    const [diagram] = diagrams;
+    const diagramLine = lineAt(diagram.index);
+    name = parseXmlAttributes(diagram[1]).name;
+    if (diagrams.length > 1) {
+      warnings.push({ line: lineAt(diagrams[1].index), message: 'Only the first page of a multi-page diagram is imported' });
+    }
+    if (!diagram[2].trim().startsWith('<')) {
+      try {
+        xml = inflateDiagram(diagram[2]);
+        lineOf = () => diagramLine;
+      } catch (err) {
+        const message = err.code === 'ERR_BUFFER_TOO_LARGE'
+          ? `Compressed diagram expands to more than ${MAX_INFLATED_BYTES} bytes`
+          : 'Compressed diagram data could not be decoded';
+        errors.push({ line: diagramLine, message });
+        return { ...graph.result(), name, errors, warnings };
+      }
+    } else {
+      xml = content.slice(0, diagram.index + diagram[0].length);
+    }
+  }
+
+  if (!/<mxGraphModel\b/.test(xml)) {
+    errors.push({ line: 1, message: 'No <mxGraphModel> found; is this a draw.io file?' });
+    return { ...graph.result(), name, errors, warnings };
+  }
+
+  // First pass: collect every cell with its attributes, geometry and line
+  const cells = [];
+  let wrapper = null;
+  const tagPattern = /<(mxCell|object|UserObject)\b([^>]*?)(\/?)>|<mxGeometry\b([^>]*?)\/?>|<\/(mxCell|object|UserObject)>/g;
+  let current = null;
+  for (const match of xml.matchAll(tagPattern)) {
+    const [, tag, attrSource, selfClosing, geometrySource, closing] = match;
+    if (tag === 'object' || tag === 'UserObject') {
+      wrapper = parseXmlAttributes(attrSource);
+    } else if (tag === 'mxCell') {
+      const attrs = parseXmlAttributes(attrSource);
+      if (wrapper) {
+        attrs.id = attrs.id || wrapper.id;
+        attrs.value = attrs.value !== undefined ? attrs.value : wrapper.label;
+      }
+      current = { ...attrs, line: lineOf(match.index) };
+      cells.push(current);
+      if (selfClosing) current = null;
+    } else if (geometrySource !== undefined && current) {
+      const geometry = parseXmlAttributes(geometrySource);
+      current.geometry = { x: Number(geometry.x || 0), y: Number(geometry.y || 0) };
+    } else if (closing === 'mxCell') {
+      current = null;
+    } else if (closing) {
+      wrapper = null;
+    }
+  }
+
+  const edgeCells = new Map(cells.filter(cell => cell.edge === '1').map(cell => [cell.id, cell]));
+  const edgeLabels = Object.create(null);
+
+  cells.filter(cell => cell.vertex === '1').forEach((cell) => {
+    const style = parseStyle(cell.style);
+    const label = cellLabel(cell.value, style);
+
+    if (edgeCells.has(cell.parent)) {
+      // Label placed on an edge as a child cell
+      edgeLabels[cell.parent] = label;
+    } else if (style.text || style.shape === 'text') {
+      warnings.push({ line: cell.line, message: `Free-standing text "${label}" was skipped` });
+    } else if (style.group !== undefined || style.swimlane !== undefined || style.shape === 'swimlane') {
+      warnings.push({ line: cell.line, message: 'Containers and swimlanes are not supported; their contents were imported at the top level' });
+    } else {
+      graph.node(cell.id, cell.line, { label, type: drawioShape(style), position: cell.geometry });
+    }
+  });
+
+  const { nodes } = graph.result();
+  const nodeIds = new Set(nodes.map(node => node.id));
+  edgeCells.forEach((cell) => {
+    if (!cell.source || !cell.target) {
+      errors.push({ line: cell.line, message: `Edge "${cell.id}" is not connected at both ends` });
+    } else if (!nodeIds.has(cell.source) || !nodeIds.has(cell.target)) {
+      errors.push({ line: cell.line, message: `Edge "${cell.id}" connects to a shape that could not be imported` });
+    } else {
+      const label = edgeLabels[cell.id] || cellLabel(cell.value, parseStyle(cell.style));
+      graph.edge(cell.source, cell.target, label);
+    }
+  });
+
+  return { ...graph.result(), name, errors, warnings };
+};
+
+const PARSERS = { mermaid: parseMermaid, dot: parseDot, drawio: parseDrawio };
+
+const importFlowchart = (content, format) => {
+  const parsed = PARSERS[format](content);
+  applyNodeTypes(parsed.nodes, parsed.edges, parsed.warnings, parsed.nodeLines);
+  return parsed;
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  importFlowchart,
+};
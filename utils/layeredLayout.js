@@ -0,0 +1,192 @@
+// utils/layeredLayout.js
+// Layered (Sugiyama-style) layout: break cycles, assign layers by longest
+// path, add dummy nodes for edges spanning several layers, reduce crossings
+// with barycenter sweeps and finally assign coordinates. Node positions are
+// top-left corners; edge points run from the border of the source box
+// through any dummy nodes to the border of the target box. Layers holding
+// more than maxLayerSize nodes wrap onto several rows, so very wide graphs
+// grow in depth instead of breadth.
+const { buildAdjacency, topologicalSort } = require('./graphAlgorithms');
+
+const DEFAULTS = {
+  direction: 'TB',
+  nodeWidth: 160,
+  nodeHeight: 60,
+  nodeSpacing: 40,
+  layerSpacing: 80,
+  sweeps: 4,
+  maxLayerSize: Infinity,
+};
+
+const DUMMY_PREFIX = '\u0000dummy';
+
+// Options come straight from request bodies (POST /:id/layout), so values
+// that would break the layout fall back instead of being trusted: sizes must
+// be positive, spacings non-negative, and maxLayerSize a whole number of at
+// least 1 (anything else means no wrapping)
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const normalizeOptions = (options) => {
+  const opts = { ...DEFAULTS, ...options };
+  ['nodeWidth', 'nodeHeight'].forEach((name) => {
+    if (!isNumber(opts[name]) || opts[name] <= 0) opts[name] = DEFAULTS[name];
+  });
+  ['nodeSpacing', 'layerSpacing'].forEach((name) => {
+    if (!isNumber(opts[name]) || opts[name] < 0) opts[name] = DEFAULTS[name];
+  });
+  opts.sweeps = isNumber(opts.sweeps) && opts.sweeps >= 0 ? Math.floor(opts.sweeps) : DEFAULTS.sweeps;
+  opts.maxLayerSize = isNumber(opts.maxLayerSize) && opts.maxLayerSize >= 1 ? Math.floor(opts.maxLayerSize) : Infinity;
+  return opts;
+};
+
+// Depth-first search marking the edges that close a cycle; reversing them
+// yields a DAG while keeping every other edge pointing "down" the layers
+const findBackEdges = (nodes, adjList) => {
+  const visited = new Set();
+  const onStack = new Set();
+  const backEdges = new Set();
+
+  const dfs = (id) => {
+    visited.add(id);
+    onStack.add(id);
+    for (const edge of adjList[id]) {
+      if (onStack.has(edge.target)) backEdges.add(edge);
+      else if (!visited.has(edge.target)) dfs(edge.target);
+    }
+    onStack.delete(id);
+  };
+
+  nodes.forEach(node => { if (!visited.has(node.id)) dfs(node.id); });
+  return backEdges;
+};
+
+const orderLayers = (layers, up, down, sweeps) => {
+  const position = Object.create(null);
+  layers.forEach(layer => layer.forEach((id, i) => { position[id] = i; }));
+
+  const barycenter = (id, neighbours) => {
+    const linked = neighbours[id] || [];
+    if (!linked.length) return position[id];
+    return linked.reduce((sum, other) => sum + position[other], 0) / linked.length;
+  };
+  const sortLayer = (layer, neighbours) => {
+    const weights = Object.create(null);
+    layer.forEach(id => { weights[id] = barycenter(id, neighbours); });
+    layer.sort((a, b) => weights[a] - weights[b]);
+    layer.forEach((id, i) => { position[id] = i; });
+  };
+
+  for (let sweep = 0; sweep < sweeps; sweep += 1) {
+    for (let l = 1; l < layers.length; l += 1) sortLayer(layers[l], up);
+    for (let l = layers.length - 2; l >= 0; l -= 1) sortLayer(layers[l], down);
+  }
+};
+
+const layeredLayout = (nodes, edges, options = {}) => {
+  const opts = normalizeOptions(options);
+  const vertical = opts.direction !== 'LR';
+  const breadthSize = vertical ? opts.nodeWidth : opts.nodeHeight;
+  const depthSize = vertical ? opts.nodeHeight : opts.nodeWidth;
+
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const graphEdges = edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target)
+    && edge.source !== edge.target);
+
+  // 1. Cycle removal
+  const backEdges = findBackEdges(nodes, buildAdjacency(nodes, graphEdges));
+  const dagEdges = graphEdges.map(edge => (backEdges.has(edge)
+    ? { source: edge.target, target: edge.source, edge, reversed: true }
+    : { source: edge.source, target: edge.target, edge, reversed: false }));
+
+  // 2. Layer assignment by longest path from the sources
+  const dagAdjList = buildAdjacency(nodes, dagEdges);
+  const { order } = topologicalSort(dagAdjList);
+  const layerOf = Object.create(null);
+  order.forEach((id) => {
+    layerOf[id] = layerOf[id] || 0;
+    dagAdjList[id].forEach(({ target }) => {
+      layerOf[target] = Math.max(layerOf[target] || 0, layerOf[id] + 1);
+    });
+  });
+
+  // 3. Dummy nodes so every edge segment joins adjacent layers
+  const layers = [];
+  const place = (id, layer) => {
+    layerOf[id] = layer;
+    if (!layers[layer]) layers[layer] = [];
+    layers[layer].push(id);
+  };
+  order.forEach(id => place(id, layerOf[id]));
+
+  const up = Object.create(null);
+  const down = Object.create(null);
+  let dummies = 0;
+  const chains = dagEdges.map(({ source, target, edge, reversed }) => {
+    const chain = [source];
+    for (let layer = layerOf[source] + 1; layer < layerOf[target]; layer += 1) {
+      const dummy = `${DUMMY_PREFIX}${dummies}`;
+      dummies += 1;
+      place(dummy, layer);
+      chain.push(dummy);
+    }
+    chain.push(target);
+    for (let i = 0; i < chain.length - 1; i += 1) {
+      (down[chain[i]] = down[chain[i]] || []).push(chain[i + 1]);
+      (up[chain[i + 1]] = up[chain[i + 1]] || []).push(chain[i]);
+    }
+    return { edge, chain: reversed ? chain.reverse() : chain };
+  });
+
+  // 4. Crossing reduction
+  orderLayers(layers, up, down, opts.sweeps);
+
+  // 5. Coordinates: wide layers are wrapped into rows of maxLayerSize and
+  // every row is centred on the widest one
+  const rows = [];
+  layers.forEach((layer) => {
+    for (let i = 0; i < layer.length; i += opts.maxLayerSize) rows.push(layer.slice(i, i + opts.maxLayerSize));
+  });
+  const rowBreadth = row => row.length * breadthSize + (row.length - 1) * opts.nodeSpacing;
+  const maxBreadth = Math.max(0, ...rows.map(rowBreadth));
+  const centres = Object.create(null);
+  rows.forEach((row, r) => {
+    const offset = (maxBreadth - rowBreadth(row)) / 2;
+    row.forEach((id, i) => {
+      const breadth = offset + i * (breadthSize + opts.nodeSpacing) + breadthSize / 2;
+      const depth = r * (depthSize + opts.layerSpacing) + depthSize / 2;
+      centres[id] = vertical ? { x: breadth, y: depth } : { x: depth, y: breadth };
+    });
+  });
+
+  const positions = Object.create(null);
+  nodes.forEach((node) => {
+    const centre = centres[node.id];
+    positions[node.id] = { x: centre.x - opts.nodeWidth / 2, y: centre.y - opts.nodeHeight / 2 };
+  });
+
+  // Move an end point from the node centre to the box border facing `towards`
+  const port = (id, towards) => {
+    const centre = centres[id];
+    const sign = layerOf[towards] > layerOf[id] ? 1 : -1;
+    return vertical
+      ? { x: centre.x, y: centre.y + sign * depthSize / 2 }
+      : { x: centre.x + sign * depthSize / 2, y: centre.y };
+  };
+  const routedEdges = chains.map(({ edge, chain }) => ({
+    edge,
+    points: [
+      port(chain[0], chain[1]),
+      ...chain.slice(1, -1).map(id => centres[id]),
+      port(chain[chain.length - 1], chain[chain.length - 2]),
+    ],
+  }));
+
+  const depthExtent = rows.length * depthSize + Math.max(0, rows.length - 1) * opts.layerSpacing;
+  return {
+    positions,
+    edges: routedEdges,
+    width: vertical ? maxBreadth : depthExtent,
+    height: vertical ? depthExtent : maxBreadth,
+  };
+};
+
+module.exports = layeredLayout;
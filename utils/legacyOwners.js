@@ -0,0 +1,20 @@
+// utils/legacyOwners.js
+// Migration for charts created before user accounts existed. They have no
+// owner, so every signed-in user can edit them and nobody can delete them or
+// manage their shares (see utils/permissions.js). assignLegacyOwner gives all
+// of them to one account, which can then share, move or delete them like any
+// other chart. index.js runs it at startup when LEGACY_OWNER_EMAIL is set.
+const Flowchart = require('../models/Flowchart');
+const User = require('../models/User');
+
+// Returns the number of charts assigned
+const assignLegacyOwner = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user) throw new Error(`No user with the email ${email} to own the legacy flowcharts.`);
+  const { modifiedCount } = await Flowchart.updateMany({ owner: null }, { $set: { owner: user._id } });
+  return modifiedCount;
+};
+
+module.exports = {
+  assignLegacyOwner,
+};
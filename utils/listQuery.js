@@ -0,0 +1,164 @@
+// utils/listQuery.js
+// Turns the query string of GET /api/flowcharts into a MongoDB filter, sort
+// and page window. Pagination is either page-based (?page=&limit=) or keyset
+// based (?cursor=), where the cursor encodes the sort value and _id of the
+// last item so later pages stay stable while charts are being added.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['_id', 'name', 'createdAt', 'updatedAt'];
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+const LIST_VIEWS = ['full', 'summary'];
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+  }
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseCount = (value, name, min) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min) {
+    throw new ListQueryError(`${name} must be an integer of at least ${min}`);
+  }
+  return number;
+};
+
+const parseSort = (value = '_id') => {
+  const direction = value.startsWith('-') ? -1 : 1;
+  const field = value.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new ListQueryError(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+  }
+  return { field, direction };
+};
+
+const encodeCursor = (flowchart, { field }) => {
+  const value = flowchart[field];
+  return Buffer.from(JSON.stringify([value instanceof Date ? value.toISOString() : value, flowchart._id]))
+    .toString('base64url');
+};
+
+const decodeCursor = (cursor, { field }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2) {
+    throw new ListQueryError('cursor is malformed');
+  }
+  const [value, id] = decoded;
+  return { value: DATE_FIELDS.includes(field) && value !== null ? new Date(value) : value, id };
+};
+
+// Items strictly after the cursor in (sort field, _id) order
+const afterCursor = ({ value, id }, { field, direction }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (field === '_id') return { _id: { [op]: id } };
+  return { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] };
+};
+
+const nodeCountFilter = (minNodes, maxNodes) => {
+  const size = { $size: { $ifNull: ['$nodes', []] } };
+  const bounds = [];
+  if (minNodes !== undefined) bounds.push({ $gte: [size, minNodes] });
+  if (maxNodes !== undefined) bounds.push({ $lte: [size, maxNodes] });
+  return bounds.length === 1 ? bounds[0] : { $and: bounds };
+};
+
+// Parse and validate the list query. Throws ListQueryError on bad input.
+// `scope` is an extra filter the caller cannot override, e.g. visibility.
+const parseListQuery = (query = {}, { scope } = {}) => {
+  const limit = Math.min(parseCount(query.limit, 'limit', 1) || DEFAULT_LIMIT, MAX_LIMIT);
+  const page = parseCount(query.page, 'page', 1) || 1;
+  const minNodes = parseCount(query.minNodes, 'minNodes', 0);
+  const maxNodes = parseCount(query.maxNodes, 'maxNodes', 0);
+  const sort = parseSort(query.sort);
+  const view = query.view || 'full';
+
+  if (!LIST_VIEWS.includes(view)) {
+    throw new ListQueryError(`view must be one of ${LIST_VIEWS.join(', ')}`);
+  }
+  if (query.cursor !== undefined && query.page !== undefined) {
+    throw new ListQueryError('Use either cursor or page, not both');
+  }
+  if (minNodes !== undefined && maxNodes !== undefined && minNodes > maxNodes) {
+    throw new ListQueryError('minNodes cannot be greater than maxNodes');
+  }
+
+  ['folderId', 'workspaceId'].forEach((param) => {
+    if (query[param] !== undefined && !OBJECT_ID.test(query[param])) {
+      throw new ListQueryError(`${param} must be a 24 character hex id`);
+    }
+  });
+
+  const conditions = scope ? [scope] : [];
+  if (query.workspaceId) conditions.push({ workspace: query.workspaceId });
+  if (query.folderId) conditions.push({ folder: query.folderId });
+  if (query.q) conditions.push({ name: new RegExp(escapeRegex(query.q), 'i') });
+  if (query.nodeLabel) conditions.push({ 'nodes.label': new RegExp(escapeRegex(query.nodeLabel), 'i') });
+  if (minNodes !== undefined || maxNodes !== undefined) {
+    conditions.push({ $expr: nodeCountFilter(minNodes, maxNodes) });
+  }
+
+  // The total ignores the cursor so clients can show "n of total" either way
+  const filter = conditions.length ? { $and: conditions } : {};
+  const pageFilter = query.cursor
+    ? { $and: [...conditions, afterCursor(decodeCursor(query.cursor, sort), sort)] }
+    : filter;
+
+  const sortSpec = { [sort.field]: sort.direction };
+  if (sort.field !== '_id') sortSpec._id = sort.direction;
+
+  return {
+    filter,
+    pageFilter,
+    sort: sortSpec,
+    skip: query.cursor ? 0 : (page - 1) * limit,
+    limit,
+    page: query.cursor ? undefined : page,
+    cursor: query.cursor,
+    sortKey: sort,
+    view,
+  };
+};
+
+// Fields loaded for the summary view; only node and edge ids are read so
+// the counts can be computed without pulling whole graphs
+const SUMMARY_SELECT = '_id name owner workspace folder isTemplate graphMode revision createdAt updatedAt deletedAt nodes.id edges.source';
+
+const summarize = flowchart => ({
+  _id: flowchart._id,
+  name: flowchart.name,
+  owner: flowchart.owner,
+  workspace: flowchart.workspace,
+  folder: flowchart.folder,
+  isTemplate: Boolean(flowchart.isTemplate),
+  graphMode: flowchart.graphMode,
+  revision: flowchart.revision || 0,
+  nodeCount: (flowchart.nodes || []).length,
+  edgeCount: (flowchart.edges || []).length,
+  createdAt: flowchart.createdAt,
+  updatedAt: flowchart.updatedAt,
+  deletedAt: flowchart.deletedAt,
+});
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  LIST_VIEWS,
+  SUMMARY_SELECT,
+  ListQueryError,
+  escapeRegex,
+  parseListQuery,
+  encodeCursor,
+  summarize,
+};
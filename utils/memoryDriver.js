@@ -0,0 +1,476 @@
+// utils/memoryDriver.js
+// Mongoose driver that keeps every collection in process memory, so the API
+// and the test suite run without a MongoDB server. Mongoose still does the
+// casting, validation, middleware and document handling; only the collection
+// calls underneath (insertOne, find, updateOne, ...) are answered here, with
+// the matching rules in utils/memoryQuery.js. Unique indexes are enforced.
+//
+// Each database can be backed by a JSON file (STORAGE_FILE), which is loaded
+// when the connection opens and rewritten after every write, so development
+// data survives restarts. Without a file the data lives as long as the process.
+//
+// This is a stand-in for development and quick test runs, not a MongoDB
+// replica: it builds on Mongoose's own connection class (package.json pins
+// the Mongoose minor version, and checkDriverSupport fails at startup if the
+// parts it relies on change), and operators or options it does not implement
+// throw instead of being ignored. CI runs the suite against MongoDB as well.
+const fs = require('fs');
+const mongoose = require('mongoose');
+const {
+  MemoryQueryError,
+  clone,
+  valueKey,
+  valuesAt,
+  matches,
+  compareBy,
+  project,
+  applyUpdate,
+  upsertBase,
+  isOperatorObject,
+} = require('./memoryQuery');
+
+const { ObjectId, BSON } = mongoose.mongo;
+const { Connection: NativeConnection, Collection: NativeCollection } = mongoose.driver.get();
+
+const DEFAULT_DB_NAME = 'test';
+
+// Mongoose internals the connection below relies on
+const SUPPORTED_MONGOOSE = /^8\.9\./;
+const CONNECTION_METHODS = ['createClient', 'doClose', 'onOpen'];
+
+const checkDriverSupport = (version = mongoose.version, Connection = NativeConnection) => {
+  const missing = CONNECTION_METHODS.filter(name => typeof Connection.prototype[name] !== 'function');
+  if (!SUPPORTED_MONGOOSE.test(version) || missing.length) {
+    throw new Error(`The memory storage driver does not support Mongoose ${version}`
+      + `${missing.length ? ` (missing ${missing.join(', ')})` : ''}. Use STORAGE_DRIVER=mongodb.`);
+  }
+};
+
+// Options that change which documents match or how they are written;
+// ignoring them would give different results than MongoDB
+const UNSUPPORTED_OPTIONS = ['collation', 'arrayFilters', 'hint', 'let', 'session'];
+
+const checkOptions = (options = {}) => {
+  const name = UNSUPPORTED_OPTIONS.find(option => options[option] !== undefined && options[option] !== null);
+  if (name) throw new MemoryQueryError(`The ${name} option is not supported by the memory storage driver`);
+};
+
+class DuplicateKeyError extends Error {
+  constructor(collection, index, doc) {
+    const keyValue = {};
+    Object.keys(index.key).forEach((path) => { keyValue[path] = valuesAt(doc, path.split('.'))[0]; });
+    super(`E11000 duplicate key error collection: ${collection.namespace} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`);
+    this.name = 'MongoServerError';
+    this.code = 11000;
+    this.keyPattern = index.key;
+    this.keyValue = keyValue;
+  }
+}
+
+// Results of find() and listIndexes(), read with toArray() or iterated
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.buffer = null;
+  }
+
+  async toArray() {
+    return this.load();
+  }
+
+  async next() {
+    if (!this.buffer) this.buffer = this.load();
+    return this.buffer.length ? this.buffer.shift() : null;
+  }
+
+  async hasNext() {
+    if (!this.buffer) this.buffer = this.load();
+    return this.buffer.length > 0;
+  }
+
+  async close() {
+    this.buffer = [];
+  }
+
+  async* [Symbol.asyncIterator]() {
+    let doc = await this.next();
+    while (doc !== null) {
+      yield doc;
+      doc = await this.next();
+    }
+  }
+}
+
+const indexName = key => Object.entries(key).map(([path, order]) => `${path}_${order}`).join('_');
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.namespace = `${db.databaseName}.${name}`;
+    this.documents = [];
+    this.indexes = [{ v: 2, key: { _id: 1 }, name: '_id_', unique: true }];
+  }
+
+  // Throws if `doc` would clash with another document on a unique index
+  checkUnique(doc, except) {
+    this.indexes.filter(index => index.unique).forEach((index) => {
+      const paths = Object.keys(index.key);
+      const keyOf = (candidate) => {
+        const values = paths.map(path => valuesAt(candidate, path.split('.'))[0]);
+        if (index.sparse && values.every(value => value === undefined)) return null;
+        return values.map(valueKey).join('|');
+      };
+      const key = keyOf(doc);
+      if (key === null) return;
+      if (this.documents.some(other => other !== except && keyOf(other) === key)) {
+        throw new DuplicateKeyError(this, index, doc);
+      }
+    });
+  }
+
+  select(filter, options = {}) {
+    checkOptions(options);
+    const { sort, skip = 0, limit = 0 } = options;
+    let docs = this.documents.filter(doc => matches(doc, filter));
+    if (sort) docs = docs.sort(compareBy(sort));
+    return docs.slice(skip, limit ? skip + Math.abs(limit) : undefined);
+  }
+
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return stored;
+  }
+
+  // Applies the update to a copy first so a failed update leaves no trace
+  replace(doc, update, options = {}) {
+    let updated;
+    if (isOperatorObject(update)) {
+      updated = applyUpdate(clone(doc), update, options);
+    } else {
+      updated = { _id: doc._id, ...clone(update) };
+    }
+    if (updated._id === undefined) updated._id = new ObjectId();
+    this.checkUnique(updated, doc);
+    return updated;
+  }
+
+  // Shared by the update and findOneAndUpdate family; returns the document
+  // before and after the change
+  modify(filter, update, options = {}) {
+    checkOptions(options);
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) {
+      const updated = this.replace(doc, update, options);
+      this.documents[this.documents.indexOf(doc)] = updated;
+      return { before: doc, after: updated };
+    }
+    if (!options.upsert) return { before: null, after: null };
+
+    const base = upsertBase(filter);
+    const inserted = isOperatorObject(update)
+      ? applyUpdate(base, update, { inserting: true })
+      : { ...(base._id !== undefined ? { _id: base._id } : {}), ...clone(update) };
+    return { before: null, after: this.insert(inserted), upserted: true };
+  }
+
+  async insertOne(doc) {
+    const stored = this.insert(doc);
+    this.db.persist();
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs, { ordered = true } = {}) {
+    const insertedIds = {};
+    try {
+      docs.forEach((doc, i) => {
+        try {
+          insertedIds[i] = this.insert(doc)._id;
+        } catch (err) {
+          if (ordered) throw err;
+        }
+      });
+    } finally {
+      this.db.persist();
+    }
+    return { acknowledged: true, insertedCount: Object.keys(insertedIds).length, insertedIds };
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.select(filter, options).map(doc => project(clone(doc), options.projection)));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? project(clone(doc), options.projection) : null;
+  }
+
+  async countDocuments(filter = {}, options = {}) {
+    return this.select(filter, options).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  async distinct(path, filter = {}) {
+    const seen = new Map();
+    this.select(filter).forEach((doc) => {
+      valuesAt(doc, path.split('.'))
+        .flatMap(value => (Array.isArray(value) ? value : [value]))
+        .filter(value => value !== undefined)
+        .forEach(value => seen.set(valueKey(value), value));
+    });
+    return [...seen.values()].map(clone);
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { after, upserted } = this.modify(filter, update, options);
+    this.db.persist();
+    return {
+      acknowledged: true,
+      matchedCount: after && !upserted ? 1 : 0,
+      modifiedCount: after && !upserted ? 1 : 0,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? after._id : null,
+    };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    checkOptions(options);
+    const docs = this.select(filter);
+    if (!docs.length) return this.updateOne(filter, update, options);
+
+    // Check every document before changing any of them
+    const updated = docs.map(doc => this.replace(doc, update, options));
+    docs.forEach((doc, i) => { this.documents[this.documents.indexOf(doc)] = updated[i]; });
+    this.db.persist();
+    return {
+      acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null,
+    };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { before, after, upserted } = this.modify(filter, update, options);
+    this.db.persist();
+    const doc = options.returnDocument === 'after' ? after : before;
+    const value = doc ? project(clone(doc), options.projection) : null;
+    if (!options.includeResultMetadata) return value;
+    return {
+      value,
+      ok: 1,
+      lastErrorObject: { n: after ? 1 : 0, updatedExisting: Boolean(after && !upserted), ...(upserted ? { upserted: after._id } : {}) },
+    };
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    checkOptions(options);
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) {
+      this.documents.splice(this.documents.indexOf(doc), 1);
+      this.db.persist();
+    }
+    const value = doc ? project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1, lastErrorObject: { n: doc ? 1 : 0 } } : value;
+  }
+
+  async deleteOne(filter = {}, options = {}) {
+    checkOptions(options);
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) {
+      this.documents.splice(this.documents.indexOf(doc), 1);
+      this.db.persist();
+    }
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}, options = {}) {
+    checkOptions(options);
+    const before = this.documents.length;
+    this.documents = this.documents.filter(doc => !matches(doc, filter));
+    this.db.persist();
+    return { acknowledged: true, deletedCount: before - this.documents.length };
+  }
+
+  async createIndex(key, options = {}) {
+    const spec = typeof key === 'string' ? { [key]: 1 } : key;
+    const name = options.name || indexName(spec);
+    if (!this.indexes.some(index => index.name === name)) {
+      const index = { v: 2, key: spec, name };
+      if (options.unique) index.unique = true;
+      if (options.sparse) index.sparse = true;
+      // Existing documents must already satisfy a new unique index
+      if (index.unique) {
+        const probe = new MemoryCollection(this.db, this.collectionName);
+        probe.indexes = [index];
+        this.documents.forEach(doc => probe.insert(doc));
+      }
+      this.indexes.push(index);
+    }
+    return name;
+  }
+
+  async createIndexes(specs) {
+    const names = [];
+    for (const { key, ...options } of specs) names.push(await this.createIndex(key, options));
+    return names;
+  }
+
+  listIndexes() {
+    return new MemoryCursor(() => clone(this.indexes));
+  }
+
+  async indexes() {
+    return clone(this.indexes);
+  }
+
+  async indexExists(names) {
+    return [].concat(names).every(name => this.indexes.some(index => index.name === name));
+  }
+
+  async dropIndex(name) {
+    this.indexes = this.indexes.filter(index => index.name === '_id_' || index.name !== name);
+    return { ok: 1 };
+  }
+
+  async dropIndexes() {
+    this.indexes = this.indexes.filter(index => index.name === '_id_');
+    return true;
+  }
+
+  async drop() {
+    return this.db.dropCollection(this.collectionName);
+  }
+
+  aggregate() {
+    throw new MemoryQueryError('Aggregation pipelines are not supported by the memory storage driver');
+  }
+
+  async bulkWrite() {
+    throw new MemoryQueryError('bulkWrite is not supported by the memory storage driver');
+  }
+}
+
+class MemoryDatabase {
+  constructor(name, file) {
+    this.databaseName = name;
+    this.file = file;
+    this.collections = new Map();
+    if (file && fs.existsSync(file)) this.load();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  listCollections(filter = {}) {
+    return new MemoryCursor(() => [...this.collections.keys()]
+      .map(name => ({ name, type: 'collection' }))
+      .filter(info => matches(info, filter)));
+  }
+
+  async dropCollection(name) {
+    const existed = this.collections.delete(name);
+    this.persist();
+    return existed;
+  }
+
+  async dropDatabase() {
+    this.collections.clear();
+    this.persist();
+    return true;
+  }
+
+  // Extended JSON keeps ObjectIds and Dates intact across a reload
+  load() {
+    const saved = BSON.EJSON.parse(fs.readFileSync(this.file, 'utf8'));
+    Object.entries(saved).forEach(([name, { documents, indexes }]) => {
+      const collection = this.collection(name);
+      collection.documents = documents;
+      collection.indexes = indexes;
+    });
+  }
+
+  persist() {
+    if (!this.file) return;
+    const saved = {};
+    this.collections.forEach((collection, name) => {
+      saved[name] = { documents: collection.documents, indexes: collection.indexes };
+    });
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, BSON.EJSON.stringify(saved));
+    fs.renameSync(temp, this.file);
+  }
+}
+
+// Databases outlive connections, as they would on a server, so reconnecting
+// within the same process sees the same data
+const databases = new Map();
+
+const databaseFor = (name, file) => {
+  const key = file || name;
+  if (!databases.has(key)) databases.set(key, new MemoryDatabase(name, file));
+  return databases.get(key);
+};
+
+// mongodb://host/flowchartdb, memory://flowchartdb and plain names all work
+const databaseName = (uri = '') => {
+  const match = /^mongodb(?:\+srv)?:\/\/[^/]*\/([^/?]+)/i.exec(uri)
+    || /^memory:\/\/\/?([^/?]+)/i.exec(uri)
+    || /^([^:/?]+)$/.exec(uri);
+  return match ? decodeURIComponent(match[1]) : DEFAULT_DB_NAME;
+};
+
+// The connection is the driver's own, with the client swapped for an
+// in-memory database; everything else in it is reused as is
+class MemoryConnection extends NativeConnection {
+  async createClient(uri, options = {}) {
+    if (typeof uri !== 'string') throw new mongoose.MongooseError('The `uri` parameter to `openUri()` must be a string.');
+    this._connectionString = uri;
+    if (options.bufferCommands !== undefined) this.config.bufferCommands = options.bufferCommands;
+    if (options.autoIndex !== undefined) this.config.autoIndex = options.autoIndex;
+
+    const name = options.dbName || databaseName(uri);
+    this.db = databaseFor(name, options.storageFile || process.env.STORAGE_FILE);
+    this.client = {
+      db: dbName => databaseFor(dbName || name),
+      close: async () => {},
+    };
+    this.name = name;
+    this.onOpen();
+    return this;
+  }
+
+  async doClose() {
+    return this;
+  }
+
+  async listDatabases() {
+    return { databases: [...databases.values()].map(db => ({ name: db.databaseName })) };
+  }
+}
+
+module.exports = {
+  checkDriverSupport,
+  Connection: MemoryConnection,
+  Collection: NativeCollection,
+  DuplicateKeyError,
+  MemoryDatabase,
+  databaseName,
+};
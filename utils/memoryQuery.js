@@ -0,0 +1,403 @@
+// utils/memoryQuery.js
+// The subset of MongoDB query, update, sort and projection semantics that the
+// in-memory storage driver (utils/memoryDriver.js) needs. Documents are plain
+// objects holding the same values the MongoDB driver would store: ObjectIds,
+// Dates, numbers, strings, booleans, arrays and nested objects.
+//
+// Unsupported operators throw a MemoryQueryError rather than silently
+// matching the wrong documents.
+
+class MemoryQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MemoryQueryError';
+  }
+}
+
+const isObjectId = value => Boolean(value) && (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype && !Buffer.isBuffer(value);
+
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).some(key => key[0] === '$');
+
+// Deep copy that keeps BSON values intact. Values that know how to convert
+// themselves for storage (mongoose arrays and subdocuments) do so first.
+const clone = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp || value._bsontype || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (typeof value.toBSON === 'function') return clone(value.toBSON());
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    if (value[key] !== undefined) copy[key] = clone(value[key]);
+  });
+  return copy;
+};
+
+// Sort order of BSON types, as used by MongoDB when comparing values of
+// different types
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (isObjectId(value)) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  if (Array.isArray(value)) return 5;
+  return 4;
+};
+
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 1) return 0;
+  if (isObjectId(a)) return a.toHexString().localeCompare(b.toHexString());
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      const order = compareValues(a[i], b[i]);
+      if (order) return order;
+    }
+    return a.length - b.length;
+  }
+  if (rankA === 4) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    for (let i = 0; i < Math.min(keysA.length, keysB.length); i += 1) {
+      const order = keysA[i].localeCompare(keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]]);
+      if (order) return order;
+    }
+    return keysA.length - keysB.length;
+  }
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+const valuesEqual = (a, b) => {
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+  return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+};
+
+// Key under which a value is indexed, for unique indexes and distinct()
+const valueKey = (value) => {
+  if (value === undefined || value === null) return 'null';
+  if (isObjectId(value)) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (Array.isArray(value)) return `[${value.map(valueKey).join(',')}]`;
+  if (isPlainObject(value)) return `{${Object.keys(value).map(key => `${key}:${valueKey(value[key])}`).join(',')}}`;
+  return `${typeof value}:${String(value)}`;
+};
+
+// The values a dotted path can refer to. Arrays of subdocuments fan out, so
+// 'nodes.id' yields the id of every node; a missing field yields undefined.
+const valuesAt = (value, parts) => {
+  if (!parts.length) return [value];
+  const [head, ...rest] = parts;
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(head)) return valuesAt(value[Number(head)], rest);
+    const values = value.filter(isPlainObject).flatMap(item => valuesAt(item, parts));
+    return values.length ? values : [undefined];
+  }
+  if (!isPlainObject(value)) return [undefined];
+  return valuesAt(value[head], rest);
+};
+
+// A single value at a dotted path, without fanning out (aggregation style:
+// '$nodes.id' on an array gives the array of ids)
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => (isPlainObject(item) ? item[key] : undefined));
+  return value === null || value === undefined ? undefined : value[key];
+}, doc);
+
+let matches;
+
+// Applies `test` to the value and, for arrays, to each element, the way
+// MongoDB matches a condition against an array field
+const anyElement = (values, test) => values.some(value => test(value) || (Array.isArray(value) && value.some(test)));
+
+const regexFor = (pattern, options) => (pattern instanceof RegExp && !options ? pattern : new RegExp(
+  pattern instanceof RegExp ? pattern.source : pattern,
+  options || (pattern instanceof RegExp ? pattern.flags : ''),
+));
+
+const matchesOperators = (values, condition) => Object.keys(condition).every((op) => {
+  const operand = condition[op];
+  switch (op) {
+    case '$eq': return anyElement(values, value => valuesEqual(value, operand));
+    case '$ne': return !anyElement(values, value => valuesEqual(value, operand));
+    case '$gt': return anyElement(values, value => typeRank(value) === typeRank(operand) && compareValues(value, operand) > 0);
+    case '$gte': return anyElement(values, value => typeRank(value) === typeRank(operand) && compareValues(value, operand) >= 0);
+    case '$lt': return anyElement(values, value => typeRank(value) === typeRank(operand) && compareValues(value, operand) < 0);
+    case '$lte': return anyElement(values, value => typeRank(value) === typeRank(operand) && compareValues(value, operand) <= 0);
+    case '$in': return operand.some(candidate => (candidate instanceof RegExp
+      ? anyElement(values, value => typeof value === 'string' && candidate.test(value))
+      : anyElement(values, value => valuesEqual(value, candidate))));
+    case '$nin': return !matchesOperators(values, { $in: operand });
+    case '$exists': return values.some(value => value !== undefined) === Boolean(operand);
+    case '$regex': {
+      const regex = regexFor(operand, condition.$options);
+      return anyElement(values, value => typeof value === 'string' && regex.test(value));
+    }
+    case '$options': return true;
+    case '$size': return values.some(value => Array.isArray(value) && value.length === operand);
+    case '$all': return operand.every(candidate => anyElement(values, value => valuesEqual(value, candidate)));
+    case '$elemMatch': return values.some(value => Array.isArray(value) && value.some(item => (
+      isOperatorObject(operand) && !isPlainObject(item) ? matchesOperators([item], operand) : isPlainObject(item) && matches(item, operand)
+    )));
+    case '$not': return !(operand instanceof RegExp
+      ? anyElement(values, value => typeof value === 'string' && operand.test(value))
+      : matchesOperators(values, operand));
+    default: throw new MemoryQueryError(`Query operator ${op} is not supported by the memory storage driver`);
+  }
+});
+
+const matchesCondition = (doc, path, condition) => {
+  const values = valuesAt(doc, path.split('.'));
+  if (condition instanceof RegExp) return anyElement(values, value => typeof value === 'string' && condition.test(value));
+  if (isOperatorObject(condition)) return matchesOperators(values, condition);
+  return anyElement(values, value => valuesEqual(value, condition));
+};
+
+// Aggregation expressions, as used in $expr
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression[0] === '$') return getPath(doc, expression.slice(1));
+  if (Array.isArray(expression)) return expression.map(item => evaluate(doc, item));
+  if (!isPlainObject(expression) || !isOperatorObject(expression)) return expression;
+
+  const [op] = Object.keys(expression);
+  const operand = expression[op];
+  const args = Array.isArray(operand) ? operand.map(item => evaluate(doc, item)) : [evaluate(doc, operand)];
+  switch (op) {
+    case '$and': return args.every(Boolean);
+    case '$or': return args.some(Boolean);
+    case '$not': return !args[0];
+    case '$eq': return valuesEqual(args[0], args[1]);
+    case '$ne': return !valuesEqual(args[0], args[1]);
+    case '$gt': return compareValues(args[0], args[1]) > 0;
+    case '$gte': return compareValues(args[0], args[1]) >= 0;
+    case '$lt': return compareValues(args[0], args[1]) < 0;
+    case '$lte': return compareValues(args[0], args[1]) <= 0;
+    case '$in': return args[1].some(value => valuesEqual(value, args[0]));
+    case '$size': return Array.isArray(args[0]) ? args[0].length : 0;
+    case '$ifNull': return args[0] === undefined || args[0] === null ? args[1] : args[0];
+    case '$add': return args.reduce((sum, value) => sum + value, 0);
+    case '$subtract': return args[0] - args[1];
+    default: throw new MemoryQueryError(`Expression operator ${op} is not supported by the memory storage driver`);
+  }
+};
+
+matches = (doc, filter = {}) => Object.keys(filter || {}).every((key) => {
+  const condition = filter[key];
+  switch (key) {
+    case '$and': return condition.every(part => matches(doc, part));
+    case '$or': return condition.some(part => matches(doc, part));
+    case '$nor': return !condition.some(part => matches(doc, part));
+    case '$expr': return Boolean(evaluate(doc, condition));
+    case '$comment': return true;
+    default:
+      if (key[0] === '$') throw new MemoryQueryError(`Query operator ${key} is not supported by the memory storage driver`);
+      return matchesCondition(doc, key, condition);
+  }
+});
+
+// Sort specs come as { field: 1 | -1 } or [[field, direction], ...]. Arrays
+// sort by their smallest element ascending and their largest descending.
+const sortKey = (doc, path, direction) => {
+  const values = valuesAt(doc, path.split('.')).flatMap(value => (Array.isArray(value) && value.length ? value : [value]));
+  return values.reduce((best, value) => (compareValues(value, best) * direction < 0 ? value : best));
+};
+
+const compareBy = (sort) => {
+  const fields = Array.isArray(sort) ? sort : Object.entries(sort || {});
+  return (a, b) => {
+    for (const [path, order] of fields) {
+      const direction = order === -1 || order === 'desc' || order === 'descending' ? -1 : 1;
+      const result = compareValues(sortKey(a, path, direction), sortKey(b, path, direction)) * direction;
+      if (result) return result;
+    }
+    return 0;
+  };
+};
+
+const setPath = (doc, path, value) => {
+  const parts = path.split('.');
+  let target = doc;
+  parts.slice(0, -1).forEach((key, i) => {
+    if (target[key] === undefined || target[key] === null) target[key] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+    target = target[key];
+  });
+  target[parts[parts.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const parts = path.split('.');
+  const key = parts.pop();
+  const target = parts.length ? getPath(doc, parts.join('.')) : doc;
+  if (target === null || typeof target !== 'object') return;
+  if (!Array.isArray(target)) delete target[key];
+  else if (/^\d+$/.test(key)) target[Number(key)] = null;
+  else target.filter(isPlainObject).forEach(item => delete item[key]);
+};
+
+// Projections are either inclusive ({ name: 1 }) or exclusive ({ secret: 0 });
+// _id is included unless excluded explicitly
+const pick = (value, parts) => {
+  if (Array.isArray(value)) return value.filter(isPlainObject).map(item => pick(item, parts));
+  if (!isPlainObject(value)) return undefined;
+  const [head, ...rest] = parts;
+  if (!(head in value)) return {};
+  return { [head]: rest.length ? pick(value[head], rest) : value[head] };
+};
+
+const mergeInto = (target, source) => {
+  Object.keys(source).forEach((key) => {
+    if (source[key] === undefined) return;
+    if (Array.isArray(target[key]) && Array.isArray(source[key])) {
+      source[key].forEach((item, i) => {
+        if (isPlainObject(item) && isPlainObject(target[key][i])) mergeInto(target[key][i], item);
+        else target[key][i] = item;
+      });
+    } else if (isPlainObject(target[key]) && isPlainObject(source[key])) {
+      mergeInto(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+  return target;
+};
+
+const project = (doc, projection) => {
+  const fields = Object.keys(projection || {}).filter(key => !isOperatorObject(projection[key]));
+  if (!fields.length) return doc;
+
+  const inclusive = fields.some(key => key !== '_id' && projection[key] && projection[key] !== 0);
+  if (!inclusive) {
+    const result = clone(doc);
+    fields.filter(key => !projection[key]).forEach(key => unsetPath(result, key));
+    return result;
+  }
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false && doc._id !== undefined) result._id = doc._id;
+  fields.filter(key => key !== '_id' && projection[key]).forEach((key) => {
+    mergeInto(result, pick(doc, key.split('.')));
+  });
+  return result;
+};
+
+const pullMatches = (item, condition) => {
+  if (isOperatorObject(condition)) return matchesOperators([item], condition);
+  if (isPlainObject(condition) && isPlainObject(item)) return matches(item, condition);
+  return valuesEqual(item, condition);
+};
+
+const arrayAt = (doc, path, op) => {
+  const current = getPath(doc, path);
+  if (current === undefined || current === null) {
+    setPath(doc, path, []);
+    return getPath(doc, path);
+  }
+  if (!Array.isArray(current)) throw new MemoryQueryError(`${op} needs ${path} to be an array`);
+  return current;
+};
+
+// Applies an update document to `doc` in place. `inserting` enables
+// $setOnInsert for upserts.
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  Object.keys(update).forEach((op) => {
+    const fields = update[op];
+    Object.keys(fields).forEach((path) => {
+      if (path.includes('$')) throw new MemoryQueryError(`Positional update ${path} is not supported by the memory storage driver`);
+      const value = clone(fields[path]);
+      const current = getPath(doc, path);
+      switch (op) {
+        case '$set': setPath(doc, path, value); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, value); break;
+        case '$unset': unsetPath(doc, path); break;
+        case '$inc': setPath(doc, path, (current || 0) + value); break;
+        case '$mul': setPath(doc, path, (current || 0) * value); break;
+        case '$min': if (current === undefined || compareValues(value, current) < 0) setPath(doc, path, value); break;
+        case '$max': if (current === undefined || compareValues(value, current) > 0) setPath(doc, path, value); break;
+        case '$currentDate': setPath(doc, path, new Date()); break;
+        case '$rename': unsetPath(doc, path); setPath(doc, value, current); break;
+        case '$push': {
+          const array = arrayAt(doc, path, op);
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          const position = isPlainObject(value) && value.$position !== undefined ? value.$position : array.length;
+          array.splice(position, 0, ...items);
+          if (isPlainObject(value) && value.$sort !== undefined) {
+            array.sort(isPlainObject(value.$sort) ? compareBy(value.$sort) : (a, b) => compareValues(a, b) * value.$sort);
+          }
+          if (isPlainObject(value) && value.$slice !== undefined) {
+            const kept = value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice);
+            array.splice(0, array.length, ...kept);
+          }
+          break;
+        }
+        case '$addToSet': {
+          const array = arrayAt(doc, path, op);
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          items.forEach((item) => {
+            if (!array.some(existing => valuesEqual(existing, item))) array.push(item);
+          });
+          break;
+        }
+        case '$pull': {
+          const array = arrayAt(doc, path, op);
+          array.splice(0, array.length, ...array.filter(item => !pullMatches(item, value)));
+          break;
+        }
+        case '$pullAll': {
+          const array = arrayAt(doc, path, op);
+          array.splice(0, array.length, ...array.filter(item => !value.some(other => valuesEqual(item, other))));
+          break;
+        }
+        case '$pop': {
+          const array = arrayAt(doc, path, op);
+          if (value === -1) array.shift();
+          else array.pop();
+          break;
+        }
+        default: throw new MemoryQueryError(`Update operator ${op} is not supported by the memory storage driver`);
+      }
+    });
+  });
+  return doc;
+};
+
+// The document an upsert starts from: the equality conditions of the filter
+const upsertBase = (filter) => {
+  const doc = {};
+  Object.keys(filter || {}).forEach((key) => {
+    const condition = filter[key];
+    if (key === '$and') {
+      condition.forEach(part => mergeInto(doc, upsertBase(part)));
+    } else if (key[0] !== '$') {
+      if (isOperatorObject(condition)) {
+        if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+      } else if (!(condition instanceof RegExp)) {
+        setPath(doc, key, clone(condition));
+      }
+    }
+  });
+  return doc;
+};
+
+module.exports = {
+  MemoryQueryError,
+  clone,
+  compareValues,
+  valuesEqual,
+  valueKey,
+  valuesAt,
+  getPath,
+  matches,
+  compareBy,
+  project,
+  applyUpdate,
+  upsertBase,
+  isOperatorObject,
+};
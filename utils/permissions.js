@@ -0,0 +1,82 @@
+// utils/permissions.js
+// Per-flowchart roles. The owner can do everything, including deleting the
+// chart and managing its shares; editors can change the graph; viewers can
+// only read it.
+//
+// Charts created before ownership existed have no owner. Every signed-in user
+// is an editor of them, and nobody can delete them or manage their shares
+// until they are given an owner with assignLegacyOwner (utils/legacyOwners.js,
+// run at startup when LEGACY_OWNER_EMAIL is set).
+//
+// Charts filed in a workspace are also open to its members: workspace
+// viewers and editors get the same role on the chart, admins act as owners.
+
+const SHARE_ROLES = ['viewer', 'editor', 'owner'];
+const WORKSPACE_ROLES = ['viewer', 'editor', 'admin'];
+
+const hasRole = (role, required) => SHARE_ROLES.indexOf(role) >= SHARE_ROLES.indexOf(required);
+
+const hasWorkspaceRole = (role, required) => WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+
+const workspaceRoleFor = (workspace, user) => {
+  const member = ((workspace && workspace.members) || []).find(m => String(m.user) === String(user._id));
+  return member ? member.role : null;
+};
+
+const roleFor = (flowchart, user, workspace) => {
+  if (!flowchart.owner) return 'editor';
+  if (String(flowchart.owner) === String(user._id)) return 'owner';
+  const share = (flowchart.shares || []).find(s => String(s.user) === String(user._id));
+  const memberRole = workspaceRoleFor(workspace, user);
+  const roles = [share && share.role, memberRole === 'admin' ? 'owner' : memberRole].filter(Boolean);
+  if (!roles.length) return null;
+  return roles.reduce((best, role) => (hasRole(role, best) ? role : best));
+};
+
+// MongoDB filter for the charts a user can see, given the ids of the
+// workspaces they are a member of
+const visibleTo = (user, workspaceIds = []) => ({
+  $or: [
+    { owner: user._id },
+    { 'shares.user': user._id },
+    { owner: null },
+    ...(workspaceIds.length ? [{ workspace: { $in: workspaceIds } }] : []),
+  ],
+});
+
+// Route middleware for /:id routes; expects req.flowchartRole and
+// req.flowchartTrashed to be set by the router's id param handler. Charts the
+// caller cannot see, and trashed charts unless the route works on the trash,
+// are reported as missing so their existence is not leaked.
+const requireRole = (required, { trashed = false } = {}) => (req, res, next) => {
+  if (req.flowchartRole === undefined) return next();
+  if (req.flowchartRole === null || (req.flowchartTrashed && !trashed)) {
+    return res.status(404).json({ message: 'Flowchart not found' });
+  }
+  if (!hasRole(req.flowchartRole, required)) {
+    return res.status(403).json({ message: `This action needs the ${required} role on the flowchart.` });
+  }
+  next();
+};
+
+// Same as requireRole for /api/workspaces/:workspaceId routes, based on
+// req.workspaceRole. Non-members get a 404.
+const requireWorkspaceRole = required => (req, res, next) => {
+  if (!req.workspaceRole) return res.status(404).json({ message: 'Workspace not found' });
+  if (!hasWorkspaceRole(req.workspaceRole, required)) {
+    return res.status(403).json({ message: `This action needs the ${required} role in the workspace.` });
+  }
+  next();
+};
+
+module.exports = {
+  SHARE_ROLES,
+  WORKSPACE_ROLES,
+  roleFor,
+  hasRole,
+  workspaceRoleFor,
+  hasWorkspaceRole,
+  visibleTo,
+  requireRole,
+  requireWorkspaceRole,
+};
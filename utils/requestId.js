@@ -0,0 +1,15 @@
+// utils/requestId.js
+// Gives every request an id, taken from an incoming X-Request-Id (e.g. set by
+// a proxy) or generated, and echoes it back so clients can quote it.
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_LENGTH = 128;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && incoming.length <= MAX_LENGTH ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
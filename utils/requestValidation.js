@@ -0,0 +1,203 @@
+// utils/requestValidation.js
+// Checks path parameters, query parameters and JSON bodies against the
+// OpenAPI document built from the @swagger comments in routes/ (swagger.js),
+// so the documented schemas are the ones enforced. Requests that do not fit
+// are answered with 400 INVALID_REQUEST and one detail per problem, e.g.
+//   { field: 'body.nodes[0].id', message: 'is required' }
+// before they reach the route handler. Routes without documentation pass
+// through unchecked.
+//
+// The OpenAPI 3.0 subset used in the docs is supported: type, nullable, enum,
+// required, properties, items, minimum/maximum, minLength, minItems/maxItems,
+// format (uuid, date-time), oneOf, allOf and $ref. Properties marked readOnly
+// are ignored in requests; unknown properties are allowed.
+const { ApiError } = require('./errors');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const typeMatches = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// decodeURIComponent throws on malformed escapes such as %E0
+const decodeParam = (value) => {
+  try {
+    return { value: decodeURIComponent(value) };
+  } catch (err) {
+    return { malformed: true };
+  }
+};
+
+const describeType = schema => (schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`);
+
+const createValidator = (spec) => {
+  const resolve = (schema) => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      const name = resolved.$ref.split('/').pop();
+      resolved = (spec.components.schemas || {})[name] || (spec.components.parameters || {})[name];
+    }
+    return resolved || {};
+  };
+
+  // Returns a list of { field, message } problems
+  const check = (schema, value, field) => {
+    const resolved = resolve(schema);
+    if (value === null) return resolved.nullable || !resolved.type ? [] : [{ field, message: 'must not be null' }];
+
+    if (resolved.allOf) return resolved.allOf.flatMap(part => check(part, value, field));
+    if (resolved.oneOf) {
+      const matching = resolved.oneOf.filter(option => !check(option, value, field).length);
+      if (matching.length === 1) return [];
+      const types = resolved.oneOf.map(option => resolve(option).format || resolve(option).type).join(' or ');
+      return [{ field, message: `must be ${matching.length ? 'exactly one of' : 'one of'}: ${types}` }];
+    }
+
+    if (resolved.type && !typeMatches(resolved.type, value)) return [{ field, message: `must be ${describeType(resolved)}` }];
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      return [{ field, message: `must be one of: ${resolved.enum.join(', ')}` }];
+    }
+
+    const problems = [];
+    if (typeof value === 'string') {
+      if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+        problems.push({ field, message: `must be at least ${resolved.minLength} character${resolved.minLength === 1 ? '' : 's'}` });
+      }
+      if (resolved.format === 'uuid' && !UUID.test(value)) problems.push({ field, message: 'must be a UUID' });
+      if (resolved.format === 'date-time' && isNaN(Date.parse(value))) problems.push({ field, message: 'must be a date-time' });
+    }
+    if (typeof value === 'number') {
+      if (resolved.minimum !== undefined && value < resolved.minimum) problems.push({ field, message: `must be at least ${resolved.minimum}` });
+      if (resolved.maximum !== undefined && value > resolved.maximum) problems.push({ field, message: `must be at most ${resolved.maximum}` });
+    }
+    if (Array.isArray(value)) {
+      if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+        problems.push({ field, message: `must have at least ${resolved.minItems} item${resolved.minItems === 1 ? '' : 's'}` });
+      }
+      if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+        problems.push({ field, message: `must have at most ${resolved.maxItems} items` });
+      }
+      if (resolved.items) value.forEach((item, i) => problems.push(...check(resolved.items, item, `${field}[${i}]`)));
+    }
+    if (typeOf(value) === 'object' && resolved.properties) {
+      Object.entries(resolved.properties).forEach(([name, property]) => {
+        if (resolve(property).readOnly) return;
+        if (value[name] === undefined) {
+          if ((resolved.required || []).includes(name)) problems.push({ field: `${field}.${name}`, message: 'is required' });
+          return;
+        }
+        problems.push(...check(property, value[name], `${field}.${name}`));
+      });
+    }
+    return problems;
+  };
+
+  // Path and query values arrive as strings; they are converted to the
+  // documented type before checking
+  const coerce = (schema, value) => {
+    const resolved = resolve(schema);
+    const types = resolved.oneOf ? resolved.oneOf.map(option => resolve(option).type) : [resolved.type];
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+  };
+
+  const checkParameter = (parameter, value) => {
+    const field = `${parameter.in === 'path' ? 'params' : parameter.in}.${parameter.name}`;
+    if (value === undefined || value === '') {
+      return parameter.required ? [{ field, message: 'is required' }] : [];
+    }
+    if (Array.isArray(value)) return [{ field, message: 'must be given once' }];
+    return check(parameter.schema || {}, coerce(parameter.schema || {}, value), field);
+  };
+
+  // Documented paths as regular expressions; literal segments win over
+  // parameters, so /api/flowcharts/trash is not taken for /api/flowcharts/{id}
+  const operations = Object.entries(spec.paths || {}).flatMap(([path, item]) => {
+    const names = [];
+    const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return Object.entries(item).map(([method, operation]) => ({
+      path,
+      method: method.toUpperCase(),
+      regex: new RegExp(`^${pattern}/?$`),
+      names,
+      literals: path.split('/').filter(segment => segment && segment[0] !== '{').length,
+      operation,
+    }));
+  }).sort((a, b) => b.literals - a.literals);
+
+  const findOperation = (method, path) => {
+    for (const candidate of operations) {
+      const match = candidate.method === method && candidate.regex.exec(path);
+      if (match) {
+        const params = {};
+        const malformed = [];
+        candidate.names.forEach((name, i) => {
+          const decoded = decodeParam(match[i + 1]);
+          if (decoded.malformed) malformed.push(name);
+          else params[name] = decoded.value;
+        });
+        return { path: candidate.path, operation: candidate.operation, params, malformed };
+      }
+    }
+    return null;
+  };
+
+  const validate = (req, found = findOperation(req.method, `${req.baseUrl}${req.path}`)) => {
+    if (!found) return [];
+    const { operation, params, malformed } = found;
+
+    const problems = (operation.parameters || []).map(resolve).flatMap((parameter) => {
+      if (parameter.in === 'path' && malformed.includes(parameter.name)) {
+        return [{ field: `params.${parameter.name}`, message: 'is not validly URL-encoded' }];
+      }
+      if (parameter.in === 'path') return checkParameter(parameter, params[parameter.name]);
+      if (parameter.in === 'query') return checkParameter(parameter, req.query[parameter.name]);
+      return [];
+    });
+
+    const body = operation.requestBody && resolve(operation.requestBody);
+    const schema = body && body.content && body.content['application/json'] && body.content['application/json'].schema;
+    const empty = req.body === undefined || (typeOf(req.body) === 'object' && !Object.keys(req.body).length);
+    if (body && body.required && empty && (!schema || resolve(schema).type !== 'object' || (resolve(schema).required || []).length)) {
+      problems.push({ field: 'body', message: 'is required' });
+    } else if (schema && !empty) {
+      problems.push(...check(schema, req.body, 'body'));
+    }
+    return problems;
+  };
+
+  return { validate, findOperation };
+};
+
+// Middleware for the API routers. Mounted after authentication, so callers
+// without credentials still get 401 rather than validation errors.
+const validateRequest = (spec) => {
+  const validator = createValidator(spec);
+  return (req, res, next) => {
+    const found = validator.findOperation(req.method, `${req.baseUrl}${req.path}`);
+    // The documented path, e.g. /api/flowcharts/{id}, names the call in the
+    // audit log when it is turned away here and never reaches a route
+    if (found) req.operationPath = found.path;
+    const details = validator.validate(req, found);
+    if (!details.length) return next();
+    const [first] = details;
+    next(new ApiError(400, `Invalid request: ${first.field} ${first.message}`, { code: 'INVALID_REQUEST', details }));
+  };
+};
+
+module.exports = {
+  createValidator,
+  validateRequest,
+};
@@ -0,0 +1,92 @@
+// utils/runEngine.js
+// Step-through execution of a flowchart: where a run starts, when it is
+// finished and which outgoing edge it follows next.
+const { buildAdjacency } = require('./graphAlgorithms');
+const { ConditionError, evaluateCondition } = require('./conditions');
+
+class RunError extends Error {
+  constructor(message, options) {
+    super(message);
+    this.name = 'RunError';
+    this.options = options;
+  }
+}
+
+const describeEdge = ({ source, target, label, condition }) => ({ source, target, label, condition });
+
+// The explicitly requested node, else the single typed start node, else the
+// single node without incoming edges
+const findStartNode = (nodes, edges, requested) => {
+  if (requested !== undefined) {
+    const node = nodes.find(n => n.id === requested);
+    if (!node) throw new RunError(`Start node "${requested}" does not exist`);
+    return node;
+  }
+
+  const typed = nodes.filter(n => n.type === 'start');
+  if (typed.length === 1) return typed[0];
+  if (typed.length > 1) throw new RunError('The flowchart has several start nodes; pass startNode');
+
+  const targets = new Set(edges.map(edge => edge.target));
+  const sources = nodes.filter(n => !targets.has(n.id));
+  if (sources.length === 1) return sources[0];
+  throw new RunError('Cannot tell where the flowchart starts; pass startNode');
+};
+
+const outgoingEdges = (graph, nodeId) => buildAdjacency(graph.nodes, graph.edges)[nodeId] || [];
+
+// A run ends on an end node or on any node it cannot leave
+const isFinished = (graph, nodeId) => {
+  const node = graph.nodes.find(n => n.id === nodeId);
+  return !node || node.type === 'end' || outgoingEdges(graph, nodeId).length === 0;
+};
+
+const conditionHolds = (edge, context) => {
+  try {
+    return evaluateCondition(edge.condition, context);
+  } catch (err) {
+    if (err instanceof ConditionError) {
+      throw new RunError(`Invalid condition on edge ${edge.source} -> ${edge.target}: ${err.message}`);
+    }
+    throw err;
+  }
+};
+
+// Pick the edge to follow out of nodeId. The caller can name the branch by
+// target node and/or edge label; otherwise a single way out is taken, then
+// the one edge whose condition holds, then the one unconditional edge as the
+// default branch. Anything else needs the caller to choose.
+const chooseEdge = (graph, nodeId, { target, label } = {}, context = {}) => {
+  const outgoing = outgoingEdges(graph, nodeId);
+  const options = outgoing.map(describeEdge);
+
+  if (target !== undefined || label !== undefined) {
+    const matches = outgoing.filter(edge => (target === undefined || edge.target === target)
+      && (label === undefined || edge.label === label));
+    if (matches.length === 1) return { edge: matches[0], via: 'choice' };
+    throw new RunError(matches.length ? 'Several edges match; narrow the choice with target and label'
+      : 'No outgoing edge matches the chosen branch', options);
+  }
+
+  if (outgoing.length === 1 && !outgoing[0].condition) return { edge: outgoing[0], via: 'only' };
+
+  const conditional = outgoing.filter(edge => edge.condition);
+  const holding = conditional.filter(edge => conditionHolds(edge, context));
+  if (holding.length === 1) return { edge: holding[0], via: 'condition' };
+  if (holding.length > 1) throw new RunError('More than one branch condition holds; choose the branch', options);
+
+  const defaults = outgoing.filter(edge => !edge.condition);
+  if (conditional.length && defaults.length === 1) return { edge: defaults[0], via: 'condition' };
+  throw new RunError(conditional.length && !defaults.length
+    ? 'No branch condition holds for the run context; choose the branch'
+    : 'Choose the branch to take with target or label', options);
+};
+
+module.exports = {
+  RunError,
+  describeEdge,
+  findStartNode,
+  outgoingEdges,
+  isFinished,
+  chooseEdge,
+};
@@ -0,0 +1,34 @@
+// utils/storage.js
+// Where the data lives. The routes work with the Mongoose models; the driver
+// underneath them is chosen with STORAGE_DRIVER:
+//   mongodb (default)  MongoDB at MONGODB_URI
+//   memory             process memory, optionally saved to STORAGE_FILE
+// configureStorage() has to run before the first connection is opened, which
+// is why app.js calls it when it is loaded.
+const mongoose = require('mongoose');
+const memoryDriver = require('./memoryDriver');
+
+const STORAGE_DRIVERS = ['mongodb', 'memory'];
+const DEFAULT_URI = 'mongodb://localhost:27017/flowchartdb';
+
+const nativeDriver = mongoose.driver.get();
+
+const storageDriver = () => process.env.STORAGE_DRIVER || 'mongodb';
+
+const configureStorage = (driver = storageDriver()) => {
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`STORAGE_DRIVER must be one of: ${STORAGE_DRIVERS.join(', ')}.`);
+  }
+  if (driver === 'memory') memoryDriver.checkDriverSupport();
+  mongoose.setDriver(driver === 'memory' ? memoryDriver : nativeDriver);
+  return driver;
+};
+
+const connectStorage = (uri = process.env.MONGODB_URI || DEFAULT_URI) => mongoose.connect(uri);
+
+module.exports = {
+  STORAGE_DRIVERS,
+  storageDriver,
+  configureStorage,
+  connectStorage,
+};
@@ -0,0 +1,171 @@
+// utils/subflows.js
+// Subflow references: a node whose `subflow` field holds the _id of another
+// flowchart stands for that whole chart as a subprocess. References are
+// checked on every write so charts can never (indirectly) contain themselves,
+// and can be inlined on read with node ids namespaced by the referencing node.
+const Flowchart = require('../models/Flowchart');
+
+const MAX_EXPAND_DEPTH = 10;
+// Most nodes an expanded graph may have. Depth alone does not bound it: ten
+// levels of charts that each reference the next many times multiply out.
+const MAX_EXPANDED_NODES = 10000;
+
+class SubflowError extends Error {
+  constructor(violations) {
+    super(violations[0].message);
+    this.name = 'SubflowError';
+    this.violations = violations;
+  }
+}
+
+const violation = (code, message, nodeIds) => ({
+  code, severity: 'error', message, nodeIds, edges: [],
+});
+
+const subflowIds = nodes => [...new Set((nodes || [])
+  .filter(node => node.subflow !== undefined && node.subflow !== null)
+  .map(node => node.subflow))];
+
+// Throws SubflowError when a referenced chart does not exist or following the
+// references leads back to `flowchartId`. Charts are looked up breadth-first
+// so each one is loaded once however many paths reach it.
+const checkSubflows = async (flowchartId, nodes) => {
+  const violations = [];
+  const refs = (nodes || []).filter(node => node.subflow !== undefined && node.subflow !== null);
+
+  for (const node of refs) {
+    if (node.subflow === flowchartId) {
+      violations.push(violation('SUBFLOW_CYCLE', `Node "${node.id}" references the flowchart itself`, [node.id]));
+    }
+  }
+
+  const direct = subflowIds(refs).filter(id => id !== flowchartId);
+  const found = await Flowchart.find({ _id: { $in: direct } }).select('_id').lean();
+  const existing = new Set(found.map(f => f._id));
+  for (const node of refs) {
+    if (node.subflow !== flowchartId && !existing.has(node.subflow)) {
+      violations.push(violation('SUBFLOW_NOT_FOUND', `Node "${node.id}" references flowchart ${node.subflow}, which does not exist`, [node.id]));
+    }
+  }
+
+  // Which direct reference each reachable chart was first reached through
+  const via = new Map([...existing].map(id => [id, id]));
+  let frontier = [...existing];
+  while (frontier.length && flowchartId !== undefined) {
+    const charts = await Flowchart.find({ _id: { $in: frontier } }).select('_id nodes.subflow').lean();
+    frontier = [];
+    for (const chart of charts) {
+      for (const id of subflowIds(chart.nodes)) {
+        if (id === flowchartId) {
+          const root = via.get(chart._id);
+          const nodeIds = refs.filter(node => node.subflow === root).map(node => node.id);
+          violations.push(violation('SUBFLOW_CYCLE', `Flowchart ${root} references this flowchart through its subflows`, nodeIds));
+        } else if (!via.has(id)) {
+          via.set(id, via.get(chart._id));
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  if (violations.length) throw new SubflowError(violations);
+};
+
+// Charts, trashed ones included, that reference any of `flowchartIds` from
+// outside that set. A chart cannot be removed for good while such charts
+// exist: their later writes would fail with SUBFLOW_NOT_FOUND.
+const subflowReferrers = (flowchartIds) => {
+  const ids = [...flowchartIds];
+  return Flowchart.find({ 'nodes.subflow': { $in: ids }, _id: { $nin: ids } }).select('_id nodes.subflow').sort({ _id: 1 }).lean();
+};
+
+const plain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Where a subflow is entered and left: its start nodes (or nodes without
+// incoming edges) and its end nodes (or nodes without outgoing edges)
+const entryAndExitNodes = ({ nodes, edges }) => {
+  const typedStarts = nodes.filter(node => node.type === 'start');
+  const typedEnds = nodes.filter(node => node.type === 'end');
+  const targets = new Set(edges.map(edge => edge.target));
+  const sources = new Set(edges.map(edge => edge.source));
+  return {
+    entries: (typedStarts.length ? typedStarts : nodes.filter(node => !targets.has(node.id))).map(node => node.id),
+    exits: (typedEnds.length ? typedEnds : nodes.filter(node => !sources.has(node.id))).map(node => node.id),
+  };
+};
+
+// Inline the graphs referenced by `flowchart`, recursively. A node "n" that
+// references a chart is replaced by that chart's nodes with ids "n/<id>";
+// edges into "n" go to the subflow's entry nodes and edges out of "n" leave
+// from its exit nodes. `canView(chart)` decides which charts may be inlined;
+// references the caller cannot see, empty charts, loops in legacy data and
+// anything nested deeper than MAX_EXPAND_DEPTH are left as plain nodes.
+// Returns { nodes, edges, subflows } where subflows lists what was inlined;
+// throws SubflowError (SUBFLOW_TOO_LARGE) once more than MAX_EXPANDED_NODES
+// nodes would be returned.
+const expandSubflows = async (flowchart, { canView = () => true } = {}) => {
+  const subflows = [];
+  const cache = new Map();
+  let nodeCount = 0;
+
+  const load = async (id) => {
+    if (!cache.has(id)) {
+      const chart = await Flowchart.findById(id).select('_id name revision nodes edges owner shares workspace deletedAt').lean();
+      cache.set(id, chart && !chart.deletedAt && (await canView(chart)) ? chart : null);
+    }
+    return cache.get(id);
+  };
+
+  const expand = async (graph, prefix, path) => {
+    const nodes = [];
+    const edges = graph.edges.map(edge => {
+      const { _id, ...rest } = plain(edge);
+      return { ...rest, source: prefix + edge.source, target: prefix + edge.target };
+    });
+
+    for (const raw of graph.nodes) {
+      const node = plain(raw);
+      const id = prefix + node.id;
+      const child = node.subflow !== undefined && node.subflow !== null
+        && !path.includes(node.subflow) && path.length <= MAX_EXPAND_DEPTH
+        && await load(node.subflow);
+      if (!child || !child.nodes.length) {
+        nodeCount += 1;
+        if (nodeCount > MAX_EXPANDED_NODES) {
+          throw new SubflowError([violation('SUBFLOW_TOO_LARGE', `Expanding the subflows gives more than ${MAX_EXPANDED_NODES} nodes`, [])]);
+        }
+        const { _id, ...rest } = node;
+        nodes.push({ ...rest, id });
+        continue;
+      }
+
+      subflows.push({ nodeId: id, flowchartId: child._id, name: child.name, revision: child.revision });
+      const inner = await expand(child, `${id}/`, [...path, child._id]);
+      const { entries, exits } = entryAndExitNodes(child);
+      nodes.push(...inner.nodes);
+
+      // Rewire the edges that touched the subflow node
+      const rewired = [];
+      for (const edge of edges) {
+        if (edge.target === id) entries.forEach(entry => rewired.push({ ...edge, target: `${id}/${entry}` }));
+        else if (edge.source === id) exits.forEach(exit => rewired.push({ ...edge, source: `${id}/${exit}` }));
+        else rewired.push(edge);
+      }
+      edges.splice(0, edges.length, ...rewired, ...inner.edges);
+    }
+    return { nodes, edges };
+  };
+
+  const { nodes, edges } = await expand(flowchart, '', [flowchart._id]);
+  return { nodes, edges, subflows };
+};
+
+module.exports = {
+  MAX_EXPAND_DEPTH,
+  MAX_EXPANDED_NODES,
+  SubflowError,
+  subflowIds,
+  checkSubflows,
+  subflowReferrers,
+  expandSubflows,
+};
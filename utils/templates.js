@@ -0,0 +1,54 @@
+// utils/templates.js
+// Copying graphs for POST /api/flowcharts/:id/clone and /instantiate.
+// Template parameters are written into node labels as {{name}} (spaces
+// inside the braces are allowed) and filled in when a template is
+// instantiated.
+const { v4: uuidv4 } = require('uuid');
+
+const PARAMETER = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+// Names of the parameters used in the node labels, in order of appearance
+const templateParameters = (nodes = []) => {
+  const names = new Set();
+  nodes.forEach(node => [...String(node.label || '').matchAll(PARAMETER)].forEach(([, name]) => names.add(name)));
+  return [...names];
+};
+
+// Only the caller's own values count, so {{constructor}} is not filled from
+// Object.prototype
+const fillTemplate = (text, values) => text.replace(PARAMETER, (match, name) => (
+  Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match
+));
+
+const copyData = data => (data === undefined ? undefined : JSON.parse(JSON.stringify(data)));
+
+// Deep copy of the nodes and edges of a chart (documents or plain objects).
+// With regenerateIds every node gets a fresh uuid and the edges follow;
+// `label` rewrites node labels.
+const copyGraph = ({ nodes = [], edges = [] }, { regenerateIds = false, label = text => text } = {}) => {
+  const ids = new Map(nodes.map(node => [node.id, regenerateIds ? uuidv4() : node.id]));
+  const idFor = id => (ids.has(id) ? ids.get(id) : id);
+  return {
+    nodes: nodes.map(({
+      id, label: text, type, data, subflow, position,
+    }) => ({
+      id: idFor(id),
+      label: label(text),
+      type,
+      data: copyData(data),
+      subflow,
+      position: position && position.x !== undefined ? { x: position.x, y: position.y } : undefined,
+    })),
+    edges: edges.map(({
+      source, target, label: text, condition,
+    }) => ({
+      source: idFor(source), target: idFor(target), label: text, condition,
+    })),
+  };
+};
+
+module.exports = {
+  templateParameters,
+  fillTemplate,
+  copyGraph,
+};
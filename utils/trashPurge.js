@@ -0,0 +1,61 @@
+// utils/trashPurge.js
+// Permanently removes flowcharts that have been in the trash for longer than
+// the retention period, together with their version history and runs. Charts
+// still used as a subflow by a chart that stays are kept until the reference
+// is gone.
+const Flowchart = require('../models/Flowchart');
+const FlowchartVersion = require('../models/FlowchartVersion');
+const FlowchartRun = require('../models/FlowchartRun');
+const { emitFlowchartEvent } = require('./webhooks');
+const { subflowReferrers } = require('./subflows');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+// Returns the _ids of the purged flowcharts
+const purgeTrash = async ({ retentionDays = TRASH_RETENTION_DAYS, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const candidates = await Flowchart.find({ deletedAt: { $ne: null, $lte: cutoff } }).lean();
+
+  // Keeping one chart can keep the charts it references in turn
+  const purgeable = new Set(candidates.map(f => f._id));
+  let kept = true;
+  while (kept && purgeable.size) {
+    kept = false;
+    const referrers = await subflowReferrers(purgeable);
+    referrers.forEach(chart => chart.nodes.forEach((node) => {
+      if (purgeable.delete(node.subflow)) kept = true;
+    }));
+  }
+  const expired = candidates.filter(f => purgeable.has(f._id));
+  const ids = expired.map(f => f._id);
+  if (!ids.length) return ids;
+
+  await Flowchart.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null, $lte: cutoff } });
+  await FlowchartVersion.deleteMany({ flowchartId: { $in: ids } });
+  await FlowchartRun.deleteMany({ flowchartId: { $in: ids } });
+  expired.forEach(flowchart => emitFlowchartEvent('flowchart.deleted', flowchart, { actor: 'trash purge', permanent: true }));
+  return ids;
+};
+
+// Runs purgeTrash on an interval; returns a function that stops the job
+const startTrashPurge = ({
+  retentionDays = TRASH_RETENTION_DAYS,
+  intervalMinutes = TRASH_PURGE_INTERVAL_MINUTES,
+} = {}) => {
+  const run = () => purgeTrash({ retentionDays })
+    .then((ids) => { if (ids.length) console.log(`Purged ${ids.length} flowchart(s) from the trash`); })
+    .catch(err => console.error('Trash purge failed:', err.message));
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeTrash,
+  startTrashPurge,
+};
@@ -1,46 +1,46 @@
 // utils/validateGraph.js
-const validateGraph = (nodes, edges) => {
-    const nodeIds = new Set(nodes.map(node => node.id));
-  
-    // Check if all edge references exist
-    for (const edge of edges) {
-      if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) {
-        return { valid: false, message: 'Edge references invalid nodes' };
-      }
+const { getRule, listRules, DEFAULT_RULES } = require('./graphRules');
+
+// Runs every enabled rule and collects all violations instead of stopping at
+// the first one. The graph is valid when no rule reported an error; warnings
+// are returned but never block a write. `message` is the first error, kept
+// for callers that only surface a single line. In 'cyclic' mode the rules
+// that forbid loops are skipped so retry/loop flowcharts can be stored.
+// Rules flagged `always` (edge conditions) run whatever rules are selected.
+// With `partial` (edits of single nodes and edges) violations that only mean
+// the chart is not finished yet are downgraded to warnings, so typed charts
+// can be built up one node at a time; full writes still have to be complete.
+const validateGraph = (nodes = [], edges = [], { rules, mode = 'dag', partial = false } = {}) => {
+  const selected = rules && rules.length ? rules : DEFAULT_RULES;
+  const always = listRules().filter(rule => rule.always && !selected.includes(rule.code)).map(rule => rule.code);
+  const codes = [...selected, ...always];
+  const violations = [];
+
+  for (const code of codes) {
+    const rule = getRule(code);
+    if (!rule) {
+      violations.push({
+        code: 'UNKNOWN_RULE',
+        severity: 'error',
+        message: `Unknown validation rule "${code}"`,
+        nodeIds: [],
+        edges: [],
+      });
+      continue;
     }
-  
-    // Optional: Check for cycles using DFS
-    const adjList = {};
-    nodes.forEach(node => { adjList[node.id] = []; });
-    edges.forEach(edge => { adjList[edge.source].push(edge.target); });
-  
-    const visited = {};
-    const recStack = {};
-  
-    const isCyclicUtil = (node) => {
-      if (!visited[node]) {
-        visited[node] = true;
-        recStack[node] = true;
-  
-        for (const neighbor of adjList[node]) {
-          if (!visited[neighbor] && isCyclicUtil(neighbor)) {
-            return true;
-          } else if (recStack[neighbor]) {
-            return true;
-          }
-        }
-      }
-      recStack[node] = false;
-      return false;
-    };
-  
-    for (const node of nodeIds) {
-      if (isCyclicUtil(node)) {
-        return { valid: false, message: 'Graph contains a cycle' };
-      }
+    if (rule.dagOnly && mode === 'cyclic') continue;
+
+    for (const { incomplete, ...violation } of rule.check({ nodes, edges })) {
+      const severity = incomplete && partial ? 'warning' : rule.severity;
+      violations.push({ code: rule.code, severity, ...violation });
     }
-  
-    return { valid: true };
-  };
-  
-  module.exports = validateGraph;
\ No newline at end of file
+  }
+
+  const errors = violations.filter(violation => violation.severity === 'error');
+  if (errors.length) {
+    return { valid: false, message: errors[0].message, violations };
+  }
+  return { valid: true, violations };
+};
+
+module.exports = validateGraph;
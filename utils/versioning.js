@@ -0,0 +1,67 @@
+// utils/versioning.js
+const Flowchart = require('../models/Flowchart');
+const FlowchartVersion = require('../models/FlowchartVersion');
+const { RevisionConflictError } = require('./concurrency');
+const { displayName } = require('./auth');
+const { checkSubflows } = require('./subflows');
+const { hasListeners, publishRevision } = require('./collaboration');
+const { emitFlowchartEvent } = require('./webhooks');
+
+// The author of a revision is the authenticated user. The message is passed
+// as a request header so it works the same for whole-chart and node/edge
+// sub-resource writes.
+const revisionInfo = (req) => ({
+  author: displayName(req.user),
+  message: req.get('X-Revision-Message'),
+});
+
+// Bump the revision counter, save the flowchart and store an immutable snapshot.
+// The save only matches the revision that was loaded, so a concurrent write
+// in between surfaces as a RevisionConflictError instead of a lost update.
+// Every graph write passes through here, so this is also where subflow
+// references are checked (SubflowError), live listeners are notified and
+// the created/updated webhooks fire.
+const commitRevision = async (flowchart, { author, message } = {}) => {
+  const created = flowchart.isNew;
+  if (created || flowchart.isModified('nodes')) {
+    await checkSubflows(flowchart._id, flowchart.nodes);
+  }
+
+  const loadedRevision = flowchart.revision || 0;
+  if (!flowchart.isNew) {
+    // Charts saved before revisions existed have no stored revision field
+    flowchart.$where = { revision: loadedRevision || { $in: [0, null] } };
+  }
+  flowchart.revision = loadedRevision + 1;
+
+  try {
+    await flowchart.save();
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') {
+      throw new RevisionConflictError(await Flowchart.findById(flowchart._id));
+    }
+    throw err;
+  }
+
+  await FlowchartVersion.create({
+    flowchartId: flowchart._id,
+    rev: flowchart.revision,
+    name: flowchart.name,
+    nodes: flowchart.nodes,
+    edges: flowchart.edges,
+    author,
+    message,
+  });
+
+  // Push the change to clients watching the chart live
+  if (hasListeners(flowchart._id)) {
+    const previous = loadedRevision
+      && await FlowchartVersion.findOne({ flowchartId: flowchart._id, rev: loadedRevision }).lean();
+    publishRevision(flowchart, previous, { author, message });
+  }
+  emitFlowchartEvent(created ? 'flowchart.created' : 'flowchart.updated', flowchart, { actor: author, message });
+
+  return flowchart;
+};
+
+module.exports = { revisionInfo, commitRevision };
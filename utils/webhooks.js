@@ -0,0 +1,255 @@
+// utils/webhooks.js
+// Delivers flowchart lifecycle events to registered webhooks. Every event is
+// stored as a WebhookDelivery first and then POSTed to the hook's URL with an
+// HMAC-SHA256 signature over "<timestamp>.<body>" in X-Webhook-Signature.
+// Failed deliveries are retried with exponential backoff by startWebhookRetries
+// until they succeed or WEBHOOK_MAX_ATTEMPTS is reached. Hooks may only
+// point at public addresses; see checkWebhookTarget.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Workspace = require('../models/Workspace');
+const { roleFor } = require('./permissions');
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_RETRY_INTERVAL_SECONDS = Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30;
+
+// Loopback, private (RFC 1918), shared (carrier-grade NAT), link-local (cloud
+// metadata at 169.254.169.254 included), benchmarking, multicast, reserved,
+// NAT64 and unspecified addresses. Hosts resolving to any of them are refused
+// unless WEBHOOK_ALLOWED_HOSTS, a comma-separated list of host names,
+// addresses and CIDR ranges, permits them.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+];
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockedAddresses.addSubnet(address, prefix, family));
+
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+const allowedAddresses = new net.BlockList();
+WEBHOOK_ALLOWED_HOSTS.forEach((entry) => {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+  if (!family) return; // A host name, matched by name
+  if (prefix === undefined) allowedAddresses.addAddress(address, `ipv${family}`);
+  else allowedAddresses.addSubnet(address, Number(prefix), `ipv${family}`);
+});
+
+const isBlocked = ({ address, family }) => blockedAddresses.check(address, `ipv${family}`)
+  && !allowedAddresses.check(address, `ipv${family}`);
+
+// Resolves the host of `value` and resolves with { error } when a hook may not
+// be sent there, or with the { address, family } it was checked against.
+// Deliveries connect to that address only (see pinnedAgent), so a name that
+// resolves differently between the check and the connection cannot reach an
+// internal address.
+const checkWebhookTarget = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return { error: 'url must be an http or https URL' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an http or https URL' };
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    return { error: `url host "${host}" could not be resolved` };
+  }
+  const blocked = !WEBHOOK_ALLOWED_HOSTS.includes(host) && addresses.find(isBlocked);
+  if (blocked) return { error: `url must not point at a private or local address (${blocked.address})` };
+  return addresses[0];
+};
+
+// Why a hook may not be sent to `value`, or null when it may
+const webhookTargetError = async value => (await checkWebhookTarget(value)).error || null;
+
+// A connection pool whose every connection goes to `address`, whatever the
+// URL's host name resolves to by then. TLS still verifies the host name.
+const pinnedAgent = ({ address, family }) => new Agent({
+  connect: {
+    lookup: (hostname, options, callback) => (options && options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family)),
+  },
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// 30s, 1m, 2m, 4m, ... after the 1st, 2nd, 3rd, 4th failed attempt
+const retryDelayMs = (failedAttempts, baseSeconds = WEBHOOK_RETRY_BASE_SECONDS) => (
+  baseSeconds * 1000 * 2 ** (failedAttempts - 1)
+);
+
+// Hooks fire for charts their owner can see, narrowed by the hook's scope
+const subscribed = (hook, flowchart, workspace) => {
+  if (hook.flowchartId !== null && hook.flowchartId !== undefined && hook.flowchartId !== flowchart._id) return false;
+  if (hook.workspace && String(hook.workspace) !== String(flowchart.workspace)) return false;
+  return Boolean(roleFor(flowchart, { _id: hook.owner }, workspace));
+};
+
+// POSTs a pending delivery once and records the attempt. The delivery is
+// claimed first by pushing nextAttemptAt past the request timeout, so the
+// retry job and an immediate attempt never send the same delivery twice.
+const attemptDelivery = async (deliveryId, {
+  now = new Date(),
+  maxAttempts = WEBHOOK_MAX_ATTEMPTS,
+  retryBaseSeconds = WEBHOOK_RETRY_BASE_SECONDS,
+} = {}) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS) } },
+    { new: true },
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook);
+  const attempt = { at: new Date() };
+  const target = webhook && await checkWebhookTarget(webhook.url);
+  if (!webhook) {
+    attempt.error = 'Webhook was deleted';
+  } else if (target.error) {
+    attempt.error = target.error;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const dispatcher = pinnedAgent(target);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'flowchart-manager-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        dispatcher,
+      });
+      if (response.body) await response.body.cancel();
+      attempt.statusCode = response.status;
+      if (!response.ok) attempt.error = `Receiver responded with ${response.status}`;
+    } catch (err) {
+      attempt.error = err.name === 'TimeoutError' ? 'Timed out' : (err.cause && err.cause.message) || err.message;
+    } finally {
+      dispatcher.destroy().catch(() => {});
+    }
+    attempt.durationMs = Date.now() - started;
+  }
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+  } else if (!webhook || delivery.attempts.length >= maxAttempts) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + retryDelayMs(delivery.attempts.length, retryBaseSeconds));
+  }
+  await delivery.save();
+  return delivery;
+};
+
+// Queues a delivery for the hook and makes the first attempt right away
+const enqueue = async (webhook, event, payload) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id, event, flowchartId: payload.flowchart._id, payload,
+  });
+  attemptDelivery(delivery._id).catch(err => console.error('Webhook delivery failed:', err.message));
+  return delivery;
+};
+
+const dispatch = async (event, flowchart, details) => {
+  const hooks = await Webhook.find({ active: true, events: event });
+  if (!hooks.length) return [];
+
+  const workspace = flowchart.workspace && await Workspace.findById(flowchart.workspace).select('members').lean();
+  const payload = {
+    event,
+    occurredAt: new Date().toISOString(),
+    ...details,
+    flowchart: JSON.parse(JSON.stringify(flowchart)),
+  };
+  const targets = hooks.filter(hook => subscribed(hook, flowchart, workspace));
+  return Promise.all(targets.map(hook => enqueue(hook, event, payload)));
+};
+
+// Fire-and-forget: never delays or fails the write that caused the event.
+// Resolves with the queued deliveries.
+const emitFlowchartEvent = (event, flowchart, details = {}) => dispatch(event, flowchart, details)
+  .catch((err) => {
+    console.error(`Webhook dispatch for ${event} failed:`, err.message);
+    return [];
+  });
+
+// Sends the same payload again as a new delivery
+const redeliver = (webhook, delivery) => enqueue(webhook, delivery.event, delivery.payload);
+
+// Attempts every pending delivery that is due; returns the ones attempted
+const retryDueDeliveries = async ({ now = new Date(), limit = 50, ...options } = {}) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+  const attempted = [];
+  for (const { _id } of due) {
+    const delivery = await attemptDelivery(_id, { now, ...options });
+    if (delivery) attempted.push(delivery);
+  }
+  return attempted;
+};
+
+// Runs retryDueDeliveries on an interval; returns a function that stops the job
+const startWebhookRetries = ({ intervalSeconds = WEBHOOK_RETRY_INTERVAL_SECONDS } = {}) => {
+  const run = () => retryDueDeliveries()
+    .catch(err => console.error('Webhook retries failed:', err.message));
+
+  const timer = setInterval(run, intervalSeconds * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  retryDelayMs,
+  webhookTargetError,
+  attemptDelivery,
+  emitFlowchartEvent,
+  redeliver,
+  retryDueDeliveries,
+  startWebhookRetries,
+};